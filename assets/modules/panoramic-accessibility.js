@@ -1,6 +1,6 @@
 /**
  * Panoramic Accessibility
- * 
+ *
  * Handles accessibility features including screen reader support, ARIA labels, and focus management
  */
 
@@ -25,9 +25,9 @@ export class PanoramicAccessibility {
 	 * Initialize accessibility elements
 	 */
 	initializeElements() {
-		this.statusEl = this.modal.querySelector('#panoramic-status');
-		this.loadingEl = this.modal.querySelector('#panoramic-loading');
-		this.titleEl = this.modal.querySelector('#panoramic-viewer-title');
+		this.statusEl = this.modal.querySelector('.panoramic-status');
+		this.loadingEl = this.modal.querySelector('.panoramic-loading');
+		this.titleEl = this.modal.querySelector('.panoramic-viewer-title');
 	}
 
 	/**
@@ -51,7 +51,7 @@ export class PanoramicAccessibility {
 
 	/**
 	 * Announce status to screen readers
-	 * @param {string} message - Message to announce
+	 * @param {string} message    - Message to announce
 	 * @param {number} clearDelay - Time to clear message (ms)
 	 */
 	announceStatus(message, clearDelay = 3000) {
@@ -92,6 +92,46 @@ export class PanoramicAccessibility {
 		this.announceStatus(`View reset. Zoom: ${zoomPercent}%, centered`);
 	}
 
+	/**
+	 * Announce the direction the view faces. Panoramas that turn or loop have
+	 * no edges, so their position is given as a heading.
+	 */
+	announceHeading() {
+		const heading = this.renderer.getHeading();
+		if (heading === null) {
+			return;
+		}
+		this.announceStatus(`Heading ${heading}°`);
+	}
+
+	/**
+	 * Announce the scene a tour has moved to
+	 * @param {string} title - Scene title, if it has one
+	 */
+	announceSceneChange(title) {
+		this.announceStatus(title ? `Now viewing ${title}` : 'Moved to the next scene');
+	}
+
+	/**
+	 * Announce the block a gallery has stepped to, and where it is among the blocks
+	 * @param {string} title    - Block title, if it has one
+	 * @param {number} position - Position of the block, counting from 1
+	 * @param {number} total    - Number of blocks on the page
+	 */
+	announceGalleryPosition(title, position, total) {
+		this.announceStatus(title ?
+			`Now viewing ${title}, ${position} of ${total}` :
+			`Panorama ${position} of ${total}`);
+	}
+
+	/**
+	 * Announce whether the link to the view was copied
+	 * @param {boolean} copied - Whether the link is on the clipboard
+	 */
+	announceLinkCopied(copied) {
+		this.announceStatus(copied ? 'Link to this view copied' : 'Could not copy the link');
+	}
+
 	/**
 	 * Announce loading success
 	 */
@@ -125,27 +165,29 @@ export class PanoramicAccessibility {
 			this.modal.removeEventListener('keydown', this.trapFocusHandler);
 		}
 
-		const focusableElements = this.modal.querySelectorAll(
-			'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-		);
-		
-		if (focusableElements.length === 0) return;
+		this.trapFocusHandler = (e) => {
+			if (e.key !== 'Tab') {
+				return;
+			}
 
-		const firstElement = focusableElements[0];
-		const lastElement = focusableElements[focusableElements.length - 1];
+			// Looked up on every Tab, as hotspot markers come and go while panning
+			const focusableElements = this.getFocusableElements();
+			if (focusableElements.length === 0) {
+				return;
+			}
 
-		this.trapFocusHandler = (e) => {
-			if (e.key === 'Tab') {
-				if (e.shiftKey) {
-					if (document.activeElement === firstElement) {
-						e.preventDefault();
-						lastElement.focus();
-					}
-				} else {
-					if (document.activeElement === lastElement) {
-						e.preventDefault();
-						firstElement.focus();
-					}
+			const firstElement = focusableElements[0];
+			const lastElement = focusableElements[focusableElements.length - 1];
+
+			if (e.shiftKey) {
+				if (document.activeElement === firstElement) {
+					e.preventDefault();
+					lastElement.focus();
+				}
+			} else {
+				if (document.activeElement === lastElement) {
+					e.preventDefault();
+					firstElement.focus();
 				}
 			}
 		};
@@ -153,6 +195,17 @@ export class PanoramicAccessibility {
 		this.modal.addEventListener('keydown', this.trapFocusHandler);
 	}
 
+	/**
+	 * Get the elements in the modal that Tab can reach
+	 * @return {Array<HTMLElement>} Visible focusable elements in document order
+	 */
+	getFocusableElements() {
+		const elements = this.modal.querySelectorAll(
+			'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+		);
+		return Array.from(elements).filter(element => element.getClientRects().length > 0);
+	}
+
 	/**
 	 * Save current focus and set focus to viewer
 	 * @param {HTMLElement} viewer - Viewer element to focus
@@ -186,7 +239,7 @@ export class PanoramicAccessibility {
 
 	/**
 	 * Add ARIA live region for dynamic content
-	 * @param {string} message - Message to add to live region
+	 * @param {string} message  - Message to add to live region
 	 * @param {string} priority - 'polite' or 'assertive'
 	 */
 	addLiveRegion(message, priority = 'polite') {
@@ -236,7 +289,7 @@ export class PanoramicAccessibility {
 
 	/**
 	 * Check if screen reader is likely being used
-	 * @returns {boolean} Whether screen reader is detected
+	 * @return {boolean} Whether screen reader is detected
 	 */
 	isScreenReaderActive() {
 		// Basic heuristics for screen reader detection
@@ -249,7 +302,7 @@ export class PanoramicAccessibility {
 
 	/**
 	 * Provide enhanced descriptions for screen readers
-	 * @param {string} imageType - 'single' or 'multiple'
+	 * @param {string} imageType  - 'single' or 'multiple'
 	 * @param {number} imageCount - Number of images
 	 */
 	provideImageDescription(imageType, imageCount) {
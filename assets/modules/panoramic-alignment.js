@@ -0,0 +1,326 @@
+/**
+ * Panoramic Alignment
+ *
+ * Feature-based alignment of adjacent panoramic segments. Corners are detected
+ * with a Harris response on downscaled greyscale copies of the segments,
+ * described by normalised patches and matched between neighbours. A consensus
+ * translation over the matches gives each segment's offset from the previous one.
+ */
+
+// Height in pixels of the working copies the features are detected on
+const WORK_HEIGHT = 400;
+
+// Portion of each segment, from the shared edge, searched for features
+const SEARCH_FRACTION = 0.5;
+
+// Corner detection
+const HARRIS_K = 0.04;
+const CORNER_CELL_SIZE = 12;
+const CORNER_THRESHOLD = 0.01;
+const MAX_CORNERS = 400;
+
+// Descriptors are sampled on a grid of (2 * PATCH_RADIUS + 1)^2 points
+const PATCH_RADIUS = 4;
+const PATCH_STEP = 2;
+
+// Matching and consensus
+const MATCH_RATIO = 0.8;
+const INLIER_TOLERANCE = 2;
+const MIN_INLIERS = 8;
+const MAX_VERTICAL_SHIFT = 0.25;
+
+export class PanoramicAlignment {
+	/**
+	 * Compute the offset of every segment relative to the one before it
+	 * @param {Array<HTMLImageElement|HTMLCanvasElement>} images - Loaded segments in order
+	 * @return {Array<Object>} One { x, y, matched } entry per segment. x and y are
+	 *   fractions of the previous segment's width and height; the first entry is
+	 *   always { x: 0, y: 0, matched: true }. Seams without a reliable match fall
+	 *   back to side-by-side placement with matched set to false.
+	 * @throws {Error} If the pixel data cannot be read (e.g. a cross-origin image)
+	 */
+	static alignSegments(images) {
+		const maxHeight = Math.max(...images.map(img => img.height));
+		const scale = Math.min(1, WORK_HEIGHT / maxHeight);
+		const greyImages = images.map(img => this.toGreyscale(img, scale));
+
+		const offsets = [{ x: 0, y: 0, matched: true }];
+		for (let i = 1; i < images.length; i++) {
+			const previous = greyImages[i - 1];
+			const current = greyImages[i];
+			const translation = this.estimateTranslation(previous, current);
+
+			if (translation) {
+				offsets.push({
+					x: translation.x / previous.width,
+					y: translation.y / previous.height,
+					matched: true
+				});
+			} else {
+				offsets.push({
+					x: 1,
+					y: (previous.height - current.height) / 2 / previous.height,
+					matched: false
+				});
+			}
+		}
+
+		return offsets;
+	}
+
+	/**
+	 * Estimate where the current segment sits in the previous segment's coordinates
+	 * @param {Object} previous - Greyscale working copy of the left segment
+	 * @param {Object} current  - Greyscale working copy of the right segment
+	 * @return {Object|null} Translation { x, y } in working pixels, or null if no consensus
+	 */
+	static estimateTranslation(previous, current) {
+		const previousCorners = this.detectCorners(
+			previous,
+			Math.floor(previous.width * (1 - SEARCH_FRACTION)),
+			previous.width
+		);
+		const currentCorners = this.detectCorners(
+			current,
+			0,
+			Math.ceil(current.width * SEARCH_FRACTION)
+		);
+
+		const previousFeatures = this.describeCorners(previous, previousCorners);
+		const currentFeatures = this.describeCorners(current, currentCorners);
+		const matches = this.matchFeatures(previousFeatures, currentFeatures)
+			.map(match => ({
+				x: match.from.x - match.to.x,
+				y: match.from.y - match.to.y
+			}))
+			// The right segment must start inside the left one and sit roughly level with it
+			.filter(t =>
+				t.x > 0 &&
+				t.x < previous.width &&
+				Math.abs(t.y) < previous.height * MAX_VERTICAL_SHIFT
+			);
+
+		return this.findConsensus(matches);
+	}
+
+	/**
+	 * Draw an image into a scaled greyscale buffer
+	 * @param {HTMLImageElement|HTMLCanvasElement} image - Source image
+	 * @param {number}                             scale - Scale factor applied to the image
+	 * @return {Object} { data: Float32Array, width, height }
+	 */
+	static toGreyscale(image, scale) {
+		const width = Math.max(1, Math.round(image.width * scale));
+		const height = Math.max(1, Math.round(image.height * scale));
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+
+		const ctx = canvas.getContext('2d');
+		ctx.drawImage(image, 0, 0, width, height);
+		const pixels = ctx.getImageData(0, 0, width, height).data;
+
+		const data = new Float32Array(width * height);
+		for (let i = 0; i < data.length; i++) {
+			const p = i * 4;
+			data[i] = 0.299 * pixels[p] + 0.587 * pixels[p + 1] + 0.114 * pixels[p + 2];
+		}
+
+		return { data, width, height };
+	}
+
+	/**
+	 * Detect Harris corners within a vertical strip, keeping the strongest per grid cell
+	 * @param {Object} grey   - Greyscale buffer
+	 * @param {number} xStart - Left edge of the strip (inclusive)
+	 * @param {number} xEnd   - Right edge of the strip (exclusive)
+	 * @return {Array<Object>} Corners { x, y, score } sorted by descending score
+	 */
+	static detectCorners(grey, xStart, xEnd) {
+		const { data, width, height } = grey;
+		// Keep clear of the border so descriptors never sample outside the image
+		const margin = PATCH_RADIUS * PATCH_STEP + 2;
+		const left = Math.max(margin, xStart);
+		const right = Math.min(width - margin, xEnd);
+		const top = margin;
+		const bottom = height - margin;
+
+		if (right <= left || bottom <= top) {
+			return [];
+		}
+
+		const stripWidth = right - left;
+		const stripHeight = bottom - top;
+		const xx = new Float32Array(stripWidth * stripHeight);
+		const yy = new Float32Array(stripWidth * stripHeight);
+		const xy = new Float32Array(stripWidth * stripHeight);
+
+		// Sobel gradients
+		for (let y = 0; y < stripHeight; y++) {
+			for (let x = 0; x < stripWidth; x++) {
+				const i = (y + top) * width + (x + left);
+				const gx =
+					data[i - width + 1] + 2 * data[i + 1] + data[i + width + 1] -
+					data[i - width - 1] - 2 * data[i - 1] - data[i + width - 1];
+				const gy =
+					data[i + width - 1] + 2 * data[i + width] + data[i + width + 1] -
+					data[i - width - 1] - 2 * data[i - width] - data[i - width + 1];
+				const j = y * stripWidth + x;
+				xx[j] = gx * gx;
+				yy[j] = gy * gy;
+				xy[j] = gx * gy;
+			}
+		}
+
+		// Harris response over a 3x3 window, best candidate per cell
+		const cells = new Map();
+		let maxScore = 0;
+		for (let y = 1; y < stripHeight - 1; y++) {
+			for (let x = 1; x < stripWidth - 1; x++) {
+				let sxx = 0;
+				let syy = 0;
+				let sxy = 0;
+				for (let dy = -1; dy <= 1; dy++) {
+					for (let dx = -1; dx <= 1; dx++) {
+						const j = (y + dy) * stripWidth + (x + dx);
+						sxx += xx[j];
+						syy += yy[j];
+						sxy += xy[j];
+					}
+				}
+				const trace = sxx + syy;
+				const score = sxx * syy - sxy * sxy - HARRIS_K * trace * trace;
+				if (score <= 0) {
+					continue;
+				}
+
+				const key = Math.floor(y / CORNER_CELL_SIZE) * stripWidth + Math.floor(x / CORNER_CELL_SIZE);
+				const best = cells.get(key);
+				if (!best || score > best.score) {
+					cells.set(key, { x: x + left, y: y + top, score });
+				}
+				if (score > maxScore) {
+					maxScore = score;
+				}
+			}
+		}
+
+		return Array.from(cells.values())
+			.filter(corner => corner.score >= maxScore * CORNER_THRESHOLD)
+			.sort((a, b) => b.score - a.score)
+			.slice(0, MAX_CORNERS);
+	}
+
+	/**
+	 * Describe each corner by a zero-mean, unit-length sampled patch
+	 * @param {Object}        grey    - Greyscale buffer
+	 * @param {Array<Object>} corners - Detected corners
+	 * @return {Array<Object>} Features { x, y, descriptor }
+	 */
+	static describeCorners(grey, corners) {
+		const { data, width } = grey;
+		const size = (2 * PATCH_RADIUS + 1) * (2 * PATCH_RADIUS + 1);
+		const features = [];
+
+		corners.forEach(corner => {
+			const descriptor = new Float32Array(size);
+			let k = 0;
+			let sum = 0;
+			for (let dy = -PATCH_RADIUS; dy <= PATCH_RADIUS; dy++) {
+				for (let dx = -PATCH_RADIUS; dx <= PATCH_RADIUS; dx++) {
+					const value = data[(corner.y + dy * PATCH_STEP) * width + corner.x + dx * PATCH_STEP];
+					descriptor[k++] = value;
+					sum += value;
+				}
+			}
+
+			const mean = sum / size;
+			let norm = 0;
+			for (let i = 0; i < size; i++) {
+				descriptor[i] -= mean;
+				norm += descriptor[i] * descriptor[i];
+			}
+			norm = Math.sqrt(norm);
+			// Flat patches cannot be matched reliably
+			if (norm < 1e-3) {
+				return;
+			}
+
+			for (let i = 0; i < size; i++) {
+				descriptor[i] /= norm;
+			}
+			features.push({ x: corner.x, y: corner.y, descriptor });
+		});
+
+		return features;
+	}
+
+	/**
+	 * Match features using the nearest/second-nearest distance ratio test
+	 * @param {Array<Object>} fromFeatures - Features of the left segment
+	 * @param {Array<Object>} toFeatures   - Features of the right segment
+	 * @return {Array<Object>} Matches { from, to }
+	 */
+	static matchFeatures(fromFeatures, toFeatures) {
+		const matches = [];
+		if (toFeatures.length < 2) {
+			return matches;
+		}
+
+		fromFeatures.forEach(from => {
+			let best = null;
+			let bestDistance = Infinity;
+			let secondDistance = Infinity;
+
+			toFeatures.forEach(to => {
+				let distance = 0;
+				for (let i = 0; i < from.descriptor.length; i++) {
+					const diff = from.descriptor[i] - to.descriptor[i];
+					distance += diff * diff;
+				}
+				if (distance < bestDistance) {
+					secondDistance = bestDistance;
+					bestDistance = distance;
+					best = to;
+				} else if (distance < secondDistance) {
+					secondDistance = distance;
+				}
+			});
+
+			if (best && bestDistance < MATCH_RATIO * MATCH_RATIO * secondDistance) {
+				matches.push({ from, to: best });
+			}
+		});
+
+		return matches;
+	}
+
+	/**
+	 * Find the translation agreed on by the most matches and refine it over its inliers
+	 * @param {Array<Object>} translations - Candidate translations { x, y }
+	 * @return {Object|null} Averaged translation of the largest inlier set, or null
+	 */
+	static findConsensus(translations) {
+		let bestInliers = [];
+
+		// Every candidate is tried as a hypothesis, so the result is deterministic
+		translations.forEach(candidate => {
+			const inliers = translations.filter(t =>
+				Math.abs(t.x - candidate.x) <= INLIER_TOLERANCE &&
+				Math.abs(t.y - candidate.y) <= INLIER_TOLERANCE
+			);
+			if (inliers.length > bestInliers.length) {
+				bestInliers = inliers;
+			}
+		});
+
+		if (bestInliers.length < MIN_INLIERS) {
+			return null;
+		}
+
+		return {
+			x: bestInliers.reduce((sum, t) => sum + t.x, 0) / bestInliers.length,
+			y: bestInliers.reduce((sum, t) => sum + t.y, 0) / bestInliers.length
+		};
+	}
+}
@@ -0,0 +1,195 @@
+/**
+ * Panoramic Analytics
+ *
+ * Records how visitors explore panoramas, in the lightbox or inline in the page,
+ * for sites that turn it on: an 'open' event as a panorama is shown, a 'view'
+ * event as it is left, with the seconds it was on show, the furthest it was
+ * zoomed and a coarse heatmap of where the view rested, a 'close' event as the
+ * lightbox closes on it or the inline viewer leaves the screen, and an 'error'
+ * event when it fails to load. Every event names its source, 'lightbox' or
+ * 'inline'. Events go to the plugin's REST endpoint, which adds them up per
+ * block and per day, or to the page's dataLayer for Google Tag Manager.
+ *
+ * Only blocks the server gave an analytics key are recorded, and the view is only
+ * sampled while the page is visible.
+ */
+
+import { PanoramicUtils } from './panoramic-utils.js';
+
+// Milliseconds between samples of the view; each counts as a second of dwell time
+const SAMPLE_INTERVAL = 1000;
+
+export class PanoramicAnalytics {
+	/**
+	 * @param {Object}   config  - { sink, endpoint, columns, rows } from panoramicImageBlockData.analytics
+	 * @param {Function} getView - Returns the view on show, as PanoramicViewer.getView() does
+	 */
+	constructor(config, getView) {
+		this.config = config;
+		this.getView = getView;
+
+		// Where the panorama is shown: 'lightbox', or 'inline' in the page
+		this.source = 'lightbox';
+
+		// Block on show and what has been recorded of it, or null
+		this.session = null;
+		this.timer = null;
+
+		// Leaving the page counts as closing the viewer
+		this.handlePageHide = () => this.close();
+		window.addEventListener('pagehide', this.handlePageHide);
+	}
+
+	/**
+	 * Whether the site has turned analytics on
+	 * @param {Object|null} config - panoramicImageBlockData.analytics
+	 * @return {boolean} Whether events are recorded
+	 */
+	static isEnabled(config) {
+		return !!config && ['rest', 'datalayer'].includes(config.sink);
+	}
+
+	/**
+	 * Start recording a panorama, ending the one before
+	 * @param {HTMLElement} block - Thumbnail, or stand-in element, of the panorama on show
+	 */
+	start(block) {
+		this.end();
+
+		const target = PanoramicAnalytics.getTarget(block);
+		if (!target) {
+			return;
+		}
+
+		this.session = {
+			...target,
+			dwell: 0,
+			maxZoom: 1,
+			heatmap: new Array(this.config.columns * this.config.rows).fill(0)
+		};
+		this.send('open', target);
+		this.timer = setInterval(() => this.sample(), SAMPLE_INTERVAL);
+	}
+
+	/**
+	 * Add the view on show to the session, unless the page is hidden
+	 */
+	sample() {
+		if (!this.session || document.hidden) {
+			return;
+		}
+
+		const view = this.getView();
+		if (!view) {
+			return;
+		}
+
+		const { columns, rows } = this.config;
+		const x = PanoramicUtils.wrap(view.x, 0, 1);
+		const y = PanoramicUtils.clamp(view.y, 0, 1);
+		const column = Math.min(columns - 1, Math.floor(x * columns));
+		const row = Math.min(rows - 1, Math.floor(y * rows));
+
+		this.session.dwell++;
+		this.session.maxZoom = Math.max(this.session.maxZoom, view.zoom);
+		this.session.heatmap[row * columns + column]++;
+	}
+
+	/**
+	 * Stop recording, sending what was seen of the panorama
+	 */
+	end() {
+		clearInterval(this.timer);
+		this.timer = null;
+
+		const session = this.session;
+		this.session = null;
+		if (!session || !session.dwell) {
+			return;
+		}
+
+		this.send('view', {
+			postId: session.postId,
+			block: session.block,
+			dwell: session.dwell,
+			maxZoom: Math.round(session.maxZoom * 100) / 100,
+			heatmap: session.heatmap
+		});
+	}
+
+	/**
+	 * Stop recording as the lightbox closes on a panorama
+	 */
+	close() {
+		const target = this.session && { postId: this.session.postId, block: this.session.block };
+		this.end();
+		if (target) {
+			this.send('close', target);
+		}
+	}
+
+	/**
+	 * Record a panorama that failed to load
+	 * @param {HTMLElement} block     - Thumbnail, or stand-in element, of the panorama
+	 * @param {string}      errorType - Error type from PanoramicUtils.getErrorType()
+	 */
+	error(block, errorType) {
+		this.end();
+
+		const target = PanoramicAnalytics.getTarget(block);
+		if (target) {
+			this.send('error', { ...target, errorType });
+		}
+	}
+
+	/**
+	 * Get the post and key a block's events are recorded under
+	 * @param {HTMLElement} block - Thumbnail, or stand-in element, of a panorama
+	 * @return {Object|null} { postId, block }, or null for panoramas that are not recorded
+	 */
+	static getTarget(block) {
+		const postId = parseInt(block.dataset.postId, 10);
+		const key = block.dataset.analyticsKey;
+		return postId > 0 && key ? { postId, block: key } : null;
+	}
+
+	/**
+	 * Send an event to the sink the site chose
+	 * @param {string} type - 'open', 'view', 'close' or 'error'
+	 * @param {Object} data - Event data, including postId and block
+	 */
+	send(type, data) {
+		const event = { type, source: this.source, ...data };
+
+		if (this.config.sink === 'datalayer') {
+			window.dataLayer = window.dataLayer || [];
+			window.dataLayer.push({ event: `panoramic_${type}`, panoramic: event });
+			return;
+		}
+
+		// A beacon still goes out as the page unloads
+		const body = JSON.stringify(event);
+		if (window.navigator.sendBeacon && window.navigator.sendBeacon(this.config.endpoint, new Blob([body], { type: 'application/json' }))) {
+			return;
+		}
+
+		fetch(this.config.endpoint, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body,
+			keepalive: true,
+			credentials: 'omit'
+		}).catch(() => {
+			// Analytics never get in the way of the viewer
+		});
+	}
+
+	/**
+	 * Cleanup resources
+	 */
+	destroy() {
+		this.end();
+		window.removeEventListener('pagehide', this.handlePageHide);
+		this.getView = null;
+	}
+}
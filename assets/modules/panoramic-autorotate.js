@@ -0,0 +1,163 @@
+/**
+ * Panoramic Auto-Rotate
+ *
+ * Slowly turns the view of a hero panorama on its own, starting a moment after
+ * the viewer opens. Any interaction pauses it and it picks up again once the
+ * visitor has been idle for a while. A toolbar button pauses and plays it, so
+ * the motion can always be stopped (WCAG 2.2.2); visitors who prefer reduced
+ * motion only see it if they press play.
+ */
+
+import { PanoramicUtils } from './panoramic-utils.js';
+
+// Events that count as the visitor taking over the view
+const INTERACTION_EVENTS = ['pointerdown', 'wheel', 'keydown', 'touchstart'];
+
+export class PanoramicAutoRotate {
+	/**
+	 * @param {HTMLElement}       container - Element whose interactions pause the rotation
+	 * @param {Object}            renderer  - Renderer that turns the view
+	 * @param {HTMLButtonElement} button    - Pause/play button in the toolbar
+	 */
+	constructor(container, renderer, button) {
+		this.container = container;
+		this.renderer = renderer;
+		this.button = button;
+		this.options = null;
+		this.timer = null;
+
+		// Set when the visitor pauses with the button, which stops idle resuming
+		this.isPausedByUser = false;
+
+		this.handleInteraction = this.handleInteraction.bind(this);
+		this.handleButtonClick = this.toggle.bind(this);
+
+		// Captured, so the rotation stops before a drag or key press moves the view
+		INTERACTION_EVENTS.forEach(type => {
+			this.container.addEventListener(type, this.handleInteraction, { capture: true, passive: true });
+		});
+		this.button.addEventListener('click', this.handleButtonClick);
+		this.updateButton();
+	}
+
+	/**
+	 * Set up the rotation of the panorama being opened, stopping any that is running
+	 * @param {Object|null} options - { speed, delay, idle } from data-auto-rotate: degrees
+	 *                              per second, negative to turn left, then seconds before starting and before resuming
+	 *                              after an interaction, where an idle time of 0 never resumes. Null turns it off.
+	 */
+	configure(options) {
+		this.stop();
+		this.options = options;
+		this.isPausedByUser = false;
+		this.button.hidden = !options;
+		this.updateButton();
+	}
+
+	/**
+	 * Start rotating after the delay, unless the visitor prefers reduced motion
+	 */
+	start() {
+		if (!this.options || this.isPausedByUser || PanoramicUtils.prefersReducedMotion()) {
+			return;
+		}
+		this.schedule(this.options.delay);
+	}
+
+	/**
+	 * Start rotating after a wait, replacing any wait already running
+	 * @param {number} seconds - Seconds to wait
+	 */
+	schedule(seconds) {
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => this.play(), seconds * 1000);
+		this.updateButton();
+	}
+
+	/**
+	 * Start rotating now
+	 */
+	play() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.renderer.startAutoRotate(this.options.speed);
+		this.updateButton();
+	}
+
+	/**
+	 * Stop rotating, and cancel any wait to start
+	 */
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.renderer.stopAutoRotate();
+		this.updateButton();
+	}
+
+	/**
+	 * Whether the view is rotating or about to
+	 * @return {boolean} Whether the rotation is running or scheduled
+	 */
+	isActive() {
+		return this.renderer.isAutoRotating() || this.timer !== null;
+	}
+
+	/**
+	 * Pause or play from the toolbar button
+	 */
+	toggle() {
+		if (!this.options) {
+			return;
+		}
+
+		if (this.isActive()) {
+			this.isPausedByUser = true;
+			this.stop();
+		} else {
+			this.isPausedByUser = false;
+			this.play();
+		}
+	}
+
+	/**
+	 * Pause while the visitor is interacting, and resume once they have been idle
+	 * @param {Event} e - Pointer, wheel, key or touch event
+	 */
+	handleInteraction(e) {
+		if (!this.options || !this.isActive() || this.button.contains(e.target)) {
+			return;
+		}
+
+		this.renderer.stopAutoRotate();
+		if (this.options.idle > 0) {
+			this.schedule(this.options.idle);
+		} else {
+			this.stop();
+		}
+	}
+
+	/**
+	 * Show whether the button pauses or plays
+	 */
+	updateButton() {
+		const label = this.isActive() ? 'Pause auto-rotation' : 'Start auto-rotation';
+		this.button.setAttribute('aria-label', label);
+		this.button.title = label;
+		this.button.textContent = this.isActive() ? '❚❚' : '▶';
+	}
+
+	/**
+	 * Cleanup resources
+	 */
+	destroy() {
+		this.stop();
+		INTERACTION_EVENTS.forEach(type => {
+			this.container.removeEventListener(type, this.handleInteraction, { capture: true });
+		});
+		this.button.removeEventListener('click', this.handleButtonClick);
+		this.container = null;
+		this.renderer = null;
+		this.button = null;
+		this.options = null;
+	}
+}
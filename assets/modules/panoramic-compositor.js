@@ -0,0 +1,289 @@
+/**
+ * Panoramic Compositor
+ *
+ * Draws laid-out segments onto the stitched canvas with a gain per segment to
+ * even out exposure between neighbours, and a linear feather across each seam
+ */
+
+// Size of the sample canvas used to average the colour of a region
+const SAMPLE_SIZE = 16;
+
+// Width of the strips compared at a seam with no overlap, as a fraction of segment width
+const SEAM_STRIP_FRACTION = 0.05;
+
+// Limits on the correction applied to a single seam
+const MIN_GAIN_RATIO = 0.5;
+const MAX_GAIN_RATIO = 2;
+
+// Gains closer to 1 than this are not worth a pixel pass
+const GAIN_EPSILON = 0.01;
+
+export class PanoramicCompositor {
+	/**
+	 * Draw segments onto a canvas
+	 * @param {HTMLCanvasElement} canvas                       - Target canvas, resized to the layout
+	 * @param {Array}             images                       - Loaded images in order
+	 * @param {Object}            layout                       - { width, height, positions } from PanoramicUtils
+	 * @param {Object}            options                      - Compositing options
+	 * @param {number}            options.blendWidth           - Feather width as a percentage of segment width
+	 * @param {boolean}           options.exposureCompensation - Whether to match colour between neighbours
+	 * @param {number}            options.highlightIndex       - Segment drawn last, unfeathered and translucent
+	 *                                                         (onion skin) so it can be lined up with its neighbours
+	 * @param {number}            options.highlightOpacity     - Opacity of the highlighted segment
+	 */
+	static drawSegments(canvas, images, layout, options = {}) {
+		canvas.width = layout.width;
+		canvas.height = layout.height;
+
+		const ctx = canvas.getContext('2d');
+		ctx.fillStyle = 'white';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+		this.prepareSegments(images, layout, options).forEach(segment => {
+			ctx.globalAlpha = segment.opacity;
+			this.drawSegment(ctx, segment.source, segment.position, segment.rotation);
+		});
+		ctx.globalAlpha = 1;
+	}
+
+	/**
+	 * Apply gain and feathering to each segment without drawing them, so another
+	 * backend (such as WebGL) can composite the result
+	 * @param {Array}  images  - Loaded images in order
+	 * @param {Object} layout  - { width, height, positions, rotations } from PanoramicUtils
+	 * @param {Object} options - Same as drawSegments
+	 * @return {Array<Object>} { source, position, rotation, opacity } in drawing order. Sources
+	 *   with a feather carry it in their alpha channel.
+	 */
+	static prepareSegments(images, layout, options = {}) {
+		const {
+			blendWidth = 0,
+			exposureCompensation = false,
+			highlightIndex = -1,
+			highlightOpacity = 0.5
+		} = options;
+		const rotations = layout.rotations || [];
+
+		let gains = null;
+		if (exposureCompensation && images.length > 1) {
+			try {
+				gains = this.computeGains(images, layout);
+			} catch (error) {
+				// Pixel data is unreadable (e.g. cross-origin images), so draw uncorrected
+			}
+		}
+
+		const segments = [];
+		images.forEach((img, index) => {
+			if (index === highlightIndex) {
+				return;
+			}
+
+			const position = layout.positions[index];
+			const gain = gains ? gains[index] : null;
+			const feather = index > 0 ? this.getFeatherZone(images, layout, index, blendWidth) : null;
+			const segment = { source: img, position, rotation: rotations[index] || 0, opacity: 1 };
+			segments.push(segment);
+
+			if (!feather && !this.needsGain(gain)) {
+				return;
+			}
+
+			const segmentCanvas = document.createElement('canvas');
+			segmentCanvas.width = img.width;
+			segmentCanvas.height = img.height;
+			const segmentCtx = segmentCanvas.getContext('2d');
+			segmentCtx.drawImage(img, 0, 0, img.width, img.height);
+
+			if (this.needsGain(gain)) {
+				this.applyGain(segmentCtx, img.width, img.height, gain);
+			}
+
+			if (feather) {
+				// Fade the segment in across the seam so the one beneath shows through
+				const gradient = segmentCtx.createLinearGradient(feather.start, 0, feather.end, 0);
+				gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+				gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+				segmentCtx.globalCompositeOperation = 'destination-in';
+				segmentCtx.fillStyle = gradient;
+				segmentCtx.fillRect(0, 0, img.width, img.height);
+				segmentCtx.globalCompositeOperation = 'source-over';
+			}
+
+			segment.source = segmentCanvas;
+		});
+
+		if (images[highlightIndex]) {
+			segments.push({
+				source: images[highlightIndex],
+				position: layout.positions[highlightIndex],
+				rotation: rotations[highlightIndex] || 0,
+				opacity: highlightOpacity
+			});
+		}
+
+		return segments;
+	}
+
+	/**
+	 * Draw one segment, rotated about its centre if needed
+	 * @param {CanvasRenderingContext2D}           ctx      - Stitched canvas context
+	 * @param {HTMLImageElement|HTMLCanvasElement} source   - Segment pixels
+	 * @param {Object}                             position - Top-left { x, y } of the segment
+	 * @param {number}                             rotation - Rotation in degrees
+	 */
+	static drawSegment(ctx, source, position, rotation = 0) {
+		if (!rotation) {
+			ctx.drawImage(source, position.x, position.y, source.width, source.height);
+			return;
+		}
+
+		ctx.save();
+		ctx.translate(position.x + source.width / 2, position.y + source.height / 2);
+		ctx.rotate((rotation * Math.PI) / 180);
+		ctx.drawImage(source, -source.width / 2, -source.height / 2, source.width, source.height);
+		ctx.restore();
+	}
+
+	/**
+	 * Get the feather zone for the seam on the left of a segment
+	 * @param {Array}  images     - Loaded images
+	 * @param {Object} layout     - Segment layout
+	 * @param {number} index      - Segment index (> 0)
+	 * @param {number} blendWidth - Feather width as a percentage of segment width
+	 * @return {Object|null} { start, end } in the segment's own coordinates, or null for a hard edge
+	 */
+	static getFeatherZone(images, layout, index, blendWidth) {
+		if (blendWidth <= 0) {
+			return null;
+		}
+
+		const previous = layout.positions[index - 1];
+		const current = layout.positions[index];
+		const overlap = previous.x + images[index - 1].width - current.x;
+		const requested = (blendWidth / 100) * Math.min(images[index - 1].width, images[index].width);
+		const width = Math.min(overlap, requested);
+
+		if (width < 1) {
+			return null;
+		}
+
+		// Centre the feather within the overlap
+		const start = (overlap - width) / 2;
+		return { start, end: start + width };
+	}
+
+	/**
+	 * Compute per-channel gains that match each segment to its left neighbour
+	 * @param {Array}  images - Loaded images
+	 * @param {Object} layout - Segment layout
+	 * @return {Array<Array<number>>} [r, g, b] gain per segment, normalised around 1
+	 */
+	static computeGains(images, layout) {
+		const sampleCanvas = document.createElement('canvas');
+		sampleCanvas.width = SAMPLE_SIZE;
+		sampleCanvas.height = SAMPLE_SIZE;
+		const sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+
+		const gains = [[1, 1, 1]];
+		for (let i = 1; i < images.length; i++) {
+			const regions = this.getSeamRegions(images, layout, i);
+			const previousMean = this.meanColor(sampleCtx, images[i - 1], regions.previous);
+			const currentMean = this.meanColor(sampleCtx, images[i], regions.current);
+
+			gains.push(gains[i - 1].map((gain, channel) => {
+				const ratio = (previousMean[channel] + 1) / (currentMean[channel] + 1);
+				return gain * Math.min(MAX_GAIN_RATIO, Math.max(MIN_GAIN_RATIO, ratio));
+			}));
+		}
+
+		// Normalise so the panorama keeps its overall brightness and white balance
+		return gains.map(gain => gain.map((value, channel) => {
+			const logMean = gains.reduce((sum, g) => sum + Math.log(g[channel]), 0) / gains.length;
+			return value / Math.exp(logMean);
+		}));
+	}
+
+	/**
+	 * Get the regions compared at the seam on the left of a segment
+	 * @param {Array}  images - Loaded images
+	 * @param {Object} layout - Segment layout
+	 * @param {number} index  - Segment index (> 0)
+	 * @return {Object} { previous, current } regions { x, y, width, height } in each image's coordinates
+	 */
+	static getSeamRegions(images, layout, index) {
+		const previousImage = images[index - 1];
+		const currentImage = images[index];
+		const previous = layout.positions[index - 1];
+		const current = layout.positions[index];
+
+		const top = Math.max(previous.y, current.y);
+		const bottom = Math.min(previous.y + previousImage.height, current.y + currentImage.height);
+		const height = Math.max(1, bottom - top);
+
+		const left = current.x;
+		const right = previous.x + previousImage.width;
+		if (right - left < 1) {
+			// No overlap: compare thin strips either side of the seam
+			const strip = Math.max(1, Math.round(SEAM_STRIP_FRACTION * Math.min(previousImage.width, currentImage.width)));
+			return {
+				previous: { x: previousImage.width - strip, y: top - previous.y, width: strip, height },
+				current: { x: 0, y: top - current.y, width: strip, height }
+			};
+		}
+
+		return {
+			previous: { x: left - previous.x, y: top - previous.y, width: right - left, height },
+			current: { x: left - current.x, y: top - current.y, width: right - left, height }
+		};
+	}
+
+	/**
+	 * Average the colour of an image region
+	 * @param {CanvasRenderingContext2D}           sampleCtx - Context of the small sample canvas
+	 * @param {HTMLImageElement|HTMLCanvasElement} image     - Source image
+	 * @param {Object}                             region    - { x, y, width, height } in image coordinates
+	 * @return {Array<number>} Mean [r, g, b]
+	 */
+	static meanColor(sampleCtx, image, region) {
+		sampleCtx.clearRect(0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+		sampleCtx.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE);
+		const data = sampleCtx.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE).data;
+
+		const sum = [0, 0, 0];
+		for (let p = 0; p < data.length; p += 4) {
+			sum[0] += data[p];
+			sum[1] += data[p + 1];
+			sum[2] += data[p + 2];
+		}
+		const count = data.length / 4;
+		return sum.map(value => value / count);
+	}
+
+	/**
+	 * Whether a gain differs enough from 1 to be applied
+	 * @param {Array<number>|null} gain - [r, g, b] gain
+	 * @return {boolean} Whether to apply the gain
+	 */
+	static needsGain(gain) {
+		return !!gain && gain.some(value => Math.abs(value - 1) > GAIN_EPSILON);
+	}
+
+	/**
+	 * Multiply the pixels of a canvas by a per-channel gain
+	 * @param {CanvasRenderingContext2D} ctx    - Context holding the segment
+	 * @param {number}                   width  - Canvas width
+	 * @param {number}                   height - Canvas height
+	 * @param {Array<number>}            gain   - [r, g, b] gain
+	 */
+	static applyGain(ctx, width, height, gain) {
+		const imageData = ctx.getImageData(0, 0, width, height);
+		const data = imageData.data;
+		for (let p = 0; p < data.length; p += 4) {
+			data[p] *= gain[0];
+			data[p + 1] *= gain[1];
+			data[p + 2] *= gain[2];
+		}
+		ctx.putImageData(imageData, 0, 0);
+	}
+}
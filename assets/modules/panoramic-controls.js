@@ -1,11 +1,14 @@
 /**
  * Panoramic Controls
- * 
+ *
  * Handles all user interactions including mouse, touch, and keyboard controls
  */
 
 import { PanoramicUtils } from './panoramic-utils.js';
 
+// Milliseconds of pointer movement a drag's release speed is measured over
+const VELOCITY_WINDOW = 100;
+
 export class PanoramicControls {
 	constructor(viewer, renderer) {
 		this.viewer = viewer;
@@ -19,6 +22,31 @@ export class PanoramicControls {
 		this.initialMouseX = 0;
 		this.initialMouseY = 0;
 		this.dragThreshold = 5;
+		this.startYaw = 0;
+		this.startPitch = 0;
+		this.dragOriginX = 0;
+		this.dragOriginY = 0;
+
+		// Called after the arrow keys move the view, so the position can be announced
+		this.onKeyboardMove = null;
+
+		// Called when F is pressed, to enter or leave full screen
+		this.onToggleFullscreen = null;
+
+		// Set for viewers in the page flow, so the wheel only zooms with Ctrl or Cmd held
+		this.requireWheelModifier = false;
+
+		// Set for viewers in the page flow, so a mostly vertical one-finger swipe scrolls the page
+		this.allowTouchScroll = false;
+		this.touchOrigin = null;
+
+		// Called with 1 or -1 when a swipe carries on past the right or left edge of the panorama
+		this.onSwipe = null;
+		this.swipeThreshold = 60;
+		this.swipeStart = null;
+
+		// Recent pointer positions of a drag, so the view can glide on at its speed
+		this.panSamples = [];
 		
 		// Touch state
 		this.lastTouchDistance = 0;
@@ -65,6 +93,7 @@ export class PanoramicControls {
 	 * @param {MouseEvent} e - Mouse event
 	 */
 	handleMouseDown(e) {
+		this.renderer.stopMomentum();
 		this.isMouseDown = true;
 		this.initialMouseX = e.clientX;
 		this.initialMouseY = e.clientY;
@@ -76,7 +105,9 @@ export class PanoramicControls {
 	 * @param {MouseEvent} e - Mouse event
 	 */
 	handleMouseMove(e) {
-		if (!this.isMouseDown) return;
+		if (!this.isMouseDown) {
+			return;
+		}
 
 		const deltaX = e.clientX - this.initialMouseX;
 		const deltaY = e.clientY - this.initialMouseY;
@@ -118,6 +149,11 @@ export class PanoramicControls {
 	 * @param {WheelEvent} e - Wheel event
 	 */
 	handleWheel(e) {
+		// Trackpad pinches also arrive with ctrlKey set
+		if (this.requireWheelModifier && !e.ctrlKey && !e.metaKey) {
+			return;
+		}
+
 		e.preventDefault();
 		const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
 		
@@ -134,15 +170,25 @@ export class PanoramicControls {
 	 * @param {TouchEvent} e - Touch event
 	 */
 	handleTouchStart(e) {
-		e.preventDefault();
+		this.renderer.stopMomentum();
+		this.touchOrigin = null;
 		
 		if (e.touches.length === 1) {
 			// Single touch - pan
 			const touch = e.touches[0];
+			this.startSwipe(touch);
+			if (this.allowTouchScroll) {
+				// Wait until the finger shows whether it pans the view or scrolls the page
+				this.touchOrigin = { x: touch.clientX, y: touch.clientY };
+				return;
+			}
+			e.preventDefault();
 			this.startPan(touch.clientX, touch.clientY);
 		} else if (e.touches.length === 2) {
 			// Two finger touch - zoom
+			e.preventDefault();
 			this.startPinchZoom(e.touches);
+			this.swipeStart = null;
 		}
 	}
 
@@ -151,6 +197,15 @@ export class PanoramicControls {
 	 * @param {TouchEvent} e - Touch event
 	 */
 	handleTouchMove(e) {
+		if (e.touches.length === 1 && this.touchOrigin) {
+			this.claimTouchPan(e.touches[0]);
+		}
+
+		// A touch that is not panning is left to scroll the page
+		if (this.allowTouchScroll && e.touches.length === 1 && !this.isDragging) {
+			return;
+		}
+
 		e.preventDefault();
 		
 		if (e.touches.length === 1 && this.isDragging) {
@@ -165,10 +220,71 @@ export class PanoramicControls {
 
 	/**
 	 * Touch end handler
+	 * @param {TouchEvent} e - Touch event
 	 */
-	handleTouchEnd() {
+	handleTouchEnd(e) {
 		this.endPan();
 		this.lastTouchDistance = 0;
+		this.touchOrigin = null;
+
+		if (e.touches.length === 0) {
+			this.endSwipe(e.changedTouches[0]);
+		}
+	}
+
+	/**
+	 * Start panning once a one-finger touch has moved mostly sideways, or let it go to the page if it moved mostly up or down
+	 * @param {Touch} touch - Touch point
+	 */
+	claimTouchPan(touch) {
+		const dx = touch.clientX - this.touchOrigin.x;
+		const dy = touch.clientY - this.touchOrigin.y;
+		if (PanoramicUtils.calculateDistance(0, 0, dx, dy) <= this.dragThreshold) {
+			return;
+		}
+
+		const origin = this.touchOrigin;
+		this.touchOrigin = null;
+		if (Math.abs(dx) > Math.abs(dy)) {
+			this.startPan(origin.x, origin.y);
+		} else {
+			this.swipeStart = null;
+		}
+	}
+
+	/**
+	 * Note where a one-finger touch starts, and the view it starts from
+	 * @param {Touch} touch - Touch point
+	 */
+	startSwipe(touch) {
+		this.swipeStart = this.onSwipe ?
+			{ x: touch.clientX, y: touch.clientY, view: this.renderer.getViewState() } :
+			null;
+	}
+
+	/**
+	 * Report a swipe that could not move the view, having met the edge of the panorama
+	 * @param {Touch} touch - Touch point lifted
+	 */
+	endSwipe(touch) {
+		const start = this.swipeStart;
+		this.swipeStart = null;
+		if (!start || !touch || !this.onSwipe) {
+			return;
+		}
+
+		const dx = touch.clientX - start.x;
+		const dy = touch.clientY - start.y;
+		if (Math.abs(dx) < this.swipeThreshold || Math.abs(dx) < Math.abs(dy) * 2) {
+			return;
+		}
+
+		// A swipe that moved the view was a pan, even if it reached the edge on the way
+		if (Math.abs(this.renderer.getViewState().x - start.view.x) > 0.001) {
+			return;
+		}
+
+		this.onSwipe(dx < 0 ? 1 : -1);
 	}
 
 	/**
@@ -177,8 +293,16 @@ export class PanoramicControls {
 	 */
 	handleKeyDown(e) {
 		const step = 20;
+		this.renderer.stopMomentum();
 		let handled = false;
 
+		if (this.renderer.isProjected() && e.key.startsWith('Arrow')) {
+			this.rotateView(e.key);
+			this.notifyKeyboardMove();
+			e.preventDefault();
+			return;
+		}
+
 		switch (e.key) {
 			case 'ArrowLeft':
 				this.renderer.setPan(this.renderer.panX + step, this.renderer.panY);
@@ -209,13 +333,58 @@ export class PanoramicControls {
 				this.resetView();
 				handled = true;
 				break;
+			case 'f':
+			case 'F':
+				// Leave Ctrl+F and the like to the browser
+				if (this.onToggleFullscreen && !e.ctrlKey && !e.metaKey && !e.altKey) {
+					this.onToggleFullscreen();
+					handled = true;
+				}
+				break;
 		}
 
 		if (handled) {
+			if (e.key.startsWith('Arrow')) {
+				this.notifyKeyboardMove();
+			}
 			e.preventDefault();
 		}
 	}
 
+	/**
+	 * Let the viewer know the arrow keys moved the view
+	 */
+	notifyKeyboardMove() {
+		if (this.onKeyboardMove) {
+			this.onKeyboardMove();
+		}
+	}
+
+	/**
+	 * Turn the projection camera in response to an arrow key
+	 * @param {string} key - Arrow key name
+	 */
+	rotateView(key) {
+		// Turn by a fixed share of the field of view so steps feel the same at any zoom
+		const step = this.renderer.fov / 18;
+		const { yaw, pitch } = this.renderer;
+
+		switch (key) {
+			case 'ArrowLeft':
+				this.renderer.setView(yaw - step, pitch);
+				break;
+			case 'ArrowRight':
+				this.renderer.setView(yaw + step, pitch);
+				break;
+			case 'ArrowUp':
+				this.renderer.setView(yaw, pitch + step);
+				break;
+			case 'ArrowDown':
+				this.renderer.setView(yaw, pitch - step);
+				break;
+		}
+	}
+
 	/**
 	 * Start pan operation
 	 * @param {number} x - Starting X coordinate
@@ -225,6 +394,11 @@ export class PanoramicControls {
 		this.isDragging = true;
 		this.startX = x - this.renderer.panX;
 		this.startY = y - this.renderer.panY;
+		this.startYaw = this.renderer.yaw;
+		this.startPitch = this.renderer.pitch;
+		this.dragOriginX = x;
+		this.dragOriginY = y;
+		this.panSamples = [{ x, y, time: performance.now() }];
 		this.viewer.classList.add('dragging');
 	}
 
@@ -234,7 +408,20 @@ export class PanoramicControls {
 	 * @param {number} y - Current Y coordinate
 	 */
 	dragPan(x, y) {
-		if (!this.isDragging) return;
+		if (!this.isDragging) {
+			return;
+		}
+		this.trackPanSpeed(x, y);
+
+		if (this.renderer.isProjected()) {
+			// Drag the scene under the pointer: one viewport width turns by the field of view
+			const degreesPerPixel = this.renderer.fov / this.renderer.canvas.width;
+			this.renderer.setView(
+				this.startYaw - (x - this.dragOriginX) * degreesPerPixel,
+				this.startPitch + (y - this.dragOriginY) * degreesPerPixel
+			);
+			return;
+		}
 		
 		const newPanX = x - this.startX;
 		const newPanY = y - this.startY;
@@ -242,13 +429,48 @@ export class PanoramicControls {
 	}
 
 	/**
-	 * End pan operation
+	 * End pan operation, gliding on at the speed the drag was released at
 	 */
 	endPan() {
+		if (this.isDragging) {
+			const velocity = this.getPanVelocity();
+			if (velocity) {
+				this.renderer.startMomentum(velocity.x, velocity.y);
+			}
+		}
 		this.isDragging = false;
+		this.panSamples = [];
 		this.viewer.classList.remove('dragging');
 	}
 
+	/**
+	 * Note a pointer position of a drag, forgetting those too old to count towards its speed
+	 * @param {number} x - Current X coordinate
+	 * @param {number} y - Current Y coordinate
+	 */
+	trackPanSpeed(x, y) {
+		const time = performance.now();
+		this.panSamples.push({ x, y, time });
+		this.panSamples = this.panSamples.filter(sample => time - sample.time <= VELOCITY_WINDOW);
+	}
+
+	/**
+	 * Get the speed the pointer moved at just before release
+	 * @return {Object|null} { x, y } in pixels per millisecond, or null if the pointer had come to rest
+	 */
+	getPanVelocity() {
+		const now = performance.now();
+		const samples = this.panSamples.filter(sample => now - sample.time <= VELOCITY_WINDOW);
+		if (samples.length < 2) {
+			return null;
+		}
+
+		const first = samples[0];
+		const last = samples[samples.length - 1];
+		const elapsed = last.time - first.time;
+		return elapsed > 0 ? { x: (last.x - first.x) / elapsed, y: (last.y - first.y) / elapsed } : null;
+	}
+
 	/**
 	 * Start pinch zoom operation
 	 * @param {TouchList} touches - Touch points
@@ -259,6 +481,9 @@ export class PanoramicControls {
 		this.touchStartScale = this.renderer.scale;
 		this.touchStartPanX = this.renderer.panX;
 		this.touchStartPanY = this.renderer.panY;
+
+		// Lifting a finger from a pinch does not glide
+		this.panSamples = [];
 	}
 
 	/**
@@ -282,17 +507,19 @@ export class PanoramicControls {
 		const zoomCenterX = centerX - rect.left;
 		const zoomCenterY = centerY - rect.top;
 		
-		this.zoomAtPoint(scaleChange, zoomCenterX, zoomCenterY);
+		this.zoomAtPoint(scaleChange, zoomCenterX, zoomCenterY, false);
 		this.lastTouchDistance = currentDistance;
 	}
 
 	/**
 	 * Get distance between two touch points
 	 * @param {TouchList} touches - Touch points
-	 * @returns {number} Distance between touches
+	 * @return {number} Distance between touches
 	 */
 	getTouchDistance(touches) {
-		if (touches.length < 2) return 0;
+		if (touches.length < 2) {
+			return 0;
+		}
 		
 		return PanoramicUtils.calculateDistance(
 			touches[0].clientX,
@@ -304,37 +531,20 @@ export class PanoramicControls {
 
 	/**
 	 * Zoom at specific point
-	 * @param {number} factor - Zoom factor
-	 * @param {number} pointX - X coordinate of zoom center
-	 * @param {number} pointY - Y coordinate of zoom center
-	 * @returns {boolean} Whether zoom was applied
+	 * @param {number}  factor  - Zoom factor
+	 * @param {number}  pointX  - X coordinate of zoom center
+	 * @param {number}  pointY  - Y coordinate of zoom center
+	 * @param {boolean} animate - Whether to ease the zoom; pinches follow the fingers directly
+	 * @return {boolean} Whether zoom was applied
 	 */
-	zoomAtPoint(factor, pointX, pointY) {
-		const oldScale = this.renderer.scale;
-		const zoomed = this.renderer.zoom(factor);
-		
-		if (zoomed) {
-			// Adjust pan to zoom towards the specified point
-			const scaleChange = this.renderer.scale / oldScale;
-			const canvasCenterX = this.renderer.canvas.width / 2;
-			const canvasCenterY = this.renderer.canvas.height / 2;
-			
-			const offsetX = pointX - canvasCenterX;
-			const offsetY = pointY - canvasCenterY;
-			
-			this.renderer.panX -= offsetX * (scaleChange - 1);
-			this.renderer.panY -= offsetY * (scaleChange - 1);
-			this.renderer.constrainPan();
-			this.renderer.scheduleRender();
-		}
-		
-		return zoomed;
+	zoomAtPoint(factor, pointX, pointY, animate = true) {
+		return this.renderer.zoom(factor, pointX, pointY, animate);
 	}
 
 	/**
 	 * Zoom by factor
 	 * @param {number} factor - Zoom factor
-	 * @returns {boolean} Whether zoom was applied
+	 * @return {boolean} Whether zoom was applied
 	 */
 	zoom(factor) {
 		return this.renderer.zoom(factor);
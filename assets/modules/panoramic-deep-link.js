@@ -0,0 +1,267 @@
+/**
+ * Panoramic Deep Link
+ *
+ * Keeps the address in step with the lightbox: the block on show and the view of
+ * it go in the hash, as in #panorama=harbour&view=0.4120,0.5000,2.00, so the page
+ * can be shared to open the viewer at the same spot. Opening the viewer adds a
+ * history entry, so the browser's Back button closes it instead of leaving the page.
+ *
+ * Blocks are named by their scene ID where they have one, otherwise by their
+ * position on the page, counting from 1.
+ */
+
+// Milliseconds the view has to rest before the address follows it
+const UPDATE_DELAY = 300;
+
+// Thumbnails of every block on the page, in order
+const BLOCK_SELECTOR = '.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail';
+
+// Marks the history entries added while the viewer is open
+const HISTORY_KEY = 'panoramicViewer';
+
+export class PanoramicDeepLink {
+	/**
+	 * @param {Object}            renderer - Renderer whose view goes in the address
+	 * @param {HTMLButtonElement} button   - Copy link button in the toolbar
+	 */
+	constructor(renderer, button) {
+		this.renderer = renderer;
+		this.button = button;
+
+		// Name of the block on show, or null while the viewer is closed
+		this.key = null;
+		this.timer = null;
+
+		// Called when Back leaves the open viewer, and with the link when Forward returns to it
+		this.onBack = null;
+		this.onForward = null;
+
+		// Called with whether a link was copied, so it can be announced
+		this.onCopy = null;
+
+		this.handlePopState = this.handlePopState.bind(this);
+		this.handleButtonClick = () => this.copyLink();
+
+		window.addEventListener('popstate', this.handlePopState);
+		this.button.addEventListener('click', this.handleButtonClick);
+		this.button.hidden = false;
+	}
+
+	/**
+	 * Name a block for the address
+	 * @param {HTMLElement} thumbnail - Block thumbnail
+	 * @return {string|null} Scene ID or position on the page, or null for a scene with no block
+	 */
+	static getBlockKey(thumbnail) {
+		if (thumbnail.dataset.sceneId) {
+			return thumbnail.dataset.sceneId;
+		}
+		const index = Array.from(document.querySelectorAll(BLOCK_SELECTOR)).indexOf(thumbnail);
+		return index === -1 ? null : String(index + 1);
+	}
+
+	/**
+	 * Find the block an address names
+	 * @param {string} key - Scene ID or position on the page
+	 * @return {HTMLElement|null} Block thumbnail
+	 */
+	static findBlock(key) {
+		const scene = document.querySelector(`[data-scene-id="${window.CSS.escape(key)}"]`);
+		if (scene) {
+			return scene;
+		}
+
+		return /^\d+$/.test(key) ? document.querySelectorAll(BLOCK_SELECTOR)[Number(key) - 1] || null : null;
+	}
+
+	/**
+	 * Read the block and view an address links to
+	 * @param {string} hash - Hash of the address
+	 * @return {Object|null} { block, view }, view being { x, y, zoom } or null when the
+	 *   link has none, or null when the hash names no block on the page
+	 */
+	static parse(hash = window.location.hash) {
+		const params = new URLSearchParams(hash.replace(/^#/, ''));
+		const key = params.get('panorama');
+		const block = key ? PanoramicDeepLink.findBlock(key) : null;
+		if (!block) {
+			return null;
+		}
+
+		const values = (params.get('view') || '').split(',').map(Number);
+		const isView = values.length === 3 && values.every(Number.isFinite) && values[2] > 0;
+
+		return { block, view: isView ? { x: values[0], y: values[1], zoom: values[2] } : null };
+	}
+
+	/**
+	 * Build the address of a view of a block
+	 * @param {string}      key  - Block name from getBlockKey
+	 * @param {Object|null} view - { x, y, zoom } from the renderer's getViewState
+	 * @return {string} Page address with the view in its hash
+	 */
+	static format(key, view) {
+		const url = new URL(window.location.href);
+		url.hash = `panorama=${encodeURIComponent(key)}`;
+		if (view) {
+			url.hash += `&view=${view.x.toFixed(4)},${view.y.toFixed(4)},${view.zoom.toFixed(2)}`;
+		}
+		return url.href;
+	}
+
+	/**
+	 * Whether the current history entry is one the viewer added
+	 * @return {boolean} Whether the entry is the viewer's
+	 */
+	static isViewerEntry() {
+		return !!(window.history.state && window.history.state[HISTORY_KEY]);
+	}
+
+	/**
+	 * Get the address of the view on show
+	 * @return {string} Deep link to the view
+	 */
+	getUrl() {
+		return PanoramicDeepLink.format(this.key, this.renderer.getViewState());
+	}
+
+	/**
+	 * Point the address at the block just opened, in a history entry of its own
+	 * @param {HTMLElement} thumbnail - Block thumbnail
+	 */
+	open(thumbnail) {
+		this.key = PanoramicDeepLink.getBlockKey(thumbnail);
+		if (!this.key) {
+			return;
+		}
+
+		if (PanoramicDeepLink.isViewerEntry()) {
+			window.history.replaceState(window.history.state, '', this.getUrl());
+			return;
+		}
+
+		// Opened from a deep link, so Back returns to the page without it
+		if (PanoramicDeepLink.parse()) {
+			const url = new URL(window.location.href);
+			url.hash = '';
+			window.history.replaceState(window.history.state, '', url.href);
+		}
+		window.history.pushState({ [HISTORY_KEY]: true }, '', this.getUrl());
+	}
+
+	/**
+	 * Follow a tour to another scene; scenes with no block keep the last block's name
+	 * @param {HTMLElement} thumbnail - Thumbnail, or stand-in element, of the scene
+	 */
+	changeScene(thumbnail) {
+		this.key = PanoramicDeepLink.getBlockKey(thumbnail) || this.key;
+		this.update();
+	}
+
+	/**
+	 * Follow the view once it comes to rest
+	 */
+	update() {
+		if (!this.key) {
+			return;
+		}
+
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => {
+			if (this.key && PanoramicDeepLink.isViewerEntry()) {
+				window.history.replaceState(window.history.state, '', this.getUrl());
+			}
+		}, UPDATE_DELAY);
+	}
+
+	/**
+	 * Take the viewer's history entry away as it closes
+	 */
+	close() {
+		clearTimeout(this.timer);
+		this.key = null;
+
+		if (PanoramicDeepLink.isViewerEntry()) {
+			window.history.back();
+		}
+	}
+
+	/**
+	 * Close the viewer when Back leaves its entry, and reopen it when Forward returns
+	 */
+	handlePopState() {
+		const isViewerEntry = PanoramicDeepLink.isViewerEntry();
+
+		if (this.key && !isViewerEntry) {
+			this.key = null;
+			clearTimeout(this.timer);
+			if (this.onBack) {
+				this.onBack();
+			}
+		} else if (!this.key && isViewerEntry) {
+			const link = PanoramicDeepLink.parse();
+			if (link && this.onForward) {
+				this.onForward(link);
+			}
+		}
+	}
+
+	/**
+	 * Copy the address of the view on show to the clipboard
+	 */
+	async copyLink() {
+		const url = this.getUrl();
+		let copied = false;
+
+		try {
+			await window.navigator.clipboard.writeText(url);
+			copied = true;
+		} catch (error) {
+			// The Clipboard API needs a secure context, so fall back to a selection
+			copied = this.copyWithSelection(url);
+		}
+
+		if (this.onCopy) {
+			this.onCopy(copied);
+		}
+	}
+
+	/**
+	 * Copy text by selecting it in a hidden field, where the Clipboard API is unavailable
+	 * @param {string} text - Text to copy
+	 * @return {boolean} Whether it was copied
+	 */
+	copyWithSelection(text) {
+		const field = document.createElement('textarea');
+		field.value = text;
+		field.setAttribute('readonly', '');
+		field.className = 'sr-only';
+		this.button.after(field);
+		field.select();
+
+		let copied = false;
+		try {
+			copied = document.execCommand('copy');
+		} catch (error) {
+			// copied stays false, which the caller reports
+		}
+
+		field.remove();
+		this.button.focus();
+		return copied;
+	}
+
+	/**
+	 * Cleanup resources
+	 */
+	destroy() {
+		clearTimeout(this.timer);
+		window.removeEventListener('popstate', this.handlePopState);
+		this.button.removeEventListener('click', this.handleButtonClick);
+		this.renderer = null;
+		this.button = null;
+		this.onBack = null;
+		this.onForward = null;
+		this.onCopy = null;
+	}
+}
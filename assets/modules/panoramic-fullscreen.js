@@ -0,0 +1,129 @@
+/**
+ * Panoramic Fullscreen
+ *
+ * Toggles the browser's Fullscreen API for a viewer, so the panorama can use the
+ * whole screen rather than the part the browser chrome leaves free. Where the API
+ * is unavailable, such as Safari on iPhone, the toolbar button stays hidden.
+ */
+
+export class PanoramicFullscreen {
+	/**
+	 * @param {HTMLElement}       element  - Element shown full screen
+	 * @param {HTMLButtonElement} button   - Full screen button in the toolbar
+	 * @param {Object}            renderer - Renderer whose canvas follows the new size
+	 */
+	constructor(element, button, renderer) {
+		this.element = element;
+		this.button = button;
+		this.renderer = renderer;
+		this.isFullscreen = false;
+
+		this.handleChange = this.handleChange.bind(this);
+		this.handleButtonClick = this.toggle.bind(this);
+
+		document.addEventListener('fullscreenchange', this.handleChange);
+		document.addEventListener('webkitfullscreenchange', this.handleChange);
+		this.button.addEventListener('click', this.handleButtonClick);
+		this.button.hidden = !PanoramicFullscreen.isSupported();
+		this.updateButton();
+	}
+
+	/**
+	 * Check whether the browser lets elements other than video go full screen
+	 * @return {boolean} Whether the Fullscreen API is available
+	 */
+	static isSupported() {
+		return !!(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+	}
+
+	/**
+	 * Whether this viewer is the element shown full screen
+	 * @return {boolean} Whether the viewer is full screen
+	 */
+	isActive() {
+		return (document.fullscreenElement || document.webkitFullscreenElement) === this.element;
+	}
+
+	/**
+	 * Enter or leave full screen
+	 */
+	toggle() {
+		if (this.isActive()) {
+			this.exit();
+		} else {
+			this.enter();
+		}
+	}
+
+	/**
+	 * Show the viewer full screen
+	 */
+	enter() {
+		const request = this.element.requestFullscreen || this.element.webkitRequestFullscreen;
+		if (!request || !PanoramicFullscreen.isSupported()) {
+			return;
+		}
+
+		// Older WebKit returns nothing rather than a promise
+		Promise.resolve(request.call(this.element)).catch(() => {
+			// The browser refused, e.g. outside a user gesture, so the viewer stays as it was
+		});
+	}
+
+	/**
+	 * Leave full screen, if the viewer is shown that way
+	 */
+	exit() {
+		if (!this.isActive()) {
+			return;
+		}
+
+		const exit = document.exitFullscreen || document.webkitExitFullscreen;
+		Promise.resolve(exit.call(document)).catch(() => {
+			// Full screen may already have ended
+		});
+	}
+
+	/**
+	 * Follow the viewer in and out of full screen, however it got there
+	 */
+	handleChange() {
+		const isFullscreen = this.isActive();
+		if (isFullscreen === this.isFullscreen) {
+			return;
+		}
+
+		this.isFullscreen = isFullscreen;
+		this.updateButton();
+
+		// Wait for the new layout, then size the canvas to it, keeping the view
+		window.requestAnimationFrame(() => {
+			if (this.renderer) {
+				this.renderer.resize();
+			}
+		});
+	}
+
+	/**
+	 * Show whether the button enters or leaves full screen
+	 */
+	updateButton() {
+		const label = this.isFullscreen ? 'Exit full screen' : 'Full screen';
+		this.button.setAttribute('aria-label', label);
+		this.button.title = `${label} (F)`;
+		this.button.textContent = '⛶';
+	}
+
+	/**
+	 * Cleanup resources
+	 */
+	destroy() {
+		this.exit();
+		document.removeEventListener('fullscreenchange', this.handleChange);
+		document.removeEventListener('webkitfullscreenchange', this.handleChange);
+		this.button.removeEventListener('click', this.handleButtonClick);
+		this.element = null;
+		this.button = null;
+		this.renderer = null;
+	}
+}
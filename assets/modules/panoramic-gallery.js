@@ -0,0 +1,153 @@
+/**
+ * Panoramic Gallery
+ *
+ * Steps the lightbox through every panoramic block on the page in document order,
+ * with previous and next buttons and an "n of m" indicator. The images of the
+ * blocks either side of the one on show are fetched ahead, so stepping is quick.
+ */
+
+import { PanoramicUtils } from './panoramic-utils.js';
+
+// Thumbnails of every block on the page, in order
+const BLOCK_SELECTOR = '.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail';
+
+export class PanoramicGallery {
+	/**
+	 * @param {HTMLButtonElement} prevButton - Previous panorama button
+	 * @param {HTMLButtonElement} nextButton - Next panorama button
+	 * @param {HTMLElement}       indicator  - Element showing the position in the gallery
+	 */
+	constructor(prevButton, nextButton, indicator) {
+		this.prevButton = prevButton;
+		this.nextButton = nextButton;
+		this.indicator = indicator;
+
+		// Blocks on the page, and the position of the one on show
+		this.blocks = [];
+		this.index = -1;
+
+		// Called with the block to show when the visitor steps to it
+		this.onNavigate = null;
+
+		this.handlePrevClick = () => this.step(-1);
+		this.handleNextClick = () => this.step(1);
+
+		this.prevButton.addEventListener('click', this.handlePrevClick);
+		this.nextButton.addEventListener('click', this.handleNextClick);
+	}
+
+	/**
+	 * Get the images the viewer loads for a block
+	 * @param {HTMLElement} block - Block thumbnail
+	 * @return {string[]} Image URLs, empty for deep zoom panoramas whose tiles load as needed
+	 */
+	static getImageUrls(block) {
+		const { dataset } = block;
+		const isProjected = ['equirectangular', 'cylindrical'].includes(dataset.projection);
+		if (dataset.tiles && !isProjected) {
+			return [];
+		}
+
+		try {
+			if (dataset.blockType === 'single') {
+				return [JSON.parse(dataset.image).url];
+			}
+			if (dataset.stitchedImage) {
+				return [JSON.parse(dataset.stitchedImage).url];
+			}
+			return JSON.parse(dataset.images || '[]').map(image => image.url);
+		} catch (error) {
+			// The viewer reports bad data once the block is opened
+			return [];
+		}
+	}
+
+	/**
+	 * Follow the viewer to a block; scenes with no block on the page keep the position
+	 * @param {HTMLElement} thumbnail - Thumbnail, or stand-in element, of the panorama on show
+	 */
+	setCurrent(thumbnail) {
+		// Blocks may have been added to the page since the viewer last opened
+		this.blocks = Array.from(document.querySelectorAll(BLOCK_SELECTOR));
+
+		const index = this.blocks.indexOf(thumbnail);
+		if (index !== -1) {
+			this.index = index;
+		}
+
+		this.updateButtons();
+		this.preloadNeighbours();
+	}
+
+	/**
+	 * Get the position of the block on show
+	 * @return {Object|null} { position, total }, position counting from 1, or null outside a gallery
+	 */
+	getPosition() {
+		if (this.blocks.length < 2 || this.index === -1) {
+			return null;
+		}
+		return { position: this.index + 1, total: this.blocks.length };
+	}
+
+	/**
+	 * Step to the previous or next block
+	 * @param {number} offset - -1 for the previous block, 1 for the next
+	 * @return {boolean} Whether there was a block to step to
+	 */
+	step(offset) {
+		const block = this.index === -1 ? null : this.blocks[this.index + offset];
+		if (!block || !block.isConnected) {
+			return false;
+		}
+
+		if (this.onNavigate) {
+			this.onNavigate(block);
+		}
+		return true;
+	}
+
+	/**
+	 * Show the position, and which way there are blocks to step to
+	 */
+	updateButtons() {
+		const position = this.getPosition();
+		this.prevButton.hidden = !position;
+		this.nextButton.hidden = !position;
+		this.indicator.hidden = !position;
+		if (!position) {
+			return;
+		}
+
+		this.prevButton.disabled = this.index === 0;
+		this.nextButton.disabled = this.index === this.blocks.length - 1;
+		this.indicator.textContent = `${position.position} of ${position.total}`;
+	}
+
+	/**
+	 * Fetch the images of the blocks either side into the browser cache
+	 */
+	preloadNeighbours() {
+		[this.blocks[this.index - 1], this.blocks[this.index + 1]]
+			.filter(Boolean)
+			.flatMap(block => PanoramicGallery.getImageUrls(block))
+			.forEach(url => {
+				PanoramicUtils.loadImageWithTimeout(url).catch(() => {
+					// Loaded again, and reported, if the visitor steps to it
+				});
+			});
+	}
+
+	/**
+	 * Cleanup resources
+	 */
+	destroy() {
+		this.prevButton.removeEventListener('click', this.handlePrevClick);
+		this.nextButton.removeEventListener('click', this.handleNextClick);
+		this.prevButton = null;
+		this.nextButton = null;
+		this.indicator = null;
+		this.blocks = [];
+		this.onNavigate = null;
+	}
+}
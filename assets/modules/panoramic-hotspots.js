@@ -0,0 +1,226 @@
+/**
+ * Panoramic Hotspots
+ *
+ * Markers placed on the panorama in the editor, drawn as buttons over the
+ * viewer canvas. The renderer moves them after every frame so they stay on
+ * their spot while panning and zooming; activating one opens a popover with
+ * its title, description, image and link, or, for the arrows of a tour, moves
+ * to the scene it targets.
+ */
+
+export class PanoramicHotspots {
+	/**
+	 * @param {HTMLElement} container - Element the viewer canvas fills
+	 * @param {Object}      renderer  - Renderer that positions the markers
+	 */
+	constructor(container, renderer) {
+		this.renderer = renderer;
+		this.hotspots = [];
+		this.markers = [];
+		this.popover = null;
+		this.activeIndex = -1;
+
+		// Called with the target of a tour arrow when it is activated
+		this.onNavigate = null;
+
+		// Sibling of the viewer, whose role="img" would hide the buttons from assistive technology
+		this.layer = document.createElement('div');
+		this.layer.className = 'panoramic-hotspots';
+		container.appendChild(this.layer);
+
+		this.handlePopoverKeydown = this.handlePopoverKeydown.bind(this);
+	}
+
+	/**
+	 * Replace the markers
+	 * @param {Array<Object>} hotspots - { id, x, y, title, description, url, image, target }, with
+	 *                                 x and y as fractions of the panorama's width and height
+	 */
+	setHotspots(hotspots) {
+		this.closePopover(false);
+		this.markers.forEach(marker => marker.remove());
+
+		this.hotspots = Array.isArray(hotspots) ? hotspots : [];
+		this.markers = this.hotspots.map((hotspot, index) => {
+			const marker = document.createElement('button');
+			marker.type = 'button';
+			marker.hidden = true;
+
+			if (hotspot.target) {
+				marker.className = 'panoramic-hotspot panoramic-hotspot-scene';
+				marker.setAttribute('aria-label', hotspot.title ? `Go to ${hotspot.title}` : 'Go to the next scene');
+				marker.addEventListener('click', () => {
+					if (this.onNavigate) {
+						this.onNavigate(hotspot.target);
+					}
+				});
+			} else {
+				marker.className = 'panoramic-hotspot';
+				marker.setAttribute('aria-label', hotspot.title || `Hotspot ${index + 1}`);
+				marker.setAttribute('aria-haspopup', 'dialog');
+				marker.setAttribute('aria-expanded', 'false');
+				marker.addEventListener('click', () => this.togglePopover(index));
+			}
+
+			this.layer.appendChild(marker);
+			return marker;
+		});
+
+		this.update();
+	}
+
+	/**
+	 * Move the markers, and the open popover, to where their spots are drawn
+	 */
+	update() {
+		const canvas = this.renderer.canvas;
+		if (!canvas || !this.markers.length) {
+			return;
+		}
+
+		// Renderer positions are in canvas pixels, which CSS may have stretched
+		const ratio = canvas.width ? canvas.clientWidth / canvas.width : 1;
+
+		this.markers.forEach((marker, index) => {
+			const hotspot = this.hotspots[index];
+			const position = this.renderer.getScreenPosition(hotspot.x, hotspot.y);
+			const visible = !!position &&
+				position.x >= 0 && position.x <= canvas.width &&
+				position.y >= 0 && position.y <= canvas.height;
+
+			// Hidden markers also leave the tab order
+			marker.hidden = !visible;
+			if (visible) {
+				marker.style.left = `${position.x * ratio}px`;
+				marker.style.top = `${position.y * ratio}px`;
+			}
+		});
+
+		if (this.popover) {
+			const marker = this.markers[this.activeIndex];
+			this.popover.hidden = marker.hidden;
+			this.popover.style.left = marker.style.left;
+			this.popover.style.top = marker.style.top;
+		}
+	}
+
+	/**
+	 * Open a hotspot's popover, or close it if it is already open
+	 * @param {number} index - Hotspot index
+	 */
+	togglePopover(index) {
+		if (this.activeIndex === index) {
+			this.closePopover();
+		} else {
+			this.openPopover(index);
+		}
+	}
+
+	/**
+	 * Open a hotspot's popover and move focus into it
+	 * @param {number} index - Hotspot index
+	 */
+	openPopover(index) {
+		this.closePopover(false);
+
+		const hotspot = this.hotspots[index];
+		const popover = document.createElement('div');
+		popover.className = 'panoramic-hotspot-popover';
+		popover.setAttribute('role', 'dialog');
+		popover.setAttribute('aria-label', hotspot.title || `Hotspot ${index + 1}`);
+		popover.tabIndex = -1;
+
+		const closeButton = document.createElement('button');
+		closeButton.type = 'button';
+		closeButton.className = 'panoramic-hotspot-close';
+		closeButton.setAttribute('aria-label', 'Close');
+		closeButton.innerHTML = '&times;';
+		closeButton.addEventListener('click', () => this.closePopover());
+		popover.appendChild(closeButton);
+
+		if (hotspot.title) {
+			const title = document.createElement('h3');
+			title.className = 'panoramic-hotspot-title';
+			title.textContent = hotspot.title;
+			popover.appendChild(title);
+		}
+
+		if (hotspot.image && hotspot.image.url) {
+			const image = document.createElement('img');
+			image.className = 'panoramic-hotspot-image';
+			image.src = hotspot.image.url;
+			image.alt = hotspot.image.alt || '';
+			popover.appendChild(image);
+		}
+
+		if (hotspot.description) {
+			// Sanitized with wp_kses_post when the block is rendered
+			const description = document.createElement('div');
+			description.className = 'panoramic-hotspot-description';
+			description.innerHTML = hotspot.description;
+			popover.appendChild(description);
+		}
+
+		if (hotspot.url) {
+			const link = document.createElement('a');
+			link.className = 'panoramic-hotspot-link';
+			link.href = hotspot.url;
+			link.textContent = 'Open link';
+			popover.appendChild(link);
+		}
+
+		popover.addEventListener('keydown', this.handlePopoverKeydown);
+		this.layer.appendChild(popover);
+		this.popover = popover;
+		this.activeIndex = index;
+		this.markers[index].setAttribute('aria-expanded', 'true');
+
+		this.update();
+		popover.focus();
+	}
+
+	/**
+	 * Close the open popover
+	 * @param {boolean} restoreFocus - Whether to return focus to its marker
+	 */
+	closePopover(restoreFocus = true) {
+		if (!this.popover) {
+			return;
+		}
+
+		const marker = this.markers[this.activeIndex];
+		marker.setAttribute('aria-expanded', 'false');
+		this.popover.removeEventListener('keydown', this.handlePopoverKeydown);
+		this.popover.remove();
+		this.popover = null;
+		this.activeIndex = -1;
+
+		if (restoreFocus && !marker.hidden) {
+			marker.focus();
+		}
+	}
+
+	/**
+	 * Close the popover with Escape, before the viewer sees it and closes too
+	 * @param {KeyboardEvent} e - Keydown event
+	 */
+	handlePopoverKeydown(e) {
+		if (e.key === 'Escape') {
+			e.preventDefault();
+			e.stopPropagation();
+			this.closePopover();
+		}
+	}
+
+	/**
+	 * Cleanup resources
+	 */
+	destroy() {
+		this.closePopover(false);
+		this.layer.remove();
+		this.markers = [];
+		this.hotspots = [];
+		this.renderer = null;
+		this.onNavigate = null;
+	}
+}
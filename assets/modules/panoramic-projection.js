@@ -0,0 +1,273 @@
+/**
+ * Panoramic Projection
+ *
+ * Rectilinear reprojection of equirectangular (360°) and cylindrical panoramas
+ * for a yaw/pitch/field-of-view camera, drawn pixel by pixel on a 2D canvas
+ */
+
+// Widest source kept in memory for sampling; larger panoramas are downscaled
+const MAX_SAMPLER_WIDTH = 4096;
+
+// Fraction of the viewport resolution the view is computed at before being scaled up
+const RENDER_SCALE = 0.5;
+
+// Camera limits, in degrees of horizontal field of view
+export const DEFAULT_FOV = 90;
+export const MIN_FOV = 30;
+export const MAX_FOV = 120;
+
+// Horizontal coverage of a cylindrical panorama, in degrees
+export const MIN_HFOV = 30;
+export const FULL_TURN = 360;
+
+const DEG = Math.PI / 180;
+
+export class PanoramicProjection {
+	/**
+	 * Copy a panorama into a buffer that can be sampled
+	 * @param {HTMLImageElement|HTMLCanvasElement} source - Equirectangular or cylindrical panorama
+	 * @return {Object} { source, data: Uint32Array, width, height }
+	 */
+	static createSampler(source) {
+		const scale = Math.min(1, MAX_SAMPLER_WIDTH / source.width);
+		const width = Math.max(1, Math.round(source.width * scale));
+		const height = Math.max(1, Math.round(source.height * scale));
+
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		ctx.drawImage(source, 0, 0, width, height);
+		const data = new Uint32Array(ctx.getImageData(0, 0, width, height).data.buffer);
+
+		return { source, data, width, height };
+	}
+
+	/**
+	 * Vertical field of view for a viewport
+	 * @param {number} fov    - Horizontal field of view in degrees
+	 * @param {number} width  - Viewport width
+	 * @param {number} height - Viewport height
+	 * @return {number} Vertical field of view in degrees
+	 */
+	static getVerticalFov(fov, width, height) {
+		if (!width || !height) {
+			return fov;
+		}
+		return (2 * Math.atan(Math.tan((fov * DEG) / 2) * (height / width))) / DEG;
+	}
+
+	/**
+	 * Furthest the camera can look up or down without showing past the top or
+	 * bottom of the panorama
+	 * @param {number} fov         - Horizontal field of view in degrees
+	 * @param {number} width       - Viewport width
+	 * @param {number} height      - Viewport height
+	 * @param {number} maxLatitude - Elevation of the panorama's top edge in degrees
+	 * @return {number} Maximum absolute pitch in degrees
+	 */
+	static getMaxPitch(fov, width, height, maxLatitude = 90) {
+		return Math.max(0, maxLatitude - this.getVerticalFov(fov, width, height) / 2);
+	}
+
+	/**
+	 * Work out how far the camera can turn and zoom out for a panorama
+	 * @param {Object} view    - { projection, hfov } of the panorama
+	 * @param {Object} content - { width, height } of the panorama
+	 * @param {number} width   - Viewport width
+	 * @param {number} height  - Viewport height
+	 * @return {Object} { maxLatitude, minFov, maxFov, wraps }. A cylinder's
+	 *   height follows from its circumference, so short, wide panoramas have a low
+	 *   maxLatitude and cap the field of view so the view stays inside the image.
+	 */
+	static getCameraLimits(view, content, width, height) {
+		if (view.projection !== 'cylindrical') {
+			return { maxLatitude: 90, minFov: MIN_FOV, maxFov: MAX_FOV, wraps: true };
+		}
+
+		const radius = content.width / (view.hfov * DEG);
+		const maxLatitude = Math.atan(content.height / 2 / radius) / DEG;
+		const fitFov = width && height ?
+			(2 * Math.atan(Math.tan(maxLatitude * DEG) * (width / height))) / DEG :
+			MAX_FOV;
+		const maxFov = Math.min(MAX_FOV, view.hfov, fitFov);
+
+		return {
+			maxLatitude,
+			minFov: Math.min(MIN_FOV, maxFov),
+			maxFov,
+			wraps: view.hfov >= FULL_TURN
+		};
+	}
+
+	/**
+	 * Wrap a yaw angle into [-180, 180)
+	 * @param {number} yaw - Angle in degrees
+	 * @return {number} Wrapped angle
+	 */
+	static wrapYaw(yaw) {
+		return ((((yaw + 180) % 360) + 360) % 360) - 180;
+	}
+
+	/**
+	 * Find where a point of the panorama appears in the camera view, reversing
+	 * the ray maths of render
+	 * @param {Object} view    - { yaw, pitch, fov, projection, hfov }, as for render
+	 * @param {number} u       - Horizontal position as a fraction of the panorama's width
+	 * @param {number} v       - Vertical position as a fraction of the panorama's height
+	 * @param {Object} content - { width, height } of the panorama
+	 * @param {number} width   - Viewport width
+	 * @param {number} height  - Viewport height
+	 * @return {Object|null} { x, y } in viewport pixels, or null if the point is behind the camera
+	 */
+	static project(view, u, v, content, width, height) {
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov * DEG : 2 * Math.PI;
+		const lon = (u - 0.5) * coverage;
+
+		let rayY;
+		let horizontal;
+		if (cylindrical) {
+			// Height on the cylinder wall over its radius
+			rayY = ((0.5 - v) * content.height * coverage) / content.width;
+			horizontal = 1;
+		} else {
+			const lat = (0.5 - v) * Math.PI;
+			rayY = Math.sin(lat);
+			horizontal = Math.cos(lat);
+		}
+		const rayX = Math.sin(lon) * horizontal;
+		const rayZ = Math.cos(lon) * horizontal;
+
+		// Turn back by the yaw, then tilt back by the pitch
+		const sinYaw = Math.sin(view.yaw * DEG);
+		const cosYaw = Math.cos(view.yaw * DEG);
+		const sinPitch = Math.sin(view.pitch * DEG);
+		const cosPitch = Math.cos(view.pitch * DEG);
+		const x = rayX * cosYaw - rayZ * sinYaw;
+		const rowZ = rayX * sinYaw + rayZ * cosYaw;
+		const y = rayY * cosPitch - rowZ * sinPitch;
+		const z = rayY * sinPitch + rowZ * cosPitch;
+		if (z <= 0) {
+			return null;
+		}
+
+		const focal = width / 2 / Math.tan((view.fov * DEG) / 2);
+		return { x: width / 2 + (x * focal) / z, y: height / 2 - (y * focal) / z };
+	}
+
+	/**
+	 * Find the camera angles that centre a point of the panorama in the view
+	 * @param {Object} view    - { projection, hfov }, as for render
+	 * @param {number} u       - Horizontal position as a fraction of the panorama's width
+	 * @param {number} v       - Vertical position as a fraction of the panorama's height
+	 * @param {Object} content - { width, height } of the panorama
+	 * @return {Object} { yaw, pitch } in degrees
+	 */
+	static getDirection(view, u, v, content) {
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov : FULL_TURN;
+		const pitch = cylindrical ?
+			Math.atan(((0.5 - v) * content.height * coverage * DEG) / content.width) / DEG :
+			(0.5 - v) * 180;
+
+		return { yaw: (u - 0.5) * coverage, pitch };
+	}
+
+	/**
+	 * Find the point of the panorama the camera angles centre in the view, as getDirection reversed
+	 * @param {Object} view    - { projection, hfov }, as for render
+	 * @param {number} yaw     - Heading in degrees
+	 * @param {number} pitch   - Elevation in degrees
+	 * @param {Object} content - { width, height } of the panorama
+	 * @return {Object} { x, y } as fractions of the panorama's width and height
+	 */
+	static getPoint(view, yaw, pitch, content) {
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov : FULL_TURN;
+		const y = cylindrical ?
+			0.5 - (Math.tan(pitch * DEG) * content.width) / (content.height * coverage * DEG) :
+			0.5 - pitch / 180;
+
+		return { x: 0.5 + yaw / coverage, y };
+	}
+
+	/**
+	 * Draw the view seen by the camera
+	 * @param {CanvasRenderingContext2D} ctx     - Viewport context
+	 * @param {Object}                   sampler - Buffer from createSampler
+	 * @param {Object}                   view    - { yaw, pitch, fov, hfov } in degrees and projection
+	 *                                           ('equirectangular' or 'cylindrical'); hfov is the cylinder's coverage
+	 * @param {HTMLCanvasElement}        buffer  - Reusable offscreen canvas
+	 */
+	static render(ctx, sampler, view, buffer) {
+		const targetWidth = ctx.canvas.width;
+		const targetHeight = ctx.canvas.height;
+		const width = Math.max(1, Math.round(targetWidth * RENDER_SCALE));
+		const height = Math.max(1, Math.round(targetHeight * RENDER_SCALE));
+
+		if (buffer.width !== width || buffer.height !== height) {
+			buffer.width = width;
+			buffer.height = height;
+		}
+		const bufferCtx = buffer.getContext('2d');
+		const imageData = bufferCtx.createImageData(width, height);
+		const pixels = new Uint32Array(imageData.data.buffer);
+
+		const focal = width / 2 / Math.tan((view.fov * DEG) / 2);
+		const sinPitch = Math.sin(view.pitch * DEG);
+		const cosPitch = Math.cos(view.pitch * DEG);
+		const sinYaw = Math.sin(view.yaw * DEG);
+		const cosYaw = Math.cos(view.yaw * DEG);
+		const { data, width: sourceWidth, height: sourceHeight } = sampler;
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov * DEG : 2 * Math.PI;
+		const uScale = sourceWidth / coverage;
+		const vScale = sourceHeight / Math.PI;
+		// A cylinder's radius in source pixels, from its circumference
+		const radius = sourceWidth / coverage;
+		const wraps = coverage >= 2 * Math.PI;
+
+		let p = 0;
+		for (let j = 0; j < height; j++) {
+			const y = height / 2 - (j + 0.5);
+			// Tilt the ray by the pitch; these terms are shared by the whole row
+			const rayY = y * cosPitch + focal * sinPitch;
+			const rowZ = focal * cosPitch - y * sinPitch;
+
+			for (let i = 0; i < width; i++) {
+				const x = i + 0.5 - width / 2;
+				// Turn the ray by the yaw
+				const rayX = x * cosYaw + rowZ * sinYaw;
+				const rayZ = rowZ * cosYaw - x * sinYaw;
+
+				const lon = Math.atan2(rayX, rayZ);
+				const horizontal = Math.sqrt(rayX * rayX + rayZ * rayZ);
+
+				let u = Math.floor((lon + coverage / 2) * uScale);
+				let v;
+				if (cylindrical) {
+					// Height on the cylinder wall, which keeps vertical lines straight
+					v = Math.floor(sourceHeight / 2 - (rayY / horizontal) * radius);
+				} else {
+					v = Math.floor((Math.PI / 2 - Math.atan2(rayY, horizontal)) * vScale);
+					if (v >= sourceHeight) {
+						v = sourceHeight - 1;
+					}
+				}
+				if (wraps) {
+					u = ((u % sourceWidth) + sourceWidth) % sourceWidth;
+				}
+
+				// Rays that miss a partial panorama are left transparent
+				pixels[p++] = u >= 0 && u < sourceWidth && v >= 0 && v < sourceHeight ?
+					data[v * sourceWidth + u] :
+					0;
+			}
+		}
+
+		bufferCtx.putImageData(imageData, 0, 0);
+		ctx.imageSmoothingEnabled = true;
+		ctx.drawImage(buffer, 0, 0, width, height, 0, 0, targetWidth, targetHeight);
+	}
+}
@@ -1,38 +1,100 @@
 /**
  * Panoramic Renderer
- * 
+ *
  * Handles all canvas rendering operations for panoramic images
  */
 
 import { PanoramicUtils } from './panoramic-utils.js';
+import { PanoramicCompositor } from './panoramic-compositor.js';
+import { PanoramicProjection, DEFAULT_FOV, MIN_HFOV, FULL_TURN } from './panoramic-projection.js';
+import { PanoramicTileLayer } from './panoramic-tile-layer.js';
+
+// Furthest a panorama can be zoomed out, unless fitting a deep zoom pyramid needs further
+const MIN_SCALE = 0.5;
+
+// Furthest a panorama can be zoomed in, unless its block sets a limit
+const MAX_SCALE = 3;
+
+// Starting view when a block sets none: centred, fitted, with the default zoom limits
+const DEFAULT_INITIAL_VIEW = { x: 0.5, y: 0.5, zoom: 1, minZoom: 0, maxZoom: 0 };
+
+// Longest gap between frames auto-rotation and momentum catch up on, so the view does not jump after the tab was hidden
+const MAX_ROTATE_STEP = 100;
+
+// Milliseconds for a glide after a drag to lose about two thirds of its speed
+const MOMENTUM_TIME_CONSTANT = 325;
+
+// Pixels per millisecond below which a glide stops
+const MOMENTUM_MIN_SPEED = 0.02;
+
+// Milliseconds an eased zoom takes
+const ZOOM_DURATION = 200;
 
 export class PanoramicRenderer {
 	constructor(canvas) {
 		this.canvas = canvas;
-		this.ctx = canvas.getContext('2d');
+		this.ctx = this.initContext(canvas);
 		this.stitchedCanvas = null;
+		this.tileLayer = null;
+		this.hotspotLayer = null;
 		this.images = [];
+
+		// Called after every frame is drawn, e.g. to follow the view as it changes
+		this.onFrame = null;
+		this.segmentOffsets = null;
+		this.segmentTransforms = null;
+		this.stitchOptions = { blendWidth: 0, exposureCompensation: false };
 		
 		// Rendering state
 		this.scale = 1;
-		this.minScale = 0.5;
-		this.maxScale = 3;
+		this.minScale = MIN_SCALE;
+		this.maxScale = MAX_SCALE;
 		this.panX = 0;
 		this.panY = 0;
+		this.loop = false;
+		this.initialView = { ...DEFAULT_INITIAL_VIEW };
+
+		// Camera, used when projection is 'equirectangular' or 'cylindrical'
+		this.projection = 'flat';
+		this.hfov = FULL_TURN;
+		this.yaw = 0;
+		this.pitch = 0;
+		this.fov = DEFAULT_FOV;
+		this.projectionSampler = null;
+		this.projectionBuffer = null;
 		
 		// Performance settings
 		this.renderFPS = 60;
 		this.renderInterval = 1000 / this.renderFPS;
 		this._renderScheduled = false;
 		this._lastRenderTime = 0;
+
+		// Degrees per second the view turns on its own, negative to the left; 0 when still
+		this.autoRotateSpeed = 0;
+		this._lastRotateTime = 0;
+
+		// Glide after a drag is released, and zoom easing towards its target, or null
+		this.momentum = null;
+		this.zoomAnimation = null;
+	}
+
+	/**
+	 * Get the drawing context of the viewer canvas
+	 * @param {HTMLCanvasElement} canvas - Viewer canvas
+	 * @return {CanvasRenderingContext2D} Context used by render
+	 */
+	initContext(canvas) {
+		return canvas.getContext('2d');
 	}
 
 	/**
 	 * Load and prepare images for rendering
 	 * @param {Array} imagesData - Array of image data objects
-	 * @returns {Promise<void>}
+	 * @return {Promise<void>}
 	 */
 	async loadImages(imagesData) {
+		this.clearTiles();
+
 		const loadPromises = imagesData.map(imgData => 
 			PanoramicUtils.loadImageWithTimeout(imgData.url, 10000)
 		);
@@ -40,12 +102,49 @@ export class PanoramicRenderer {
 		this.images = await Promise.all(loadPromises);
 	}
 
+	/**
+	 * Show a deep zoom tile pyramid instead of loaded images
+	 * @param {Object} manifest - { url, width, height, tileSize, levels, format } from data-tiles
+	 * @return {Promise<void>} Resolves once the coarsest level is loaded
+	 */
+	async loadTiles(manifest) {
+		this.clearTiles();
+		this.images = [];
+		this.stitchedCanvas = null;
+
+		const tileLayer = new PanoramicTileLayer(
+			manifest,
+			() => this.scheduleRender(),
+			tile => this.releaseTile(tile)
+		);
+		await tileLayer.loadBaseLevel();
+		this.tileLayer = tileLayer;
+	}
+
+	/**
+	 * Leave deep zoom mode, releasing every tile
+	 */
+	clearTiles() {
+		if (this.tileLayer) {
+			this.tileLayer.destroy();
+			this.tileLayer = null;
+		}
+	}
+
+	/**
+	 * Free anything held for a tile dropped from the cache, which is passed in. The
+	 * 2D renderer draws tile images directly, so there is nothing to free.
+	 */
+	releaseTile() {}
+
 	/**
 	 * Setup single image for rendering (no stitching)
-	 * @returns {Promise<void>}
+	 * @return {Promise<void>}
 	 */
 	async setupSingleImage() {
-		if (this.images.length !== 1) return;
+		if (this.images.length !== 1) {
+			return;
+		}
 
 		const img = this.images[0];
 		this.stitchedCanvas = document.createElement('canvas');
@@ -59,63 +158,313 @@ export class PanoramicRenderer {
 	}
 
 	/**
-	 * Stitch multiple images together
-	 * @returns {Promise<void>}
+	 * Set the per-segment offsets computed by the editor's alignment step
+	 * @param {Array|null} offsets - { x, y } per segment, or null to place segments side by side
 	 */
-	async stitchImages() {
-		if (this.images.length !== 3) return;
+	setSegmentOffsets(offsets) {
+		this.segmentOffsets = offsets;
+	}
 
-		const maxHeight = Math.max(...this.images.map(img => img.height));
-		const totalWidth = this.images.reduce((sum, img) => sum + img.width, 0);
+	/**
+	 * Set the manual transforms from the editor's seam alignment tool
+	 * @param {Array|null} transforms - One transform per image in order, or null for none
+	 */
+	setSegmentTransforms(transforms) {
+		this.segmentTransforms = transforms;
+	}
 
-		this.stitchedCanvas = document.createElement('canvas');
-		this.stitchedCanvas.width = totalWidth;
-		this.stitchedCanvas.height = maxHeight;
-
-		const stitchedCtx = this.stitchedCanvas.getContext('2d');
-		stitchedCtx.fillStyle = 'white';
-		stitchedCtx.fillRect(0, 0, this.stitchedCanvas.width, this.stitchedCanvas.height);
-
-		let x = 0;
-		this.images.forEach((img, index) => {
-			const y = (maxHeight - img.height) / 2;
-			const overlap = index > 0 ? 2 : 0;
-			stitchedCtx.drawImage(
-				img,
-				x - overlap,
-				y,
-				img.width + overlap,
-				img.height
+	/**
+	 * Set segment compositing options
+	 * @param {Object} options - { blendWidth, exposureCompensation } for PanoramicCompositor
+	 */
+	setStitchOptions(options) {
+		this.stitchOptions = { ...this.stitchOptions, ...options };
+	}
+
+	/**
+	 * Set how the panorama is projected
+	 * @param {string} projection - 'flat', 'equirectangular' or 'cylindrical'
+	 * @param {number} hfov       - Horizontal field of view a cylindrical panorama covers, in degrees
+	 */
+	setProjection(projection, hfov = FULL_TURN) {
+		this.projection = ['equirectangular', 'cylindrical'].includes(projection) ? projection : 'flat';
+		this.hfov = this.projection === 'cylindrical' ?
+			PanoramicUtils.clamp(parseFloat(hfov) || FULL_TURN, MIN_HFOV, FULL_TURN) :
+			FULL_TURN;
+		this.projectionSampler = null;
+	}
+
+	/**
+	 * Set whether a flat panorama wraps round horizontally, for full circles
+	 * whose ends meet
+	 * @param {boolean} loop - Whether panning continues past the edges
+	 */
+	setLoop(loop) {
+		this.loop = !!loop;
+	}
+
+	/**
+	 * Set the view resetView returns to
+	 * @param {Object|null} view - { x, y, zoom, minZoom, maxZoom }: the point to centre, as
+	 *                           fractions of the panorama's width and height, and zoom levels relative to the fitted
+	 *                           view; a zoom limit of 0 keeps the default. Pass null for the defaults.
+	 */
+	setInitialView(view) {
+		this.initialView = { ...DEFAULT_INITIAL_VIEW, ...view };
+	}
+
+	/**
+	 * Whether the panorama is drawn tiled so horizontal panning never ends
+	 * @return {boolean} Whether a flat panorama loops
+	 */
+	isLooping() {
+		return this.loop && !this.isProjected();
+	}
+
+	/**
+	 * Whether the panorama is viewed through the yaw/pitch camera rather than flat
+	 * @return {boolean} Whether the projection is equirectangular or cylindrical
+	 */
+	isProjected() {
+		return this.projection !== 'flat';
+	}
+
+	/**
+	 * Get how far the camera can turn and zoom out for the current panorama
+	 * @return {Object} Limits from PanoramicProjection.getCameraLimits
+	 */
+	getCameraLimits() {
+		const limits = PanoramicProjection.getCameraLimits(
+			{ projection: this.projection, hfov: this.hfov },
+			this.getContentSize() || { width: 1, height: 1 },
+			this.canvas.width,
+			this.canvas.height
+		);
+
+		// The block's zoom limits narrow the field of view, relative to the default
+		const { minZoom, maxZoom } = this.initialView;
+		if (maxZoom) {
+			limits.minFov = PanoramicUtils.clamp(DEFAULT_FOV / maxZoom, limits.minFov, limits.maxFov);
+		}
+		if (minZoom) {
+			limits.maxFov = PanoramicUtils.clamp(DEFAULT_FOV / minZoom, limits.minFov, limits.maxFov);
+		}
+
+		return limits;
+	}
+
+	/**
+	 * Point the camera
+	 * @param {number} yaw   - Heading in degrees, wrapped around or limited to a partial panorama
+	 * @param {number} pitch - Elevation in degrees, limited so the view stays inside the panorama
+	 */
+	setView(yaw, pitch) {
+		this.yaw = yaw;
+		this.pitch = pitch;
+		this.constrainPan();
+		this.scheduleRender();
+	}
+
+	/**
+	 * Get the view on show, in the terms of the block's starting view
+	 * @return {Object|null} { x, y, zoom }: the point in the centre as fractions of the
+	 *   panorama's width and height, and zoom relative to the fitted view. Null before loading.
+	 */
+	getViewState() {
+		const content = this.getContentSize();
+		if (!content) {
+			return null;
+		}
+
+		if (this.isProjected()) {
+			const point = PanoramicProjection.getPoint(
+				{ projection: this.projection, hfov: this.hfov },
+				this.yaw,
+				this.pitch,
+				content
 			);
-			x += img.width;
-		});
+			return { x: point.x, y: point.y, zoom: DEFAULT_FOV / this.fov };
+		}
+
+		return {
+			x: 0.5 - this.panX / (content.width * this.scale),
+			y: 0.5 - this.panY / (content.height * this.scale),
+			zoom: this.scale / this.getFitScale(content)
+		};
 	}
 
 	/**
-	 * Reset view to optimal scale and center position
+	 * Move to a view from getViewState, within the zoom limits of the panorama on show
+	 * @param {Object} view - { x, y, zoom }; any left out keep their current value
 	 */
-	resetView() {
-		if (!this.stitchedCanvas) return;
+	setViewState(view) {
+		const content = this.getContentSize();
+		if (!content || !view) {
+			return;
+		}
 
-		const viewerRect = this.canvas.getBoundingClientRect();
+		const { x, y, zoom } = { ...this.getViewState(), ...view };
+		this.stopMotion();
 
-		// Resize canvas if needed
-		if (this.canvas.width !== viewerRect.width || this.canvas.height !== viewerRect.height) {
-			this.canvas.width = viewerRect.width;
-			this.canvas.height = viewerRect.height;
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			const direction = PanoramicProjection.getDirection(
+				{ projection: this.projection, hfov: this.hfov },
+				x,
+				y,
+				content
+			);
+			this.fov = PanoramicUtils.clamp(DEFAULT_FOV / zoom, limits.minFov, limits.maxFov);
+			this.scale = DEFAULT_FOV / this.fov;
+			this.yaw = direction.yaw;
+			this.pitch = direction.pitch;
+		} else {
+			this.scale = PanoramicUtils.clamp(this.getFitScale(content) * zoom, this.minScale, this.maxScale);
+			this.panX = (0.5 - x) * content.width * this.scale;
+			this.panY = (0.5 - y) * content.height * this.scale;
 		}
 
-		// Calculate optimal scale
-		this.scale = PanoramicUtils.calculateOptimalScale(
-			this.stitchedCanvas.width,
-			this.stitchedCanvas.height,
+		this.constrainPan();
+		this.renderImmediate();
+	}
+
+	/**
+	 * Get the scale at which a flat panorama fits the canvas
+	 * @param {Object} content - { width, height } of the panorama
+	 * @return {number} Fitted scale
+	 */
+	getFitScale(content) {
+		return PanoramicUtils.calculateOptimalScale(
+			content.width,
+			content.height,
 			this.canvas.width,
 			this.canvas.height
 		);
+	}
 
-		// Center the image
-		this.panX = 0;
-		this.panY = 0;
+	/**
+	 * Stitch multiple images together
+	 * @return {Promise<void>}
+	 */
+	async stitchImages() {
+		if (this.images.length < 2) {
+			return;
+		}
+
+		const { images, layout } = this.buildLayout(this.images);
+		this.stitchedCanvas = document.createElement('canvas');
+		PanoramicCompositor.drawSegments(this.stitchedCanvas, images, layout, this.stitchOptions);
+	}
+
+	/**
+	 * Lay out segments using the current offsets and transforms
+	 * @param {Array} images - Loaded images in order
+	 * @return {Object} { images, layout } ready for PanoramicCompositor
+	 */
+	buildLayout(images) {
+		const aligned = this.segmentOffsets && this.segmentOffsets.length === images.length;
+		let layout = aligned ?
+			PanoramicUtils.layoutSegments(images, this.segmentOffsets) :
+			PanoramicUtils.layoutSideBySide(images);
+
+		if (this.segmentTransforms && this.segmentTransforms.length === images.length) {
+			({ images, layout } = PanoramicUtils.applySegmentTransforms(images, layout, this.segmentTransforms, aligned));
+		}
+
+		return { images, layout };
+	}
+
+	/**
+	 * Get the size of the panorama being shown
+	 * @return {Object|null} { width, height }, or null before anything is loaded
+	 */
+	getContentSize() {
+		if (this.tileLayer) {
+			return { width: this.tileLayer.width, height: this.tileLayer.height };
+		}
+		return this.stitchedCanvas ?
+			{ width: this.stitchedCanvas.width, height: this.stitchedCanvas.height } :
+			null;
+	}
+
+	/**
+	 * Match the canvas to the size it is shown at
+	 * @return {boolean} Whether the size changed
+	 */
+	resizeCanvas() {
+		const viewerRect = this.canvas.getBoundingClientRect();
+		if (this.canvas.width === viewerRect.width && this.canvas.height === viewerRect.height) {
+			return false;
+		}
+		this.canvas.width = viewerRect.width;
+		this.canvas.height = viewerRect.height;
+		return true;
+	}
+
+	/**
+	 * Follow a change in the size the canvas is shown at, keeping the view
+	 */
+	resize() {
+		if (!this.resizeCanvas() || !this.getContentSize()) {
+			return;
+		}
+		this.constrainPan();
+		this.renderImmediate();
+	}
+
+	/**
+	 * Reset view to the block's starting view, or the fitted, centred view
+	 */
+	resetView() {
+		const content = this.getContentSize();
+		if (!content) {
+			return;
+		}
+
+		this.resizeCanvas();
+		this.stopMotion();
+
+		const { x, y, zoom, minZoom, maxZoom } = this.initialView;
+
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			const direction = PanoramicProjection.getDirection(
+				{ projection: this.projection, hfov: this.hfov },
+				x,
+				y,
+				content
+			);
+			this.fov = PanoramicUtils.clamp(DEFAULT_FOV / zoom, limits.minFov, limits.maxFov);
+			this.scale = DEFAULT_FOV / this.fov;
+			this.yaw = direction.yaw;
+			this.pitch = direction.pitch;
+			this.constrainPan();
+			this.renderImmediate();
+			return;
+		}
+
+		// Calculate optimal scale
+		const fitScale = this.getFitScale(content);
+
+		// Deep zoom pyramids can be far larger than the screen, so allow zooming back out to fit
+		this.minScale = this.tileLayer ? Math.min(MIN_SCALE, fitScale) : MIN_SCALE;
+		this.maxScale = MAX_SCALE;
+
+		// The block's zoom limits are relative to the fitted scale, like its starting zoom
+		this.scale = fitScale * zoom;
+		if (minZoom) {
+			this.minScale = fitScale * minZoom;
+			this.scale = Math.max(this.scale, this.minScale);
+		}
+		if (maxZoom) {
+			this.maxScale = fitScale * maxZoom;
+			this.scale = Math.min(this.scale, this.maxScale);
+		}
+
+		// Centre the starting point, as far as the edges allow
+		this.panX = (0.5 - x) * content.width * this.scale;
+		this.panY = (0.5 - y) * content.height * this.scale;
+		this.constrainPan();
 
 		this.renderImmediate();
 	}
@@ -124,11 +473,21 @@ export class PanoramicRenderer {
 	 * Render the panoramic image to canvas
 	 */
 	render() {
+		if (this.tileLayer && this.ctx && this.canvas && !this.isProjected()) {
+			this.renderTiles();
+			return;
+		}
+
 		if (!this.stitchedCanvas || !this.ctx || !this.canvas) {
 			return;
 		}
 
 		try {
+			if (this.isProjected()) {
+				this.renderProjected(this.stitchedCanvas);
+				return;
+			}
+
 			this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
 			const scaledWidth = this.stitchedCanvas.width * this.scale;
@@ -137,41 +496,319 @@ export class PanoramicRenderer {
 			const x = (this.canvas.width - scaledWidth) / 2 + this.panX;
 			const y = (this.canvas.height - scaledHeight) / 2 + this.panY;
 
-			this.ctx.drawImage(
-				this.stitchedCanvas,
-				0, 0,
-				this.stitchedCanvas.width,
-				this.stitchedCanvas.height,
-				x, y,
-				scaledWidth,
-				scaledHeight
-			);
+			this.getRepeatPositions(x, scaledWidth).forEach(tileX => {
+				this.ctx.drawImage(
+					this.stitchedCanvas,
+					0, 0,
+					this.stitchedCanvas.width,
+					this.stitchedCanvas.height,
+					tileX, y,
+					scaledWidth,
+					scaledHeight
+				);
+			});
 		} catch (error) {
 			console.error('Error rendering panoramic image:', error);
 			throw error; // Re-throw for error handling in parent
 		}
 	}
 
+	/**
+	 * Render the tiles of a deep zoom pyramid that cover the canvas
+	 */
+	renderTiles() {
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+		const content = this.getContentSize();
+		const scaledWidth = content.width * this.scale;
+		const scaledHeight = content.height * this.scale;
+		const x = (this.canvas.width - scaledWidth) / 2 + this.panX;
+		const y = (this.canvas.height - scaledHeight) / 2 + this.panY;
+
+		this.getRepeatPositions(x, scaledWidth).forEach(tileX => {
+			this.tileLayer.getDrawList(this.scale, this.getVisibleRect(tileX, y)).forEach(tile => {
+				// Snap edges to whole pixels so neighbouring tiles meet without hairline gaps
+				const left = Math.floor(tileX + tile.x * this.scale);
+				const top = Math.floor(y + tile.y * this.scale);
+				const right = Math.ceil(tileX + (tile.x + tile.width) * this.scale);
+				const bottom = Math.ceil(y + (tile.y + tile.height) * this.scale);
+				this.ctx.drawImage(tile.image, left, top, right - left, bottom - top);
+			});
+		});
+	}
+
+	/**
+	 * Get the part of the panorama that is on the canvas
+	 * @param {number} x - Left edge of the panorama in canvas pixels
+	 * @param {number} y - Top edge of the panorama in canvas pixels
+	 * @return {Object} { left, top, right, bottom } in panorama pixels
+	 */
+	getVisibleRect(x, y) {
+		return {
+			left: -x / this.scale,
+			top: -y / this.scale,
+			right: (this.canvas.width - x) / this.scale,
+			bottom: (this.canvas.height - y) / this.scale
+		};
+	}
+
+	/**
+	 * Get where copies of the panorama are drawn across the canvas
+	 * @param {number} x           - Left edge of the panorama in canvas pixels
+	 * @param {number} scaledWidth - Width of the panorama in canvas pixels
+	 * @return {Array<number>} Left edge of each copy; just x unless looping
+	 */
+	getRepeatPositions(x, scaledWidth) {
+		if (!this.isLooping() || scaledWidth < 1) {
+			return [x];
+		}
+
+		const positions = [];
+		for (let tileX = x - Math.ceil(x / scaledWidth) * scaledWidth; tileX < this.canvas.width; tileX += scaledWidth) {
+			positions.push(tileX);
+		}
+		return positions;
+	}
+
+	/**
+	 * Get the direction the view faces, for announcing to screen readers
+	 * @return {number|null} Heading in whole degrees from 0 to 359, with 0 at the
+	 *   centre of the panorama, or null if the panorama does not turn or loop
+	 */
+	getHeading() {
+		let heading;
+		if (this.isProjected()) {
+			heading = this.yaw;
+		} else if (this.isLooping()) {
+			const content = this.getContentSize();
+			if (!content) {
+				return null;
+			}
+			heading = (-this.panX / (content.width * this.scale)) * 360;
+		} else {
+			return null;
+		}
+
+		return ((Math.round(heading) % 360) + 360) % 360;
+	}
+
+	/**
+	 * Render the camera view of an equirectangular or cylindrical panorama
+	 * @param {HTMLCanvasElement} source - Stitched panorama
+	 */
+	renderProjected(source) {
+		if (!this.projectionSampler || this.projectionSampler.source !== source) {
+			try {
+				this.projectionSampler = PanoramicProjection.createSampler(source);
+			} catch (error) {
+				// Pixel data is unreadable (e.g. a cross-origin image), so show it flat
+				this.setProjection('flat');
+				this.resetView();
+				return;
+			}
+		}
+		if (!this.projectionBuffer) {
+			this.projectionBuffer = document.createElement('canvas');
+		}
+
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		PanoramicProjection.render(
+			this.ctx,
+			this.projectionSampler,
+			this.getCameraView(),
+			this.projectionBuffer
+		);
+	}
+
+	/**
+	 * Get the camera and panorama parameters a projection is drawn with
+	 * @return {Object} { yaw, pitch, fov, projection, hfov }
+	 */
+	getCameraView() {
+		return {
+			yaw: this.yaw,
+			pitch: this.pitch,
+			fov: this.fov,
+			projection: this.projection,
+			hfov: this.hfov
+		};
+	}
+
 	/**
 	 * Schedule render with FPS throttling
 	 */
 	scheduleRender() {
 		if (!this._renderScheduled) {
 			this._renderScheduled = true;
-			requestAnimationFrame((currentTime) => {
+			window.requestAnimationFrame((currentTime) => {
 				this._renderScheduled = false;
 				
 				const timeSinceLastRender = currentTime - this._lastRenderTime;
 				if (timeSinceLastRender >= this.renderInterval) {
 					this._lastRenderTime = currentTime;
+					if (this.autoRotateSpeed) {
+						this.stepAutoRotate(currentTime);
+					}
+					if (this.momentum) {
+						this.stepMomentum(currentTime);
+					}
+					if (this.zoomAnimation) {
+						this.stepZoom(currentTime);
+					}
 					this.render();
+					this.updateOverlays();
 				} else {
 					this.scheduleRender();
 				}
+
+				// Auto-rotation, glides and eased zooms keep asking for frames until they stop
+				if (this.autoRotateSpeed || this.momentum || this.zoomAnimation) {
+					this.scheduleRender();
+				}
 			});
 		}
 	}
 
+	/**
+	 * Turn the view on its own, a step every frame, until stopped
+	 * @param {number} speed - Degrees per second, negative to turn left. A flat
+	 *                       panorama counts its full width as one turn.
+	 */
+	startAutoRotate(speed) {
+		this.autoRotateSpeed = speed;
+		this._lastRotateTime = 0;
+		this.scheduleRender();
+	}
+
+	/**
+	 * Stop turning the view on its own
+	 */
+	stopAutoRotate() {
+		this.autoRotateSpeed = 0;
+	}
+
+	/**
+	 * Whether the view is turning on its own
+	 * @return {boolean} Whether auto-rotation is running
+	 */
+	isAutoRotating() {
+		return this.autoRotateSpeed !== 0;
+	}
+
+	/**
+	 * Turn the view by the time since the last step, heading back the other
+	 * way at the edges of a panorama that does not wrap round
+	 * @param {number} time - Frame timestamp in milliseconds
+	 */
+	stepAutoRotate(time) {
+		const elapsed = this._lastRotateTime ? Math.min(time - this._lastRotateTime, MAX_ROTATE_STEP) : 0;
+		this._lastRotateTime = time;
+		const content = this.getContentSize();
+		if (!elapsed || !content) {
+			return;
+		}
+
+		const degrees = (this.autoRotateSpeed * elapsed) / 1000;
+
+		if (this.isProjected()) {
+			const yaw = this.yaw + degrees;
+			this.yaw = yaw;
+			this.constrainPan();
+			if (!this.getCameraLimits().wraps && this.yaw !== yaw) {
+				this.autoRotateSpeed = -this.autoRotateSpeed;
+			}
+			return;
+		}
+
+		// Turning right moves the panorama left
+		const panX = this.panX - (degrees / FULL_TURN) * content.width * this.scale;
+		this.panX = panX;
+		this.constrainPan();
+		if (!this.isLooping() && this.panX !== panX) {
+			this.autoRotateSpeed = -this.autoRotateSpeed;
+		}
+	}
+
+	/**
+	 * Glide on after a drag is released, slowing to a stop, unless the visitor prefers reduced motion
+	 * @param {number} velocityX - Horizontal speed of the drag in pixels per millisecond
+	 * @param {number} velocityY - Vertical speed of the drag in pixels per millisecond
+	 */
+	startMomentum(velocityX, velocityY) {
+		if (PanoramicUtils.prefersReducedMotion() || Math.hypot(velocityX, velocityY) < MOMENTUM_MIN_SPEED) {
+			return;
+		}
+		this.momentum = { velocityX, velocityY, lastTime: 0 };
+		this.scheduleRender();
+	}
+
+	/**
+	 * Stop a glide, as the visitor takes hold of the view again
+	 */
+	stopMomentum() {
+		this.momentum = null;
+	}
+
+	/**
+	 * Stop any glide or eased zoom, as the view is moved somewhere new
+	 */
+	stopMotion() {
+		this.momentum = null;
+		this.zoomAnimation = null;
+	}
+
+	/**
+	 * Carry the view on by the time since the last step, slowing down, and stopping
+	 * against the edges of the panorama
+	 * @param {number} time - Frame timestamp in milliseconds
+	 */
+	stepMomentum(time) {
+		const momentum = this.momentum;
+		const elapsed = momentum.lastTime ? Math.min(time - momentum.lastTime, MAX_ROTATE_STEP) : 0;
+		momentum.lastTime = time;
+		if (!elapsed || !this.getContentSize()) {
+			return;
+		}
+
+		const dx = momentum.velocityX * elapsed;
+		const dy = momentum.velocityY * elapsed;
+
+		if (this.isProjected()) {
+			// As in a drag, one viewport width turns by the field of view
+			const degreesPerPixel = this.fov / this.canvas.width;
+			const yaw = this.yaw - dx * degreesPerPixel;
+			const pitch = this.pitch + dy * degreesPerPixel;
+			this.yaw = yaw;
+			this.pitch = pitch;
+			this.constrainPan();
+			if (!this.getCameraLimits().wraps && this.yaw !== yaw) {
+				momentum.velocityX = 0;
+			}
+			if (this.pitch !== pitch) {
+				momentum.velocityY = 0;
+			}
+		} else {
+			const panX = this.panX + dx;
+			const panY = this.panY + dy;
+			this.panX = panX;
+			this.panY = panY;
+			this.constrainPan();
+			if (!this.isLooping() && this.panX !== panX) {
+				momentum.velocityX = 0;
+			}
+			if (this.panY !== panY) {
+				momentum.velocityY = 0;
+			}
+		}
+
+		const decay = Math.exp(-elapsed / MOMENTUM_TIME_CONSTANT);
+		momentum.velocityX *= decay;
+		momentum.velocityY *= decay;
+		if (Math.hypot(momentum.velocityX, momentum.velocityY) < MOMENTUM_MIN_SPEED) {
+			this.momentum = null;
+		}
+	}
+
 	/**
 	 * Render immediately (for critical updates)
 	 */
@@ -180,28 +817,155 @@ export class PanoramicRenderer {
 			this._renderScheduled = false;
 		}
 		this.render();
+		this.updateOverlays();
 		this._lastRenderTime = performance.now();
 	}
 
 	/**
-	 * Apply zoom factor
-	 * @param {number} factor - Zoom factor (1.2 = zoom in, 0.8 = zoom out)
-	 * @returns {boolean} Whether zoom was applied
+	 * Set the hotspot markers drawn over the canvas, moved after every frame
+	 * @param {Object|null} layer - Markers to keep in place
 	 */
-	zoom(factor) {
-		const newScale = PanoramicUtils.clamp(
-			this.scale * factor,
-			this.minScale,
-			this.maxScale
-		);
+	setHotspotLayer(layer) {
+		this.hotspotLayer = layer;
+	}
 
-		if (newScale !== this.scale) {
-			this.scale = newScale;
-			this.constrainPan();
-			this.scheduleRender();
-			return true;
+	/**
+	 * Move the overlays to follow the frame just drawn, and report it to onFrame
+	 */
+	updateOverlays() {
+		if (this.hotspotLayer) {
+			this.hotspotLayer.update();
+		}
+		if (this.onFrame) {
+			this.onFrame();
+		}
+	}
+
+	/**
+	 * Get where a point of the panorama is drawn
+	 * @param {number} x - Horizontal position as a fraction of the panorama's width
+	 * @param {number} y - Vertical position as a fraction of the panorama's height
+	 * @return {Object|null} { x, y } in canvas pixels, or null if nothing is loaded or the
+	 *   point is behind the camera. A looping panorama gives the copy nearest the centre.
+	 */
+	getScreenPosition(x, y) {
+		const content = this.getContentSize();
+		if (!content || !this.canvas) {
+			return null;
+		}
+
+		if (this.isProjected()) {
+			return PanoramicProjection.project(
+				this.getCameraView(),
+				x,
+				y,
+				content,
+				this.canvas.width,
+				this.canvas.height
+			);
+		}
+
+		const scaledWidth = content.width * this.scale;
+		const scaledHeight = content.height * this.scale;
+		let screenX = (this.canvas.width - scaledWidth) / 2 + this.panX + x * scaledWidth;
+		if (this.isLooping()) {
+			const centre = this.canvas.width / 2;
+			screenX = PanoramicUtils.wrap(screenX, centre - scaledWidth / 2, centre + scaledWidth / 2);
+		}
+
+		return {
+			x: screenX,
+			y: (this.canvas.height - scaledHeight) / 2 + this.panY + y * scaledHeight
+		};
+	}
+
+	/**
+	 * Apply zoom factor, easing to the new scale unless the visitor prefers reduced motion
+	 * @param {number}  factor  - Zoom factor (1.2 = zoom in, 0.8 = zoom out)
+	 * @param {number}  pointX  - Canvas X coordinate that stays in place, the centre by default
+	 * @param {number}  pointY  - Canvas Y coordinate that stays in place, the centre by default
+	 * @param {boolean} animate - Whether to ease; pinches follow the fingers directly
+	 * @return {boolean} Whether zoom was applied
+	 */
+	zoom(factor, pointX = this.canvas.width / 2, pointY = this.canvas.height / 2, animate = true) {
+		// Zooms made while one is easing build on the scale it is heading for
+		const from = this.getTargetScale();
+		const to = this.clampScale(from * factor);
+		if (to === from) {
+			return false;
+		}
+
+		if (animate && !PanoramicUtils.prefersReducedMotion()) {
+			this.zoomAnimation = { from: this.scale, to, pointX, pointY, startTime: 0 };
+		} else {
+			this.zoomAnimation = null;
+			this.zoomTo(to, pointX, pointY);
+		}
+		this.scheduleRender();
+		return true;
+	}
+
+	/**
+	 * Get the scale an eased zoom is heading for, or the scale on show
+	 * @return {number} Scale
+	 */
+	getTargetScale() {
+		return this.zoomAnimation ? this.zoomAnimation.to : this.scale;
+	}
+
+	/**
+	 * Limit a scale to the zoom the panorama on show allows
+	 * @param {number} scale - Wanted scale
+	 * @return {number} Scale within the limits
+	 */
+	clampScale(scale) {
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			return DEFAULT_FOV / PanoramicUtils.clamp(DEFAULT_FOV / scale, limits.minFov, limits.maxFov);
+		}
+		return PanoramicUtils.clamp(scale, this.minScale, this.maxScale);
+	}
+
+	/**
+	 * Zoom to a scale at once, keeping the part of the panorama under a canvas point in place
+	 * @param {number} scale  - Scale within the limits, from clampScale
+	 * @param {number} pointX - Canvas X coordinate that stays in place
+	 * @param {number} pointY - Canvas Y coordinate that stays in place
+	 */
+	zoomTo(scale, pointX, pointY) {
+		if (this.isProjected()) {
+			// Zooming narrows the field of view about the centre; scale reports the zoom relative to the default
+			this.fov = DEFAULT_FOV / scale;
+		} else {
+			const scaleChange = scale / this.scale;
+			const offsetX = pointX - this.canvas.width / 2;
+			const offsetY = pointY - this.canvas.height / 2;
+			this.panX = offsetX - (offsetX - this.panX) * scaleChange;
+			this.panY = offsetY - (offsetY - this.panY) * scaleChange;
+		}
+		this.scale = scale;
+		this.constrainPan();
+	}
+
+	/**
+	 * Ease the zoom towards its target, a step every frame
+	 * @param {number} time - Frame timestamp in milliseconds
+	 */
+	stepZoom(time) {
+		const animation = this.zoomAnimation;
+		if (!animation.startTime) {
+			animation.startTime = time;
+		}
+
+		// Ease out, moving through scales geometrically so zooming in and out look alike
+		const progress = Math.min(1, (time - animation.startTime) / ZOOM_DURATION);
+		const eased = 1 - Math.pow(1 - progress, 3);
+		const scale = progress === 1 ? animation.to : animation.from * Math.pow(animation.to / animation.from, eased);
+		this.zoomTo(scale, animation.pointX, animation.pointY);
+
+		if (progress === 1) {
+			this.zoomAnimation = null;
 		}
-		return false;
 	}
 
 	/**
@@ -220,21 +984,49 @@ export class PanoramicRenderer {
 	 * Constrain pan within image bounds
 	 */
 	constrainPan() {
-		if (!this.stitchedCanvas) return;
+		const content = this.getContentSize();
+		if (!content) {
+			return;
+		}
+
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			const maxPitch = PanoramicProjection.getMaxPitch(
+				this.fov,
+				this.canvas.width,
+				this.canvas.height,
+				limits.maxLatitude
+			);
+			this.pitch = PanoramicUtils.clamp(this.pitch, -maxPitch, maxPitch);
 
-		const scaledWidth = this.stitchedCanvas.width * this.scale;
-		const scaledHeight = this.stitchedCanvas.height * this.scale;
+			// Partial panoramas stop at their edges instead of wrapping round
+			if (limits.wraps) {
+				this.yaw = PanoramicProjection.wrapYaw(this.yaw);
+			} else {
+				const maxYaw = Math.max(0, (this.hfov - this.fov) / 2);
+				this.yaw = PanoramicUtils.clamp(this.yaw, -maxYaw, maxYaw);
+			}
+			return;
+		}
+
+		const scaledWidth = content.width * this.scale;
+		const scaledHeight = content.height * this.scale;
 
 		const maxPanX = Math.max(0, (scaledWidth - this.canvas.width) / 2);
 		const maxPanY = Math.max(0, (scaledHeight - this.canvas.height) / 2);
 
-		this.panX = PanoramicUtils.clamp(this.panX, -maxPanX, maxPanX);
+		if (this.isLooping()) {
+			// Keep panX within one turn so it never grows without bound
+			this.panX = PanoramicUtils.wrap(this.panX, -scaledWidth / 2, scaledWidth / 2);
+		} else {
+			this.panX = PanoramicUtils.clamp(this.panX, -maxPanX, maxPanX);
+		}
 		this.panY = PanoramicUtils.clamp(this.panY, -maxPanY, maxPanY);
 	}
 
 	/**
 	 * Get current scale as percentage
-	 * @returns {number} Scale percentage
+	 * @return {number} Scale percentage
 	 */
 	getScalePercent() {
 		return Math.round(this.scale * 100);
@@ -242,10 +1034,10 @@ export class PanoramicRenderer {
 
 	/**
 	 * Check if renderer is ready
-	 * @returns {boolean} Whether renderer has stitched canvas
+	 * @return {boolean} Whether renderer has stitched canvas
 	 */
 	isReady() {
-		return !!this.stitchedCanvas;
+		return !!this.getContentSize();
 	}
 
 	/**
@@ -255,9 +1047,18 @@ export class PanoramicRenderer {
 		if (this._renderScheduled) {
 			this._renderScheduled = false;
 		}
+		this.autoRotateSpeed = 0;
+		this.stopMotion();
 		
+		this.clearTiles();
+		this.hotspotLayer = null;
+		this.onFrame = null;
 		this.ctx = null;
 		this.stitchedCanvas = null;
 		this.images = [];
+		this.segmentOffsets = null;
+		this.segmentTransforms = null;
+		this.projectionSampler = null;
+		this.projectionBuffer = null;
 	}
 }
\ No newline at end of file
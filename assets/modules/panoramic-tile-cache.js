@@ -0,0 +1,70 @@
+/**
+ * Panoramic Tile Cache
+ *
+ * Least-recently-used cache of loaded deep zoom tiles, so panning back over
+ * a region reuses its tiles while memory stays bounded
+ */
+
+export class PanoramicTileCache {
+	/**
+	 * @param {number}   capacity - Most tiles kept at once
+	 * @param {Function} onEvict  - Called with each tile dropped from the cache
+	 */
+	constructor(capacity, onEvict = null) {
+		this.capacity = capacity;
+		this.onEvict = onEvict;
+		// Map iterates in insertion order, so the first key is the least recently used
+		this.tiles = new Map();
+	}
+
+	/**
+	 * Get a tile and mark it as recently used
+	 * @param {string} key - Tile key
+	 * @return {Object|undefined} Cached tile
+	 */
+	get(key) {
+		const tile = this.tiles.get(key);
+		if (tile !== undefined) {
+			this.tiles.delete(key);
+			this.tiles.set(key, tile);
+		}
+		return tile;
+	}
+
+	/**
+	 * Whether a tile is cached, without marking it as used
+	 * @param {string} key - Tile key
+	 * @return {boolean} Whether the tile is cached
+	 */
+	has(key) {
+		return this.tiles.has(key);
+	}
+
+	/**
+	 * Add a tile, evicting the least recently used ones beyond capacity
+	 * @param {string} key  - Tile key
+	 * @param {Object} tile - Loaded tile
+	 */
+	set(key, tile) {
+		this.tiles.delete(key);
+		this.tiles.set(key, tile);
+
+		while (this.tiles.size > this.capacity) {
+			const [oldestKey, oldest] = this.tiles.entries().next().value;
+			this.tiles.delete(oldestKey);
+			if (this.onEvict) {
+				this.onEvict(oldest);
+			}
+		}
+	}
+
+	/**
+	 * Drop every tile
+	 */
+	clear() {
+		if (this.onEvict) {
+			this.tiles.forEach(tile => this.onEvict(tile));
+		}
+		this.tiles.clear();
+	}
+}
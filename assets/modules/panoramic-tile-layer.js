@@ -0,0 +1,246 @@
+/**
+ * Panoramic Tile Layer
+ *
+ * Streams a deep zoom tile pyramid generated by the plugin. Level 0 holds the
+ * panorama at full resolution and each level above halves it, up to one that
+ * fits a single tile. Only the tiles covering the view at the current zoom are
+ * fetched; the top level is kept loaded so there is always something to show.
+ */
+
+import { PanoramicUtils } from './panoramic-utils.js';
+import { PanoramicTileCache } from './panoramic-tile-cache.js';
+
+// Most detail tiles kept in memory
+const TILE_CACHE_SIZE = 256;
+
+// Most tile requests in flight at once
+const MAX_CONCURRENT_LOADS = 6;
+
+// Milliseconds before a tile request is abandoned
+const TILE_TIMEOUT = 15000;
+
+export class PanoramicTileLayer {
+	/**
+	 * @param {Object}   manifest    - { url, width, height, tileSize, levels, format } from data-tiles
+	 * @param {Function} onTileLoad  - Called when a tile arrives, to redraw the view
+	 * @param {Function} onTileEvict - Called with each tile dropped from memory
+	 */
+	constructor(manifest, onTileLoad, onTileEvict = null) {
+		this.url = manifest.url;
+		this.width = manifest.width;
+		this.height = manifest.height;
+		this.tileSize = manifest.tileSize;
+		this.levels = Math.max(1, manifest.levels);
+		this.format = manifest.format || 'jpg';
+		this.onTileLoad = onTileLoad;
+		this.onTileEvict = onTileEvict;
+
+		this.baseTiles = [];
+		this.cache = new PanoramicTileCache(TILE_CACHE_SIZE, onTileEvict);
+		this.pending = new Set();
+		this.failed = new Set();
+		this.destroyed = false;
+	}
+
+	/**
+	 * Whether a manifest describes a usable pyramid
+	 * @param {Object} manifest - Parsed data-tiles value
+	 * @return {boolean} Whether the manifest is valid
+	 */
+	static isValidManifest(manifest) {
+		return !!manifest &&
+			typeof manifest.url === 'string' &&
+			manifest.width > 0 &&
+			manifest.height > 0 &&
+			manifest.tileSize > 0 &&
+			manifest.levels > 0;
+	}
+
+	/**
+	 * Load the coarsest level, which covers the whole panorama
+	 * @return {Promise<void>}
+	 * @throws {Error} If a tile of the coarsest level cannot be loaded
+	 */
+	async loadBaseLevel() {
+		const level = this.levels - 1;
+		const tiles = this.getTiles(level, { left: 0, top: 0, right: this.width, bottom: this.height });
+
+		this.baseTiles = await Promise.all(tiles.map(async tile => ({
+			...tile,
+			image: await PanoramicUtils.loadImageWithTimeout(this.getTileUrl(tile), TILE_TIMEOUT)
+		})));
+	}
+
+	/**
+	 * Pick the coarsest level that still has at least one source pixel per screen pixel
+	 * @param {number} scale - Screen pixels per full-resolution pixel
+	 * @return {number} Level index
+	 */
+	getLevel(scale) {
+		const level = Math.floor(Math.log2(1 / scale));
+		return PanoramicUtils.clamp(level, 0, this.levels - 1);
+	}
+
+	/**
+	 * List the tiles of a level that overlap a region
+	 * @param {number} level - Level index
+	 * @param {Object} rect  - { left, top, right, bottom } in full-resolution pixels
+	 * @return {Array<Object>} Tiles { key, level, column, row, x, y, width, height }, with
+	 *   position and size in full-resolution pixels
+	 */
+	getTiles(level, rect) {
+		const factor = Math.pow(2, level);
+		const span = this.tileSize * factor;
+		const columns = Math.ceil(this.width / span);
+		const rows = Math.ceil(this.height / span);
+
+		const firstColumn = PanoramicUtils.clamp(Math.floor(rect.left / span), 0, columns - 1);
+		const lastColumn = PanoramicUtils.clamp(Math.ceil(rect.right / span) - 1, 0, columns - 1);
+		const firstRow = PanoramicUtils.clamp(Math.floor(rect.top / span), 0, rows - 1);
+		const lastRow = PanoramicUtils.clamp(Math.ceil(rect.bottom / span) - 1, 0, rows - 1);
+
+		const tiles = [];
+		for (let row = firstRow; row <= lastRow; row++) {
+			for (let column = firstColumn; column <= lastColumn; column++) {
+				const x = column * span;
+				const y = row * span;
+				tiles.push({
+					key: `${level}/${column}_${row}`,
+					level,
+					column,
+					row,
+					x,
+					y,
+					width: Math.min(span, this.width - x),
+					height: Math.min(span, this.height - y)
+				});
+			}
+		}
+
+		return tiles;
+	}
+
+	/**
+	 * Get the loaded tiles to draw for a region, coarse to fine, and request the
+	 * missing ones at the level the zoom calls for
+	 * @param {number} scale - Screen pixels per full-resolution pixel
+	 * @param {Object} rect  - Visible { left, top, right, bottom } in full-resolution pixels
+	 * @return {Array<Object>} Tiles with their image, in drawing order
+	 */
+	getDrawList(scale, rect) {
+		const targetLevel = this.getLevel(scale);
+		const drawList = this.baseTiles.filter(tile => this.intersects(tile, rect));
+
+		// Levels between the base and the target fill in while the target loads
+		for (let level = this.levels - 2; level > targetLevel; level--) {
+			this.getTiles(level, rect).forEach(tile => {
+				const cached = this.cache.get(tile.key);
+				if (cached) {
+					drawList.push(cached);
+				}
+			});
+		}
+
+		if (targetLevel < this.levels - 1) {
+			const centreX = (rect.left + rect.right) / 2;
+			const centreY = (rect.top + rect.bottom) / 2;
+			const missing = [];
+
+			this.getTiles(targetLevel, rect).forEach(tile => {
+				const cached = this.cache.get(tile.key);
+				if (cached) {
+					drawList.push(cached);
+				} else {
+					missing.push(tile);
+				}
+			});
+
+			// Fetch from the centre of the view outwards
+			missing
+				.sort((a, b) => this.distance(a, centreX, centreY) - this.distance(b, centreX, centreY))
+				.forEach(tile => this.requestTile(tile));
+		}
+
+		return drawList;
+	}
+
+	/**
+	 * Start loading a tile unless it is loaded, loading, failed, or too many loads are running
+	 * @param {Object} tile - Tile from getTiles
+	 */
+	requestTile(tile) {
+		if (
+			this.pending.size >= MAX_CONCURRENT_LOADS ||
+			this.pending.has(tile.key) ||
+			this.failed.has(tile.key) ||
+			this.cache.has(tile.key)
+		) {
+			return;
+		}
+
+		this.pending.add(tile.key);
+		PanoramicUtils.loadImageWithTimeout(this.getTileUrl(tile), TILE_TIMEOUT)
+			.then(image => {
+				if (this.destroyed) {
+					return;
+				}
+				this.cache.set(tile.key, { ...tile, image });
+			})
+			.catch(() => {
+				// The coarser levels keep covering the area
+				this.failed.add(tile.key);
+			})
+			.finally(() => {
+				this.pending.delete(tile.key);
+				if (!this.destroyed) {
+					this.onTileLoad();
+				}
+			});
+	}
+
+	/**
+	 * Get the URL of a tile
+	 * @param {Object} tile - Tile from getTiles
+	 * @return {string} Tile URL
+	 */
+	getTileUrl(tile) {
+		return `${this.url}/${tile.level}/${tile.column}_${tile.row}.${this.format}`;
+	}
+
+	/**
+	 * Whether a tile overlaps a region
+	 * @param {Object} tile - Tile with position and size
+	 * @param {Object} rect - { left, top, right, bottom }
+	 * @return {boolean} Whether they overlap
+	 */
+	intersects(tile, rect) {
+		return tile.x < rect.right &&
+			tile.x + tile.width > rect.left &&
+			tile.y < rect.bottom &&
+			tile.y + tile.height > rect.top;
+	}
+
+	/**
+	 * Distance from a tile's centre to a point
+	 * @param {Object} tile - Tile with position and size
+	 * @param {number} x    - Point x
+	 * @param {number} y    - Point y
+	 * @return {number} Distance in full-resolution pixels
+	 */
+	distance(tile, x, y) {
+		return PanoramicUtils.calculateDistance(tile.x + tile.width / 2, tile.y + tile.height / 2, x, y);
+	}
+
+	/**
+	 * Release every tile
+	 */
+	destroy() {
+		this.destroyed = true;
+		this.cache.clear();
+		if (this.onTileEvict) {
+			this.baseTiles.forEach(tile => this.onTileEvict(tile));
+		}
+		this.baseTiles = [];
+		this.pending.clear();
+	}
+}
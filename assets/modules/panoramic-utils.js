@@ -1,6 +1,6 @@
 /**
  * Panoramic Utilities
- * 
+ *
  * Shared utilities for image validation, canvas operations, and common functions
  */
 
@@ -8,28 +8,194 @@ export class PanoramicUtils {
 	/**
 	 * Validate image data structure
 	 * @param {Array|Object} data - Image data to validate
-	 * @param {string} type - 'single' or 'multiple'
-	 * @returns {boolean} Whether data is valid
+	 * @param {string}       type - 'single' or 'multiple'
+	 * @return {boolean} Whether data is valid
 	 */
 	static validateImageData(data, type = 'multiple') {
 		if (type === 'single') {
 			return data && typeof data === 'object' && data.url;
 		}
 		
+		const { minSegments, maxSegments } = this.getSegmentLimits();
 		return Array.isArray(data) && 
-			   data.length === 3 && 
+			   data.length >= minSegments && 
+			   data.length <= maxSegments && 
 			   data.every(img => img && typeof img === 'object' && img.url);
 	}
 
+	/**
+	 * Get the allowed number of segments for stitched panoramas
+	 * @return {Object} Object with minSegments and maxSegments
+	 */
+	static getSegmentLimits() {
+		const data = window.panoramicImageBlockData || {};
+		return {
+			minSegments: data.minSegments || 2,
+			maxSegments: data.maxSegments || 12
+		};
+	}
+
+	/**
+	 * Check that stored segment offsets belong to the given images, in order
+	 * @param {Array} imagesData - Image data objects with ids
+	 * @param {Array} offsets    - Stored offsets with the id of the segment they describe
+	 * @return {boolean} Whether the offsets can be applied
+	 */
+	static offsetsMatchImages(imagesData, offsets) {
+		return Array.isArray(offsets) &&
+			   offsets.length === imagesData.length &&
+			   offsets.every((offset, i) => offset && offset.id === imagesData[i].id);
+	}
+
+	/**
+	 * Lay out segments side by side, vertically centred
+	 * @param {Array} images - Loaded images (anything with width and height)
+	 * @return {Object} { width, height, positions } for the stitched canvas
+	 */
+	static layoutSideBySide(images) {
+		const maxHeight = Math.max(...images.map(img => img.height));
+		const positions = [];
+		let x = 0;
+		images.forEach(img => {
+			positions.push({ x, y: (maxHeight - img.height) / 2 });
+			x += img.width;
+		});
+		return { width: x, height: maxHeight, positions };
+	}
+
+	/**
+	 * Lay out segments using offsets relative to the previous segment
+	 * @param {Array} images  - Loaded images (anything with width and height)
+	 * @param {Array} offsets - { x, y } per segment as fractions of the previous segment's size
+	 * @return {Object} { width, height, positions } for the stitched canvas
+	 */
+	static layoutSegments(images, offsets) {
+		const positions = [{ x: 0, y: 0 }];
+		for (let i = 1; i < images.length; i++) {
+			const previous = images[i - 1];
+			positions.push({
+				x: positions[i - 1].x + offsets[i].x * previous.width,
+				y: positions[i - 1].y + offsets[i].y * previous.height
+			});
+		}
+
+		return this.fitLayout(images, positions, true);
+	}
+
+	/**
+	 * Size the stitched canvas around positioned segments
+	 * @param {Array}   images     - Segments (anything with width and height)
+	 * @param {Array}   positions  - { x, y } per segment, in any common origin
+	 * @param {boolean} cropToBand - Crop to the band every segment covers so there are
+	 *                             no steps at the top and bottom, unless that band would be too thin to be useful
+	 * @return {Object} { width, height, positions } with positions relative to the canvas
+	 */
+	static fitLayout(images, positions, cropToBand) {
+		const left = Math.min(...positions.map(p => p.x));
+		const right = Math.max(...positions.map((p, i) => p.x + images[i].width));
+
+		let top = Math.min(...positions.map(p => p.y));
+		let bottom = Math.max(...positions.map((p, i) => p.y + images[i].height));
+		if (cropToBand) {
+			const bandTop = Math.max(...positions.map(p => p.y));
+			const bandBottom = Math.min(...positions.map((p, i) => p.y + images[i].height));
+			if (bandBottom - bandTop >= Math.min(...images.map(img => img.height)) / 2) {
+				top = bandTop;
+				bottom = bandBottom;
+			}
+		}
+
+		return {
+			width: Math.round(right - left),
+			height: Math.round(bottom - top),
+			positions: positions.map(p => ({ x: p.x - left, y: p.y - top }))
+		};
+	}
+
+	/**
+	 * Default manual adjustment of a segment, in percent of its size and degrees
+	 * @return {Object} Transform with no effect
+	 */
+	static getDefaultTransform() {
+		return { offsetX: 0, offsetY: 0, overlap: 0, rotation: 0, cropTop: 0, cropBottom: 0 };
+	}
+
+	/**
+	 * Order stored segment transforms to match the images
+	 * @param {Array} imagesData - Image data objects with ids
+	 * @param {Array} transforms - Stored transforms, each with the id of its segment
+	 * @return {Array<Object>} One complete transform per image
+	 */
+	static resolveSegmentTransforms(imagesData, transforms) {
+		const byId = new Map((Array.isArray(transforms) ? transforms : []).map(t => [t.id, t]));
+		return imagesData.map(img => ({ ...this.getDefaultTransform(), ...byId.get(img.id) }));
+	}
+
+	/**
+	 * Apply manual transforms on top of a layout
+	 *
+	 * Overlap pulls a segment and everything after it to the left, offsets move only
+	 * that segment, crops trim its top and bottom and rotation turns it about its centre.
+	 * @param {Array}   images     - Loaded images
+	 * @param {Object}  layout     - Layout the transforms are relative to
+	 * @param {Array}   transforms - One transform per image, from resolveSegmentTransforms
+	 * @param {boolean} cropToBand - Passed to fitLayout
+	 * @return {Object} { images, layout } with cropped segments and a layout including rotations
+	 */
+	static applySegmentTransforms(images, layout, transforms, cropToBand) {
+		const segments = [];
+		const positions = [];
+		const rotations = [];
+		let shift = 0;
+
+		images.forEach((img, i) => {
+			const t = transforms[i];
+			const cropTop = Math.round((t.cropTop / 100) * img.height);
+			const cropBottom = Math.round((t.cropBottom / 100) * img.height);
+			const height = Math.max(1, img.height - cropTop - cropBottom);
+
+			if (i > 0) {
+				shift -= (t.overlap / 100) * img.width;
+			}
+
+			segments.push(cropTop || cropBottom ? this.cropSegment(img, cropTop, height) : img);
+			positions.push({
+				x: layout.positions[i].x + shift + (t.offsetX / 100) * img.width,
+				y: layout.positions[i].y + cropTop + (t.offsetY / 100) * img.height
+			});
+			rotations.push(t.rotation);
+		});
+
+		return {
+			images: segments,
+			layout: { ...this.fitLayout(segments, positions, cropToBand), rotations }
+		};
+	}
+
+	/**
+	 * Copy a horizontal band of an image
+	 * @param {HTMLImageElement|HTMLCanvasElement} img    - Source image
+	 * @param {number}                             top    - First row to keep
+	 * @param {number}                             height - Number of rows to keep
+	 * @return {HTMLCanvasElement} Cropped segment
+	 */
+	static cropSegment(img, top, height) {
+		const canvas = document.createElement('canvas');
+		canvas.width = img.width;
+		canvas.height = height;
+		canvas.getContext('2d').drawImage(img, 0, top, img.width, height, 0, 0, img.width, height);
+		return canvas;
+	}
+
 	/**
 	 * Load image with timeout and error handling
-	 * @param {string} url - Image URL
+	 * @param {string} url     - Image URL
 	 * @param {number} timeout - Timeout in milliseconds
-	 * @returns {Promise<HTMLImageElement>} Loaded image
+	 * @return {Promise<HTMLImageElement>} Loaded image
 	 */
 	static loadImageWithTimeout(url, timeout = 10000) {
 		return new Promise((resolve, reject) => {
-			const img = new Image();
+			const img = new window.Image();
 			img.crossOrigin = 'anonymous';
 			let isResolved = false;
 
@@ -60,13 +226,32 @@ export class PanoramicUtils {
 		});
 	}
 
+	/**
+	 * Classify a loading error, for error events and messages
+	 * @param {Error} error - Error thrown while loading
+	 * @return {string} 'timeout', 'not_found', 'forbidden', 'cors' or 'unknown'
+	 */
+	static getErrorType(error) {
+		const message = (error && error.message) || '';
+		if (message.startsWith('Image load timeout')) {
+			return 'timeout';
+		} else if (message.includes('404') || message.includes('Not Found')) {
+			return 'not_found';
+		} else if (message.includes('403') || message.includes('Forbidden')) {
+			return 'forbidden';
+		} else if (message.includes('CORS')) {
+			return 'cors';
+		}
+		return 'unknown';
+	}
+
 	/**
 	 * Calculate optimal scale for image to fit container
-	 * @param {number} imageWidth - Image width
-	 * @param {number} imageHeight - Image height  
-	 * @param {number} containerWidth - Container width
+	 * @param {number} imageWidth      - Image width
+	 * @param {number} imageHeight     - Image height  
+	 * @param {number} containerWidth  - Container width
 	 * @param {number} containerHeight - Container height
-	 * @returns {number} Optimal scale factor
+	 * @return {number} Optimal scale factor
 	 */
 	static calculateOptimalScale(imageWidth, imageHeight, containerWidth, containerHeight) {
 		const heightScale = containerHeight / imageHeight;
@@ -77,21 +262,44 @@ export class PanoramicUtils {
 	/**
 	 * Constrain value within bounds
 	 * @param {number} value - Value to constrain
-	 * @param {number} min - Minimum value
-	 * @param {number} max - Maximum value
-	 * @returns {number} Constrained value
+	 * @param {number} min   - Minimum value
+	 * @param {number} max   - Maximum value
+	 * @return {number} Constrained value
 	 */
 	static clamp(value, min, max) {
 		return Math.max(min, Math.min(max, value));
 	}
 
+	/**
+	 * Whether the visitor has asked the system to minimise animation
+	 * @return {boolean} Whether reduced motion is preferred
+	 */
+	static prefersReducedMotion() {
+		return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+	}
+
+	/**
+	 * Wrap value into a repeating range
+	 * @param {number} value - Value to wrap
+	 * @param {number} min   - Start of the range (inclusive)
+	 * @param {number} max   - End of the range (exclusive)
+	 * @return {number} Wrapped value
+	 */
+	static wrap(value, min, max) {
+		const range = max - min;
+		if (range <= 0) {
+			return min;
+		}
+		return ((((value - min) % range) + range) % range) + min;
+	}
+
 	/**
 	 * Calculate distance between two points
 	 * @param {number} x1 - First point X
 	 * @param {number} y1 - First point Y
 	 * @param {number} x2 - Second point X
 	 * @param {number} y2 - Second point Y
-	 * @returns {number} Distance
+	 * @return {number} Distance
 	 */
 	static calculateDistance(x1, y1, x2, y2) {
 		const deltaX = x2 - x1;
@@ -102,8 +310,8 @@ export class PanoramicUtils {
 	/**
 	 * Debounce function calls
 	 * @param {Function} func - Function to debounce
-	 * @param {number} wait - Wait time in milliseconds
-	 * @returns {Function} Debounced function
+	 * @param {number}   wait - Wait time in milliseconds
+	 * @return {Function} Debounced function
 	 */
 	static debounce(func, wait) {
 		let timeout;
@@ -119,9 +327,9 @@ export class PanoramicUtils {
 
 	/**
 	 * Throttle function calls
-	 * @param {Function} func - Function to throttle
-	 * @param {number} limit - Time limit in milliseconds
-	 * @returns {Function} Throttled function
+	 * @param {Function} func  - Function to throttle
+	 * @param {number}   limit - Time limit in milliseconds
+	 * @return {Function} Throttled function
 	 */
 	static throttle(func, limit) {
 		let inThrottle;
@@ -137,7 +345,7 @@ export class PanoramicUtils {
 	/**
 	 * Generate unique ID
 	 * @param {string} prefix - Prefix for ID
-	 * @returns {string} Unique ID
+	 * @return {string} Unique ID
 	 */
 	static generateId(prefix = 'panoramic') {
 		return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -146,20 +354,24 @@ export class PanoramicUtils {
 	/**
 	 * Deep clone object
 	 * @param {Object} obj - Object to clone
-	 * @returns {Object} Cloned object
+	 * @return {Object} Cloned object
 	 */
 	static deepClone(obj) {
-		if (obj === null || typeof obj !== 'object') return obj;
-		if (obj instanceof Date) return new Date(obj.getTime());
-		if (obj instanceof Array) return obj.map(item => this.deepClone(item));
-		if (typeof obj === 'object') {
-			const clonedObj = {};
-			for (const key in obj) {
-				if (obj.hasOwnProperty(key)) {
-					clonedObj[key] = this.deepClone(obj[key]);
-				}
+		if (obj === null || typeof obj !== 'object') {
+			return obj;
+		}
+		if (obj instanceof Date) {
+			return new Date(obj.getTime());
+		}
+		if (obj instanceof Array) {
+			return obj.map(item => this.deepClone(item));
+		}
+		const clonedObj = {};
+		for (const key in obj) {
+			if (obj.hasOwnProperty(key)) {
+				clonedObj[key] = this.deepClone(obj[key]);
 			}
-			return clonedObj;
 		}
+		return clonedObj;
 	}
 }
\ No newline at end of file
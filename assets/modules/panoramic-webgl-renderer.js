@@ -0,0 +1,507 @@
+/**
+ * Panoramic WebGL Renderer
+ *
+ * Draws the panorama with WebGL instead of Canvas 2D. Segments are uploaded as
+ * textures once, split into tiles where they exceed the GPU's texture size, and
+ * composited on every frame as textured quads, so the stitched image never has
+ * to fit in a single canvas.
+ */
+
+import { PanoramicRenderer } from './panoramic-renderer.js';
+import { PanoramicCompositor } from './panoramic-compositor.js';
+
+// Largest texture uploaded, whatever the GPU supports, to bound memory use
+const MAX_TILE_SIZE = 4096;
+
+const FLAT_VERTEX_SHADER = `
+	attribute vec2 a_position;
+	attribute vec2 a_texCoord;
+	uniform vec2 u_resolution;
+	uniform vec2 u_offset;
+	uniform float u_scale;
+	varying vec2 v_texCoord;
+
+	void main() {
+		vec2 clip = (a_position * u_scale + u_offset) / u_resolution * 2.0 - 1.0;
+		gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+		v_texCoord = a_texCoord;
+	}
+`;
+
+const FLAT_FRAGMENT_SHADER = `
+	precision mediump float;
+	uniform sampler2D u_texture;
+	uniform float u_opacity;
+	varying vec2 v_texCoord;
+
+	void main() {
+		gl_FragColor = texture2D(u_texture, v_texCoord) * u_opacity;
+	}
+`;
+
+const PROJECTED_VERTEX_SHADER = `
+	attribute vec2 a_position;
+	varying vec2 v_clip;
+
+	void main() {
+		gl_Position = vec4(a_position, 0.0, 1.0);
+		v_clip = a_position;
+	}
+`;
+
+// Same ray maths as PanoramicProjection.render
+const PROJECTED_FRAGMENT_SHADER = `
+	precision highp float;
+	uniform sampler2D u_texture;
+	uniform vec2 u_resolution;
+	uniform float u_focal;
+	uniform float u_yaw;
+	uniform float u_pitch;
+	uniform float u_coverage;
+	uniform float u_aspect;
+	uniform bool u_cylindrical;
+	uniform bool u_wraps;
+	varying vec2 v_clip;
+
+	const float PI = 3.14159265358979;
+
+	void main() {
+		vec2 pixel = v_clip * u_resolution / 2.0;
+		float rayY = pixel.y * cos(u_pitch) + u_focal * sin(u_pitch);
+		float rowZ = u_focal * cos(u_pitch) - pixel.y * sin(u_pitch);
+		float rayX = pixel.x * cos(u_yaw) + rowZ * sin(u_yaw);
+		float rayZ = rowZ * cos(u_yaw) - pixel.x * sin(u_yaw);
+
+		float lon = atan(rayX, rayZ);
+		float horizontal = length(vec2(rayX, rayZ));
+		float u = (lon + u_coverage / 2.0) / u_coverage;
+		float v = u_cylindrical ?
+			0.5 - rayY / horizontal * u_aspect / u_coverage :
+			0.5 - atan(rayY, horizontal) / PI;
+		if (u_wraps) {
+			u = fract(u);
+		}
+
+		// Rays that miss a partial panorama are left transparent
+		if (u < 0.0 || u > 1.0 || v < 0.0 || v > 1.0) {
+			gl_FragColor = vec4(0.0);
+		} else {
+			gl_FragColor = texture2D(u_texture, vec2(u, v));
+		}
+	}
+`;
+
+export class PanoramicWebGLRenderer extends PanoramicRenderer {
+	/**
+	 * Whether this browser can create a WebGL context
+	 * @return {boolean} Whether WebGL is available
+	 */
+	static isSupported() {
+		try {
+			const canvas = document.createElement('canvas');
+			return !!(window.WebGLRenderingContext && canvas.getContext('webgl'));
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Create the WebGL context, shaders and shared buffers
+	 * @param {HTMLCanvasElement} canvas - Viewer canvas
+	 * @return {null} There is no 2D context
+	 * @throws {Error} If WebGL is unavailable, so the caller can fall back to 2D
+	 */
+	initContext(canvas) {
+		const gl = canvas.getContext('webgl', { alpha: true, premultipliedAlpha: true, antialias: false });
+		if (!gl) {
+			throw new Error('WebGL is unavailable');
+		}
+
+		this.gl = gl;
+		this.quads = [];
+		this.tileQuads = new Map();
+		this.segments = [];
+		this.contentSize = null;
+		this.projectionTexture = null;
+		this.maxTextureSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), MAX_TILE_SIZE);
+
+		this.flatProgram = this.createProgram(FLAT_VERTEX_SHADER, FLAT_FRAGMENT_SHADER);
+		this.projectedProgram = this.createProgram(PROJECTED_VERTEX_SHADER, PROJECTED_FRAGMENT_SHADER);
+
+		this.screenBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.screenBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+		this.whiteTexture = this.createTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
+
+		gl.enable(gl.BLEND);
+		gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+		gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+		return null;
+	}
+
+	/**
+	 * Compile and link a shader program
+	 * @param {string} vertexSource   - Vertex shader source
+	 * @param {string} fragmentSource - Fragment shader source
+	 * @return {WebGLProgram} Linked program
+	 */
+	createProgram(vertexSource, fragmentSource) {
+		const gl = this.gl;
+		const program = gl.createProgram();
+
+		[[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+			const shader = gl.createShader(type);
+			gl.shaderSource(shader, source);
+			gl.compileShader(shader);
+			if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+				throw new Error(`Shader compilation failed: ${gl.getShaderInfoLog(shader)}`);
+			}
+			gl.attachShader(program, shader);
+			gl.deleteShader(shader);
+		});
+
+		gl.linkProgram(program);
+		if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+			throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`);
+		}
+
+		return program;
+	}
+
+	/**
+	 * Upload pixels as a texture
+	 * @param {HTMLImageElement|HTMLCanvasElement|Uint8Array} source - Pixels to upload
+	 * @param {number}                                        width  - Width, only needed for raw pixel arrays
+	 * @param {number}                                        height - Height, only needed for raw pixel arrays
+	 * @return {WebGLTexture} Texture
+	 */
+	createTexture(source, width, height) {
+		const gl = this.gl;
+		const texture = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, texture);
+
+		if (source instanceof Uint8Array) {
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, source);
+		} else {
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+		}
+
+		// Non-power-of-two textures need clamping and no mipmaps in WebGL 1
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+
+		return texture;
+	}
+
+	/**
+	 * Setup single image for rendering (no stitching)
+	 * @return {Promise<void>}
+	 */
+	async setupSingleImage() {
+		if (this.images.length !== 1) {
+			return;
+		}
+
+		const img = this.images[0];
+		this.setSegments(
+			[{ source: img, position: { x: 0, y: 0 }, rotation: 0, opacity: 1 }],
+			{ width: img.width, height: img.height }
+		);
+	}
+
+	/**
+	 * Stitch multiple images together
+	 * @return {Promise<void>}
+	 */
+	async stitchImages() {
+		if (this.images.length < 2) {
+			return;
+		}
+
+		const { images, layout } = this.buildLayout(this.images);
+		this.setSegments(PanoramicCompositor.prepareSegments(images, layout, this.stitchOptions), layout);
+	}
+
+	/**
+	 * Show a deep zoom tile pyramid, uploading tiles as they are drawn
+	 * @param {Object} manifest - { url, width, height, tileSize, levels, format } from data-tiles
+	 * @return {Promise<void>} Resolves once the coarsest level is loaded
+	 */
+	async loadTiles(manifest) {
+		this.releaseTextures();
+		this.contentSize = null;
+		await super.loadTiles(manifest);
+	}
+
+	/**
+	 * Get the quad of a loaded tile, uploading its texture the first time it is drawn
+	 * @param {Object} tile - Tile with its image from the tile layer
+	 * @return {Object} { texture, buffer, opacity }
+	 */
+	getTileQuad(tile) {
+		let quad = this.tileQuads.get(tile.key);
+		if (!quad) {
+			const texture = this.createTexture(tile.image);
+			quad = this.createQuad(texture, 0, 0, tile.width, tile.height, { x: tile.x, y: tile.y }, tile, 0, 1);
+			this.tileQuads.set(tile.key, quad);
+		}
+		return quad;
+	}
+
+	/**
+	 * Delete the texture of a tile dropped from the cache
+	 * @param {Object} tile - Evicted tile
+	 */
+	releaseTile(tile) {
+		const quad = this.tileQuads.get(tile.key);
+		if (quad && this.gl) {
+			this.gl.deleteTexture(quad.texture);
+			this.gl.deleteBuffer(quad.buffer);
+		}
+		this.tileQuads.delete(tile.key);
+	}
+
+	/**
+	 * Replace the textures with a new set of segments
+	 * @param {Array<Object>} segments - { source, position, rotation, opacity } in drawing order
+	 * @param {Object}        size     - { width, height } of the panorama
+	 */
+	setSegments(segments, size) {
+		this.releaseTextures();
+		this.segments = segments;
+		this.contentSize = { width: size.width, height: size.height };
+
+		// Stitched panoramas have a white background, as on the 2D canvas
+		this.quads.push(this.createQuad(this.whiteTexture, 0, 0, size.width, size.height, { x: 0, y: 0 }, size, 0, 1));
+
+		segments.forEach(segment => {
+			const { source, position, rotation, opacity } = segment;
+			for (let ty = 0; ty < source.height; ty += this.maxTextureSize) {
+				for (let tx = 0; tx < source.width; tx += this.maxTextureSize) {
+					const tileWidth = Math.min(this.maxTextureSize, source.width - tx);
+					const tileHeight = Math.min(this.maxTextureSize, source.height - ty);
+					const texture = this.createTexture(this.getTile(source, tx, ty, tileWidth, tileHeight));
+					this.quads.push(this.createQuad(texture, tx, ty, tileWidth, tileHeight, position, source, rotation, opacity));
+				}
+			}
+		});
+	}
+
+	/**
+	 * Copy part of a segment that is too large for one texture
+	 * @param {HTMLImageElement|HTMLCanvasElement} source - Segment pixels
+	 * @param {number}                             x      - Tile left
+	 * @param {number}                             y      - Tile top
+	 * @param {number}                             width  - Tile width
+	 * @param {number}                             height - Tile height
+	 * @return {HTMLImageElement|HTMLCanvasElement} The source itself if it fits, or a tile canvas
+	 */
+	getTile(source, x, y, width, height) {
+		if (width === source.width && height === source.height) {
+			return source;
+		}
+
+		const tile = document.createElement('canvas');
+		tile.width = width;
+		tile.height = height;
+		tile.getContext('2d').drawImage(source, x, y, width, height, 0, 0, width, height);
+		return tile;
+	}
+
+	/**
+	 * Build the vertex buffer of one tile in panorama coordinates
+	 * @param {WebGLTexture} texture  - Tile texture
+	 * @param {number}       tx       - Tile left within the segment
+	 * @param {number}       ty       - Tile top within the segment
+	 * @param {number}       width    - Tile width
+	 * @param {number}       height   - Tile height
+	 * @param {Object}       position - Top-left { x, y } of the segment
+	 * @param {Object}       size     - { width, height } of the segment
+	 * @param {number}       rotation - Segment rotation in degrees, about its centre
+	 * @param {number}       opacity  - Segment opacity
+	 * @return {Object} { texture, buffer, opacity }
+	 */
+	createQuad(texture, tx, ty, width, height, position, size, rotation, opacity) {
+		const gl = this.gl;
+		const centreX = position.x + size.width / 2;
+		const centreY = position.y + size.height / 2;
+		const cos = Math.cos((rotation * Math.PI) / 180);
+		const sin = Math.sin((rotation * Math.PI) / 180);
+
+		const vertices = [];
+		[[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([u, v]) => {
+			const dx = position.x + tx + u * width - centreX;
+			const dy = position.y + ty + v * height - centreY;
+			vertices.push(centreX + dx * cos - dy * sin, centreY + dx * sin + dy * cos, u, v);
+		});
+
+		const buffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+		gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+
+		return { texture, buffer, opacity };
+	}
+
+	/**
+	 * Get the size of the panorama being shown
+	 * @return {Object|null} { width, height }, or null before anything is loaded
+	 */
+	getContentSize() {
+		return this.tileLayer ? super.getContentSize() : this.contentSize;
+	}
+
+	/**
+	 * Render the panoramic image to canvas
+	 */
+	render() {
+		const gl = this.gl;
+		const content = this.getContentSize();
+		if (!gl || !content || !this.canvas) {
+			return;
+		}
+
+		gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+		gl.clearColor(0, 0, 0, 0);
+		gl.clear(gl.COLOR_BUFFER_BIT);
+
+		if (this.isProjected()) {
+			this.renderProjected();
+			return;
+		}
+
+		const program = this.flatProgram;
+		gl.useProgram(program);
+
+		const scaledWidth = content.width * this.scale;
+		const scaledHeight = content.height * this.scale;
+		const x = (this.canvas.width - scaledWidth) / 2 + this.panX;
+		const y = (this.canvas.height - scaledHeight) / 2 + this.panY;
+		gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_scale'), this.scale);
+
+		const positionLocation = gl.getAttribLocation(program, 'a_position');
+		const texCoordLocation = gl.getAttribLocation(program, 'a_texCoord');
+		const opacityLocation = gl.getUniformLocation(program, 'u_opacity');
+		const offsetLocation = gl.getUniformLocation(program, 'u_offset');
+		gl.enableVertexAttribArray(positionLocation);
+		gl.enableVertexAttribArray(texCoordLocation);
+
+		this.getRepeatPositions(x, scaledWidth).forEach(tileX => {
+			gl.uniform2f(offsetLocation, tileX, y);
+			const quads = this.tileLayer ?
+				this.tileLayer.getDrawList(this.scale, this.getVisibleRect(tileX, y)).map(tile => this.getTileQuad(tile)) :
+				this.quads;
+			quads.forEach(quad => {
+				gl.bindBuffer(gl.ARRAY_BUFFER, quad.buffer);
+				gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 16, 0);
+				gl.vertexAttribPointer(texCoordLocation, 2, gl.FLOAT, false, 16, 8);
+				gl.bindTexture(gl.TEXTURE_2D, quad.texture);
+				gl.uniform1f(opacityLocation, quad.opacity);
+				gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+			});
+		});
+	}
+
+	/**
+	 * Render the camera view of an equirectangular or cylindrical panorama
+	 */
+	renderProjected() {
+		const gl = this.gl;
+		if (!this.projectionTexture) {
+			this.projectionTexture = this.createTexture(this.createProjectionSource());
+		}
+
+		const program = this.projectedProgram;
+		gl.useProgram(program);
+		gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+		gl.uniform1f(
+			gl.getUniformLocation(program, 'u_focal'),
+			this.canvas.width / 2 / Math.tan((this.fov * Math.PI) / 360)
+		);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_yaw'), (this.yaw * Math.PI) / 180);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_coverage'), (this.hfov * Math.PI) / 180);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_aspect'), this.contentSize.width / this.contentSize.height);
+		gl.uniform1i(gl.getUniformLocation(program, 'u_cylindrical'), this.projection === 'cylindrical' ? 1 : 0);
+		gl.uniform1i(gl.getUniformLocation(program, 'u_wraps'), this.getCameraLimits().wraps ? 1 : 0);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_pitch'), (this.pitch * Math.PI) / 180);
+
+		const positionLocation = gl.getAttribLocation(program, 'a_position');
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.screenBuffer);
+		gl.enableVertexAttribArray(positionLocation);
+		gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+		gl.bindTexture(gl.TEXTURE_2D, this.projectionTexture);
+		gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+	}
+
+	/**
+	 * Composite the segments into one texture-sized panorama to reproject
+	 * @return {HTMLCanvasElement} Panorama scaled to fit a single texture
+	 */
+	createProjectionSource() {
+		const { width, height } = this.contentSize;
+		const scale = Math.min(1, this.maxTextureSize / width, this.maxTextureSize / height);
+
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.max(1, Math.round(width * scale));
+		canvas.height = Math.max(1, Math.round(height * scale));
+
+		const ctx = canvas.getContext('2d');
+		ctx.fillStyle = 'white';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		ctx.scale(scale, scale);
+		this.segments.forEach(segment => {
+			ctx.globalAlpha = segment.opacity;
+			PanoramicCompositor.drawSegment(ctx, segment.source, segment.position, segment.rotation);
+		});
+
+		return canvas;
+	}
+
+	/**
+	 * Delete the textures and buffers of the current panorama
+	 */
+	releaseTextures() {
+		const gl = this.gl;
+		this.quads.forEach(quad => {
+			if (quad.texture !== this.whiteTexture) {
+				gl.deleteTexture(quad.texture);
+			}
+			gl.deleteBuffer(quad.buffer);
+		});
+		if (this.projectionTexture) {
+			gl.deleteTexture(this.projectionTexture);
+		}
+
+		this.quads = [];
+		this.segments = [];
+		this.projectionTexture = null;
+	}
+
+	/**
+	 * Cleanup resources
+	 */
+	destroy() {
+		if (this.gl) {
+			this.clearTiles();
+			this.releaseTextures();
+			this.gl.deleteTexture(this.whiteTexture);
+			this.gl.deleteBuffer(this.screenBuffer);
+			this.gl.deleteProgram(this.flatProgram);
+			this.gl.deleteProgram(this.projectedProgram);
+
+			// Free the GPU memory now rather than when the canvas is collected
+			const loseContext = this.gl.getExtension('WEBGL_lose_context');
+			if (loseContext) {
+				loseContext.loseContext();
+			}
+		}
+
+		this.gl = null;
+		this.contentSize = null;
+		super.destroy();
+	}
+}
@@ -1,16 +1,53 @@
 /**
  * Modular Panoramic Viewer
- * 
+ *
  * Main viewer class that orchestrates the modular components
  */
 
 import { PanoramicUtils } from './modules/panoramic-utils.js';
 import { PanoramicRenderer } from './modules/panoramic-renderer.js';
+import { PanoramicWebGLRenderer } from './modules/panoramic-webgl-renderer.js';
+import { PanoramicTileLayer } from './modules/panoramic-tile-layer.js';
 import { PanoramicControls } from './modules/panoramic-controls.js';
 import { PanoramicAccessibility } from './modules/panoramic-accessibility.js';
+import { PanoramicHotspots } from './modules/panoramic-hotspots.js';
+import { PanoramicAutoRotate } from './modules/panoramic-autorotate.js';
+import { PanoramicFullscreen } from './modules/panoramic-fullscreen.js';
+import { PanoramicDeepLink } from './modules/panoramic-deep-link.js';
+import { PanoramicGallery } from './modules/panoramic-gallery.js';
+import { PanoramicAnalytics } from './modules/panoramic-analytics.js';
+
+// Milliseconds the previous scene takes to fade out when a tour moves on
+const SCENE_FADE_DURATION = 600;
+
+// Thumbnails of every block on the page, whichever way they show their panorama
+const BLOCK_SELECTOR = '.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail';
+
+// Thumbnails of blocks that open their panorama in the lightbox
+const THUMBNAIL_SELECTOR = '.panoramic-image-block-thumbnail:not(.is-inline), .single-panoramic-image-block-thumbnail:not(.is-inline)';
+
+// Prefix of the DOM events the viewer dispatches from block thumbnails
+const EVENT_PREFIX = 'panoramic:';
+
+// Modal viewers on show, the topmost last; only it handles the keyboard
+const openModals = [];
+
+// Modal viewer that block thumbnails open in, created the first time one is opened
+let lightbox = null;
+let thumbnailEventsBound = false;
 
 class PanoramicViewer {
-	constructor() {
+	/**
+	 * @param {HTMLElement} container         - Element the viewer is added to
+	 * @param {Object}      options           - Viewer options
+	 * @param {boolean}     options.deepLinks - Whether the address follows the panorama on show
+	 * @param {boolean}     options.gallery   - Whether the viewer steps through every block on the page
+	 * @param {boolean}     options.analytics - Whether the viewer records engagement, where the site has turned it on
+	 */
+	constructor(container = document.body, options = {}) {
+		this.container = container;
+		this.options = options;
+
 		// Core components
 		this.modal = null;
 		this.canvas = null;
@@ -18,18 +55,41 @@ class PanoramicViewer {
 		this.renderer = null;
 		this.controls = null;
 		this.accessibility = null;
+		this.hotspots = null;
+		this.autoRotate = null;
+		this.fullscreen = null;
+		this.deepLink = null;
+		this.gallery = null;
+		this.analytics = null;
 		
 		// UI elements
 		this.closeBtn = null;
 		this.zoomInBtn = null;
 		this.zoomOutBtn = null;
 		this.zoomResetBtn = null;
+		this.backBtn = null;
+		this.autoRotateBtn = null;
+		this.fullscreenBtn = null;
+		this.copyLinkBtn = null;
+		this.prevBtn = null;
+		this.nextBtn = null;
 		
 		// State
 		this._lastImageUrls = null;
+		this._lastStitchKey = null;
+
+		// Tour state: the scene on show, the scenes to go back to, and whether one is loading
+		this.currentScene = null;
+		this.sceneHistory = [];
+		this.isChangingScene = false;
+
+		// Block on the page that events are dispatched from, and the view last reported
+		this.block = null;
+		this.lastView = null;
 		
 		// Bind methods
 		this.handleCloseClick = this.close.bind(this);
+		this.handleBackClick = () => this.goBack();
 		this.handleZoomInClick = () => this.zoom(1.2);
 		this.handleZoomOutClick = () => this.zoom(0.8);
 		this.handleZoomResetClick = () => this.resetView();
@@ -56,45 +116,55 @@ class PanoramicViewer {
 	 * Create modal structure
 	 */
 	createModal() {
+		// IDs are unique to the viewer, so several can be on the page at once
+		const id = PanoramicUtils.generateId('panoramic-viewer');
+
 		this.modal = document.createElement('div');
 		this.modal.className = 'panoramic-modal';
 		this.modal.setAttribute('role', 'dialog');
 		this.modal.setAttribute('aria-modal', 'true');
-		this.modal.setAttribute('aria-labelledby', 'panoramic-viewer-title');
+		this.modal.setAttribute('aria-labelledby', `${id}-title`);
 
 		this.modal.innerHTML = `
 			<div class="panoramic-viewer-container">
 				<button class="panoramic-close" aria-label="Close panoramic viewer" title="Close (Esc)">&times;</button>
-				<h2 id="panoramic-viewer-title" class="sr-only">Panoramic Image Viewer</h2>
-				<div class="panoramic-loading" id="panoramic-loading" aria-live="polite" aria-label="Loading panoramic image" style="display: none;">
+				<button class="panoramic-back" aria-label="Back to the previous scene" title="Back (Backspace)" hidden>&larr;</button>
+				<h2 id="${id}-title" class="panoramic-viewer-title sr-only">Panoramic Image Viewer</h2>
+				<div class="panoramic-gallery-position" aria-hidden="true" hidden></div>
+				<div class="panoramic-loading" aria-live="polite" aria-label="Loading panoramic image" style="display: none;">
 					<div class="panoramic-loading-spinner" aria-hidden="true"></div>
 					<span>Loading panoramic view...</span>
 				</div>
-				<div class="panoramic-viewer" role="img" tabindex="0" aria-describedby="panoramic-instructions panoramic-controls-help" aria-label="Interactive panoramic image viewer">
+				<div class="panoramic-viewer" role="img" tabindex="0" aria-describedby="${id}-instructions ${id}-controls-help" aria-label="Interactive panoramic image viewer">
 					<canvas aria-hidden="true"></canvas>
 				</div>
+				<button class="panoramic-prev" aria-label="Previous panorama" title="Previous panorama (Page Up)" hidden>&lsaquo;</button>
+				<button class="panoramic-next" aria-label="Next panorama" title="Next panorama (Page Down)" hidden>&rsaquo;</button>
 				<div class="panoramic-controls" role="toolbar" aria-label="Panoramic viewer controls">
-					<button class="panoramic-zoom-out" aria-label="Zoom out" title="Zoom out (-)" aria-describedby="panoramic-zoom-help">-</button>
-					<button class="panoramic-zoom-reset" aria-label="Reset zoom and position" title="Reset zoom (0)" aria-describedby="panoramic-reset-help">Reset</button>
-					<button class="panoramic-zoom-in" aria-label="Zoom in" title="Zoom in (+)" aria-describedby="panoramic-zoom-help">+</button>
+					<button class="panoramic-zoom-out" aria-label="Zoom out" title="Zoom out (-)" aria-describedby="${id}-zoom-help">-</button>
+					<button class="panoramic-zoom-reset" aria-label="Reset zoom and position" title="Reset zoom (0)" aria-describedby="${id}-reset-help">Reset</button>
+					<button class="panoramic-zoom-in" aria-label="Zoom in" title="Zoom in (+)" aria-describedby="${id}-zoom-help">+</button>
+					<button class="panoramic-autorotate" hidden></button>
+					<button class="panoramic-fullscreen" hidden></button>
+					<button class="panoramic-copy-link" aria-label="Copy link to this view" title="Copy link to this view" hidden>&#x1F517;</button>
 				</div>
-				<div id="panoramic-instructions" class="sr-only">
-					Interactive panoramic image viewer. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom. Press 0 to reset view. Press Escape to close.
+				<div id="${id}-instructions" class="sr-only">
+					Interactive panoramic image viewer. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom. Press 0 to reset view. Press F for full screen. Press Page Up or Page Down for the previous or next panorama on the page. Press Escape to close.
 				</div>
-				<div id="panoramic-controls-help" class="sr-only">
+				<div id="${id}-controls-help" class="sr-only">
 					Zoom controls available. Current zoom level and position will be announced when changed.
 				</div>
-				<div id="panoramic-zoom-help" class="sr-only">
+				<div id="${id}-zoom-help" class="sr-only">
 					Zoom in or out of the panoramic image
 				</div>
-				<div id="panoramic-reset-help" class="sr-only">
+				<div id="${id}-reset-help" class="sr-only">
 					Reset zoom level to fit view and center the image
 				</div>
-				<div id="panoramic-status" class="sr-only" aria-live="polite" aria-atomic="true"></div>
+				<div class="panoramic-status sr-only" aria-live="polite" aria-atomic="true"></div>
 			</div>
 		`;
 
-		document.body.appendChild(this.modal);
+		this.container.appendChild(this.modal);
 		this.cacheElements();
 	}
 
@@ -105,18 +175,73 @@ class PanoramicViewer {
 		this.canvas = this.modal.querySelector('canvas');
 		this.viewer = this.modal.querySelector('.panoramic-viewer');
 		this.closeBtn = this.modal.querySelector('.panoramic-close');
+		this.backBtn = this.modal.querySelector('.panoramic-back');
 		this.zoomInBtn = this.modal.querySelector('.panoramic-zoom-in');
 		this.zoomOutBtn = this.modal.querySelector('.panoramic-zoom-out');
 		this.zoomResetBtn = this.modal.querySelector('.panoramic-zoom-reset');
+		this.autoRotateBtn = this.modal.querySelector('.panoramic-autorotate');
+		this.fullscreenBtn = this.modal.querySelector('.panoramic-fullscreen');
+		this.copyLinkBtn = this.modal.querySelector('.panoramic-copy-link');
+		this.prevBtn = this.modal.querySelector('.panoramic-prev');
+		this.nextBtn = this.modal.querySelector('.panoramic-next');
 	}
 
 	/**
 	 * Initialize component modules
 	 */
 	initializeComponents() {
-		this.renderer = new PanoramicRenderer(this.canvas);
+		this.renderer = this.createRenderer();
 		this.controls = new PanoramicControls(this.viewer, this.renderer);
 		this.accessibility = new PanoramicAccessibility(this.modal, this.renderer);
+		this.controls.onKeyboardMove = () => this.accessibility.announceHeading();
+		this.hotspots = new PanoramicHotspots(this.viewer.parentElement, this.renderer);
+		this.renderer.setHotspotLayer(this.hotspots);
+		this.hotspots.onNavigate = (target) => this.goToScene(target);
+		this.autoRotate = new PanoramicAutoRotate(this.modal, this.renderer, this.autoRotateBtn);
+		this.fullscreen = new PanoramicFullscreen(this.modal, this.fullscreenBtn, this.renderer);
+		this.controls.onToggleFullscreen = () => this.fullscreen.toggle();
+		this.renderer.onFrame = () => this.handleFrame();
+
+		if (this.options.deepLinks) {
+			this.deepLink = new PanoramicDeepLink(this.renderer, this.copyLinkBtn);
+			this.deepLink.onBack = () => this.close();
+			this.deepLink.onForward = (link) => this.openViewer(link.block, false, link.view);
+			this.deepLink.onCopy = (copied) => this.accessibility.announceLinkCopied(copied);
+		}
+
+		if (this.options.gallery) {
+			this.gallery = new PanoramicGallery(this.prevBtn, this.nextBtn, this.modal.querySelector('.panoramic-gallery-position'));
+			this.gallery.onNavigate = (block) => this.goToBlock(block);
+
+			// Swipes step the other way in right-to-left pages
+			const isRTL = document.documentElement.dir === 'rtl';
+			this.controls.onSwipe = (direction) => this.gallery.step(isRTL ? -direction : direction);
+		}
+
+		const analytics = (window.panoramicImageBlockData || {}).analytics;
+		if (this.options.analytics && PanoramicAnalytics.isEnabled(analytics)) {
+			this.analytics = new PanoramicAnalytics(analytics, () => this.getView());
+		}
+	}
+
+	/**
+	 * Create the WebGL renderer where possible, falling back to Canvas 2D
+	 * @return {PanoramicRenderer} Renderer for the viewer canvas
+	 */
+	createRenderer() {
+		if (PanoramicWebGLRenderer.isSupported()) {
+			try {
+				return new PanoramicWebGLRenderer(this.canvas);
+			} catch (error) {
+				// WebGL failed after all, so fall back to Canvas 2D on a fresh canvas, as a
+				// canvas keeps the first context type it was given
+				const canvas = this.canvas.cloneNode(true);
+				this.canvas.replaceWith(canvas);
+				this.canvas = canvas;
+			}
+		}
+
+		return new PanoramicRenderer(this.canvas);
 	}
 
 	/**
@@ -125,62 +250,242 @@ class PanoramicViewer {
 	bindEvents() {
 		// Button events
 		this.closeBtn.addEventListener('click', this.handleCloseClick);
+		this.backBtn.addEventListener('click', this.handleBackClick);
 		this.zoomInBtn.addEventListener('click', this.handleZoomInClick);
 		this.zoomOutBtn.addEventListener('click', this.handleZoomOutClick);
 		this.zoomResetBtn.addEventListener('click', this.handleZoomResetClick);
 
 		// Modal events
 		this.modal.addEventListener('click', this.handleModalClick);
+	}
+
+	/**
+	 * Open block thumbnails in the lightbox when clicked or activated from the keyboard
+	 *
+	 * Delegated from the document, so thumbnails added to the page later open too.
+	 */
+	static bindThumbnailEvents() {
+		if (thumbnailEventsBound) {
+			return;
+		}
+		thumbnailEventsBound = true;
 
-		// Thumbnail click events
-		this.bindThumbnailEvents();
+		document.addEventListener('click', (e) => {
+			const thumbnail = e.target.closest(THUMBNAIL_SELECTOR);
+			if (thumbnail) {
+				PanoramicViewer.getLightbox().openViewer(thumbnail);
+			}
+		});
+		document.addEventListener('keydown', (e) => {
+			if ((e.key === 'Enter' || e.key === ' ') && e.target.matches(THUMBNAIL_SELECTOR)) {
+				e.preventDefault();
+				PanoramicViewer.getLightbox().openViewer(e.target);
+			}
+		});
 	}
 
 	/**
-	 * Bind thumbnail click events
+	 * Get the modal viewer block thumbnails open in, creating it the first time
+	 * @return {PanoramicViewer} Shared lightbox viewer
 	 */
-	bindThumbnailEvents() {
-		const attachEvents = () => {
-			const thumbnails = document.querySelectorAll(
-				'.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail'
-			);
-			
-			thumbnails.forEach((thumbnail) => {
-				thumbnail.addEventListener('click', (e) =>
-					this.openViewer(e.currentTarget)
-				);
-				thumbnail.addEventListener('keydown', (e) => {
-					if (e.key === 'Enter' || e.key === ' ') {
-						e.preventDefault();
-						this.openViewer(e.currentTarget);
-					}
-				});
-			});
-		};
+	static getLightbox() {
+		if (!lightbox || !lightbox.modal) {
+			lightbox = new PanoramicViewer(document.body, { deepLinks: true, gallery: true, analytics: true });
+		}
+		return lightbox;
+	}
 
-		if (document.readyState === 'loading') {
-			document.addEventListener('DOMContentLoaded', attachEvents);
-		} else {
-			attachEvents();
+	/**
+	 * Open a block's panorama in the lightbox
+	 * @param {HTMLElement} block - Block element, or its thumbnail
+	 * @param {Object|null} view  - { x, y, zoom }, or { yaw, pitch, zoom } in 360° and cylindrical
+	 *                            modes, to show in place of the block's starting view
+	 * @return {Promise} Resolves once the panorama is on show, and rejects if it fails
+	 *   to load, after the panoramic:error event
+	 */
+	static open(block, view = null) {
+		const thumbnail = block instanceof window.Element ?
+			block.closest(BLOCK_SELECTOR) || block.querySelector(BLOCK_SELECTOR) :
+			null;
+		if (!thumbnail) {
+			return Promise.reject(new TypeError('PanoramicViewer.open() expects a panoramic block element'));
+		}
+
+		return PanoramicViewer.getLightbox().openViewer(thumbnail, false, view).then((isShown) => {
+			if (!isShown) {
+				throw new Error('The panorama failed to load');
+			}
+		});
+	}
+
+	/**
+	 * Close the lightbox, if it is open
+	 */
+	static close() {
+		if (lightbox && lightbox.isOpen()) {
+			lightbox.close();
+		}
+	}
+
+	/**
+	 * Get the view in the lightbox
+	 * @return {Object|null} View from getView, or null while the lightbox is closed
+	 */
+	static getView() {
+		return lightbox && lightbox.isOpen() ? lightbox.getView() : null;
+	}
+
+	/**
+	 * Move the view in the lightbox
+	 * @param {Object} view - View as for setView
+	 * @return {boolean} Whether the lightbox was open to move
+	 */
+	static setView(view) {
+		return !!(lightbox && lightbox.isOpen()) && lightbox.setView(view);
+	}
+
+	/**
+	 * Listen for a viewer event from any block on the page
+	 * @param {string}   type    - Event name, with or without the 'panoramic:' prefix
+	 * @param {Function} handler - Called with the CustomEvent
+	 */
+	static on(type, handler) {
+		document.addEventListener(PanoramicViewer.getEventName(type), handler);
+	}
+
+	/**
+	 * Stop listening for a viewer event
+	 * @param {string}   type    - Event name, with or without the 'panoramic:' prefix
+	 * @param {Function} handler - Handler passed to on()
+	 */
+	static off(type, handler) {
+		document.removeEventListener(PanoramicViewer.getEventName(type), handler);
+	}
+
+	/**
+	 * Get the DOM event name for an event type
+	 * @param {string} type - Event name, with or without the prefix
+	 * @return {string} Prefixed event name
+	 */
+	static getEventName(type) {
+		return type.startsWith(EVENT_PREFIX) ? type : EVENT_PREFIX + type;
+	}
+
+	/**
+	 * Whether the viewer has a panorama on show
+	 * @return {boolean} Whether the viewer is open
+	 */
+	isOpen() {
+		return !!this.modal && this.modal.classList.contains('active');
+	}
+
+	/**
+	 * Get the view on show
+	 * @return {Object|null} { x, y, zoom }, in the terms of the block's starting view, with
+	 *   yaw and pitch in degrees in 360° and cylindrical modes. Null before a panorama loads.
+	 */
+	getView() {
+		const view = this.renderer.getViewState();
+		if (!view || !this.renderer.isProjected()) {
+			return view;
+		}
+		return { ...view, yaw: this.renderer.yaw, pitch: this.renderer.pitch };
+	}
+
+	/**
+	 * Move the view, pausing any auto-rotation
+	 * @param {Object} view - Any of x, y and zoom as from getView, or yaw and pitch in 360°
+	 *                      and cylindrical modes; those left out keep their current value
+	 * @return {boolean} Whether there was a panorama to move
+	 */
+	setView(view) {
+		if (!view || !this.renderer.getViewState()) {
+			return false;
+		}
+
+		const { yaw, pitch, ...rest } = view;
+		this.autoRotate.stop();
+		this.renderer.setViewState(rest);
+		if (this.renderer.isProjected() && (yaw !== undefined || pitch !== undefined)) {
+			this.renderer.setView(yaw ?? this.renderer.yaw, pitch ?? this.renderer.pitch);
+		}
+		return true;
+	}
+
+	/**
+	 * Dispatch a viewer event from the block on show, bubbling up to the document
+	 * @param {string} type   - Event name, without the prefix
+	 * @param {Object} detail - Event details, added to the viewer and block
+	 */
+	dispatch(type, detail = {}) {
+		const target = this.block && this.block.isConnected ? this.block : this.container;
+		target.dispatchEvent(new CustomEvent(EVENT_PREFIX + type, {
+			bubbles: true,
+			detail: { viewer: this, block: this.block, ...detail }
+		}));
+	}
+
+	/**
+	 * Follow each frame drawn, reporting the view whenever it has moved
+	 */
+	handleFrame() {
+		if (this.deepLink) {
+			this.deepLink.update();
 		}
+		if (!this.isOpen()) {
+			return;
+		}
+
+		const view = this.getView();
+		const last = this.lastView;
+		if (!view || (last && view.x === last.x && view.y === last.y && view.zoom === last.zoom)) {
+			return;
+		}
+
+		this.lastView = view;
+		this.dispatch('viewchange', { view });
 	}
 
 	/**
 	 * Open viewer with image data
-	 * @param {HTMLElement} thumbnail - Thumbnail element
+	 * @param {HTMLElement} thumbnail     - Thumbnail element
+	 * @param {boolean}     isSceneChange - Whether a tour is moving to this panorama inside the open viewer
+	 * @param {Object|null} view          - View as for setView to show in place of the starting view, as from a deep link
+	 * @return {Promise<boolean>} Whether the panorama is on show; a failure is shown in the viewer
 	 */
-	async openViewer(thumbnail) {
+	async openViewer(thumbnail, isSceneChange = false, view = null) {
 		const blockType = thumbnail.dataset.blockType || 'panoramic';
 		const altText = thumbnail.dataset.alt;
 
+		// Opening from the page starts a new tour
+		if (!isSceneChange) {
+			this.sceneHistory = [];
+		}
+		this.currentScene = thumbnail;
+		if (thumbnail.isConnected) {
+			this.block = thumbnail;
+		}
+		this.backBtn.hidden = this.sceneHistory.length === 0;
+		if (this.gallery) {
+			this.gallery.setCurrent(thumbnail);
+		}
+		const snapshot = isSceneChange ? this.captureScene() : null;
+
 		this.accessibility.updateTitle(altText || 'Panoramic Image Viewer');
 
 		// Remove any previous error message
 		const oldError = this.modal.querySelector('.panoramic-error');
-		if (oldError) oldError.remove();
+		if (oldError) {
+			oldError.remove();
+		}
 
 		let imagesData;
 		let imageUrls;
+		let offsets = null;
+		let transforms = null;
+		// A stitched block with an image saved from the editor is shown like a single panorama
+		let isSingleImage = blockType === 'single';
+		let segmentCount = 1;
 
 		try {
 			if (blockType === 'single') {
@@ -190,59 +495,288 @@ class PanoramicViewer {
 				}
 				imagesData = [imageData];
 				imageUrls = [imageData.url];
+			} else if (thumbnail.dataset.stitchedImage) {
+				const imageData = JSON.parse(thumbnail.dataset.stitchedImage);
+				if (!PanoramicUtils.validateImageData(imageData, 'single')) {
+					throw new Error('Invalid stitched image data');
+				}
+				imagesData = [imageData];
+				imageUrls = [imageData.url];
+				isSingleImage = true;
+				segmentCount = JSON.parse(thumbnail.dataset.images || '[]').length;
 			} else {
 				imagesData = JSON.parse(thumbnail.dataset.images);
 				if (!PanoramicUtils.validateImageData(imagesData, 'multiple')) {
 					throw new Error('Invalid multiple images data');
 				}
 				imageUrls = imagesData.map(img => img.url);
+				segmentCount = imagesData.length;
+				offsets = thumbnail.dataset.offsets ? JSON.parse(thumbnail.dataset.offsets) : null;
+				if (!PanoramicUtils.offsetsMatchImages(imagesData, offsets)) {
+					offsets = null;
+				}
+				if (thumbnail.dataset.transforms) {
+					transforms = PanoramicUtils.resolveSegmentTransforms(imagesData, JSON.parse(thumbnail.dataset.transforms));
+				}
 			}
+			this.renderer.setSegmentOffsets(offsets);
+			this.renderer.setSegmentTransforms(transforms);
+			const stitchOptions = {
+				blendWidth: parseFloat(thumbnail.dataset.blendWidth) || 0,
+				exposureCompensation: thumbnail.dataset.exposureCompensation === 'true'
+			};
+			this.renderer.setStitchOptions(stitchOptions);
+			this.renderer.setProjection(thumbnail.dataset.projection, thumbnail.dataset.hfov);
+			this.renderer.setLoop(thumbnail.dataset.loop === 'true');
+			this.renderer.setInitialView(thumbnail.dataset.initialView ? JSON.parse(thumbnail.dataset.initialView) : null);
+			this.autoRotate.configure(thumbnail.dataset.autoRotate ? JSON.parse(thumbnail.dataset.autoRotate) : null);
 
-			// Check if images have changed
-			const shouldReload = this.shouldReloadImages(imageUrls);
+			// A deep zoom pyramid stands in for the image when the panorama is shown flat
+			let tiles = thumbnail.dataset.tiles && !this.renderer.isProjected() ?
+				JSON.parse(thumbnail.dataset.tiles) :
+				null;
+			if (!PanoramicTileLayer.isValidManifest(tiles)) {
+				tiles = null;
+			}
+			const sourceUrls = tiles ? [tiles.url] : imageUrls;
+
+			this.hotspots.setHotspots(thumbnail.dataset.hotspots ? JSON.parse(thumbnail.dataset.hotspots) : []);
+
+			// Check if images or how they are stitched have changed
+			const stitchKey = JSON.stringify({ offsets, transforms, stitchOptions });
+			const shouldReload = this.shouldReloadImages(sourceUrls) || stitchKey !== this._lastStitchKey;
 
 			if (shouldReload) {
 				this.accessibility.showLoading();
 				
-				await this.renderer.loadImages(imagesData);
+				if (tiles) {
+					try {
+						await this.renderer.loadTiles(tiles);
+					} catch (error) {
+						// Fall back to the full image, e.g. while the tiles are regenerated
+						tiles = null;
+					}
+				}
 				
-				if (blockType === 'single') {
-					await this.renderer.setupSingleImage();
-				} else {
-					await this.renderer.stitchImages();
+				if (!tiles) {
+					await this.renderer.loadImages(imagesData);
+					
+					if (isSingleImage) {
+						await this.renderer.setupSingleImage();
+					} else {
+						await this.renderer.stitchImages();
+					}
 				}
 				
-				this._lastImageUrls = imageUrls;
+				this._lastImageUrls = tiles ? sourceUrls : imageUrls;
+				this._lastStitchKey = stitchKey;
 				this.accessibility.hideLoading();
 				this.accessibility.announceLoadingSuccess();
-				this.accessibility.provideImageDescription(blockType, imagesData.length);
+				this.accessibility.provideImageDescription(blockType, segmentCount);
 			}
 
 			this.renderer.resetView();
-			this.modal.classList.add('active');
-
-			// Setup accessibility
-			this.accessibility.setInitialFocus(this.viewer);
-			this.accessibility.trapFocus();
+			if (view) {
+				// A shared view stays put rather than rotating away
+				this.setView(view);
+			} else {
+				this.autoRotate.start();
+			}
 
-			// Add document keydown handler for escape
-			document.addEventListener('keydown', this.handleModalKeydown);
+			if (isSceneChange) {
+				// The modal is already open, with focus trapped inside it
+				this.fadeOutScene(snapshot);
+				if (this.deepLink) {
+					this.deepLink.changeScene(thumbnail);
+				}
+				this.viewer.focus();
+				this.accessibility.announceSceneChange(altText);
+			} else {
+				this.show();
+			}
 
-			// Prevent body scroll
-			document.body.style.overflow = 'hidden';
+			this.dispatch('open', { view: this.getView(), isSceneChange });
+			if (this.analytics) {
+				this.analytics.start(thumbnail);
+			}
+			return true;
 
 		} catch (error) {
 			console.error('Error opening panoramic viewer:', error);
+			if (snapshot) {
+				snapshot.remove();
+			}
+
+			// The renderer may hold part of the failed scene, so load it in full next time
+			this._lastImageUrls = null;
 			this.accessibility.hideLoading();
 			this.accessibility.announceLoadingError();
 			this.showError('Failed to load panoramic images. Please try again.');
+			const errorType = PanoramicUtils.getErrorType(error);
+			this.dispatch('error', {
+				error,
+				errorType,
+				message: 'Failed to load panoramic images. Please try again.'
+			});
+			if (this.analytics) {
+				this.analytics.error(thumbnail, errorType);
+			}
+			return false;
+		}
+	}
+
+	/**
+	 * Show the modal once its first panorama is drawn
+	 */
+	show() {
+		this.modal.classList.add('active');
+		if (!openModals.includes(this)) {
+			openModals.push(this);
+		}
+
+		// Setup accessibility
+		this.accessibility.setInitialFocus(this.viewer);
+		this.accessibility.trapFocus();
+
+		// Add document keydown handler for escape
+		document.addEventListener('keydown', this.handleModalKeydown);
+
+		// Prevent body scroll
+		document.body.style.overflow = 'hidden';
+
+		if (this.deepLink) {
+			this.deepLink.open(this.currentScene);
 		}
 	}
 
+	/**
+	 * Move to the scene a tour arrow targets, keeping the current scene to go back to
+	 * @param {Object} target - { type: 'block', scene } or { type: 'attachment', image, tiles }
+	 */
+	async goToScene(target) {
+		if (this.isChangingScene) {
+			return;
+		}
+
+		const source = this.getSceneSource(target);
+		if (!source) {
+			// The block or image the arrow leads to is gone, so stay on this scene
+			return;
+		}
+
+		this.sceneHistory.push(this.currentScene);
+		await this.changeScene(source);
+	}
+
+	/**
+	 * Return to the scene the tour came from
+	 */
+	async goBack() {
+		if (this.isChangingScene || !this.sceneHistory.length) {
+			return;
+		}
+		await this.changeScene(this.sceneHistory.pop());
+	}
+
+	/**
+	 * Step to another block on the page, leaving any tour behind
+	 * @param {HTMLElement} block - Block thumbnail
+	 */
+	async goToBlock(block) {
+		if (this.isChangingScene) {
+			return;
+		}
+
+		this.sceneHistory = [];
+		await this.changeScene(block);
+
+		const position = this.gallery.getPosition();
+		if (position) {
+			this.accessibility.announceGalleryPosition(block.dataset.alt, position.position, position.total);
+		}
+	}
+
+	/**
+	 * Load another scene into the open viewer, one at a time
+	 * @param {HTMLElement} source - Thumbnail, or stand-in element, of the scene
+	 */
+	async changeScene(source) {
+		this.isChangingScene = true;
+		try {
+			await this.openViewer(source, true);
+		} finally {
+			this.isChangingScene = false;
+		}
+	}
+
+	/**
+	 * Find the element holding the data of a tour scene
+	 * @param {Object} target - Hotspot target
+	 * @return {HTMLElement|null} Block thumbnail, or a detached stand-in for an attachment
+	 */
+	getSceneSource(target) {
+		if (!target) {
+			return null;
+		}
+
+		if (target.type === 'block' && target.scene) {
+			return document.querySelector(`[data-scene-id="${window.CSS.escape(target.scene)}"]`);
+		}
+
+		if (target.type === 'attachment' && target.image) {
+			// Attachments have no block on the page, so carry their data the way a single block does
+			const source = document.createElement('div');
+			source.dataset.blockType = 'single';
+			source.dataset.image = JSON.stringify(target.image);
+			source.dataset.alt = target.image.alt || '';
+			if (target.tiles) {
+				source.dataset.tiles = JSON.stringify(target.tiles);
+			}
+			return source;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Cover the canvas with a copy of the current frame, to crossfade once the next scene is drawn
+	 * @return {HTMLCanvasElement} Snapshot laid over the canvas
+	 */
+	captureScene() {
+		const snapshot = document.createElement('canvas');
+		snapshot.className = 'panoramic-scene-snapshot';
+		snapshot.setAttribute('aria-hidden', 'true');
+		snapshot.width = this.canvas.width;
+		snapshot.height = this.canvas.height;
+
+		// WebGL may clear its drawing buffer once shown, so draw a fresh frame to copy
+		this.renderer.renderImmediate();
+		snapshot.getContext('2d').drawImage(this.canvas, 0, 0);
+
+		this.viewer.appendChild(snapshot);
+		return snapshot;
+	}
+
+	/**
+	 * Fade out the previous scene's snapshot, revealing the new scene beneath
+	 * @param {HTMLCanvasElement} snapshot - Snapshot from captureScene
+	 */
+	fadeOutScene(snapshot) {
+		if (PanoramicUtils.prefersReducedMotion()) {
+			snapshot.remove();
+			return;
+		}
+
+		snapshot.style.transitionDuration = `${SCENE_FADE_DURATION}ms`;
+		// Wait a frame so the opacity change is transitioned rather than applied at once
+		window.requestAnimationFrame(() => snapshot.classList.add('is-fading'));
+		setTimeout(() => snapshot.remove(), SCENE_FADE_DURATION + 100);
+	}
+
 	/**
 	 * Check if images should be reloaded
 	 * @param {Array} imageUrls - New image URLs
-	 * @returns {boolean} Whether to reload images
+	 * @return {boolean} Whether to reload images
 	 */
 	shouldReloadImages(imageUrls) {
 		return !this._lastImageUrls || 
@@ -267,15 +801,38 @@ class PanoramicViewer {
 	 * Close the viewer
 	 */
 	close() {
+		const wasOpen = this.isOpen();
 		this.modal.classList.remove('active');
-		document.body.style.overflow = '';
+		this.lastView = null;
+
+		const index = openModals.indexOf(this);
+		if (index !== -1) {
+			openModals.splice(index, 1);
+		}
+		if (!openModals.length) {
+			document.body.style.overflow = '';
+		}
 
 		// Remove document keydown handler
 		document.removeEventListener('keydown', this.handleModalKeydown);
 
+		this.hotspots.closePopover(false);
+		this.autoRotate.stop();
+		this.fullscreen.exit();
+		if (this.deepLink) {
+			this.deepLink.close();
+		}
+		if (this.analytics) {
+			this.analytics.close();
+		}
+
 		// Cleanup accessibility
 		this.accessibility.restoreFocus();
 		this.accessibility.removeFocusTrap();
+
+		if (wasOpen) {
+			this.dispatch('close');
+		}
 	}
 
 	/**
@@ -283,11 +840,12 @@ class PanoramicViewer {
 	 * @param {number} factor - Zoom factor
 	 */
 	zoom(factor) {
-		const oldScale = this.renderer.scale;
+		// Announced as the scale the zoom eases to, not the one it starts from
+		const oldScale = this.renderer.getTargetScale();
 		const zoomed = this.renderer.zoom(factor);
 		
 		if (zoomed) {
-			this.accessibility.announceZoomChange(oldScale, this.renderer.scale);
+			this.accessibility.announceZoomChange(oldScale, this.renderer.getTargetScale());
 		}
 	}
 
@@ -304,9 +862,20 @@ class PanoramicViewer {
 	 * @param {KeyboardEvent} e - Keyboard event
 	 */
 	handleModalKeydown(e) {
+		// A modal opened over this one takes the keyboard
+		if (openModals[openModals.length - 1] !== this) {
+			return;
+		}
+
 		if (e.key === 'Escape') {
 			e.preventDefault();
 			this.close();
+		} else if (e.key === 'Backspace' && this.sceneHistory.length) {
+			e.preventDefault();
+			this.goBack();
+		} else if ((e.key === 'PageUp' || e.key === 'PageDown') && this.gallery) {
+			e.preventDefault();
+			this.gallery.step(e.key === 'PageDown' ? 1 : -1);
 		}
 	}
 
@@ -320,17 +889,38 @@ class PanoramicViewer {
 		if (this.controls) {
 			this.controls.destroy();
 		}
+		if (this.autoRotate) {
+			this.autoRotate.destroy();
+		}
+		if (this.fullscreen) {
+			this.fullscreen.destroy();
+		}
+		if (this.deepLink) {
+			this.deepLink.destroy();
+		}
+		if (this.gallery) {
+			this.gallery.destroy();
+		}
+		if (this.analytics) {
+			this.analytics.destroy();
+		}
 		if (this.renderer) {
 			this.renderer.destroy();
 		}
 		if (this.accessibility) {
 			this.accessibility.destroy();
 		}
+		if (this.hotspots) {
+			this.hotspots.destroy();
+		}
 
 		// Remove event listeners
 		if (this.closeBtn) {
 			this.closeBtn.removeEventListener('click', this.handleCloseClick);
 		}
+		if (this.backBtn) {
+			this.backBtn.removeEventListener('click', this.handleBackClick);
+		}
 		if (this.zoomInBtn) {
 			this.zoomInBtn.removeEventListener('click', this.handleZoomInClick);
 		}
@@ -356,6 +946,239 @@ class PanoramicViewer {
 		this.renderer = null;
 		this.controls = null;
 		this.accessibility = null;
+		this.hotspots = null;
+		this.autoRotate = null;
+		this.fullscreen = null;
+		this.deepLink = null;
+		this.gallery = null;
+		this.analytics = null;
+		this.currentScene = null;
+		this.block = null;
+		this.sceneHistory = [];
+	}
+}
+
+// Thumbnails of blocks set to show their viewer inline in the page
+const INLINE_SELECTOR = '.panoramic-image-block-thumbnail.is-inline, .single-panoramic-image-block-thumbnail.is-inline';
+
+// Blocks whose inline viewer is already mounted
+const mountedInline = new WeakSet();
+
+/**
+ * Viewer embedded in a block, in the flow of the page
+ *
+ * Runs its own renderer and controls inside the block's container, loading the
+ * panorama once it scrolls near the viewport. The expand button opens the same
+ * panorama in the shared modal viewer. Constructed with the block container,
+ * which holds the panorama's data.
+ */
+class PanoramicInlineViewer extends PanoramicViewer {
+	/**
+	 * Create the embedded viewer in the block
+	 */
+	createModal() {
+		const id = PanoramicUtils.generateId('panoramic-inline');
+
+		this.modal = document.createElement('div');
+		this.modal.className = 'panoramic-inline';
+
+		this.modal.innerHTML = `
+			<div class="panoramic-viewer-container">
+				<button class="panoramic-back" aria-label="Back to the previous scene" title="Back (Backspace)" hidden>&larr;</button>
+				<div class="panoramic-loading" aria-live="polite" aria-label="Loading panoramic image" style="display: none;">
+					<div class="panoramic-loading-spinner" aria-hidden="true"></div>
+					<span>Loading panoramic view...</span>
+				</div>
+				<div class="panoramic-viewer" role="img" tabindex="0" aria-describedby="${id}-instructions">
+					<canvas aria-hidden="true"></canvas>
+				</div>
+				<div class="panoramic-controls" role="toolbar" aria-label="Panoramic viewer controls">
+					<button class="panoramic-zoom-out" aria-label="Zoom out" title="Zoom out (-)">-</button>
+					<button class="panoramic-zoom-reset" aria-label="Reset zoom and position" title="Reset zoom (0)">Reset</button>
+					<button class="panoramic-zoom-in" aria-label="Zoom in" title="Zoom in (+)">+</button>
+					<button class="panoramic-autorotate" hidden></button>
+					<button class="panoramic-fullscreen" hidden></button>
+					<button class="panoramic-expand" aria-label="Expand panoramic viewer" title="Expand">&#x2922;</button>
+				</div>
+				<div id="${id}-instructions" class="sr-only">
+					Interactive panoramic image. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom, or hold Ctrl while scrolling. Press 0 to reset view. Press F for full screen.
+				</div>
+				<div class="panoramic-status sr-only" aria-live="polite" aria-atomic="true"></div>
+			</div>
+		`;
+
+		this.container.appendChild(this.modal);
+		this.cacheElements();
+		this.expandBtn = this.modal.querySelector('.panoramic-expand');
+		this.viewer.setAttribute('aria-label', this.container.dataset.alt || 'Interactive panoramic image viewer');
+	}
+
+	/**
+	 * Initialize component modules
+	 */
+	initializeComponents() {
+		super.initializeComponents();
+
+		// The page scrolls under the wheel unless the visitor means to zoom,
+		// and under a finger moving up or down, which only pans the view when it moves sideways
+		this.controls.requireWheelModifier = true;
+		this.controls.allowTouchScroll = true;
+
+		if (this.analytics) {
+			this.analytics.source = 'inline';
+		}
+	}
+
+	/**
+	 * Bind UI event listeners, and load the panorama once it nears the viewport
+	 */
+	bindEvents() {
+		this.handleExpandClick = () => this.expand();
+		this.backBtn.addEventListener('click', this.handleBackClick);
+		this.zoomInBtn.addEventListener('click', this.handleZoomInClick);
+		this.zoomOutBtn.addEventListener('click', this.handleZoomOutClick);
+		this.zoomResetBtn.addEventListener('click', this.handleZoomResetClick);
+		this.expandBtn.addEventListener('click', this.handleExpandClick);
+		this.modal.addEventListener('keydown', this.handleModalKeydown);
+
+		// Recording stops while the lightbox is open over the page, and starts again as it closes
+		this.handleLightboxChange = (e) => {
+			if (e.detail.viewer === this) {
+				return;
+			}
+			if (!openModals.length) {
+				this.resumeAnalytics();
+			} else if (this.analytics) {
+				this.analytics.close();
+			}
+		};
+		document.addEventListener(EVENT_PREFIX + 'open', this.handleLightboxChange);
+		document.addEventListener(EVENT_PREFIX + 'close', this.handleLightboxChange);
+
+		this.isLoaded = false;
+		this.isVisible = false;
+		if ('IntersectionObserver' in window) {
+			this.visibilityObserver = new window.IntersectionObserver(
+				(entries) => this.handleVisibility(entries[0].isIntersecting),
+				{ rootMargin: '200px' }
+			);
+			this.visibilityObserver.observe(this.container);
+		} else {
+			this.handleVisibility(true);
+		}
+
+		if ('ResizeObserver' in window) {
+			this.resizeObserver = new window.ResizeObserver(() => this.renderer.resize());
+			this.resizeObserver.observe(this.viewer);
+		}
+	}
+
+	/**
+	 * Load the panorama the first time it nears the viewport, and only rotate and record while it is there
+	 * @param {boolean} isVisible - Whether the block is in or near the viewport
+	 */
+	handleVisibility(isVisible) {
+		this.isVisible = isVisible;
+		if (!isVisible) {
+			this.autoRotate.stop();
+			if (this.analytics) {
+				this.analytics.close();
+			}
+		} else if (!this.isLoaded) {
+			this.isLoaded = true;
+			this.openViewer(this.container).then(() => {
+				// The block may have left the viewport while the panorama loaded
+				if (!this.isVisible && this.analytics) {
+					this.analytics.close();
+				}
+			});
+		} else {
+			this.autoRotate.start();
+			this.resumeAnalytics();
+		}
+	}
+
+	/**
+	 * Show the viewer over the block's poster once its first panorama is drawn
+	 */
+	show() {
+		this.modal.classList.add('active');
+	}
+
+	/**
+	 * Stop whatever the viewer is doing; it stays in the page
+	 */
+	close() {
+		this.hotspots.closePopover(false);
+		this.autoRotate.stop();
+		this.fullscreen.exit();
+	}
+
+	/**
+	 * Record the panorama on show again, if it is on screen with no lightbox open over it
+	 */
+	resumeAnalytics() {
+		if (this.analytics && !this.analytics.session && this.isVisible && !openModals.length && this.modal.classList.contains('active')) {
+			this.analytics.start(this.currentScene || this.container);
+		}
+	}
+
+	/**
+	 * Open the panorama on show in the modal viewer
+	 */
+	expand() {
+		this.autoRotate.stop();
+		PanoramicViewer.getLightbox().openViewer(this.currentScene || this.container);
+	}
+
+	/**
+	 * Handle keydown events inside the viewer
+	 * @param {KeyboardEvent} e - Keyboard event
+	 */
+	handleModalKeydown(e) {
+		if (e.key === 'Backspace' && this.sceneHistory.length) {
+			e.preventDefault();
+			this.goBack();
+		}
+	}
+
+	/**
+	 * Destroy the viewer and cleanup resources
+	 */
+	destroy() {
+		if (this.visibilityObserver) {
+			this.visibilityObserver.disconnect();
+			this.visibilityObserver = null;
+		}
+		if (this.resizeObserver) {
+			this.resizeObserver.disconnect();
+			this.resizeObserver = null;
+		}
+		if (this.expandBtn) {
+			this.expandBtn.removeEventListener('click', this.handleExpandClick);
+			this.expandBtn = null;
+		}
+		if (this.modal) {
+			this.modal.removeEventListener('keydown', this.handleModalKeydown);
+		}
+		document.removeEventListener(EVENT_PREFIX + 'open', this.handleLightboxChange);
+		document.removeEventListener(EVENT_PREFIX + 'close', this.handleLightboxChange);
+		mountedInline.delete(this.container);
+
+		super.destroy();
+	}
+
+	/**
+	 * Mount a viewer in every inline block on the page that has none yet
+	 * @return {PanoramicInlineViewer[]} Viewers mounted
+	 */
+	static mountAll() {
+		return Array.from(document.querySelectorAll(INLINE_SELECTOR))
+			.filter(thumbnail => !mountedInline.has(thumbnail))
+			.map(thumbnail => {
+				mountedInline.add(thumbnail);
+				return new PanoramicInlineViewer(thumbnail, { analytics: true });
+			});
 	}
 }
 
@@ -381,17 +1204,23 @@ if (!document.getElementById('pano-sr-only-style')) {
 
 // Export for global access
 window.PanoramicViewer = PanoramicViewer;
+window.PanoramicInlineViewer = PanoramicInlineViewer;
 
-// Initialize on DOM ready
+// Set up the blocks on the page, and return the lightbox their thumbnails open in
 window.initPanoramicViewer = function() {
-	if (!window._panoViewerInstance) {
-		window._panoViewerInstance = new PanoramicViewer();
-	}
-	return window._panoViewerInstance;
+	PanoramicViewer.bindThumbnailEvents();
+	PanoramicInlineViewer.mountAll();
+	return PanoramicViewer.getLightbox();
 };
 
+// Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', function() {
-	if (!window._panoViewerInstance) {
-		window._panoViewerInstance = window.initPanoramicViewer();
+	PanoramicViewer.bindThumbnailEvents();
+	PanoramicInlineViewer.mountAll();
+
+	// A deep link opens its panorama in the lightbox, at the view it was shared from
+	const link = PanoramicDeepLink.parse();
+	if (link) {
+		PanoramicViewer.getLightbox().openViewer(link.block, false, link.view);
 	}
 });
\ No newline at end of file
@@ -7,12 +7,126 @@ class PanoramicUtils {
 		if (type === 'single') {
 			return data && typeof data === 'object' && data.url;
 		}
-		return Array.isArray(data) && data.length === 3 && data.every(img => img && typeof img === 'object' && img.url);
+		const { minSegments, maxSegments } = this.getSegmentLimits();
+		return Array.isArray(data) &&
+			data.length >= minSegments &&
+			data.length <= maxSegments &&
+			data.every(img => img && typeof img === 'object' && img.url);
+	}
+
+	static getSegmentLimits() {
+		const data = window.panoramicImageBlockData || {};
+		return {
+			minSegments: data.minSegments || 2,
+			maxSegments: data.maxSegments || 12
+		};
+	}
+
+	static offsetsMatchImages(imagesData, offsets) {
+		return Array.isArray(offsets) &&
+			offsets.length === imagesData.length &&
+			offsets.every((offset, i) => offset && offset.id === imagesData[i].id);
+	}
+
+	static layoutSideBySide(images) {
+		const maxHeight = Math.max(...images.map(img => img.height));
+		const positions = [];
+		let x = 0;
+		images.forEach(img => {
+			positions.push({ x, y: (maxHeight - img.height) / 2 });
+			x += img.width;
+		});
+		return { width: x, height: maxHeight, positions };
+	}
+
+	static layoutSegments(images, offsets) {
+		const positions = [{ x: 0, y: 0 }];
+		for (let i = 1; i < images.length; i++) {
+			const previous = images[i - 1];
+			positions.push({
+				x: positions[i - 1].x + offsets[i].x * previous.width,
+				y: positions[i - 1].y + offsets[i].y * previous.height
+			});
+		}
+
+		return this.fitLayout(images, positions, true);
+	}
+
+	static fitLayout(images, positions, cropToBand) {
+		const left = Math.min(...positions.map(p => p.x));
+		const right = Math.max(...positions.map((p, i) => p.x + images[i].width));
+
+		let top = Math.min(...positions.map(p => p.y));
+		let bottom = Math.max(...positions.map((p, i) => p.y + images[i].height));
+		if (cropToBand) {
+			// Crop to the band every segment covers, unless that band would be too thin
+			const bandTop = Math.max(...positions.map(p => p.y));
+			const bandBottom = Math.min(...positions.map((p, i) => p.y + images[i].height));
+			if (bandBottom - bandTop >= Math.min(...images.map(img => img.height)) / 2) {
+				top = bandTop;
+				bottom = bandBottom;
+			}
+		}
+
+		return {
+			width: Math.round(right - left),
+			height: Math.round(bottom - top),
+			positions: positions.map(p => ({ x: p.x - left, y: p.y - top }))
+		};
+	}
+
+	static getDefaultTransform() {
+		return { offsetX: 0, offsetY: 0, overlap: 0, rotation: 0, cropTop: 0, cropBottom: 0 };
+	}
+
+	static resolveSegmentTransforms(imagesData, transforms) {
+		const byId = new Map((Array.isArray(transforms) ? transforms : []).map(t => [t.id, t]));
+		return imagesData.map(img => ({ ...this.getDefaultTransform(), ...byId.get(img.id) }));
+	}
+
+	// Overlap pulls a segment and everything after it to the left, offsets move only
+	// that segment, crops trim its top and bottom and rotation turns it about its centre
+	static applySegmentTransforms(images, layout, transforms, cropToBand) {
+		const segments = [];
+		const positions = [];
+		const rotations = [];
+		let shift = 0;
+
+		images.forEach((img, i) => {
+			const t = transforms[i];
+			const cropTop = Math.round((t.cropTop / 100) * img.height);
+			const cropBottom = Math.round((t.cropBottom / 100) * img.height);
+			const height = Math.max(1, img.height - cropTop - cropBottom);
+
+			if (i > 0) {
+				shift -= (t.overlap / 100) * img.width;
+			}
+
+			segments.push(cropTop || cropBottom ? this.cropSegment(img, cropTop, height) : img);
+			positions.push({
+				x: layout.positions[i].x + shift + (t.offsetX / 100) * img.width,
+				y: layout.positions[i].y + cropTop + (t.offsetY / 100) * img.height
+			});
+			rotations.push(t.rotation);
+		});
+
+		return {
+			images: segments,
+			layout: { ...this.fitLayout(segments, positions, cropToBand), rotations }
+		};
+	}
+
+	static cropSegment(img, top, height) {
+		const canvas = document.createElement('canvas');
+		canvas.width = img.width;
+		canvas.height = height;
+		canvas.getContext('2d').drawImage(img, 0, top, img.width, height, 0, 0, img.width, height);
+		return canvas;
 	}
 
 	static loadImageWithTimeout(url, timeout = 10000) {
 		return new Promise((resolve, reject) => {
-			const img = new Image();
+			const img = new window.Image();
 			img.crossOrigin = 'anonymous';
 			let isResolved = false;
 
@@ -71,7 +185,9 @@ class PanoramicUtils {
 	}
 
 	static createThumbnailUrl(originalUrl, size = 300) {
-		if (!originalUrl) return originalUrl;
+		if (!originalUrl) {
+			return originalUrl;
+		}
 		
 		// Extract extension
 		const extension = originalUrl.split('.').pop();
@@ -166,748 +282,3687 @@ class PanoramicUtils {
 		return Math.max(min, Math.min(max, value));
 	}
 
+	// Wrap value into the repeating range [min, max)
+	static wrap(value, min, max) {
+		const range = max - min;
+		if (range <= 0) {
+			return min;
+		}
+		return ((((value - min) % range) + range) % range) + min;
+	}
+
 	static calculateDistance(x1, y1, x2, y2) {
 		const deltaX = x2 - x1;
 		const deltaY = y2 - y1;
 		return Math.sqrt(deltaX * deltaX + deltaY * deltaY);
 	}
+
+	static prefersReducedMotion() {
+		return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+	}
+
+	static generateId(prefix = 'panoramic') {
+		return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+	}
 }
 
 /**
- * Panoramic Renderer
- * Handles all canvas rendering operations for panoramic images
+ * Panoramic Compositor
+ * Draws laid-out segments with a gain per segment and a linear feather across each seam
  */
-class PanoramicRenderer {
-	constructor(canvas) {
-		this.canvas = canvas;
-		this.ctx = canvas.getContext('2d');
-		this.stitchedCanvas = null;
-		this.images = [];
-		
-		this.scale = 1;
-		this.minScale = 0.5;
-		this.maxScale = 3;
-		this.panX = 0;
-		this.panY = 0;
-		
-		this.renderFPS = 60;
-		this.renderInterval = 1000 / this.renderFPS;
-		this._renderScheduled = false;
-		this._lastRenderTime = 0;
-	}
 
-	async loadImages(imagesData, progressCallback = null, errorCallback = null) {
-		this.images = [];
-		this.thumbnailImages = [];
-		this.loadingErrors = [];
-		
-		const loadPromises = imagesData.map(async (imgData, index) => {
-			const onThumbnailLoad = (thumbnailImg) => {
-				this.thumbnailImages[index] = thumbnailImg;
-				if (progressCallback) {
-					progressCallback({
-						type: 'thumbnail',
-						index,
-						total: imagesData.length,
-						image: thumbnailImg
-					});
-				}
-			};
-
-			const onRetryAttempt = (errorInfo) => {
-				this.loadingErrors.push({
-					index,
-					url: imgData.url,
-					...errorInfo
-				});
-				if (errorCallback) {
-					errorCallback({
-						type: 'retry',
-						index,
-						total: imagesData.length,
-						...errorInfo
-					});
-				}
-			};
+// Size of the sample canvas used to average the colour of a region
+const COMPOSITOR_SAMPLE_SIZE = 16;
 
-			try {
-				const result = await PanoramicUtils.loadImageProgressive(
-					imgData.url, 
-					onThumbnailLoad, 
-					onRetryAttempt
-				);
-				
-				if (progressCallback) {
-					progressCallback({
-						type: 'full',
-						index,
-						total: imagesData.length,
-						image: result.full
-					});
-				}
-				
-				return result.full;
-			} catch (error) {
-				// Record final error
-				const errorInfo = {
-					index,
-					url: imgData.url,
-					error,
-					errorType: PanoramicUtils.getErrorType(error)
-				};
-				this.loadingErrors.push(errorInfo);
-				
-				if (errorCallback) {
-					errorCallback({
-						type: 'failed',
-						index,
-						total: imagesData.length,
-						...errorInfo
-					});
-				}
-				
-				throw error;
-			}
-		});
-		
-		this.images = await Promise.all(loadPromises);
-	}
+// Width of the strips compared at a seam with no overlap, as a fraction of segment width
+const COMPOSITOR_SEAM_STRIP_FRACTION = 0.05;
 
-	async setupSingleImage() {
-		if (this.images.length !== 1) return;
-		const img = this.images[0];
-		this.stitchedCanvas = document.createElement('canvas');
-		this.stitchedCanvas.width = img.width;
-		this.stitchedCanvas.height = img.height;
-		const ctx = this.stitchedCanvas.getContext('2d');
-		ctx.fillStyle = 'white';
-		ctx.fillRect(0, 0, this.stitchedCanvas.width, this.stitchedCanvas.height);
-		ctx.drawImage(img, 0, 0, img.width, img.height);
-	}
+// Limits on the correction applied to a single seam
+const COMPOSITOR_MIN_GAIN_RATIO = 0.5;
+const COMPOSITOR_MAX_GAIN_RATIO = 2;
 
-	async stitchImages() {
-		if (this.images.length !== 3) return;
-		this.createStitchedCanvas(this.images);
-	}
+// Gains closer to 1 than this are not worth a pixel pass
+const COMPOSITOR_GAIN_EPSILON = 0.01;
 
-	async stitchThumbnails() {
-		if (!this.thumbnailImages || this.thumbnailImages.length !== 3) return;
-		// Filter out any null/undefined thumbnails
-		const validThumbnails = this.thumbnailImages.filter(img => img);
-		if (validThumbnails.length === 0) return;
-		
-		this.createStitchedCanvas(validThumbnails, true);
-	}
+class PanoramicCompositor {
+	static drawSegments(canvas, images, layout, options = {}) {
+		canvas.width = layout.width;
+		canvas.height = layout.height;
 
-	createStitchedCanvas(images, isThumbnail = false) {
-		const maxHeight = Math.max(...images.map(img => img.height));
-		const totalWidth = images.reduce((sum, img) => sum + img.width, 0);
-		
-		if (isThumbnail) {
-			// Create temporary thumbnail canvas
-			this.thumbnailStitchedCanvas = document.createElement('canvas');
-			this.thumbnailStitchedCanvas.width = totalWidth;
-			this.thumbnailStitchedCanvas.height = maxHeight;
-			var canvas = this.thumbnailStitchedCanvas;
-		} else {
-			// Create main stitched canvas
-			this.stitchedCanvas = document.createElement('canvas');
-			this.stitchedCanvas.width = totalWidth;
-			this.stitchedCanvas.height = maxHeight;
-			var canvas = this.stitchedCanvas;
-		}
-		
 		const ctx = canvas.getContext('2d');
 		ctx.fillStyle = 'white';
 		ctx.fillRect(0, 0, canvas.width, canvas.height);
-		
-		let x = 0;
-		images.forEach((img, index) => {
-			const y = (maxHeight - img.height) / 2;
-			const overlap = index > 0 ? 2 : 0;
-			ctx.drawImage(img, x - overlap, y, img.width + overlap, img.height);
-			x += img.width;
+
+		this.prepareSegments(images, layout, options).forEach(segment => {
+			ctx.globalAlpha = segment.opacity;
+			this.drawSegment(ctx, segment.source, segment.position, segment.rotation);
 		});
+		ctx.globalAlpha = 1;
 	}
 
-	resetView() {
-		const canvasToUse = this.stitchedCanvas || this.thumbnailStitchedCanvas;
-		if (!canvasToUse) return;
-		
-		const viewerRect = this.canvas.getBoundingClientRect();
-		if (this.canvas.width !== viewerRect.width || this.canvas.height !== viewerRect.height) {
-			this.canvas.width = viewerRect.width;
-			this.canvas.height = viewerRect.height;
-		}
-		
-		this.scale = PanoramicUtils.calculateOptimalScale(
-			canvasToUse.width, canvasToUse.height,
-			this.canvas.width, this.canvas.height
-		);
-		
-		this.panX = 0;
-		this.panY = 0;
-		this.renderImmediate();
-	}
+	static prepareSegments(images, layout, options = {}) {
+		const {
+			blendWidth = 0,
+			exposureCompensation = false,
+			highlightIndex = -1,
+			highlightOpacity = 0.5
+		} = options;
+		const rotations = layout.rotations || [];
 
-	render() {
-		if (!this.ctx || !this.canvas) return;
-		
-		// Use thumbnail canvas if main canvas isn't ready
-		const canvasToRender = this.stitchedCanvas || this.thumbnailStitchedCanvas;
-		if (!canvasToRender) return;
-		
-		try {
-			this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
-			const scaledWidth = canvasToRender.width * this.scale;
-			const scaledHeight = canvasToRender.height * this.scale;
-			const x = (this.canvas.width - scaledWidth) / 2 + this.panX;
-			const y = (this.canvas.height - scaledHeight) / 2 + this.panY;
-			
-			// Add slight blur to thumbnail to indicate it's loading
-			if (canvasToRender === this.thumbnailStitchedCanvas && this.stitchedCanvas) {
-				this.ctx.filter = 'blur(1px) brightness(0.9)';
-			} else {
-				this.ctx.filter = 'none';
+		let gains = null;
+		if (exposureCompensation && images.length > 1) {
+			try {
+				gains = this.computeGains(images, layout);
+			} catch (error) {
+				// Pixel data is unreadable (e.g. cross-origin images), so draw uncorrected
 			}
-			
-			this.ctx.drawImage(canvasToRender, 0, 0, canvasToRender.width, canvasToRender.height, x, y, scaledWidth, scaledHeight);
-			this.ctx.filter = 'none'; // Reset filter
-		} catch (error) {
-			console.error('Error rendering panoramic image:', error);
-			throw error;
 		}
-	}
 
-	scheduleRender() {
-		if (!this._renderScheduled) {
-			this._renderScheduled = true;
-			requestAnimationFrame((currentTime) => {
-				this._renderScheduled = false;
-				const timeSinceLastRender = currentTime - this._lastRenderTime;
-				if (timeSinceLastRender >= this.renderInterval) {
-					this._lastRenderTime = currentTime;
-					this.render();
-				} else {
-					this.scheduleRender();
-				}
+		const segments = [];
+		images.forEach((img, index) => {
+			if (index === highlightIndex) {
+				return;
+			}
+
+			const position = layout.positions[index];
+			const gain = gains ? gains[index] : null;
+			const feather = index > 0 ? this.getFeatherZone(images, layout, index, blendWidth) : null;
+			const segment = { source: img, position, rotation: rotations[index] || 0, opacity: 1 };
+			segments.push(segment);
+
+			if (!feather && !this.needsGain(gain)) {
+				return;
+			}
+
+			const segmentCanvas = document.createElement('canvas');
+			segmentCanvas.width = img.width;
+			segmentCanvas.height = img.height;
+			const segmentCtx = segmentCanvas.getContext('2d');
+			segmentCtx.drawImage(img, 0, 0, img.width, img.height);
+
+			if (this.needsGain(gain)) {
+				this.applyGain(segmentCtx, img.width, img.height, gain);
+			}
+
+			if (feather) {
+				// Fade the segment in across the seam so the one beneath shows through
+				const gradient = segmentCtx.createLinearGradient(feather.start, 0, feather.end, 0);
+				gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+				gradient.addColorStop(1, 'rgba(0, 0, 0, 1)');
+				segmentCtx.globalCompositeOperation = 'destination-in';
+				segmentCtx.fillStyle = gradient;
+				segmentCtx.fillRect(0, 0, img.width, img.height);
+				segmentCtx.globalCompositeOperation = 'source-over';
+			}
+
+			segment.source = segmentCanvas;
+		});
+
+		if (images[highlightIndex]) {
+			segments.push({
+				source: images[highlightIndex],
+				position: layout.positions[highlightIndex],
+				rotation: rotations[highlightIndex] || 0,
+				opacity: highlightOpacity
 			});
 		}
+
+		return segments;
 	}
 
-	renderImmediate() {
-		if (this._renderScheduled) {
-			this._renderScheduled = false;
+	static drawSegment(ctx, source, position, rotation = 0) {
+		if (!rotation) {
+			ctx.drawImage(source, position.x, position.y, source.width, source.height);
+			return;
 		}
-		this.render();
-		this._lastRenderTime = performance.now();
+
+		// Rotate about the segment's centre
+		ctx.save();
+		ctx.translate(position.x + source.width / 2, position.y + source.height / 2);
+		ctx.rotate((rotation * Math.PI) / 180);
+		ctx.drawImage(source, -source.width / 2, -source.height / 2, source.width, source.height);
+		ctx.restore();
 	}
 
-	zoom(factor) {
-		const newScale = PanoramicUtils.clamp(this.scale * factor, this.minScale, this.maxScale);
-		if (newScale !== this.scale) {
-			this.scale = newScale;
-			this.constrainPan();
-			this.scheduleRender();
-			return true;
+	static getFeatherZone(images, layout, index, blendWidth) {
+		if (blendWidth <= 0) {
+			return null;
+		}
+
+		const previous = layout.positions[index - 1];
+		const current = layout.positions[index];
+		const overlap = previous.x + images[index - 1].width - current.x;
+		const requested = (blendWidth / 100) * Math.min(images[index - 1].width, images[index].width);
+		const width = Math.min(overlap, requested);
+
+		if (width < 1) {
+			return null;
 		}
-		return false;
+
+		// Centre the feather within the overlap
+		const start = (overlap - width) / 2;
+		return { start, end: start + width };
 	}
 
-	setPan(x, y) {
-		this.panX = x;
-		this.panY = y;
-		this.constrainPan();
-		this.scheduleRender();
+	static computeGains(images, layout) {
+		const sampleCanvas = document.createElement('canvas');
+		sampleCanvas.width = COMPOSITOR_SAMPLE_SIZE;
+		sampleCanvas.height = COMPOSITOR_SAMPLE_SIZE;
+		const sampleCtx = sampleCanvas.getContext('2d', { willReadFrequently: true });
+
+		const gains = [[1, 1, 1]];
+		for (let i = 1; i < images.length; i++) {
+			const regions = this.getSeamRegions(images, layout, i);
+			const previousMean = this.meanColor(sampleCtx, images[i - 1], regions.previous);
+			const currentMean = this.meanColor(sampleCtx, images[i], regions.current);
+
+			gains.push(gains[i - 1].map((gain, channel) => {
+				const ratio = (previousMean[channel] + 1) / (currentMean[channel] + 1);
+				return gain * Math.min(COMPOSITOR_MAX_GAIN_RATIO, Math.max(COMPOSITOR_MIN_GAIN_RATIO, ratio));
+			}));
+		}
+
+		// Normalise so the panorama keeps its overall brightness and white balance
+		return gains.map(gain => gain.map((value, channel) => {
+			const logMean = gains.reduce((sum, g) => sum + Math.log(g[channel]), 0) / gains.length;
+			return value / Math.exp(logMean);
+		}));
 	}
 
-	constrainPan() {
+	static getSeamRegions(images, layout, index) {
+		const previousImage = images[index - 1];
+		const currentImage = images[index];
+		const previous = layout.positions[index - 1];
+		const current = layout.positions[index];
+
+		const top = Math.max(previous.y, current.y);
+		const bottom = Math.min(previous.y + previousImage.height, current.y + currentImage.height);
+		const height = Math.max(1, bottom - top);
+
+		const left = current.x;
+		const right = previous.x + previousImage.width;
+		if (right - left < 1) {
+			// No overlap: compare thin strips either side of the seam
+			const strip = Math.max(1, Math.round(COMPOSITOR_SEAM_STRIP_FRACTION * Math.min(previousImage.width, currentImage.width)));
+			return {
+				previous: { x: previousImage.width - strip, y: top - previous.y, width: strip, height },
+				current: { x: 0, y: top - current.y, width: strip, height }
+			};
+		}
+
+		return {
+			previous: { x: left - previous.x, y: top - previous.y, width: right - left, height },
+			current: { x: left - current.x, y: top - current.y, width: right - left, height }
+		};
+	}
+
+	static meanColor(sampleCtx, image, region) {
+		sampleCtx.clearRect(0, 0, COMPOSITOR_SAMPLE_SIZE, COMPOSITOR_SAMPLE_SIZE);
+		sampleCtx.drawImage(image, region.x, region.y, region.width, region.height, 0, 0, COMPOSITOR_SAMPLE_SIZE, COMPOSITOR_SAMPLE_SIZE);
+		const data = sampleCtx.getImageData(0, 0, COMPOSITOR_SAMPLE_SIZE, COMPOSITOR_SAMPLE_SIZE).data;
+
+		const sum = [0, 0, 0];
+		for (let p = 0; p < data.length; p += 4) {
+			sum[0] += data[p];
+			sum[1] += data[p + 1];
+			sum[2] += data[p + 2];
+		}
+		const count = data.length / 4;
+		return sum.map(value => value / count);
+	}
+
+	static needsGain(gain) {
+		return !!gain && gain.some(value => Math.abs(value - 1) > COMPOSITOR_GAIN_EPSILON);
+	}
+
+	static applyGain(ctx, width, height, gain) {
+		const imageData = ctx.getImageData(0, 0, width, height);
+		const data = imageData.data;
+		for (let p = 0; p < data.length; p += 4) {
+			data[p] *= gain[0];
+			data[p + 1] *= gain[1];
+			data[p + 2] *= gain[2];
+		}
+		ctx.putImageData(imageData, 0, 0);
+	}
+}
+
+/**
+ * Panoramic Projection
+ * Rectilinear reprojection of equirectangular (360°) and cylindrical panoramas on a 2D canvas
+ */
+
+// Widest source kept in memory for sampling; larger panoramas are downscaled
+const PROJECTION_MAX_SAMPLER_WIDTH = 4096;
+
+// Fraction of the viewport resolution the view is computed at before being scaled up
+const PROJECTION_RENDER_SCALE = 0.5;
+
+// Camera limits, in degrees of horizontal field of view
+const PROJECTION_DEFAULT_FOV = 90;
+const PROJECTION_MIN_FOV = 30;
+const PROJECTION_MAX_FOV = 120;
+
+// Horizontal coverage of a cylindrical panorama, in degrees
+const PROJECTION_MIN_HFOV = 30;
+const PROJECTION_FULL_TURN = 360;
+
+const PROJECTION_DEG = Math.PI / 180;
+
+class PanoramicProjection {
+	static createSampler(source) {
+		const scale = Math.min(1, PROJECTION_MAX_SAMPLER_WIDTH / source.width);
+		const width = Math.max(1, Math.round(source.width * scale));
+		const height = Math.max(1, Math.round(source.height * scale));
+
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		const ctx = canvas.getContext('2d');
+		ctx.drawImage(source, 0, 0, width, height);
+		const data = new Uint32Array(ctx.getImageData(0, 0, width, height).data.buffer);
+
+		return { source, data, width, height };
+	}
+
+	static getVerticalFov(fov, width, height) {
+		if (!width || !height) {
+			return fov;
+		}
+		return (2 * Math.atan(Math.tan((fov * PROJECTION_DEG) / 2) * (height / width))) / PROJECTION_DEG;
+	}
+
+	// maxLatitude is the elevation of the panorama's top edge
+	static getMaxPitch(fov, width, height, maxLatitude = 90) {
+		return Math.max(0, maxLatitude - this.getVerticalFov(fov, width, height) / 2);
+	}
+
+	// How far the camera can turn and zoom out: { maxLatitude, minFov, maxFov, wraps }.
+	// A cylinder's height follows from its circumference, so short, wide panoramas
+	// cap the field of view so the view stays inside the image.
+	static getCameraLimits(view, content, width, height) {
+		if (view.projection !== 'cylindrical') {
+			return { maxLatitude: 90, minFov: PROJECTION_MIN_FOV, maxFov: PROJECTION_MAX_FOV, wraps: true };
+		}
+
+		const radius = content.width / (view.hfov * PROJECTION_DEG);
+		const maxLatitude = Math.atan(content.height / 2 / radius) / PROJECTION_DEG;
+		const fitFov = width && height ?
+			(2 * Math.atan(Math.tan(maxLatitude * PROJECTION_DEG) * (width / height))) / PROJECTION_DEG :
+			PROJECTION_MAX_FOV;
+		const maxFov = Math.min(PROJECTION_MAX_FOV, view.hfov, fitFov);
+
+		return {
+			maxLatitude,
+			minFov: Math.min(PROJECTION_MIN_FOV, maxFov),
+			maxFov,
+			wraps: view.hfov >= PROJECTION_FULL_TURN
+		};
+	}
+
+	static wrapYaw(yaw) {
+		return ((((yaw + 180) % 360) + 360) % 360) - 180;
+	}
+
+	// Where the point at fractions u, v of the panorama appears in the view, in
+	// viewport pixels, reversing the ray maths of render. Null if it is behind the camera.
+	static project(view, u, v, content, width, height) {
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov * PROJECTION_DEG : 2 * Math.PI;
+		const lon = (u - 0.5) * coverage;
+
+		let rayY;
+		let horizontal;
+		if (cylindrical) {
+			// Height on the cylinder wall over its radius
+			rayY = ((0.5 - v) * content.height * coverage) / content.width;
+			horizontal = 1;
+		} else {
+			const lat = (0.5 - v) * Math.PI;
+			rayY = Math.sin(lat);
+			horizontal = Math.cos(lat);
+		}
+		const rayX = Math.sin(lon) * horizontal;
+		const rayZ = Math.cos(lon) * horizontal;
+
+		// Turn back by the yaw, then tilt back by the pitch
+		const sinYaw = Math.sin(view.yaw * PROJECTION_DEG);
+		const cosYaw = Math.cos(view.yaw * PROJECTION_DEG);
+		const sinPitch = Math.sin(view.pitch * PROJECTION_DEG);
+		const cosPitch = Math.cos(view.pitch * PROJECTION_DEG);
+		const x = rayX * cosYaw - rayZ * sinYaw;
+		const rowZ = rayX * sinYaw + rayZ * cosYaw;
+		const y = rayY * cosPitch - rowZ * sinPitch;
+		const z = rayY * sinPitch + rowZ * cosPitch;
+		if (z <= 0) {
+			return null;
+		}
+
+		const focal = width / 2 / Math.tan((view.fov * PROJECTION_DEG) / 2);
+		return { x: width / 2 + (x * focal) / z, y: height / 2 - (y * focal) / z };
+	}
+
+	// Camera { yaw, pitch } in degrees that centres a point of the panorama in the view
+	static getDirection(view, u, v, content) {
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov : PROJECTION_FULL_TURN;
+		const pitch = cylindrical ?
+			Math.atan(((0.5 - v) * content.height * coverage * PROJECTION_DEG) / content.width) / PROJECTION_DEG :
+			(0.5 - v) * 180;
+
+		return { yaw: (u - 0.5) * coverage, pitch };
+	}
+
+	// Point { x, y } of the panorama, as fractions, that camera angles centre; getDirection reversed
+	static getPoint(view, yaw, pitch, content) {
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov : PROJECTION_FULL_TURN;
+		const y = cylindrical ?
+			0.5 - (Math.tan(pitch * PROJECTION_DEG) * content.width) / (content.height * coverage * PROJECTION_DEG) :
+			0.5 - pitch / 180;
+
+		return { x: 0.5 + yaw / coverage, y };
+	}
+
+	// view is { yaw, pitch, fov, projection, hfov }, hfov being the cylinder's coverage
+	static render(ctx, sampler, view, buffer) {
+		const targetWidth = ctx.canvas.width;
+		const targetHeight = ctx.canvas.height;
+		const width = Math.max(1, Math.round(targetWidth * PROJECTION_RENDER_SCALE));
+		const height = Math.max(1, Math.round(targetHeight * PROJECTION_RENDER_SCALE));
+
+		if (buffer.width !== width || buffer.height !== height) {
+			buffer.width = width;
+			buffer.height = height;
+		}
+		const bufferCtx = buffer.getContext('2d');
+		const imageData = bufferCtx.createImageData(width, height);
+		const pixels = new Uint32Array(imageData.data.buffer);
+
+		const focal = width / 2 / Math.tan((view.fov * PROJECTION_DEG) / 2);
+		const sinPitch = Math.sin(view.pitch * PROJECTION_DEG);
+		const cosPitch = Math.cos(view.pitch * PROJECTION_DEG);
+		const sinYaw = Math.sin(view.yaw * PROJECTION_DEG);
+		const cosYaw = Math.cos(view.yaw * PROJECTION_DEG);
+		const { data, width: sourceWidth, height: sourceHeight } = sampler;
+		const cylindrical = view.projection === 'cylindrical';
+		const coverage = cylindrical ? view.hfov * PROJECTION_DEG : 2 * Math.PI;
+		const uScale = sourceWidth / coverage;
+		const vScale = sourceHeight / Math.PI;
+		// A cylinder's radius in source pixels, from its circumference
+		const radius = sourceWidth / coverage;
+		const wraps = coverage >= 2 * Math.PI;
+
+		let p = 0;
+		for (let j = 0; j < height; j++) {
+			const y = height / 2 - (j + 0.5);
+			// Tilt the ray by the pitch; these terms are shared by the whole row
+			const rayY = y * cosPitch + focal * sinPitch;
+			const rowZ = focal * cosPitch - y * sinPitch;
+
+			for (let i = 0; i < width; i++) {
+				const x = i + 0.5 - width / 2;
+				// Turn the ray by the yaw
+				const rayX = x * cosYaw + rowZ * sinYaw;
+				const rayZ = rowZ * cosYaw - x * sinYaw;
+
+				const lon = Math.atan2(rayX, rayZ);
+				const horizontal = Math.sqrt(rayX * rayX + rayZ * rayZ);
+
+				let u = Math.floor((lon + coverage / 2) * uScale);
+				let v;
+				if (cylindrical) {
+					// Height on the cylinder wall, which keeps vertical lines straight
+					v = Math.floor(sourceHeight / 2 - (rayY / horizontal) * radius);
+				} else {
+					v = Math.floor((Math.PI / 2 - Math.atan2(rayY, horizontal)) * vScale);
+					if (v >= sourceHeight) {
+						v = sourceHeight - 1;
+					}
+				}
+				if (wraps) {
+					u = ((u % sourceWidth) + sourceWidth) % sourceWidth;
+				}
+
+				// Rays that miss a partial panorama are left transparent
+				pixels[p++] = u >= 0 && u < sourceWidth && v >= 0 && v < sourceHeight ?
+					data[v * sourceWidth + u] :
+					0;
+			}
+		}
+
+		bufferCtx.putImageData(imageData, 0, 0);
+		ctx.imageSmoothingEnabled = true;
+		ctx.drawImage(buffer, 0, 0, width, height, 0, 0, targetWidth, targetHeight);
+	}
+}
+
+/**
+ * Panoramic Tile Cache
+ * Least-recently-used cache of loaded deep zoom tiles
+ */
+class PanoramicTileCache {
+	constructor(capacity, onEvict = null) {
+		this.capacity = capacity;
+		this.onEvict = onEvict;
+		// Map iterates in insertion order, so the first key is the least recently used
+		this.tiles = new Map();
+	}
+
+	get(key) {
+		const tile = this.tiles.get(key);
+		if (tile !== undefined) {
+			this.tiles.delete(key);
+			this.tiles.set(key, tile);
+		}
+		return tile;
+	}
+
+	has(key) {
+		return this.tiles.has(key);
+	}
+
+	set(key, tile) {
+		this.tiles.delete(key);
+		this.tiles.set(key, tile);
+		while (this.tiles.size > this.capacity) {
+			const [oldestKey, oldest] = this.tiles.entries().next().value;
+			this.tiles.delete(oldestKey);
+			if (this.onEvict) {
+				this.onEvict(oldest);
+			}
+		}
+	}
+
+	clear() {
+		if (this.onEvict) {
+			this.tiles.forEach(tile => this.onEvict(tile));
+		}
+		this.tiles.clear();
+	}
+}
+
+/**
+ * Panoramic Tile Layer
+ * Streams the tiles of a deep zoom pyramid that cover the view. Level 0 is full
+ * resolution and each level above halves it; the top level is kept loaded.
+ */
+
+// Most detail tiles kept in memory
+const TILE_CACHE_SIZE = 256;
+
+// Most tile requests in flight at once
+const TILE_MAX_CONCURRENT_LOADS = 6;
+
+// Milliseconds before a tile request is abandoned
+const TILE_TIMEOUT = 15000;
+
+class PanoramicTileLayer {
+	constructor(manifest, onTileLoad, onTileEvict = null) {
+		this.url = manifest.url;
+		this.width = manifest.width;
+		this.height = manifest.height;
+		this.tileSize = manifest.tileSize;
+		this.levels = Math.max(1, manifest.levels);
+		this.format = manifest.format || 'jpg';
+		this.onTileLoad = onTileLoad;
+		this.onTileEvict = onTileEvict;
+
+		this.baseTiles = [];
+		this.cache = new PanoramicTileCache(TILE_CACHE_SIZE, onTileEvict);
+		this.pending = new Set();
+		this.failed = new Set();
+		this.destroyed = false;
+	}
+
+	static isValidManifest(manifest) {
+		return !!manifest &&
+			typeof manifest.url === 'string' &&
+			manifest.width > 0 &&
+			manifest.height > 0 &&
+			manifest.tileSize > 0 &&
+			manifest.levels > 0;
+	}
+
+	// Load the coarsest level, which covers the whole panorama; throws if any tile fails
+	async loadBaseLevel() {
+		const level = this.levels - 1;
+		const tiles = this.getTiles(level, { left: 0, top: 0, right: this.width, bottom: this.height });
+		this.baseTiles = await Promise.all(tiles.map(async tile => ({
+			...tile,
+			image: await PanoramicUtils.loadImageWithTimeout(this.getTileUrl(tile), TILE_TIMEOUT)
+		})));
+	}
+
+	// Coarsest level that still has at least one source pixel per screen pixel
+	getLevel(scale) {
+		return PanoramicUtils.clamp(Math.floor(Math.log2(1 / scale)), 0, this.levels - 1);
+	}
+
+	// Tiles of a level overlapping rect ({ left, top, right, bottom }), with
+	// position and size in full-resolution pixels.
+	getTiles(level, rect) {
+		const span = this.tileSize * Math.pow(2, level);
+		const columns = Math.ceil(this.width / span);
+		const rows = Math.ceil(this.height / span);
+
+		const firstColumn = PanoramicUtils.clamp(Math.floor(rect.left / span), 0, columns - 1);
+		const lastColumn = PanoramicUtils.clamp(Math.ceil(rect.right / span) - 1, 0, columns - 1);
+		const firstRow = PanoramicUtils.clamp(Math.floor(rect.top / span), 0, rows - 1);
+		const lastRow = PanoramicUtils.clamp(Math.ceil(rect.bottom / span) - 1, 0, rows - 1);
+
+		const tiles = [];
+		for (let row = firstRow; row <= lastRow; row++) {
+			for (let column = firstColumn; column <= lastColumn; column++) {
+				const x = column * span;
+				const y = row * span;
+				tiles.push({
+					key: `${level}/${column}_${row}`,
+					level,
+					column,
+					row,
+					x,
+					y,
+					width: Math.min(span, this.width - x),
+					height: Math.min(span, this.height - y)
+				});
+			}
+		}
+		return tiles;
+	}
+
+	// Loaded tiles to draw for the visible rect, coarse to fine, requesting the
+	// missing ones at the level the zoom calls for.
+	getDrawList(scale, rect) {
+		const targetLevel = this.getLevel(scale);
+		const drawList = this.baseTiles.filter(tile => this.intersects(tile, rect));
+
+		// Levels between the base and the target fill in while the target loads
+		for (let level = this.levels - 2; level > targetLevel; level--) {
+			this.getTiles(level, rect).forEach(tile => {
+				const cached = this.cache.get(tile.key);
+				if (cached) {
+					drawList.push(cached);
+				}
+			});
+		}
+
+		if (targetLevel < this.levels - 1) {
+			const centreX = (rect.left + rect.right) / 2;
+			const centreY = (rect.top + rect.bottom) / 2;
+			const missing = [];
+
+			this.getTiles(targetLevel, rect).forEach(tile => {
+				const cached = this.cache.get(tile.key);
+				if (cached) {
+					drawList.push(cached);
+				} else {
+					missing.push(tile);
+				}
+			});
+
+			// Fetch from the centre of the view outwards
+			missing
+				.sort((a, b) => this.distance(a, centreX, centreY) - this.distance(b, centreX, centreY))
+				.forEach(tile => this.requestTile(tile));
+		}
+
+		return drawList;
+	}
+
+	requestTile(tile) {
+		if (
+			this.pending.size >= TILE_MAX_CONCURRENT_LOADS ||
+			this.pending.has(tile.key) ||
+			this.failed.has(tile.key) ||
+			this.cache.has(tile.key)
+		) {
+			return;
+		}
+
+		this.pending.add(tile.key);
+		PanoramicUtils.loadImageWithTimeout(this.getTileUrl(tile), TILE_TIMEOUT)
+			.then(image => {
+				if (this.destroyed) {
+					return;
+				}
+				this.cache.set(tile.key, { ...tile, image });
+			})
+			.catch(() => {
+				// The coarser levels keep covering the area
+				this.failed.add(tile.key);
+			})
+			.finally(() => {
+				this.pending.delete(tile.key);
+				if (!this.destroyed) {
+					this.onTileLoad();
+				}
+			});
+	}
+
+	getTileUrl(tile) {
+		return `${this.url}/${tile.level}/${tile.column}_${tile.row}.${this.format}`;
+	}
+
+	intersects(tile, rect) {
+		return tile.x < rect.right &&
+			tile.x + tile.width > rect.left &&
+			tile.y < rect.bottom &&
+			tile.y + tile.height > rect.top;
+	}
+
+	distance(tile, x, y) {
+		return PanoramicUtils.calculateDistance(tile.x + tile.width / 2, tile.y + tile.height / 2, x, y);
+	}
+
+	destroy() {
+		this.destroyed = true;
+		this.cache.clear();
+		if (this.onTileEvict) {
+			this.baseTiles.forEach(tile => this.onTileEvict(tile));
+		}
+		this.baseTiles = [];
+		this.pending.clear();
+	}
+}
+
+/**
+ * Panoramic Renderer
+ * Handles all canvas rendering operations for panoramic images
+ */
+
+// Furthest a panorama can be zoomed out, unless fitting a deep zoom pyramid needs further
+const RENDERER_MIN_SCALE = 0.5;
+
+// Furthest a panorama can be zoomed in, unless its block sets a limit
+const RENDERER_MAX_SCALE = 3;
+
+// Starting view when a block sets none: centred, fitted, with the default zoom limits
+const RENDERER_DEFAULT_INITIAL_VIEW = { x: 0.5, y: 0.5, zoom: 1, minZoom: 0, maxZoom: 0 };
+
+// Longest gap between frames auto-rotation and momentum catch up on, so the view does not jump after the tab was hidden
+const RENDERER_MAX_ROTATE_STEP = 100;
+
+// Milliseconds for a glide after a drag to lose about two thirds of its speed
+const RENDERER_MOMENTUM_TIME_CONSTANT = 325;
+
+// Pixels per millisecond below which a glide stops
+const RENDERER_MOMENTUM_MIN_SPEED = 0.02;
+
+// Milliseconds an eased zoom takes
+const RENDERER_ZOOM_DURATION = 200;
+
+class PanoramicRenderer {
+	constructor(canvas) {
+		this.canvas = canvas;
+		this.ctx = this.initContext(canvas);
+		this.stitchedCanvas = null;
+		this.tileLayer = null;
+		this.hotspotLayer = null;
+		// Called after every frame is drawn, e.g. to follow the view as it changes
+		this.onFrame = null;
+		this.images = [];
+		this.segmentOffsets = null;
+		this.segmentTransforms = null;
+		this.stitchOptions = { blendWidth: 0, exposureCompensation: false };
+		
+		this.scale = 1;
+		this.minScale = RENDERER_MIN_SCALE;
+		this.maxScale = RENDERER_MAX_SCALE;
+		this.panX = 0;
+		this.panY = 0;
+		this.loop = false;
+		this.initialView = { ...RENDERER_DEFAULT_INITIAL_VIEW };
+
+		// Camera, used when projection is 'equirectangular' or 'cylindrical'
+		this.projection = 'flat';
+		this.hfov = PROJECTION_FULL_TURN;
+		this.yaw = 0;
+		this.pitch = 0;
+		this.fov = PROJECTION_DEFAULT_FOV;
+		this.projectionSampler = null;
+		this.projectionBuffer = null;
+		
+		this.renderFPS = 60;
+		this.renderInterval = 1000 / this.renderFPS;
+		this._renderScheduled = false;
+		this._lastRenderTime = 0;
+
+		// Degrees per second the view turns on its own, negative to the left; 0 when still
+		this.autoRotateSpeed = 0;
+		this._lastRotateTime = 0;
+
+		// Glide after a drag is released, and zoom easing towards its target, or null
+		this.momentum = null;
+		this.zoomAnimation = null;
+	}
+
+	// Get the drawing context of the viewer canvas; overridden by the WebGL renderer.
+	initContext(canvas) {
+		return canvas.getContext('2d');
+	}
+
+	async loadImages(imagesData, progressCallback = null, errorCallback = null) {
+		this.clearTiles();
+		this.images = [];
+		this.thumbnailImages = [];
+		this.loadingErrors = [];
+		
+		const loadPromises = imagesData.map(async (imgData, index) => {
+			const onThumbnailLoad = (thumbnailImg) => {
+				this.thumbnailImages[index] = thumbnailImg;
+				if (progressCallback) {
+					progressCallback({
+						type: 'thumbnail',
+						index,
+						total: imagesData.length,
+						image: thumbnailImg
+					});
+				}
+			};
+
+			const onRetryAttempt = (errorInfo) => {
+				this.loadingErrors.push({
+					index,
+					url: imgData.url,
+					...errorInfo
+				});
+				if (errorCallback) {
+					errorCallback({
+						type: 'retry',
+						index,
+						total: imagesData.length,
+						...errorInfo
+					});
+				}
+			};
+
+			try {
+				const result = await PanoramicUtils.loadImageProgressive(
+					imgData.url, 
+					onThumbnailLoad, 
+					onRetryAttempt
+				);
+				
+				if (progressCallback) {
+					progressCallback({
+						type: 'full',
+						index,
+						total: imagesData.length,
+						image: result.full
+					});
+				}
+				
+				return result.full;
+			} catch (error) {
+				// Record final error
+				const errorInfo = {
+					index,
+					url: imgData.url,
+					error,
+					errorType: PanoramicUtils.getErrorType(error)
+				};
+				this.loadingErrors.push(errorInfo);
+				
+				if (errorCallback) {
+					errorCallback({
+						type: 'failed',
+						index,
+						total: imagesData.length,
+						...errorInfo
+					});
+				}
+				
+				throw error;
+			}
+		});
+		
+		this.images = await Promise.all(loadPromises);
+	}
+
+	// Show a deep zoom tile pyramid ({ url, width, height, tileSize, levels, format }
+	// from data-tiles) instead of loaded images. Resolves once the coarsest level is in.
+	async loadTiles(manifest) {
+		this.clearTiles();
+		this.images = [];
+		this.thumbnailImages = [];
+		this.stitchedCanvas = null;
+		this.thumbnailStitchedCanvas = null;
+
+		const tileLayer = new PanoramicTileLayer(
+			manifest,
+			() => this.scheduleRender(),
+			tile => this.releaseTile(tile)
+		);
+		await tileLayer.loadBaseLevel();
+		this.tileLayer = tileLayer;
+	}
+
+	clearTiles() {
+		if (this.tileLayer) {
+			this.tileLayer.destroy();
+			this.tileLayer = null;
+		}
+	}
+
+	// Free anything held for a tile dropped from the cache; the 2D renderer draws tile images directly,
+	// so it ignores the tile it is passed
+	releaseTile() {}
+
+	async setupSingleImage() {
+		if (this.images.length !== 1) {
+			return;
+		}
+		const img = this.images[0];
+		this.stitchedCanvas = document.createElement('canvas');
+		this.stitchedCanvas.width = img.width;
+		this.stitchedCanvas.height = img.height;
+		const ctx = this.stitchedCanvas.getContext('2d');
+		ctx.fillStyle = 'white';
+		ctx.fillRect(0, 0, this.stitchedCanvas.width, this.stitchedCanvas.height);
+		ctx.drawImage(img, 0, 0, img.width, img.height);
+	}
+
+	async stitchImages() {
+		if (this.images.length < 2) {
+			return;
+		}
+		this.createStitchedCanvas(this.images);
+	}
+
+	async stitchThumbnails() {
+		if (!this.thumbnailImages || this.thumbnailImages.length < 2) {
+			return;
+		}
+		// Filter out any null/undefined thumbnails
+		const validThumbnails = this.thumbnailImages.filter(img => img);
+		if (validThumbnails.length === 0) {
+			return;
+		}
+		
+		this.createStitchedCanvas(validThumbnails, true);
+	}
+
+	// Set the per-segment offsets computed by the editor's alignment step.
+	// Pass null to place segments side by side.
+	setSegmentOffsets(offsets) {
+		this.segmentOffsets = offsets;
+	}
+
+	// Set how segments are composited: blendWidth is the seam feather as a
+	// percentage of segment width, exposureCompensation matches neighbours' colour.
+	setStitchOptions(options) {
+		this.stitchOptions = { ...this.stitchOptions, ...options };
+	}
+
+	// Set the manual per-segment transforms from the editor's seam alignment tool,
+	// one per image in order. Pass null for none.
+	setSegmentTransforms(transforms) {
+		this.segmentTransforms = transforms;
+	}
+
+	// Set how the panorama is projected: 'flat', 'equirectangular' (360°) or
+	// 'cylindrical', where hfov is how many degrees round the panorama reaches.
+	setProjection(projection, hfov = PROJECTION_FULL_TURN) {
+		this.projection = ['equirectangular', 'cylindrical'].includes(projection) ? projection : 'flat';
+		this.hfov = this.projection === 'cylindrical' ?
+			PanoramicUtils.clamp(parseFloat(hfov) || PROJECTION_FULL_TURN, PROJECTION_MIN_HFOV, PROJECTION_FULL_TURN) :
+			PROJECTION_FULL_TURN;
+		this.projectionSampler = null;
+	}
+
+	// Set whether a flat panorama wraps round horizontally, for full circles
+	// whose ends meet.
+	setLoop(loop) {
+		this.loop = !!loop;
+	}
+
+	isLooping() {
+		return this.loop && !this.isProjected();
+	}
+
+	// Set the view resetView returns to: { x, y } is the point to centre, as
+	// fractions of the panorama, and zoom, minZoom and maxZoom are relative to
+	// the fitted view, with 0 keeping the default limit. Null for the defaults.
+	setInitialView(view) {
+		this.initialView = { ...RENDERER_DEFAULT_INITIAL_VIEW, ...view };
+	}
+
+	// Whether the panorama is viewed through the yaw/pitch camera rather than flat
+	isProjected() {
+		return this.projection !== 'flat';
+	}
+
+	getCameraLimits() {
+		const limits = PanoramicProjection.getCameraLimits(
+			{ projection: this.projection, hfov: this.hfov },
+			this.getContentSize() || { width: 1, height: 1 },
+			this.canvas.width,
+			this.canvas.height
+		);
+		
+		// The block's zoom limits narrow the field of view, relative to the default
+		const { minZoom, maxZoom } = this.initialView;
+		if (maxZoom) {
+			limits.minFov = PanoramicUtils.clamp(PROJECTION_DEFAULT_FOV / maxZoom, limits.minFov, limits.maxFov);
+		}
+		if (minZoom) {
+			limits.maxFov = PanoramicUtils.clamp(PROJECTION_DEFAULT_FOV / minZoom, limits.minFov, limits.maxFov);
+		}
+		return limits;
+	}
+
+	// Point the camera. Yaw wraps around, or stops at the edges of a partial
+	// panorama; pitch is limited so the view stays inside the panorama.
+	setView(yaw, pitch) {
+		this.yaw = yaw;
+		this.pitch = pitch;
+		this.constrainPan();
+		this.scheduleRender();
+	}
+
+	/**
+	 * The view on show in the terms of the block's starting view: { x, y, zoom }, the point
+	 * in the centre as fractions of the panorama and zoom relative to the fitted view.
+	 * Null before loading.
+	 */
+	getViewState() {
+		const content = this.getContentSize();
+		if (!content) {
+			return null;
+		}
+
+		if (this.isProjected()) {
+			const point = PanoramicProjection.getPoint(
+				{ projection: this.projection, hfov: this.hfov }, this.yaw, this.pitch, content
+			);
+			return { x: point.x, y: point.y, zoom: PROJECTION_DEFAULT_FOV / this.fov };
+		}
+
+		return {
+			x: 0.5 - this.panX / (content.width * this.scale),
+			y: 0.5 - this.panY / (content.height * this.scale),
+			zoom: this.scale / this.getFitScale(content)
+		};
+	}
+
+	// Move to a view from getViewState, within the zoom limits; any value left out is kept
+	setViewState(view) {
+		const content = this.getContentSize();
+		if (!content || !view) {
+			return;
+		}
+
+		const { x, y, zoom } = { ...this.getViewState(), ...view };
+		this.stopMotion();
+
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			const direction = PanoramicProjection.getDirection(
+				{ projection: this.projection, hfov: this.hfov }, x, y, content
+			);
+			this.fov = PanoramicUtils.clamp(PROJECTION_DEFAULT_FOV / zoom, limits.minFov, limits.maxFov);
+			this.scale = PROJECTION_DEFAULT_FOV / this.fov;
+			this.yaw = direction.yaw;
+			this.pitch = direction.pitch;
+		} else {
+			this.scale = PanoramicUtils.clamp(this.getFitScale(content) * zoom, this.minScale, this.maxScale);
+			this.panX = (0.5 - x) * content.width * this.scale;
+			this.panY = (0.5 - y) * content.height * this.scale;
+		}
+
+		this.constrainPan();
+		this.renderImmediate();
+	}
+
+	getFitScale(content) {
+		return PanoramicUtils.calculateOptimalScale(
+			content.width, content.height,
+			this.canvas.width, this.canvas.height
+		);
+	}
+
+	// Lay out segments from the offsets and transforms. Returns { images, layout },
+	// where images are cropped copies when transforms crop them.
+	buildLayout(images) {
+		const aligned = this.segmentOffsets && this.segmentOffsets.length === images.length;
+		let layout = aligned ?
+			PanoramicUtils.layoutSegments(images, this.segmentOffsets) :
+			PanoramicUtils.layoutSideBySide(images);
+		
+		if (this.segmentTransforms && this.segmentTransforms.length === images.length) {
+			({ images, layout } = PanoramicUtils.applySegmentTransforms(images, layout, this.segmentTransforms, aligned));
+		}
+		return { images, layout };
+	}
+
+	createStitchedCanvas(sourceImages, isThumbnail = false) {
+		const { images, layout } = this.buildLayout(sourceImages);
+		const canvas = document.createElement('canvas');
+		if (isThumbnail) {
+			// Temporary thumbnail canvas
+			this.thumbnailStitchedCanvas = canvas;
+		} else {
+			// Main stitched canvas
+			this.stitchedCanvas = canvas;
+		}
+		
+		PanoramicCompositor.drawSegments(canvas, images, layout, this.stitchOptions);
+	}
+
+	/**
+	 * Size of the panorama being shown, falling back to the thumbnail version
+	 * while the full images load. Null before anything is loaded.
+	 */
+	getContentSize() {
+		if (this.tileLayer) {
+			return { width: this.tileLayer.width, height: this.tileLayer.height };
+		}
 		const canvasToUse = this.stitchedCanvas || this.thumbnailStitchedCanvas;
-		if (!canvasToUse) return;
+		return canvasToUse ? { width: canvasToUse.width, height: canvasToUse.height } : null;
+	}
+
+	// Match the canvas to the size it is shown at; returns whether it changed
+	resizeCanvas() {
+		const viewerRect = this.canvas.getBoundingClientRect();
+		if (this.canvas.width === viewerRect.width && this.canvas.height === viewerRect.height) {
+			return false;
+		}
+		this.canvas.width = viewerRect.width;
+		this.canvas.height = viewerRect.height;
+		return true;
+	}
+
+	// Follow a change in the size the canvas is shown at, keeping the view
+	resize() {
+		if (!this.resizeCanvas() || !this.getContentSize()) {
+			return;
+		}
+		this.constrainPan();
+		this.renderImmediate();
+	}
+
+	resetView() {
+		const content = this.getContentSize();
+		if (!content) {
+			return;
+		}
+		
+		this.resizeCanvas();
+		this.stopMotion();
+		
+		const { x, y, zoom, minZoom, maxZoom } = this.initialView;
+		
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			const direction = PanoramicProjection.getDirection(
+				{ projection: this.projection, hfov: this.hfov }, x, y, content
+			);
+			this.fov = PanoramicUtils.clamp(PROJECTION_DEFAULT_FOV / zoom, limits.minFov, limits.maxFov);
+			this.scale = PROJECTION_DEFAULT_FOV / this.fov;
+			this.yaw = direction.yaw;
+			this.pitch = direction.pitch;
+			this.constrainPan();
+			this.renderImmediate();
+			return;
+		}
+		
+		const fitScale = this.getFitScale(content);
+		
+		// Deep zoom pyramids can be far larger than the screen, so allow zooming back out to fit
+		this.minScale = this.tileLayer ? Math.min(RENDERER_MIN_SCALE, fitScale) : RENDERER_MIN_SCALE;
+		this.maxScale = RENDERER_MAX_SCALE;
+		
+		// The block's zoom limits are relative to the fitted scale, like its starting zoom
+		this.scale = fitScale * zoom;
+		if (minZoom) {
+			this.minScale = fitScale * minZoom;
+			this.scale = Math.max(this.scale, this.minScale);
+		}
+		if (maxZoom) {
+			this.maxScale = fitScale * maxZoom;
+			this.scale = Math.min(this.scale, this.maxScale);
+		}
+		
+		// Centre the starting point, as far as the edges allow
+		this.panX = (0.5 - x) * content.width * this.scale;
+		this.panY = (0.5 - y) * content.height * this.scale;
+		this.constrainPan();
+		this.renderImmediate();
+	}
+
+	render() {
+		if (!this.ctx || !this.canvas) {
+			return;
+		}
+		
+		if (this.tileLayer && !this.isProjected()) {
+			this.renderTiles();
+			return;
+		}
+		
+		// Use thumbnail canvas if main canvas isn't ready
+		const canvasToRender = this.stitchedCanvas || this.thumbnailStitchedCanvas;
+		if (!canvasToRender) {
+			return;
+		}
+		
+		try {
+			if (this.isProjected()) {
+				this.renderProjected(canvasToRender);
+				return;
+			}
+			
+			this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+			const scaledWidth = canvasToRender.width * this.scale;
+			const scaledHeight = canvasToRender.height * this.scale;
+			const x = (this.canvas.width - scaledWidth) / 2 + this.panX;
+			const y = (this.canvas.height - scaledHeight) / 2 + this.panY;
+			
+			// Add slight blur to thumbnail to indicate it's loading
+			if (canvasToRender === this.thumbnailStitchedCanvas && this.stitchedCanvas) {
+				this.ctx.filter = 'blur(1px) brightness(0.9)';
+			} else {
+				this.ctx.filter = 'none';
+			}
+			
+			this.getRepeatPositions(x, scaledWidth).forEach(tileX => {
+				this.ctx.drawImage(canvasToRender, 0, 0, canvasToRender.width, canvasToRender.height, tileX, y, scaledWidth, scaledHeight);
+			});
+			this.ctx.filter = 'none'; // Reset filter
+		} catch (error) {
+			console.error('Error rendering panoramic image:', error);
+			throw error;
+		}
+	}
+
+	renderTiles() {
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		this.ctx.filter = 'none';
+
+		const scaledWidth = this.tileLayer.width * this.scale;
+		const scaledHeight = this.tileLayer.height * this.scale;
+		const x = (this.canvas.width - scaledWidth) / 2 + this.panX;
+		const y = (this.canvas.height - scaledHeight) / 2 + this.panY;
+
+		this.getRepeatPositions(x, scaledWidth).forEach(tileX => {
+			this.tileLayer.getDrawList(this.scale, this.getVisibleRect(tileX, y)).forEach(tile => {
+				// Snap edges to whole pixels so neighbouring tiles meet without hairline gaps
+				const left = Math.floor(tileX + tile.x * this.scale);
+				const top = Math.floor(y + tile.y * this.scale);
+				const right = Math.ceil(tileX + (tile.x + tile.width) * this.scale);
+				const bottom = Math.ceil(y + (tile.y + tile.height) * this.scale);
+				this.ctx.drawImage(tile.image, left, top, right - left, bottom - top);
+			});
+		});
+	}
+
+	// Part of the panorama on the canvas, in panorama pixels, when its top-left is drawn at (x, y)
+	getVisibleRect(x, y) {
+		return {
+			left: -x / this.scale,
+			top: -y / this.scale,
+			right: (this.canvas.width - x) / this.scale,
+			bottom: (this.canvas.height - y) / this.scale
+		};
+	}
+
+	// Left edge of each copy of the panorama drawn across the canvas; just x unless looping
+	getRepeatPositions(x, scaledWidth) {
+		if (!this.isLooping() || scaledWidth < 1) {
+			return [x];
+		}
+		const positions = [];
+		for (let tileX = x - Math.ceil(x / scaledWidth) * scaledWidth; tileX < this.canvas.width; tileX += scaledWidth) {
+			positions.push(tileX);
+		}
+		return positions;
+	}
+
+	/**
+	 * Direction the view faces in whole degrees from 0 to 359, with 0 at the
+	 * centre of the panorama, or null if the panorama does not turn or loop.
+	 */
+	getHeading() {
+		let heading;
+		if (this.isProjected()) {
+			heading = this.yaw;
+		} else if (this.isLooping()) {
+			const content = this.getContentSize();
+			if (!content) {
+				return null;
+			}
+			heading = (-this.panX / (content.width * this.scale)) * 360;
+		} else {
+			return null;
+		}
+		return ((Math.round(heading) % 360) + 360) % 360;
+	}
+
+	renderProjected(source) {
+		if (!this.projectionSampler || this.projectionSampler.source !== source) {
+			try {
+				this.projectionSampler = PanoramicProjection.createSampler(source);
+			} catch (error) {
+				// Pixel data is unreadable (e.g. a cross-origin image), so show it flat
+				this.setProjection('flat');
+				this.resetView();
+				return;
+			}
+		}
+		if (!this.projectionBuffer) {
+			this.projectionBuffer = document.createElement('canvas');
+		}
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		PanoramicProjection.render(
+			this.ctx,
+			this.projectionSampler,
+			this.getCameraView(),
+			this.projectionBuffer
+		);
+	}
+
+	getCameraView() {
+		return {
+			yaw: this.yaw,
+			pitch: this.pitch,
+			fov: this.fov,
+			projection: this.projection,
+			hfov: this.hfov
+		};
+	}
+
+	scheduleRender() {
+		if (!this._renderScheduled) {
+			this._renderScheduled = true;
+			window.requestAnimationFrame((currentTime) => {
+				this._renderScheduled = false;
+				const timeSinceLastRender = currentTime - this._lastRenderTime;
+				if (timeSinceLastRender >= this.renderInterval) {
+					this._lastRenderTime = currentTime;
+					if (this.autoRotateSpeed) {
+						this.stepAutoRotate(currentTime);
+					}
+					if (this.momentum) {
+						this.stepMomentum(currentTime);
+					}
+					if (this.zoomAnimation) {
+						this.stepZoom(currentTime);
+					}
+					this.render();
+					this.updateOverlays();
+				} else {
+					this.scheduleRender();
+				}
+				
+				// Auto-rotation, glides and eased zooms keep asking for frames until they stop
+				if (this.autoRotateSpeed || this.momentum || this.zoomAnimation) {
+					this.scheduleRender();
+				}
+			});
+		}
+	}
+
+	// Turn the view on its own, a step every frame, until stopped. speed is in
+	// degrees per second, negative to turn left; a flat panorama counts its
+	// full width as one turn.
+	startAutoRotate(speed) {
+		this.autoRotateSpeed = speed;
+		this._lastRotateTime = 0;
+		this.scheduleRender();
+	}
+
+	stopAutoRotate() {
+		this.autoRotateSpeed = 0;
+	}
+
+	isAutoRotating() {
+		return this.autoRotateSpeed !== 0;
+	}
+
+	// Turn by the time since the last step, heading back at the edges of a panorama that does not wrap round
+	stepAutoRotate(time) {
+		const elapsed = this._lastRotateTime ? Math.min(time - this._lastRotateTime, RENDERER_MAX_ROTATE_STEP) : 0;
+		this._lastRotateTime = time;
+		const content = this.getContentSize();
+		if (!elapsed || !content) {
+			return;
+		}
+		
+		const degrees = (this.autoRotateSpeed * elapsed) / 1000;
+		
+		if (this.isProjected()) {
+			const yaw = this.yaw + degrees;
+			this.yaw = yaw;
+			this.constrainPan();
+			if (!this.getCameraLimits().wraps && this.yaw !== yaw) {
+				this.autoRotateSpeed = -this.autoRotateSpeed;
+			}
+			return;
+		}
+		
+		// Turning right moves the panorama left
+		const panX = this.panX - (degrees / PROJECTION_FULL_TURN) * content.width * this.scale;
+		this.panX = panX;
+		this.constrainPan();
+		if (!this.isLooping() && this.panX !== panX) {
+			this.autoRotateSpeed = -this.autoRotateSpeed;
+		}
+	}
+
+	// Glide on after a drag is released, slowing to a stop, unless the visitor prefers reduced motion
+	startMomentum(velocityX, velocityY) {
+		if (PanoramicUtils.prefersReducedMotion() || Math.hypot(velocityX, velocityY) < RENDERER_MOMENTUM_MIN_SPEED) {
+			return;
+		}
+		this.momentum = { velocityX, velocityY, lastTime: 0 };
+		this.scheduleRender();
+	}
+
+	// Stop a glide, as the visitor takes hold of the view again
+	stopMomentum() {
+		this.momentum = null;
+	}
+
+	// Stop any glide or eased zoom, as the view is moved somewhere new
+	stopMotion() {
+		this.momentum = null;
+		this.zoomAnimation = null;
+	}
+
+	// Carry the view on by the time since the last step, slowing down, and stopping against the edges of the panorama
+	stepMomentum(time) {
+		const momentum = this.momentum;
+		const elapsed = momentum.lastTime ? Math.min(time - momentum.lastTime, RENDERER_MAX_ROTATE_STEP) : 0;
+		momentum.lastTime = time;
+		if (!elapsed || !this.getContentSize()) {
+			return;
+		}
+
+		const dx = momentum.velocityX * elapsed;
+		const dy = momentum.velocityY * elapsed;
+
+		if (this.isProjected()) {
+			// As in a drag, one viewport width turns by the field of view
+			const degreesPerPixel = this.fov / this.canvas.width;
+			const yaw = this.yaw - dx * degreesPerPixel;
+			const pitch = this.pitch + dy * degreesPerPixel;
+			this.yaw = yaw;
+			this.pitch = pitch;
+			this.constrainPan();
+			if (!this.getCameraLimits().wraps && this.yaw !== yaw) {
+				momentum.velocityX = 0;
+			}
+			if (this.pitch !== pitch) {
+				momentum.velocityY = 0;
+			}
+		} else {
+			const panX = this.panX + dx;
+			const panY = this.panY + dy;
+			this.panX = panX;
+			this.panY = panY;
+			this.constrainPan();
+			if (!this.isLooping() && this.panX !== panX) {
+				momentum.velocityX = 0;
+			}
+			if (this.panY !== panY) {
+				momentum.velocityY = 0;
+			}
+		}
+
+		const decay = Math.exp(-elapsed / RENDERER_MOMENTUM_TIME_CONSTANT);
+		momentum.velocityX *= decay;
+		momentum.velocityY *= decay;
+		if (Math.hypot(momentum.velocityX, momentum.velocityY) < RENDERER_MOMENTUM_MIN_SPEED) {
+			this.momentum = null;
+		}
+	}
+
+	renderImmediate() {
+		if (this._renderScheduled) {
+			this._renderScheduled = false;
+		}
+		this.render();
+		this.updateOverlays();
+		this._lastRenderTime = performance.now();
+	}
+
+	// Markers drawn over the canvas, moved after every frame; see PanoramicHotspots
+	setHotspotLayer(layer) {
+		this.hotspotLayer = layer;
+	}
+
+	updateOverlays() {
+		if (this.hotspotLayer) {
+			this.hotspotLayer.update();
+		}
+		if (this.onFrame) {
+			this.onFrame();
+		}
+	}
+
+	// Where the point at fractions x, y of the panorama's width and height is
+	// drawn, in canvas pixels; null if nothing is loaded or it is behind the camera.
+	// A looping panorama gives the copy nearest the centre of the canvas.
+	getScreenPosition(x, y) {
+		const content = this.getContentSize();
+		if (!content || !this.canvas) {
+			return null;
+		}
+
+		if (this.isProjected()) {
+			return PanoramicProjection.project(this.getCameraView(), x, y, content, this.canvas.width, this.canvas.height);
+		}
+
+		const scaledWidth = content.width * this.scale;
+		const scaledHeight = content.height * this.scale;
+		let screenX = (this.canvas.width - scaledWidth) / 2 + this.panX + x * scaledWidth;
+		if (this.isLooping()) {
+			const centre = this.canvas.width / 2;
+			screenX = PanoramicUtils.wrap(screenX, centre - scaledWidth / 2, centre + scaledWidth / 2);
+		}
+		return { x: screenX, y: (this.canvas.height - scaledHeight) / 2 + this.panY + y * scaledHeight };
+	}
+
+	// Zoom by a factor about a canvas point, eased unless the visitor prefers reduced motion or animate is false
+	zoom(factor, pointX = this.canvas.width / 2, pointY = this.canvas.height / 2, animate = true) {
+		// Zooms made while one is easing build on the scale it is heading for
+		const from = this.getTargetScale();
+		const to = this.clampScale(from * factor);
+		if (to === from) {
+			return false;
+		}
+
+		if (animate && !PanoramicUtils.prefersReducedMotion()) {
+			this.zoomAnimation = { from: this.scale, to, pointX, pointY, startTime: 0 };
+		} else {
+			this.zoomAnimation = null;
+			this.zoomTo(to, pointX, pointY);
+		}
+		this.scheduleRender();
+		return true;
+	}
+
+	// Scale an eased zoom is heading for, or the scale on show
+	getTargetScale() {
+		return this.zoomAnimation ? this.zoomAnimation.to : this.scale;
+	}
+
+	// Limit a scale to the zoom the panorama on show allows
+	clampScale(scale) {
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			return PROJECTION_DEFAULT_FOV / PanoramicUtils.clamp(PROJECTION_DEFAULT_FOV / scale, limits.minFov, limits.maxFov);
+		}
+		return PanoramicUtils.clamp(scale, this.minScale, this.maxScale);
+	}
+
+	// Zoom to a scale at once, keeping the part of the panorama under a canvas point in place
+	zoomTo(scale, pointX, pointY) {
+		if (this.isProjected()) {
+			// Zooming narrows the field of view about the centre; scale reports the zoom relative to the default
+			this.fov = PROJECTION_DEFAULT_FOV / scale;
+		} else {
+			const scaleChange = scale / this.scale;
+			const offsetX = pointX - this.canvas.width / 2;
+			const offsetY = pointY - this.canvas.height / 2;
+			this.panX = offsetX - (offsetX - this.panX) * scaleChange;
+			this.panY = offsetY - (offsetY - this.panY) * scaleChange;
+		}
+		this.scale = scale;
+		this.constrainPan();
+	}
+
+	// Ease the zoom towards its target, a step every frame
+	stepZoom(time) {
+		const animation = this.zoomAnimation;
+		if (!animation.startTime) {
+			animation.startTime = time;
+		}
+
+		// Ease out, moving through scales geometrically so zooming in and out look alike
+		const progress = Math.min(1, (time - animation.startTime) / RENDERER_ZOOM_DURATION);
+		const eased = 1 - Math.pow(1 - progress, 3);
+		const scale = progress === 1 ? animation.to : animation.from * Math.pow(animation.to / animation.from, eased);
+		this.zoomTo(scale, animation.pointX, animation.pointY);
+
+		if (progress === 1) {
+			this.zoomAnimation = null;
+		}
+	}
+
+	setPan(x, y) {
+		this.panX = x;
+		this.panY = y;
+		this.constrainPan();
+		this.scheduleRender();
+	}
+
+	constrainPan() {
+		const content = this.getContentSize();
+		if (!content) {
+			return;
+		}
+		
+		if (this.isProjected()) {
+			const limits = this.getCameraLimits();
+			const maxPitch = PanoramicProjection.getMaxPitch(this.fov, this.canvas.width, this.canvas.height, limits.maxLatitude);
+			this.pitch = PanoramicUtils.clamp(this.pitch, -maxPitch, maxPitch);
+			
+			// Partial panoramas stop at their edges instead of wrapping round
+			if (limits.wraps) {
+				this.yaw = PanoramicProjection.wrapYaw(this.yaw);
+			} else {
+				const maxYaw = Math.max(0, (this.hfov - this.fov) / 2);
+				this.yaw = PanoramicUtils.clamp(this.yaw, -maxYaw, maxYaw);
+			}
+			return;
+		}
+		
+		const scaledWidth = content.width * this.scale;
+		const scaledHeight = content.height * this.scale;
+		const maxPanX = Math.max(0, (scaledWidth - this.canvas.width) / 2);
+		const maxPanY = Math.max(0, (scaledHeight - this.canvas.height) / 2);
+		if (this.isLooping()) {
+			// Keep panX within one turn so it never grows without bound
+			this.panX = PanoramicUtils.wrap(this.panX, -scaledWidth / 2, scaledWidth / 2);
+		} else {
+			this.panX = PanoramicUtils.clamp(this.panX, -maxPanX, maxPanX);
+		}
+		this.panY = PanoramicUtils.clamp(this.panY, -maxPanY, maxPanY);
+	}
+
+	getScalePercent() {
+		return Math.round(this.scale * 100);
+	}
+
+	destroy() {
+		if (this._renderScheduled) {
+			this._renderScheduled = false;
+		}
+		this.autoRotateSpeed = 0;
+		this.stopMotion();
+		this.clearTiles();
+		this.hotspotLayer = null;
+		this.onFrame = null;
+		this.ctx = null;
+		this.stitchedCanvas = null;
+		this.thumbnailStitchedCanvas = null;
+		this.images = [];
+		this.thumbnailImages = [];
+		this.loadingErrors = [];
+		this.segmentOffsets = null;
+		this.segmentTransforms = null;
+		this.projectionSampler = null;
+		this.projectionBuffer = null;
+	}
+}
+
+// Largest texture uploaded, whatever the GPU supports, to bound memory use
+const WEBGL_MAX_TILE_SIZE = 4096;
+
+const WEBGL_FLAT_VERTEX_SHADER = `
+	attribute vec2 a_position;
+	attribute vec2 a_texCoord;
+	uniform vec2 u_resolution;
+	uniform vec2 u_offset;
+	uniform float u_scale;
+	varying vec2 v_texCoord;
+
+	void main() {
+		vec2 clip = (a_position * u_scale + u_offset) / u_resolution * 2.0 - 1.0;
+		gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+		v_texCoord = a_texCoord;
+	}
+`;
+
+const WEBGL_FLAT_FRAGMENT_SHADER = `
+	precision mediump float;
+	uniform sampler2D u_texture;
+	uniform float u_opacity;
+	varying vec2 v_texCoord;
+
+	void main() {
+		gl_FragColor = texture2D(u_texture, v_texCoord) * u_opacity;
+	}
+`;
+
+const WEBGL_PROJECTED_VERTEX_SHADER = `
+	attribute vec2 a_position;
+	varying vec2 v_clip;
+
+	void main() {
+		gl_Position = vec4(a_position, 0.0, 1.0);
+		v_clip = a_position;
+	}
+`;
+
+// Same ray maths as PanoramicProjection.render
+const WEBGL_PROJECTED_FRAGMENT_SHADER = `
+	precision highp float;
+	uniform sampler2D u_texture;
+	uniform vec2 u_resolution;
+	uniform float u_focal;
+	uniform float u_yaw;
+	uniform float u_pitch;
+	uniform float u_coverage;
+	uniform float u_aspect;
+	uniform bool u_cylindrical;
+	uniform bool u_wraps;
+	varying vec2 v_clip;
+
+	const float PI = 3.14159265358979;
+
+	void main() {
+		vec2 pixel = v_clip * u_resolution / 2.0;
+		float rayY = pixel.y * cos(u_pitch) + u_focal * sin(u_pitch);
+		float rowZ = u_focal * cos(u_pitch) - pixel.y * sin(u_pitch);
+		float rayX = pixel.x * cos(u_yaw) + rowZ * sin(u_yaw);
+		float rayZ = rowZ * cos(u_yaw) - pixel.x * sin(u_yaw);
+
+		float lon = atan(rayX, rayZ);
+		float horizontal = length(vec2(rayX, rayZ));
+		float u = (lon + u_coverage / 2.0) / u_coverage;
+		float v = u_cylindrical ?
+			0.5 - rayY / horizontal * u_aspect / u_coverage :
+			0.5 - atan(rayY, horizontal) / PI;
+		if (u_wraps) {
+			u = fract(u);
+		}
+
+		// Rays that miss a partial panorama are left transparent
+		if (u < 0.0 || u > 1.0 || v < 0.0 || v > 1.0) {
+			gl_FragColor = vec4(0.0);
+		} else {
+			gl_FragColor = texture2D(u_texture, vec2(u, v));
+		}
+	}
+`;
+
+/**
+ * Panoramic WebGL Renderer
+ * Draws the panorama with WebGL. Segments are uploaded as textures once, tiled
+ * where they exceed the GPU's texture size, and composited as textured quads.
+ */
+class PanoramicWebGLRenderer extends PanoramicRenderer {
+	static isSupported() {
+		try {
+			const canvas = document.createElement('canvas');
+			return !!(window.WebGLRenderingContext && canvas.getContext('webgl'));
+		} catch (error) {
+			return false;
+		}
+	}
+
+	// Throws if WebGL is unavailable, so the viewer can fall back to Canvas 2D.
+	initContext(canvas) {
+		const gl = canvas.getContext('webgl', { alpha: true, premultipliedAlpha: true, antialias: false });
+		if (!gl) {
+			throw new Error('WebGL is unavailable');
+		}
+
+		this.gl = gl;
+		this.quads = [];
+		this.tileQuads = new Map();
+		this.segments = [];
+		this.contentSize = null;
+		this.projectionTexture = null;
+		this.maxTextureSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), WEBGL_MAX_TILE_SIZE);
+
+		this.flatProgram = this.createProgram(WEBGL_FLAT_VERTEX_SHADER, WEBGL_FLAT_FRAGMENT_SHADER);
+		this.projectedProgram = this.createProgram(WEBGL_PROJECTED_VERTEX_SHADER, WEBGL_PROJECTED_FRAGMENT_SHADER);
+
+		this.screenBuffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.screenBuffer);
+		gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+		this.whiteTexture = this.createTexture(new Uint8Array([255, 255, 255, 255]), 1, 1);
+
+		gl.enable(gl.BLEND);
+		gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+		gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+
+		return null;
+	}
+
+	createProgram(vertexSource, fragmentSource) {
+		const gl = this.gl;
+		const program = gl.createProgram();
+
+		[[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+			const shader = gl.createShader(type);
+			gl.shaderSource(shader, source);
+			gl.compileShader(shader);
+			if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+				throw new Error(`Shader compilation failed: ${gl.getShaderInfoLog(shader)}`);
+			}
+			gl.attachShader(program, shader);
+			gl.deleteShader(shader);
+		});
+
+		gl.linkProgram(program);
+		if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+			throw new Error(`Shader linking failed: ${gl.getProgramInfoLog(program)}`);
+		}
+		return program;
+	}
+
+	// Upload an image or canvas, or raw RGBA pixels of the given size, as a texture.
+	createTexture(source, width, height) {
+		const gl = this.gl;
+		const texture = gl.createTexture();
+		gl.bindTexture(gl.TEXTURE_2D, texture);
+
+		if (source instanceof Uint8Array) {
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, source);
+		} else {
+			gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+		}
+
+		// Non-power-of-two textures need clamping and no mipmaps in WebGL 1
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+		gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+		return texture;
+	}
+
+	async setupSingleImage() {
+		if (this.images.length !== 1) {
+			return;
+		}
+		const img = this.images[0];
+		this.setSegments(
+			[{ source: img, position: { x: 0, y: 0 }, rotation: 0, opacity: 1 }],
+			{ width: img.width, height: img.height }
+		);
+	}
+
+	// Thumbnails are replaced by the full images once stitchImages runs
+	createStitchedCanvas(sourceImages) {
+		const { images, layout } = this.buildLayout(sourceImages);
+		this.setSegments(PanoramicCompositor.prepareSegments(images, layout, this.stitchOptions), layout);
+	}
+
+	async loadTiles(manifest) {
+		this.releaseTextures();
+		this.contentSize = null;
+		await super.loadTiles(manifest);
+	}
+
+	// Quad of a loaded tile, uploading its texture the first time it is drawn
+	getTileQuad(tile) {
+		let quad = this.tileQuads.get(tile.key);
+		if (!quad) {
+			const texture = this.createTexture(tile.image);
+			quad = this.createQuad(texture, 0, 0, tile.width, tile.height, { x: tile.x, y: tile.y }, tile, 0, 1);
+			this.tileQuads.set(tile.key, quad);
+		}
+		return quad;
+	}
+
+	releaseTile(tile) {
+		const quad = this.tileQuads.get(tile.key);
+		if (quad && this.gl) {
+			this.gl.deleteTexture(quad.texture);
+			this.gl.deleteBuffer(quad.buffer);
+		}
+		this.tileQuads.delete(tile.key);
+	}
+
+	// Replace the textures with segments ({ source, position, rotation, opacity }
+	// in drawing order) making up a panorama of the given size.
+	setSegments(segments, size) {
+		this.releaseTextures();
+		this.segments = segments;
+		this.contentSize = { width: size.width, height: size.height };
+
+		// Stitched panoramas have a white background, as on the 2D canvas
+		this.quads.push(this.createQuad(this.whiteTexture, 0, 0, size.width, size.height, { x: 0, y: 0 }, size, 0, 1));
+
+		segments.forEach(segment => {
+			const { source, position, rotation, opacity } = segment;
+			for (let ty = 0; ty < source.height; ty += this.maxTextureSize) {
+				for (let tx = 0; tx < source.width; tx += this.maxTextureSize) {
+					const tileWidth = Math.min(this.maxTextureSize, source.width - tx);
+					const tileHeight = Math.min(this.maxTextureSize, source.height - ty);
+					const texture = this.createTexture(this.getTile(source, tx, ty, tileWidth, tileHeight));
+					this.quads.push(this.createQuad(texture, tx, ty, tileWidth, tileHeight, position, source, rotation, opacity));
+				}
+			}
+		});
+	}
+
+	// Copy part of a segment that is too large for one texture
+	getTile(source, x, y, width, height) {
+		if (width === source.width && height === source.height) {
+			return source;
+		}
+		const tile = document.createElement('canvas');
+		tile.width = width;
+		tile.height = height;
+		tile.getContext('2d').drawImage(source, x, y, width, height, 0, 0, width, height);
+		return tile;
+	}
+
+	// Build the vertex buffer of one tile in panorama coordinates, rotated with
+	// its segment about the segment's centre.
+	createQuad(texture, tx, ty, width, height, position, size, rotation, opacity) {
+		const gl = this.gl;
+		const centreX = position.x + size.width / 2;
+		const centreY = position.y + size.height / 2;
+		const cos = Math.cos(rotation * PROJECTION_DEG);
+		const sin = Math.sin(rotation * PROJECTION_DEG);
+
+		const vertices = [];
+		[[0, 0], [1, 0], [0, 1], [1, 1]].forEach(([u, v]) => {
+			const dx = position.x + tx + u * width - centreX;
+			const dy = position.y + ty + v * height - centreY;
+			vertices.push(centreX + dx * cos - dy * sin, centreY + dx * sin + dy * cos, u, v);
+		});
+
+		const buffer = gl.createBuffer();
+		gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+		gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(vertices), gl.STATIC_DRAW);
+		return { texture, buffer, opacity };
+	}
+
+	getContentSize() {
+		return this.tileLayer ? super.getContentSize() : this.contentSize;
+	}
+
+	render() {
+		const gl = this.gl;
+		const content = this.getContentSize();
+		if (!gl || !content || !this.canvas) {
+			return;
+		}
+
+		gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+		gl.clearColor(0, 0, 0, 0);
+		gl.clear(gl.COLOR_BUFFER_BIT);
+
+		if (this.isProjected()) {
+			this.renderProjected();
+			return;
+		}
+
+		const program = this.flatProgram;
+		gl.useProgram(program);
+
+		const scaledWidth = content.width * this.scale;
+		const scaledHeight = content.height * this.scale;
+		const x = (this.canvas.width - scaledWidth) / 2 + this.panX;
+		const y = (this.canvas.height - scaledHeight) / 2 + this.panY;
+		gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_scale'), this.scale);
+
+		const positionLocation = gl.getAttribLocation(program, 'a_position');
+		const texCoordLocation = gl.getAttribLocation(program, 'a_texCoord');
+		const opacityLocation = gl.getUniformLocation(program, 'u_opacity');
+		const offsetLocation = gl.getUniformLocation(program, 'u_offset');
+		gl.enableVertexAttribArray(positionLocation);
+		gl.enableVertexAttribArray(texCoordLocation);
+
+		this.getRepeatPositions(x, scaledWidth).forEach(tileX => {
+			gl.uniform2f(offsetLocation, tileX, y);
+			const quads = this.tileLayer ?
+				this.tileLayer.getDrawList(this.scale, this.getVisibleRect(tileX, y)).map(tile => this.getTileQuad(tile)) :
+				this.quads;
+			quads.forEach(quad => {
+				gl.bindBuffer(gl.ARRAY_BUFFER, quad.buffer);
+				gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 16, 0);
+				gl.vertexAttribPointer(texCoordLocation, 2, gl.FLOAT, false, 16, 8);
+				gl.bindTexture(gl.TEXTURE_2D, quad.texture);
+				gl.uniform1f(opacityLocation, quad.opacity);
+				gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+			});
+		});
+	}
+
+	renderProjected() {
+		const gl = this.gl;
+		if (!this.projectionTexture) {
+			this.projectionTexture = this.createTexture(this.createProjectionSource());
+		}
+
+		const program = this.projectedProgram;
+		gl.useProgram(program);
+		gl.uniform2f(gl.getUniformLocation(program, 'u_resolution'), this.canvas.width, this.canvas.height);
+		gl.uniform1f(
+			gl.getUniformLocation(program, 'u_focal'),
+			this.canvas.width / 2 / Math.tan((this.fov * PROJECTION_DEG) / 2)
+		);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_yaw'), this.yaw * PROJECTION_DEG);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_coverage'), this.hfov * PROJECTION_DEG);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_aspect'), this.contentSize.width / this.contentSize.height);
+		gl.uniform1i(gl.getUniformLocation(program, 'u_cylindrical'), this.projection === 'cylindrical' ? 1 : 0);
+		gl.uniform1i(gl.getUniformLocation(program, 'u_wraps'), this.getCameraLimits().wraps ? 1 : 0);
+		gl.uniform1f(gl.getUniformLocation(program, 'u_pitch'), this.pitch * PROJECTION_DEG);
+
+		const positionLocation = gl.getAttribLocation(program, 'a_position');
+		gl.bindBuffer(gl.ARRAY_BUFFER, this.screenBuffer);
+		gl.enableVertexAttribArray(positionLocation);
+		gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
+		gl.bindTexture(gl.TEXTURE_2D, this.projectionTexture);
+		gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+	}
+
+	// Composite the segments into one panorama to reproject, sized to fit a single texture
+	createProjectionSource() {
+		const { width, height } = this.contentSize;
+		const scale = Math.min(1, this.maxTextureSize / width, this.maxTextureSize / height);
+
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.max(1, Math.round(width * scale));
+		canvas.height = Math.max(1, Math.round(height * scale));
+
+		const ctx = canvas.getContext('2d');
+		ctx.fillStyle = 'white';
+		ctx.fillRect(0, 0, canvas.width, canvas.height);
+		ctx.scale(scale, scale);
+		this.segments.forEach(segment => {
+			ctx.globalAlpha = segment.opacity;
+			PanoramicCompositor.drawSegment(ctx, segment.source, segment.position, segment.rotation);
+		});
+		return canvas;
+	}
+
+	releaseTextures() {
+		const gl = this.gl;
+		this.quads.forEach(quad => {
+			if (quad.texture !== this.whiteTexture) {
+				gl.deleteTexture(quad.texture);
+			}
+			gl.deleteBuffer(quad.buffer);
+		});
+		if (this.projectionTexture) {
+			gl.deleteTexture(this.projectionTexture);
+		}
+		this.quads = [];
+		this.segments = [];
+		this.projectionTexture = null;
+	}
+
+	destroy() {
+		if (this.gl) {
+			this.clearTiles();
+			this.releaseTextures();
+			this.gl.deleteTexture(this.whiteTexture);
+			this.gl.deleteBuffer(this.screenBuffer);
+			this.gl.deleteProgram(this.flatProgram);
+			this.gl.deleteProgram(this.projectedProgram);
+
+			// Free the GPU memory now rather than when the canvas is collected
+			const loseContext = this.gl.getExtension('WEBGL_lose_context');
+			if (loseContext) {
+				loseContext.loseContext();
+			}
+		}
+		this.gl = null;
+		this.contentSize = null;
+		super.destroy();
+	}
+}
+
+/**
+ * Panoramic Controls
+ * Handles all user interactions including mouse, touch, and keyboard controls
+ */
+// Milliseconds of pointer movement a drag's release speed is measured over
+const CONTROLS_VELOCITY_WINDOW = 100;
+
+class PanoramicControls {
+	constructor(viewer, renderer) {
+		this.viewer = viewer;
+		this.renderer = renderer;
+		this.isDragging = false;
+		this.isMouseDown = false;
+		this.startX = 0;
+		this.startY = 0;
+		this.initialMouseX = 0;
+		this.initialMouseY = 0;
+		this.dragThreshold = 5;
+		this.startYaw = 0;
+		this.startPitch = 0;
+		this.dragOriginX = 0;
+		this.dragOriginY = 0;
+		this.lastTouchDistance = 0;
+		// Called after the arrow keys move the view, so the position can be announced
+		this.onKeyboardMove = null;
+		// Called when F is pressed, to enter or leave full screen
+		this.onToggleFullscreen = null;
+		// Set for viewers in the page flow, so the wheel only zooms with Ctrl or Cmd held
+		this.requireWheelModifier = false;
+		// Set for viewers in the page flow, so a mostly vertical one-finger swipe scrolls the page
+		this.allowTouchScroll = false;
+		this.touchOrigin = null;
+		// Called with 1 or -1 when a swipe carries on past the right or left edge of the panorama
+		this.onSwipe = null;
+		this.swipeThreshold = 60;
+		this.swipeStart = null;
+		// Recent pointer positions of a drag, so the view can glide on at its speed
+		this.panSamples = [];
+		
+		this.handleMouseDown = this.handleMouseDown.bind(this);
+		this.handleMouseMove = this.handleMouseMove.bind(this);
+		this.handleMouseUp = this.handleMouseUp.bind(this);
+		this.handleMouseLeave = this.handleMouseLeave.bind(this);
+		this.handleWheel = this.handleWheel.bind(this);
+		this.handleTouchStart = this.handleTouchStart.bind(this);
+		this.handleTouchMove = this.handleTouchMove.bind(this);
+		this.handleTouchEnd = this.handleTouchEnd.bind(this);
+		this.handleKeyDown = this.handleKeyDown.bind(this);
+		
+		this.attachEventListeners();
+	}
+
+	attachEventListeners() {
+		this.viewer.addEventListener('mousedown', this.handleMouseDown);
+		this.viewer.addEventListener('mousemove', this.handleMouseMove);
+		this.viewer.addEventListener('mouseup', this.handleMouseUp);
+		this.viewer.addEventListener('mouseleave', this.handleMouseLeave);
+		this.viewer.addEventListener('wheel', this.handleWheel, { passive: false });
+		this.viewer.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+		this.viewer.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+		this.viewer.addEventListener('touchend', this.handleTouchEnd);
+		this.viewer.addEventListener('keydown', this.handleKeyDown);
+	}
+
+	handleMouseDown(e) {
+		this.renderer.stopMomentum();
+		this.isMouseDown = true;
+		this.initialMouseX = e.clientX;
+		this.initialMouseY = e.clientY;
+		this.viewer.classList.add('grabbing');
+	}
+
+	handleMouseMove(e) {
+		if (!this.isMouseDown) {
+			return;
+		}
+		const deltaX = e.clientX - this.initialMouseX;
+		const deltaY = e.clientY - this.initialMouseY;
+		const distance = PanoramicUtils.calculateDistance(0, 0, deltaX, deltaY);
+		if (!this.isDragging && distance > this.dragThreshold) {
+			this.startPan(this.initialMouseX, this.initialMouseY);
+		}
+		if (this.isDragging) {
+			e.preventDefault();
+			this.dragPan(e.clientX, e.clientY);
+		}
+	}
+
+	handleMouseUp() {
+		this.isMouseDown = false;
+		this.endPan();
+		this.viewer.classList.remove('grabbing');
+	}
+
+	handleMouseLeave() {
+		this.isMouseDown = false;
+		this.endPan();
+		this.viewer.classList.remove('grabbing');
+	}
+
+	handleWheel(e) {
+		// Trackpad pinches also arrive with ctrlKey set
+		if (this.requireWheelModifier && !e.ctrlKey && !e.metaKey) {
+			return;
+		}
+
+		e.preventDefault();
+		const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
+		const rect = this.viewer.getBoundingClientRect();
+		const mouseX = e.clientX - rect.left;
+		const mouseY = e.clientY - rect.top;
+		this.zoomAtPoint(zoomFactor, mouseX, mouseY);
+	}
+
+	handleTouchStart(e) {
+		this.renderer.stopMomentum();
+		this.touchOrigin = null;
+		if (e.touches.length === 1) {
+			const touch = e.touches[0];
+			this.startSwipe(touch);
+			if (this.allowTouchScroll) {
+				// Wait until the finger shows whether it pans the view or scrolls the page
+				this.touchOrigin = { x: touch.clientX, y: touch.clientY };
+				return;
+			}
+			e.preventDefault();
+			this.startPan(touch.clientX, touch.clientY);
+		} else if (e.touches.length === 2) {
+			e.preventDefault();
+			this.startPinchZoom(e.touches);
+			this.swipeStart = null;
+		}
+	}
+
+	handleTouchMove(e) {
+		if (e.touches.length === 1 && this.touchOrigin) {
+			this.claimTouchPan(e.touches[0]);
+		}
+
+		// A touch that is not panning is left to scroll the page
+		if (this.allowTouchScroll && e.touches.length === 1 && !this.isDragging) {
+			return;
+		}
+
+		e.preventDefault();
+		if (e.touches.length === 1 && this.isDragging) {
+			const touch = e.touches[0];
+			this.dragPan(touch.clientX, touch.clientY);
+		} else if (e.touches.length === 2) {
+			this.handlePinchZoom(e.touches);
+		}
+	}
+
+	handleTouchEnd(e) {
+		this.endPan();
+		this.lastTouchDistance = 0;
+		this.touchOrigin = null;
+		if (e.touches.length === 0) {
+			this.endSwipe(e.changedTouches[0]);
+		}
+	}
+
+	// Start panning once a one-finger touch has moved mostly sideways, or leave it to the page if it moved mostly up or down
+	claimTouchPan(touch) {
+		const dx = touch.clientX - this.touchOrigin.x;
+		const dy = touch.clientY - this.touchOrigin.y;
+		if (PanoramicUtils.calculateDistance(0, 0, dx, dy) <= this.dragThreshold) {
+			return;
+		}
+
+		const origin = this.touchOrigin;
+		this.touchOrigin = null;
+		if (Math.abs(dx) > Math.abs(dy)) {
+			this.startPan(origin.x, origin.y);
+		} else {
+			this.swipeStart = null;
+		}
+	}
+
+	startSwipe(touch) {
+		this.swipeStart = this.onSwipe ?
+			{ x: touch.clientX, y: touch.clientY, view: this.renderer.getViewState() } :
+			null;
+	}
+
+	// Report a swipe that could not move the view, having met the edge of the panorama
+	endSwipe(touch) {
+		const start = this.swipeStart;
+		this.swipeStart = null;
+		if (!start || !touch || !this.onSwipe) {
+			return;
+		}
+
+		const dx = touch.clientX - start.x;
+		const dy = touch.clientY - start.y;
+		if (Math.abs(dx) < this.swipeThreshold || Math.abs(dx) < Math.abs(dy) * 2) {
+			return;
+		}
+
+		// A swipe that moved the view was a pan, even if it reached the edge on the way
+		if (Math.abs(this.renderer.getViewState().x - start.view.x) > 0.001) {
+			return;
+		}
+
+		this.onSwipe(dx < 0 ? 1 : -1);
+	}
+
+	handleKeyDown(e) {
+		const step = 20;
+		this.renderer.stopMomentum();
+		const isRTL = document.documentElement.dir === 'rtl' || 
+					  document.body.dir === 'rtl' ||
+					  window.getComputedStyle(document.documentElement).direction === 'rtl';
+		
+		if (this.renderer.isProjected() && e.key.startsWith('Arrow')) {
+			this.rotateView(e.key, isRTL);
+			this.notifyKeyboardMove();
+			e.preventDefault();
+			return;
+		}
+		
+		let handled = false;
+		switch (e.key) {
+			case 'ArrowLeft':
+				// In RTL, left arrow should move right in the image
+				const leftStep = isRTL ? -step : step;
+				this.renderer.setPan(this.renderer.panX + leftStep, this.renderer.panY);
+				handled = true;
+				break;
+			case 'ArrowRight':
+				// In RTL, right arrow should move left in the image
+				const rightStep = isRTL ? step : -step;
+				this.renderer.setPan(this.renderer.panX + rightStep, this.renderer.panY);
+				handled = true;
+				break;
+			case 'ArrowUp':
+				this.renderer.setPan(this.renderer.panX, this.renderer.panY + step);
+				handled = true;
+				break;
+			case 'ArrowDown':
+				this.renderer.setPan(this.renderer.panX, this.renderer.panY - step);
+				handled = true;
+				break;
+			case '+':
+			case '=':
+				this.zoom(1.2);
+				handled = true;
+				break;
+			case '-':
+				this.zoom(0.8);
+				handled = true;
+				break;
+			case '0':
+				this.resetView();
+				handled = true;
+				break;
+			case 'f':
+			case 'F':
+				// Leave Ctrl+F and the like to the browser
+				if (this.onToggleFullscreen && !e.ctrlKey && !e.metaKey && !e.altKey) {
+					this.onToggleFullscreen();
+					handled = true;
+				}
+				break;
+		}
+		if (handled) {
+			if (e.key.startsWith('Arrow')) {
+				this.notifyKeyboardMove();
+			}
+			e.preventDefault();
+		}
+	}
+
+	notifyKeyboardMove() {
+		if (this.onKeyboardMove) {
+			this.onKeyboardMove();
+		}
+	}
+
+	rotateView(key, isRTL) {
+		// Turn by a fixed share of the field of view so steps feel the same at any zoom
+		const step = this.renderer.fov / 18;
+		const horizontalStep = isRTL ? -step : step;
+		const { yaw, pitch } = this.renderer;
+		switch (key) {
+			case 'ArrowLeft':
+				this.renderer.setView(yaw - horizontalStep, pitch);
+				break;
+			case 'ArrowRight':
+				this.renderer.setView(yaw + horizontalStep, pitch);
+				break;
+			case 'ArrowUp':
+				this.renderer.setView(yaw, pitch + step);
+				break;
+			case 'ArrowDown':
+				this.renderer.setView(yaw, pitch - step);
+				break;
+		}
+	}
+
+	startPan(x, y) {
+		this.isDragging = true;
+		this.startX = x - this.renderer.panX;
+		this.startY = y - this.renderer.panY;
+		this.startYaw = this.renderer.yaw;
+		this.startPitch = this.renderer.pitch;
+		this.dragOriginX = x;
+		this.dragOriginY = y;
+		this.panSamples = [{ x, y, time: performance.now() }];
+		this.viewer.classList.add('dragging');
+	}
+
+	dragPan(x, y) {
+		if (!this.isDragging) {
+			return;
+		}
+		this.trackPanSpeed(x, y);
+		if (this.renderer.isProjected()) {
+			// Drag the scene under the pointer: one viewport width turns by the field of view
+			const degreesPerPixel = this.renderer.fov / this.renderer.canvas.width;
+			this.renderer.setView(
+				this.startYaw - (x - this.dragOriginX) * degreesPerPixel,
+				this.startPitch + (y - this.dragOriginY) * degreesPerPixel
+			);
+			return;
+		}
+		const newPanX = x - this.startX;
+		const newPanY = y - this.startY;
+		this.renderer.setPan(newPanX, newPanY);
+	}
+
+	// Glide on at the speed the drag was released at
+	endPan() {
+		if (this.isDragging) {
+			const velocity = this.getPanVelocity();
+			if (velocity) {
+				this.renderer.startMomentum(velocity.x, velocity.y);
+			}
+		}
+		this.isDragging = false;
+		this.panSamples = [];
+		this.viewer.classList.remove('dragging');
+	}
+
+	// Note a pointer position of a drag, forgetting those too old to count towards its speed
+	trackPanSpeed(x, y) {
+		const time = performance.now();
+		this.panSamples.push({ x, y, time });
+		this.panSamples = this.panSamples.filter(sample => time - sample.time <= CONTROLS_VELOCITY_WINDOW);
+	}
+
+	// Pixels per millisecond the pointer moved at just before release, or null if it had come to rest
+	getPanVelocity() {
+		const now = performance.now();
+		const samples = this.panSamples.filter(sample => now - sample.time <= CONTROLS_VELOCITY_WINDOW);
+		if (samples.length < 2) {
+			return null;
+		}
+
+		const first = samples[0];
+		const last = samples[samples.length - 1];
+		const elapsed = last.time - first.time;
+		return elapsed > 0 ? { x: (last.x - first.x) / elapsed, y: (last.y - first.y) / elapsed } : null;
+	}
+
+	startPinchZoom(touches) {
+		const distance = this.getTouchDistance(touches);
+		this.lastTouchDistance = distance;
+		// Lifting a finger from a pinch does not glide
+		this.panSamples = [];
+	}
+
+	handlePinchZoom(touches) {
+		if (this.lastTouchDistance === 0) {
+			this.startPinchZoom(touches);
+			return;
+		}
+		const currentDistance = this.getTouchDistance(touches);
+		const scaleChange = currentDistance / this.lastTouchDistance;
+		const centerX = (touches[0].clientX + touches[1].clientX) / 2;
+		const centerY = (touches[0].clientY + touches[1].clientY) / 2;
+		const rect = this.viewer.getBoundingClientRect();
+		const zoomCenterX = centerX - rect.left;
+		const zoomCenterY = centerY - rect.top;
+		this.zoomAtPoint(scaleChange, zoomCenterX, zoomCenterY, false);
+		this.lastTouchDistance = currentDistance;
+	}
+
+	getTouchDistance(touches) {
+		if (touches.length < 2) {
+			return 0;
+		}
+		return PanoramicUtils.calculateDistance(
+			touches[0].clientX, touches[0].clientY,
+			touches[1].clientX, touches[1].clientY
+		);
+	}
+
+	// Zoom towards a point, eased unless animate is false, as for pinches that follow the fingers
+	zoomAtPoint(factor, pointX, pointY, animate = true) {
+		return this.renderer.zoom(factor, pointX, pointY, animate);
+	}
+
+	zoom(factor) {
+		return this.renderer.zoom(factor);
+	}
+
+	resetView() {
+		this.renderer.resetView();
+	}
+
+	removeEventListeners() {
+		this.viewer.removeEventListener('mousedown', this.handleMouseDown);
+		this.viewer.removeEventListener('mousemove', this.handleMouseMove);
+		this.viewer.removeEventListener('mouseup', this.handleMouseUp);
+		this.viewer.removeEventListener('mouseleave', this.handleMouseLeave);
+		this.viewer.removeEventListener('wheel', this.handleWheel);
+		this.viewer.removeEventListener('touchstart', this.handleTouchStart);
+		this.viewer.removeEventListener('touchmove', this.handleTouchMove);
+		this.viewer.removeEventListener('touchend', this.handleTouchEnd);
+		this.viewer.removeEventListener('keydown', this.handleKeyDown);
+	}
+
+	destroy() {
+		this.removeEventListeners();
+		this.viewer = null;
+		this.renderer = null;
+	}
+}
+
+/**
+ * Panoramic Accessibility
+ * Handles accessibility features including screen reader support, ARIA labels, and focus management
+ */
+class PanoramicAccessibility {
+	constructor(modal, renderer) {
+		this.modal = modal;
+		this.renderer = renderer;
+		this.statusEl = null;
+		this.loadingEl = null;
+		this.titleEl = null;
+		this.previousFocus = null;
+		this.trapFocusHandler = null;
+		this.initializeElements();
+	}
+
+	initializeElements() {
+		this.statusEl = this.modal.querySelector('.panoramic-status');
+		this.loadingEl = this.modal.querySelector('.panoramic-loading');
+		this.titleEl = this.modal.querySelector('.panoramic-viewer-title');
+	}
+
+	showLoading() {
+		if (this.loadingEl) {
+			this.loadingEl.style.display = 'block';
+			this.announceStatus('Loading panoramic image...');
+		}
+	}
+
+	hideLoading() {
+		if (this.loadingEl) {
+			this.loadingEl.style.display = 'none';
+		}
+	}
+
+	announceStatus(message, clearDelay = 3000) {
+		if (this.statusEl) {
+			this.statusEl.textContent = message;
+			if (clearDelay > 0) {
+				setTimeout(() => {
+					if (this.statusEl) {
+						this.statusEl.textContent = '';
+					}
+				}, clearDelay);
+			}
+		}
+	}
+
+	announceZoomChange(oldScale, newScale) {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		const zoomPercent = Math.round(newScale * 100);
 		
-		const scaledWidth = canvasToUse.width * this.scale;
-		const scaledHeight = canvasToUse.height * this.scale;
-		const maxPanX = Math.max(0, (scaledWidth - this.canvas.width) / 2);
-		const maxPanY = Math.max(0, (scaledHeight - this.canvas.height) / 2);
-		this.panX = PanoramicUtils.clamp(this.panX, -maxPanX, maxPanX);
-		this.panY = PanoramicUtils.clamp(this.panY, -maxPanY, maxPanY);
+		if (newScale > oldScale) {
+			const message = strings.zoomedIn ? 
+				strings.zoomedIn.replace('%d', zoomPercent) :
+				`Zoomed in to ${zoomPercent}%`;
+			this.announceStatus(message);
+		} else {
+			const message = strings.zoomedOut ? 
+				strings.zoomedOut.replace('%d', zoomPercent) :
+				`Zoomed out to ${zoomPercent}%`;
+			this.announceStatus(message);
+		}
+	}
+
+	announceViewReset(scale) {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		const zoomPercent = Math.round(scale * 100);
+		const message = strings.viewReset ? 
+			strings.viewReset.replace('%d', zoomPercent) :
+			`View reset. Zoom: ${zoomPercent}%, centered`;
+		this.announceStatus(message);
+	}
+
+	// Panoramas that turn or loop have no edges, so their position is a heading
+	announceHeading() {
+		const heading = this.renderer.getHeading();
+		if (heading === null) {
+			return;
+		}
+		const strings = window.panoramicImageBlockData?.strings || {};
+		const message = strings.heading ?
+			strings.heading.replace('%d', heading) :
+			`Heading ${heading}°`;
+		this.announceStatus(message);
+	}
+
+	announceSceneChange(title) {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		let message;
+		if (!title) {
+			message = strings.sceneChanged || 'Moved to the next scene';
+		} else {
+			message = strings.nowViewing ?
+				strings.nowViewing.replace('%s', title) :
+				`Now viewing ${title}`;
+		}
+		this.announceStatus(message);
+	}
+
+	announceGalleryPosition(title, position, total) {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		let message;
+		if (!title) {
+			message = strings.galleryUntitled ?
+				strings.galleryUntitled.replace('%1$d', position).replace('%2$d', total) :
+				`Panorama ${position} of ${total}`;
+		} else {
+			message = strings.galleryPosition ?
+				strings.galleryPosition.replace('%1$s', title).replace('%2$d', position).replace('%3$d', total) :
+				`Now viewing ${title}, ${position} of ${total}`;
+		}
+		this.announceStatus(message);
+	}
+
+	announceLinkCopied(copied) {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		this.announceStatus(copied ?
+			strings.linkCopied || 'Link to this view copied' :
+			strings.linkCopyFailed || 'Could not copy the link');
+	}
+
+	announceLoadingSuccess() {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		this.announceStatus(strings.imageLoaded || 'Panoramic image loaded successfully');
+	}
+
+	announceLoadingError() {
+		this.announceStatus('Failed to load panoramic images. Please try again.');
+	}
+
+	announceContextualError(errorType, retryAvailable = false) {
+		let message = '';
+		switch (errorType) {
+			case 'timeout':
+				message = retryAvailable ? 
+					'Images are taking too long to load. Retrying with a faster connection might help.' :
+					'Images took too long to load. Please check your internet connection and try again.';
+				break;
+			case 'network':
+				message = retryAvailable ?
+					'Network error occurred while loading images. Attempting to retry...' :
+					'Unable to load images due to network issues. Please check your connection and try again.';
+				break;
+			case 'not_found':
+				message = 'Some images could not be found. They may have been moved or deleted.';
+				break;
+			case 'forbidden':
+				message = 'Access to some images is restricted. Please contact the site administrator.';
+				break;
+			case 'cors':
+				message = 'Images cannot be loaded due to security restrictions.';
+				break;
+			default:
+				message = retryAvailable ?
+					'An error occurred while loading images. Attempting to retry...' :
+					'Failed to load panoramic images. Please refresh the page and try again.';
+		}
+		this.announceStatus(message, 5000);
+	}
+
+	announceProgressiveLoading(type, current, total) {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		
+		if (type === 'thumbnail') {
+			const message = strings.loadingPreview ? 
+				`${strings.loadingPreview} ${current} of ${total} thumbnails loaded` :
+				`Loading preview... ${current} of ${total} thumbnails loaded`;
+			this.announceStatus(message);
+		} else if (type === 'full') {
+			const message = strings.loadingHighRes ? 
+				`${strings.loadingHighRes} ${current} of ${total} images loaded` :
+				`Loading high resolution... ${current} of ${total} images loaded`;
+			this.announceStatus(message);
+		}
+	}
+
+	updateTitle(title) {
+		if (this.titleEl) {
+			this.titleEl.textContent = title || 'Panoramic Image Viewer';
+		}
+	}
+
+	trapFocus() {
+		if (this.trapFocusHandler) {
+			this.modal.removeEventListener('keydown', this.trapFocusHandler);
+		}
+		this.trapFocusHandler = (e) => {
+			if (e.key !== 'Tab') {
+				return;
+			}
+			// Looked up on every Tab, as hotspot markers come and go while panning
+			const focusableElements = this.getFocusableElements();
+			if (focusableElements.length === 0) {
+				return;
+			}
+			const firstElement = focusableElements[0];
+			const lastElement = focusableElements[focusableElements.length - 1];
+			if (e.shiftKey) {
+				if (document.activeElement === firstElement) {
+					e.preventDefault();
+					lastElement.focus();
+				}
+			} else {
+				if (document.activeElement === lastElement) {
+					e.preventDefault();
+					firstElement.focus();
+				}
+			}
+		};
+		this.modal.addEventListener('keydown', this.trapFocusHandler);
+	}
+
+	// Visible elements in the modal that Tab can reach, in document order
+	getFocusableElements() {
+		const elements = this.modal.querySelectorAll(
+			'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+		);
+		return Array.from(elements).filter(element => element.getClientRects().length > 0);
+	}
+
+	setInitialFocus(viewer) {
+		this.previousFocus = document.activeElement;
+		if (viewer) {
+			viewer.focus();
+		}
+	}
+
+	restoreFocus() {
+		if (this.previousFocus) {
+			this.previousFocus.focus();
+			this.previousFocus = null;
+		}
+	}
+
+	removeFocusTrap() {
+		if (this.trapFocusHandler) {
+			this.modal.removeEventListener('keydown', this.trapFocusHandler);
+			this.trapFocusHandler = null;
+		}
+	}
+
+	provideImageDescription(imageType, imageCount) {
+		let description = '';
+		if (imageType === 'single') {
+			description = 'Single panoramic image viewer. Use controls to zoom and pan around the image.';
+		} else {
+			description = `Panoramic image created from ${imageCount} stitched images. Use controls to explore the full panoramic view.`;
+		}
+		this.announceStatus(description, 4000);
+	}
+
+	destroy() {
+		this.removeFocusTrap();
+		this.restoreFocus();
+		if (this.statusEl) {
+			this.statusEl.textContent = '';
+		}
+		this.modal = null;
+		this.renderer = null;
+		this.statusEl = null;
+		this.loadingEl = null;
+		this.titleEl = null;
+	}
+}
+
+/**
+ * Panoramic Auto-Rotate
+ * Slowly turns the view on its own a moment after the viewer opens, pauses on any
+ * interaction and resumes after the visitor has been idle. The toolbar button
+ * pauses and plays it (WCAG 2.2.2); with reduced motion it only runs when played.
+ */
+
+// Events that count as the visitor taking over the view
+const AUTO_ROTATE_INTERACTION_EVENTS = ['pointerdown', 'wheel', 'keydown', 'touchstart'];
+
+class PanoramicAutoRotate {
+	constructor(container, renderer, button) {
+		this.container = container;
+		this.renderer = renderer;
+		this.button = button;
+		this.options = null;
+		this.timer = null;
+		// Set when the visitor pauses with the button, which stops idle resuming
+		this.isPausedByUser = false;
+		
+		this.handleInteraction = this.handleInteraction.bind(this);
+		this.handleButtonClick = this.toggle.bind(this);
+		
+		// Captured, so the rotation stops before a drag or key press moves the view
+		AUTO_ROTATE_INTERACTION_EVENTS.forEach(type => {
+			this.container.addEventListener(type, this.handleInteraction, { capture: true, passive: true });
+		});
+		this.button.addEventListener('click', this.handleButtonClick);
+		this.updateButton();
+	}
+
+	// Set up the rotation of the panorama being opened, stopping any that runs.
+	// options is { speed, delay, idle } from data-auto-rotate: degrees per second,
+	// negative to turn left, then seconds before starting and before resuming after
+	// an interaction, where an idle time of 0 never resumes. Null turns it off.
+	configure(options) {
+		this.stop();
+		this.options = options;
+		this.isPausedByUser = false;
+		this.button.hidden = !options;
+		this.updateButton();
+	}
+
+	// Start after the delay, unless the visitor prefers reduced motion
+	start() {
+		if (!this.options || this.isPausedByUser || PanoramicUtils.prefersReducedMotion()) {
+			return;
+		}
+		this.schedule(this.options.delay);
+	}
+
+	schedule(seconds) {
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => this.play(), seconds * 1000);
+		this.updateButton();
+	}
+
+	play() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.renderer.startAutoRotate(this.options.speed);
+		this.updateButton();
+	}
+
+	stop() {
+		clearTimeout(this.timer);
+		this.timer = null;
+		this.renderer.stopAutoRotate();
+		this.updateButton();
+	}
+
+	// Rotating, or waiting to
+	isActive() {
+		return this.renderer.isAutoRotating() || this.timer !== null;
+	}
+
+	toggle() {
+		if (!this.options) {
+			return;
+		}
+		
+		if (this.isActive()) {
+			this.isPausedByUser = true;
+			this.stop();
+		} else {
+			this.isPausedByUser = false;
+			this.play();
+		}
+	}
+
+	// Pause while the visitor is interacting, and resume once they have been idle
+	handleInteraction(e) {
+		if (!this.options || !this.isActive() || this.button.contains(e.target)) {
+			return;
+		}
+		
+		this.renderer.stopAutoRotate();
+		if (this.options.idle > 0) {
+			this.schedule(this.options.idle);
+		} else {
+			this.stop();
+		}
+	}
+
+	updateButton() {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		const label = this.isActive() ?
+			strings.pauseRotation || 'Pause auto-rotation' :
+			strings.playRotation || 'Start auto-rotation';
+		this.button.setAttribute('aria-label', label);
+		this.button.title = label;
+		this.button.textContent = this.isActive() ? '❚❚' : '▶';
+	}
+
+	destroy() {
+		this.stop();
+		AUTO_ROTATE_INTERACTION_EVENTS.forEach(type => {
+			this.container.removeEventListener(type, this.handleInteraction, { capture: true });
+		});
+		this.button.removeEventListener('click', this.handleButtonClick);
+		this.container = null;
+		this.renderer = null;
+		this.button = null;
+		this.options = null;
+	}
+}
+
+/**
+ * Panoramic Fullscreen
+ * Toggles the browser's Fullscreen API for a viewer, so the panorama can use the
+ * whole screen. Where the API is unavailable, such as Safari on iPhone, the
+ * toolbar button stays hidden.
+ */
+class PanoramicFullscreen {
+	constructor(element, button, renderer) {
+		this.element = element;
+		this.button = button;
+		this.renderer = renderer;
+		this.isFullscreen = false;
+
+		this.handleChange = this.handleChange.bind(this);
+		this.handleButtonClick = this.toggle.bind(this);
+
+		document.addEventListener('fullscreenchange', this.handleChange);
+		document.addEventListener('webkitfullscreenchange', this.handleChange);
+		this.button.addEventListener('click', this.handleButtonClick);
+		this.button.hidden = !PanoramicFullscreen.isSupported();
+		this.updateButton();
+	}
+
+	static isSupported() {
+		return !!(document.fullscreenEnabled || document.webkitFullscreenEnabled);
+	}
+
+	isActive() {
+		return (document.fullscreenElement || document.webkitFullscreenElement) === this.element;
+	}
+
+	toggle() {
+		if (this.isActive()) {
+			this.exit();
+		} else {
+			this.enter();
+		}
+	}
+
+	enter() {
+		const request = this.element.requestFullscreen || this.element.webkitRequestFullscreen;
+		if (!request || !PanoramicFullscreen.isSupported()) {
+			return;
+		}
+
+		// Older WebKit returns nothing rather than a promise
+		Promise.resolve(request.call(this.element)).catch(() => {
+			// The browser refused, e.g. outside a user gesture, so the viewer stays as it was
+		});
+	}
+
+	exit() {
+		if (!this.isActive()) {
+			return;
+		}
+
+		const exit = document.exitFullscreen || document.webkitExitFullscreen;
+		Promise.resolve(exit.call(document)).catch(() => {
+			// Full screen may already have ended
+		});
 	}
 
-	getScalePercent() {
-		return Math.round(this.scale * 100);
+	// Follow the viewer in and out of full screen, however it got there
+	handleChange() {
+		const isFullscreen = this.isActive();
+		if (isFullscreen === this.isFullscreen) {
+			return;
+		}
+
+		this.isFullscreen = isFullscreen;
+		this.updateButton();
+
+		// Wait for the new layout, then size the canvas to it, keeping the view
+		window.requestAnimationFrame(() => {
+			if (this.renderer) {
+				this.renderer.resize();
+			}
+		});
+	}
+
+	updateButton() {
+		const strings = window.panoramicImageBlockData?.strings || {};
+		const label = this.isFullscreen ?
+			strings.exitFullscreen || 'Exit full screen' :
+			strings.fullscreen || 'Full screen';
+		this.button.setAttribute('aria-label', label);
+		this.button.title = `${label} (F)`;
+		this.button.textContent = '⛶';
 	}
 
 	destroy() {
-		if (this._renderScheduled) {
-			this._renderScheduled = false;
-		}
-		this.ctx = null;
-		this.stitchedCanvas = null;
-		this.thumbnailStitchedCanvas = null;
-		this.images = [];
-		this.thumbnailImages = [];
-		this.loadingErrors = [];
+		this.exit();
+		document.removeEventListener('fullscreenchange', this.handleChange);
+		document.removeEventListener('webkitfullscreenchange', this.handleChange);
+		this.button.removeEventListener('click', this.handleButtonClick);
+		this.element = null;
+		this.button = null;
+		this.renderer = null;
 	}
 }
 
 /**
- * Panoramic Controls
- * Handles all user interactions including mouse, touch, and keyboard controls
+ * Panoramic Deep Link
+ * Keeps the address in step with the lightbox: the block on show and the view of
+ * it go in the hash, as in #panorama=harbour&view=0.4120,0.5000,2.00, so the page
+ * can be shared to open the viewer at the same spot. Opening the viewer adds a
+ * history entry, so the browser's Back button closes it instead of leaving the page.
+ * Blocks are named by their scene ID, otherwise by their position on the page from 1.
  */
-class PanoramicControls {
-	constructor(viewer, renderer) {
-		this.viewer = viewer;
+// Milliseconds the view has to rest before the address follows it
+const DEEP_LINK_UPDATE_DELAY = 300;
+
+// Thumbnails of every block on the page, in order
+const DEEP_LINK_BLOCK_SELECTOR = '.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail';
+
+// Marks the history entries added while the viewer is open
+const DEEP_LINK_HISTORY_KEY = 'panoramicViewer';
+
+class PanoramicDeepLink {
+	constructor(renderer, button) {
 		this.renderer = renderer;
-		this.isDragging = false;
-		this.isMouseDown = false;
-		this.startX = 0;
-		this.startY = 0;
-		this.initialMouseX = 0;
-		this.initialMouseY = 0;
-		this.dragThreshold = 5;
-		this.lastTouchDistance = 0;
-		
-		this.handleMouseDown = this.handleMouseDown.bind(this);
-		this.handleMouseMove = this.handleMouseMove.bind(this);
-		this.handleMouseUp = this.handleMouseUp.bind(this);
-		this.handleMouseLeave = this.handleMouseLeave.bind(this);
-		this.handleWheel = this.handleWheel.bind(this);
-		this.handleTouchStart = this.handleTouchStart.bind(this);
-		this.handleTouchMove = this.handleTouchMove.bind(this);
-		this.handleTouchEnd = this.handleTouchEnd.bind(this);
-		this.handleKeyDown = this.handleKeyDown.bind(this);
-		
-		this.attachEventListeners();
+		this.button = button;
+
+		// Name of the block on show, or null while the viewer is closed
+		this.key = null;
+		this.timer = null;
+
+		// Called when Back leaves the open viewer, and with the link when Forward returns to it
+		this.onBack = null;
+		this.onForward = null;
+
+		// Called with whether a link was copied, so it can be announced
+		this.onCopy = null;
+
+		this.handlePopState = this.handlePopState.bind(this);
+		this.handleButtonClick = () => this.copyLink();
+
+		window.addEventListener('popstate', this.handlePopState);
+		this.button.addEventListener('click', this.handleButtonClick);
+		this.button.hidden = false;
 	}
 
-	attachEventListeners() {
-		this.viewer.addEventListener('mousedown', this.handleMouseDown);
-		this.viewer.addEventListener('mousemove', this.handleMouseMove);
-		this.viewer.addEventListener('mouseup', this.handleMouseUp);
-		this.viewer.addEventListener('mouseleave', this.handleMouseLeave);
-		this.viewer.addEventListener('wheel', this.handleWheel, { passive: false });
-		this.viewer.addEventListener('touchstart', this.handleTouchStart, { passive: false });
-		this.viewer.addEventListener('touchmove', this.handleTouchMove, { passive: false });
-		this.viewer.addEventListener('touchend', this.handleTouchEnd);
-		this.viewer.addEventListener('keydown', this.handleKeyDown);
+	// Scene ID or position on the page, or null for a scene with no block
+	static getBlockKey(thumbnail) {
+		if (thumbnail.dataset.sceneId) {
+			return thumbnail.dataset.sceneId;
+		}
+		const index = Array.from(document.querySelectorAll(DEEP_LINK_BLOCK_SELECTOR)).indexOf(thumbnail);
+		return index === -1 ? null : String(index + 1);
 	}
 
-	handleMouseDown(e) {
-		this.isMouseDown = true;
-		this.initialMouseX = e.clientX;
-		this.initialMouseY = e.clientY;
-		this.viewer.classList.add('grabbing');
+	static findBlock(key) {
+		const scene = document.querySelector(`[data-scene-id="${window.CSS.escape(key)}"]`);
+		if (scene) {
+			return scene;
+		}
+
+		return /^\d+$/.test(key) ? document.querySelectorAll(DEEP_LINK_BLOCK_SELECTOR)[Number(key) - 1] || null : null;
 	}
 
-	handleMouseMove(e) {
-		if (!this.isMouseDown) return;
-		const deltaX = e.clientX - this.initialMouseX;
-		const deltaY = e.clientY - this.initialMouseY;
-		const distance = PanoramicUtils.calculateDistance(0, 0, deltaX, deltaY);
-		if (!this.isDragging && distance > this.dragThreshold) {
-			this.startPan(this.initialMouseX, this.initialMouseY);
+	// Read the block and view an address links to
+	// Returns { block, view }, or null when the hash names no block on the page.
+	static parse(hash = window.location.hash) {
+		const params = new URLSearchParams(hash.replace(/^#/, ''));
+		const key = params.get('panorama');
+		const block = key ? PanoramicDeepLink.findBlock(key) : null;
+		if (!block) {
+			return null;
 		}
-		if (this.isDragging) {
-			e.preventDefault();
-			this.dragPan(e.clientX, e.clientY);
+
+		const values = (params.get('view') || '').split(',').map(Number);
+		const isView = values.length === 3 && values.every(Number.isFinite) && values[2] > 0;
+
+		return { block, view: isView ? { x: values[0], y: values[1], zoom: values[2] } : null };
+	}
+
+	static format(key, view) {
+		const url = new URL(window.location.href);
+		url.hash = `panorama=${encodeURIComponent(key)}`;
+		if (view) {
+			url.hash += `&view=${view.x.toFixed(4)},${view.y.toFixed(4)},${view.zoom.toFixed(2)}`;
 		}
+		return url.href;
 	}
 
-	handleMouseUp() {
-		this.isMouseDown = false;
-		this.endPan();
-		this.viewer.classList.remove('grabbing');
+	static isViewerEntry() {
+		return !!(window.history.state && window.history.state[DEEP_LINK_HISTORY_KEY]);
 	}
 
-	handleMouseLeave() {
-		this.isMouseDown = false;
-		this.endPan();
-		this.viewer.classList.remove('grabbing');
+	getUrl() {
+		return PanoramicDeepLink.format(this.key, this.renderer.getViewState());
 	}
 
-	handleWheel(e) {
-		e.preventDefault();
-		const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
-		const rect = this.viewer.getBoundingClientRect();
-		const mouseX = e.clientX - rect.left;
-		const mouseY = e.clientY - rect.top;
-		this.zoomAtPoint(zoomFactor, mouseX, mouseY);
+	// Point the address at the block just opened, in a history entry of its own
+	open(thumbnail) {
+		this.key = PanoramicDeepLink.getBlockKey(thumbnail);
+		if (!this.key) {
+			return;
+		}
+
+		if (PanoramicDeepLink.isViewerEntry()) {
+			window.history.replaceState(window.history.state, '', this.getUrl());
+			return;
+		}
+
+		// Opened from a deep link, so Back returns to the page without it
+		if (PanoramicDeepLink.parse()) {
+			const url = new URL(window.location.href);
+			url.hash = '';
+			window.history.replaceState(window.history.state, '', url.href);
+		}
+		window.history.pushState({ [DEEP_LINK_HISTORY_KEY]: true }, '', this.getUrl());
 	}
 
-	handleTouchStart(e) {
-		e.preventDefault();
-		if (e.touches.length === 1) {
-			const touch = e.touches[0];
-			this.startPan(touch.clientX, touch.clientY);
-		} else if (e.touches.length === 2) {
-			this.startPinchZoom(e.touches);
+	// Scenes with no block keep the last block's name
+	changeScene(thumbnail) {
+		this.key = PanoramicDeepLink.getBlockKey(thumbnail) || this.key;
+		this.update();
+	}
+
+	// Follow the view once it comes to rest
+	update() {
+		if (!this.key) {
+			return;
 		}
+
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => {
+			if (this.key && PanoramicDeepLink.isViewerEntry()) {
+				window.history.replaceState(window.history.state, '', this.getUrl());
+			}
+		}, DEEP_LINK_UPDATE_DELAY);
 	}
 
-	handleTouchMove(e) {
-		e.preventDefault();
-		if (e.touches.length === 1 && this.isDragging) {
-			const touch = e.touches[0];
-			this.dragPan(touch.clientX, touch.clientY);
-		} else if (e.touches.length === 2) {
-			this.handlePinchZoom(e.touches);
+	close() {
+		clearTimeout(this.timer);
+		this.key = null;
+
+		if (PanoramicDeepLink.isViewerEntry()) {
+			window.history.back();
 		}
 	}
 
-	handleTouchEnd() {
-		this.endPan();
-		this.lastTouchDistance = 0;
+	// Close the viewer when Back leaves its entry, and reopen it when Forward returns
+	handlePopState() {
+		const isViewerEntry = PanoramicDeepLink.isViewerEntry();
+
+		if (this.key && !isViewerEntry) {
+			this.key = null;
+			clearTimeout(this.timer);
+			if (this.onBack) {
+				this.onBack();
+			}
+		} else if (!this.key && isViewerEntry) {
+			const link = PanoramicDeepLink.parse();
+			if (link && this.onForward) {
+				this.onForward(link);
+			}
+		}
 	}
 
-	handleKeyDown(e) {
-		const step = 20;
-		const isRTL = document.documentElement.dir === 'rtl' || 
-					  document.body.dir === 'rtl' ||
-					  getComputedStyle(document.documentElement).direction === 'rtl';
-		
-		let handled = false;
-		switch (e.key) {
-			case 'ArrowLeft':
-				// In RTL, left arrow should move right in the image
-				const leftStep = isRTL ? -step : step;
-				this.renderer.setPan(this.renderer.panX + leftStep, this.renderer.panY);
-				handled = true;
-				break;
-			case 'ArrowRight':
-				// In RTL, right arrow should move left in the image
-				const rightStep = isRTL ? step : -step;
-				this.renderer.setPan(this.renderer.panX + rightStep, this.renderer.panY);
-				handled = true;
-				break;
-			case 'ArrowUp':
-				this.renderer.setPan(this.renderer.panX, this.renderer.panY + step);
-				handled = true;
-				break;
-			case 'ArrowDown':
-				this.renderer.setPan(this.renderer.panX, this.renderer.panY - step);
-				handled = true;
-				break;
-			case '+':
-			case '=':
-				this.zoom(1.2);
-				handled = true;
-				break;
-			case '-':
-				this.zoom(0.8);
-				handled = true;
-				break;
-			case '0':
-				this.resetView();
-				handled = true;
-				break;
+	async copyLink() {
+		const url = this.getUrl();
+		let copied = false;
+
+		try {
+			await window.navigator.clipboard.writeText(url);
+			copied = true;
+		} catch (error) {
+			// The Clipboard API needs a secure context, so fall back to a selection
+			copied = this.copyWithSelection(url);
 		}
-		if (handled) {
-			e.preventDefault();
+
+		if (this.onCopy) {
+			this.onCopy(copied);
 		}
 	}
 
-	startPan(x, y) {
-		this.isDragging = true;
-		this.startX = x - this.renderer.panX;
-		this.startY = y - this.renderer.panY;
-		this.viewer.classList.add('dragging');
+	copyWithSelection(text) {
+		const field = document.createElement('textarea');
+		field.value = text;
+		field.setAttribute('readonly', '');
+		field.className = 'sr-only';
+		this.button.after(field);
+		field.select();
+
+		let copied = false;
+		try {
+			copied = document.execCommand('copy');
+		} catch (error) {
+			// copied stays false, which the caller reports
+		}
+
+		field.remove();
+		this.button.focus();
+		return copied;
 	}
 
-	dragPan(x, y) {
-		if (!this.isDragging) return;
-		const newPanX = x - this.startX;
-		const newPanY = y - this.startY;
-		this.renderer.setPan(newPanX, newPanY);
+	destroy() {
+		clearTimeout(this.timer);
+		window.removeEventListener('popstate', this.handlePopState);
+		this.button.removeEventListener('click', this.handleButtonClick);
+		this.renderer = null;
+		this.button = null;
+		this.onBack = null;
+		this.onForward = null;
+		this.onCopy = null;
 	}
+}
 
-	endPan() {
-		this.isDragging = false;
-		this.viewer.classList.remove('dragging');
+/**
+ * Panoramic Gallery
+ * Steps the lightbox through every panoramic block on the page in document order,
+ * with previous and next buttons and an "n of m" indicator. The images of the
+ * blocks either side of the one on show are fetched ahead, so stepping is quick.
+ */
+// Thumbnails of every block on the page, in order
+const GALLERY_BLOCK_SELECTOR = '.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail';
+
+class PanoramicGallery {
+	constructor(prevButton, nextButton, indicator) {
+		this.prevButton = prevButton;
+		this.nextButton = nextButton;
+		this.indicator = indicator;
+
+		// Blocks on the page, and the position of the one on show
+		this.blocks = [];
+		this.index = -1;
+
+		// Called with the block to show when the visitor steps to it
+		this.onNavigate = null;
+
+		this.handlePrevClick = () => this.step(-1);
+		this.handleNextClick = () => this.step(1);
+
+		this.prevButton.addEventListener('click', this.handlePrevClick);
+		this.nextButton.addEventListener('click', this.handleNextClick);
+	}
+
+	// Images the viewer loads for a block; none for deep zoom panoramas, whose tiles load as needed
+	static getImageUrls(block) {
+		const { dataset } = block;
+		const isProjected = ['equirectangular', 'cylindrical'].includes(dataset.projection);
+		if (dataset.tiles && !isProjected) {
+			return [];
+		}
+
+		try {
+			if (dataset.blockType === 'single') {
+				return [JSON.parse(dataset.image).url];
+			}
+			if (dataset.stitchedImage) {
+				return [JSON.parse(dataset.stitchedImage).url];
+			}
+			return JSON.parse(dataset.images || '[]').map(image => image.url);
+		} catch (error) {
+			// The viewer reports bad data once the block is opened
+			return [];
+		}
+	}
+
+	// Follow the viewer to a block; scenes with no block on the page keep the position
+	setCurrent(thumbnail) {
+		// Blocks may have been added to the page since the viewer last opened
+		this.blocks = Array.from(document.querySelectorAll(GALLERY_BLOCK_SELECTOR));
+
+		const index = this.blocks.indexOf(thumbnail);
+		if (index !== -1) {
+			this.index = index;
+		}
+
+		this.updateButtons();
+		this.preloadNeighbours();
+	}
+
+	// { position, total }, position counting from 1, or null outside a gallery
+	getPosition() {
+		if (this.blocks.length < 2 || this.index === -1) {
+			return null;
+		}
+		return { position: this.index + 1, total: this.blocks.length };
+	}
+
+	// offset is -1 for the previous block, 1 for the next
+	step(offset) {
+		const block = this.index === -1 ? null : this.blocks[this.index + offset];
+		if (!block || !block.isConnected) {
+			return false;
+		}
+
+		if (this.onNavigate) {
+			this.onNavigate(block);
+		}
+		return true;
+	}
+
+	updateButtons() {
+		const position = this.getPosition();
+		this.prevButton.hidden = !position;
+		this.nextButton.hidden = !position;
+		this.indicator.hidden = !position;
+		if (!position) {
+			return;
+		}
+
+		const strings = window.panoramicImageBlockData?.strings || {};
+		this.prevButton.disabled = this.index === 0;
+		this.nextButton.disabled = this.index === this.blocks.length - 1;
+		this.indicator.textContent = strings.galleryCount ?
+			strings.galleryCount.replace('%1$d', position.position).replace('%2$d', position.total) :
+			`${position.position} of ${position.total}`;
+	}
+
+	// Fetch the images of the blocks either side into the browser cache
+	preloadNeighbours() {
+		[this.blocks[this.index - 1], this.blocks[this.index + 1]]
+			.filter(Boolean)
+			.flatMap(block => PanoramicGallery.getImageUrls(block))
+			.forEach(url => {
+				PanoramicUtils.loadImageWithTimeout(url).catch(() => {
+					// Loaded again, and reported, if the visitor steps to it
+				});
+			});
+	}
+
+	destroy() {
+		this.prevButton.removeEventListener('click', this.handlePrevClick);
+		this.nextButton.removeEventListener('click', this.handleNextClick);
+		this.prevButton = null;
+		this.nextButton = null;
+		this.indicator = null;
+		this.blocks = [];
+		this.onNavigate = null;
+	}
+}
+
+/**
+ * Panoramic Analytics
+ * Records how visitors explore panoramas, in the lightbox or inline in the page,
+ * for sites that turn it on: an 'open' event as a panorama is shown, a 'view'
+ * event as it is left, with the seconds it was on show, the furthest it was
+ * zoomed and a coarse heatmap of where the view rested, a 'close' event as the
+ * lightbox closes on it or the inline viewer leaves the screen, and an 'error'
+ * event when it fails to load. Every event names its source, 'lightbox' or
+ * 'inline'. Events go to the plugin's REST endpoint, which adds them up per
+ * block and per day, or to the page's dataLayer for Google Tag Manager.
+ */
+// Milliseconds between samples of the view; each counts as a second of dwell time
+const ANALYTICS_SAMPLE_INTERVAL = 1000;
+
+class PanoramicAnalytics {
+	constructor(config, getView) {
+		this.config = config;
+		this.getView = getView;
+
+		// Where the panorama is shown: 'lightbox', or 'inline' in the page
+		this.source = 'lightbox';
+
+		// Block on show and what has been recorded of it, or null
+		this.session = null;
+		this.timer = null;
+
+		// Leaving the page counts as closing the viewer
+		this.handlePageHide = () => this.close();
+		window.addEventListener('pagehide', this.handlePageHide);
+	}
+
+	// Whether the site has turned analytics on
+	static isEnabled(config) {
+		return !!config && ['rest', 'datalayer'].includes(config.sink);
 	}
 
-	startPinchZoom(touches) {
-		const distance = this.getTouchDistance(touches);
-		this.lastTouchDistance = distance;
+	// Start recording a panorama, ending the one before
+	start(block) {
+		this.end();
+
+		const target = PanoramicAnalytics.getTarget(block);
+		if (!target) {
+			return;
+		}
+
+		this.session = {
+			...target,
+			dwell: 0,
+			maxZoom: 1,
+			heatmap: new Array(this.config.columns * this.config.rows).fill(0)
+		};
+		this.send('open', target);
+		this.timer = setInterval(() => this.sample(), ANALYTICS_SAMPLE_INTERVAL);
 	}
 
-	handlePinchZoom(touches) {
-		if (this.lastTouchDistance === 0) {
-			this.startPinchZoom(touches);
+	// Add the view on show to the session, unless the page is hidden
+	sample() {
+		if (!this.session || document.hidden) {
 			return;
 		}
-		const currentDistance = this.getTouchDistance(touches);
-		const scaleChange = currentDistance / this.lastTouchDistance;
-		const centerX = (touches[0].clientX + touches[1].clientX) / 2;
-		const centerY = (touches[0].clientY + touches[1].clientY) / 2;
-		const rect = this.viewer.getBoundingClientRect();
-		const zoomCenterX = centerX - rect.left;
-		const zoomCenterY = centerY - rect.top;
-		this.zoomAtPoint(scaleChange, zoomCenterX, zoomCenterY);
-		this.lastTouchDistance = currentDistance;
+
+		const view = this.getView();
+		if (!view) {
+			return;
+		}
+
+		const { columns, rows } = this.config;
+		const x = PanoramicUtils.wrap(view.x, 0, 1);
+		const y = PanoramicUtils.clamp(view.y, 0, 1);
+		const column = Math.min(columns - 1, Math.floor(x * columns));
+		const row = Math.min(rows - 1, Math.floor(y * rows));
+
+		this.session.dwell++;
+		this.session.maxZoom = Math.max(this.session.maxZoom, view.zoom);
+		this.session.heatmap[row * columns + column]++;
 	}
 
-	getTouchDistance(touches) {
-		if (touches.length < 2) return 0;
-		return PanoramicUtils.calculateDistance(
-			touches[0].clientX, touches[0].clientY,
-			touches[1].clientX, touches[1].clientY
-		);
+	// Stop recording, sending what was seen of the panorama
+	end() {
+		clearInterval(this.timer);
+		this.timer = null;
+
+		const session = this.session;
+		this.session = null;
+		if (!session || !session.dwell) {
+			return;
+		}
+
+		this.send('view', {
+			postId: session.postId,
+			block: session.block,
+			dwell: session.dwell,
+			maxZoom: Math.round(session.maxZoom * 100) / 100,
+			heatmap: session.heatmap
+		});
 	}
 
-	zoomAtPoint(factor, pointX, pointY) {
-		const oldScale = this.renderer.scale;
-		const zoomed = this.renderer.zoom(factor);
-		if (zoomed) {
-			const scaleChange = this.renderer.scale / oldScale;
-			const canvasCenterX = this.renderer.canvas.width / 2;
-			const canvasCenterY = this.renderer.canvas.height / 2;
-			const offsetX = pointX - canvasCenterX;
-			const offsetY = pointY - canvasCenterY;
-			this.renderer.panX -= offsetX * (scaleChange - 1);
-			this.renderer.panY -= offsetY * (scaleChange - 1);
-			this.renderer.constrainPan();
-			this.renderer.scheduleRender();
+	// Stop recording as the lightbox closes on a panorama
+	close() {
+		const target = this.session && { postId: this.session.postId, block: this.session.block };
+		this.end();
+		if (target) {
+			this.send('close', target);
 		}
-		return zoomed;
 	}
 
-	zoom(factor) {
-		return this.renderer.zoom(factor);
+	// Record a panorama that failed to load, with the type from PanoramicUtils.getErrorType
+	error(block, errorType) {
+		this.end();
+
+		const target = PanoramicAnalytics.getTarget(block);
+		if (target) {
+			this.send('error', { ...target, errorType });
+		}
 	}
 
-	resetView() {
-		this.renderer.resetView();
+	// Post and key a block's events are recorded under, or null for panoramas that are not recorded
+	static getTarget(block) {
+		const postId = parseInt(block.dataset.postId, 10);
+		const key = block.dataset.analyticsKey;
+		return postId > 0 && key ? { postId, block: key } : null;
 	}
 
-	removeEventListeners() {
-		this.viewer.removeEventListener('mousedown', this.handleMouseDown);
-		this.viewer.removeEventListener('mousemove', this.handleMouseMove);
-		this.viewer.removeEventListener('mouseup', this.handleMouseUp);
-		this.viewer.removeEventListener('mouseleave', this.handleMouseLeave);
-		this.viewer.removeEventListener('wheel', this.handleWheel);
-		this.viewer.removeEventListener('touchstart', this.handleTouchStart);
-		this.viewer.removeEventListener('touchmove', this.handleTouchMove);
-		this.viewer.removeEventListener('touchend', this.handleTouchEnd);
-		this.viewer.removeEventListener('keydown', this.handleKeyDown);
+	// Send an event to the sink the site chose
+	send(type, data) {
+		const event = { type, source: this.source, ...data };
+
+		if (this.config.sink === 'datalayer') {
+			window.dataLayer = window.dataLayer || [];
+			window.dataLayer.push({ event: `panoramic_${type}`, panoramic: event });
+			return;
+		}
+
+		// A beacon still goes out as the page unloads
+		const body = JSON.stringify(event);
+		if (window.navigator.sendBeacon && window.navigator.sendBeacon(this.config.endpoint, new Blob([body], { type: 'application/json' }))) {
+			return;
+		}
+
+		fetch(this.config.endpoint, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body,
+			keepalive: true,
+			credentials: 'omit'
+		}).catch(() => {
+			// Analytics never get in the way of the viewer
+		});
 	}
 
 	destroy() {
-		this.removeEventListeners();
-		this.viewer = null;
-		this.renderer = null;
+		this.end();
+		window.removeEventListener('pagehide', this.handlePageHide);
+		this.getView = null;
 	}
 }
 
 /**
- * Panoramic Accessibility
- * Handles accessibility features including screen reader support, ARIA labels, and focus management
+ * Panoramic Hotspots
+ * Markers placed in the editor, drawn as buttons over the canvas and moved by the
+ * renderer after every frame; activating one opens a popover with its details,
+ * or moves to the scene a tour arrow targets
  */
-class PanoramicAccessibility {
-	constructor(modal, renderer) {
-		this.modal = modal;
+class PanoramicHotspots {
+	constructor(container, renderer) {
 		this.renderer = renderer;
-		this.statusEl = null;
-		this.loadingEl = null;
-		this.titleEl = null;
-		this.previousFocus = null;
-		this.trapFocusHandler = null;
-		this.initializeElements();
+		this.hotspots = [];
+		this.markers = [];
+		this.popover = null;
+		this.activeIndex = -1;
+		this.strings = window.panoramicImageBlockData?.strings || {};
+
+		// Called with the target of a tour arrow when it is activated
+		this.onNavigate = null;
+
+		// Sibling of the viewer, whose role="img" would hide the buttons from assistive technology
+		this.layer = document.createElement('div');
+		this.layer.className = 'panoramic-hotspots';
+		container.appendChild(this.layer);
+
+		this.handlePopoverKeydown = this.handlePopoverKeydown.bind(this);
 	}
 
-	initializeElements() {
-		this.statusEl = this.modal.querySelector('#panoramic-status');
-		this.loadingEl = this.modal.querySelector('#panoramic-loading');
-		this.titleEl = this.modal.querySelector('#panoramic-viewer-title');
+	// Replace the markers. Each hotspot is { id, x, y, title, description, url, image, target },
+	// x and y being fractions of the panorama's width and height.
+	setHotspots(hotspots) {
+		this.closePopover(false);
+		this.markers.forEach(marker => marker.remove());
+
+		this.hotspots = Array.isArray(hotspots) ? hotspots : [];
+		this.markers = this.hotspots.map((hotspot, index) => {
+			const marker = document.createElement('button');
+			marker.type = 'button';
+			marker.hidden = true;
+
+			if (hotspot.target) {
+				marker.className = 'panoramic-hotspot panoramic-hotspot-scene';
+				marker.setAttribute('aria-label', this.getSceneLabel(hotspot));
+				marker.addEventListener('click', () => {
+					if (this.onNavigate) {
+						this.onNavigate(hotspot.target);
+					}
+				});
+			} else {
+				marker.className = 'panoramic-hotspot';
+				marker.setAttribute('aria-label', this.getLabel(hotspot, index));
+				marker.setAttribute('aria-haspopup', 'dialog');
+				marker.setAttribute('aria-expanded', 'false');
+				marker.addEventListener('click', () => this.togglePopover(index));
+			}
+
+			this.layer.appendChild(marker);
+			return marker;
+		});
+
+		this.update();
 	}
 
-	showLoading() {
-		if (this.loadingEl) {
-			this.loadingEl.style.display = 'block';
-			this.announceStatus('Loading panoramic image...');
+	getLabel(hotspot, index) {
+		if (hotspot.title) {
+			return hotspot.title;
 		}
+		return this.strings.hotspot ?
+			this.strings.hotspot.replace('%d', index + 1) :
+			`Hotspot ${index + 1}`;
 	}
 
-	hideLoading() {
-		if (this.loadingEl) {
-			this.loadingEl.style.display = 'none';
+	getSceneLabel(hotspot) {
+		if (!hotspot.title) {
+			return this.strings.nextScene || 'Go to the next scene';
 		}
+		return this.strings.goToScene ?
+			this.strings.goToScene.replace('%s', hotspot.title) :
+			`Go to ${hotspot.title}`;
 	}
 
-	announceStatus(message, clearDelay = 3000) {
-		if (this.statusEl) {
-			this.statusEl.textContent = message;
-			if (clearDelay > 0) {
-				setTimeout(() => {
-					if (this.statusEl) {
-						this.statusEl.textContent = '';
-					}
-				}, clearDelay);
+	// Move the markers, and the open popover, to where their spots are drawn
+	update() {
+		const canvas = this.renderer.canvas;
+		if (!canvas || !this.markers.length) {
+			return;
+		}
+
+		// Renderer positions are in canvas pixels, which CSS may have stretched
+		const ratio = canvas.width ? canvas.clientWidth / canvas.width : 1;
+
+		this.markers.forEach((marker, index) => {
+			const hotspot = this.hotspots[index];
+			const position = this.renderer.getScreenPosition(hotspot.x, hotspot.y);
+			const visible = !!position &&
+				position.x >= 0 && position.x <= canvas.width &&
+				position.y >= 0 && position.y <= canvas.height;
+
+			// Hidden markers also leave the tab order
+			marker.hidden = !visible;
+			if (visible) {
+				marker.style.left = `${position.x * ratio}px`;
+				marker.style.top = `${position.y * ratio}px`;
 			}
+		});
+
+		if (this.popover) {
+			const marker = this.markers[this.activeIndex];
+			this.popover.hidden = marker.hidden;
+			this.popover.style.left = marker.style.left;
+			this.popover.style.top = marker.style.top;
 		}
 	}
 
-	announceZoomChange(oldScale, newScale) {
-		const strings = window.panoramicImageBlockData?.strings || {};
-		const zoomPercent = Math.round(newScale * 100);
-		
-		if (newScale > oldScale) {
-			const message = strings.zoomedIn ? 
-				strings.zoomedIn.replace('%d', zoomPercent) :
-				`Zoomed in to ${zoomPercent}%`;
-			this.announceStatus(message);
+	togglePopover(index) {
+		if (this.activeIndex === index) {
+			this.closePopover();
 		} else {
-			const message = strings.zoomedOut ? 
-				strings.zoomedOut.replace('%d', zoomPercent) :
-				`Zoomed out to ${zoomPercent}%`;
-			this.announceStatus(message);
+			this.openPopover(index);
 		}
 	}
 
-	announceViewReset(scale) {
-		const strings = window.panoramicImageBlockData?.strings || {};
-		const zoomPercent = Math.round(scale * 100);
-		const message = strings.viewReset ? 
-			strings.viewReset.replace('%d', zoomPercent) :
-			`View reset. Zoom: ${zoomPercent}%, centered`;
-		this.announceStatus(message);
-	}
+	openPopover(index) {
+		this.closePopover(false);
 
-	announceLoadingSuccess() {
-		const strings = window.panoramicImageBlockData?.strings || {};
-		this.announceStatus(strings.imageLoaded || 'Panoramic image loaded successfully');
-	}
+		const hotspot = this.hotspots[index];
+		const popover = document.createElement('div');
+		popover.className = 'panoramic-hotspot-popover';
+		popover.setAttribute('role', 'dialog');
+		popover.setAttribute('aria-label', this.getLabel(hotspot, index));
+		popover.tabIndex = -1;
 
-	announceLoadingError() {
-		this.announceStatus('Failed to load panoramic images. Please try again.');
-	}
+		const closeButton = document.createElement('button');
+		closeButton.type = 'button';
+		closeButton.className = 'panoramic-hotspot-close';
+		closeButton.setAttribute('aria-label', this.strings.closeHotspot || 'Close');
+		closeButton.innerHTML = '&times;';
+		closeButton.addEventListener('click', () => this.closePopover());
+		popover.appendChild(closeButton);
 
-	announceContextualError(errorType, retryAvailable = false) {
-		let message = '';
-		switch (errorType) {
-			case 'timeout':
-				message = retryAvailable ? 
-					'Images are taking too long to load. Retrying with a faster connection might help.' :
-					'Images took too long to load. Please check your internet connection and try again.';
-				break;
-			case 'network':
-				message = retryAvailable ?
-					'Network error occurred while loading images. Attempting to retry...' :
-					'Unable to load images due to network issues. Please check your connection and try again.';
-				break;
-			case 'not_found':
-				message = 'Some images could not be found. They may have been moved or deleted.';
-				break;
-			case 'forbidden':
-				message = 'Access to some images is restricted. Please contact the site administrator.';
-				break;
-			case 'cors':
-				message = 'Images cannot be loaded due to security restrictions.';
-				break;
-			default:
-				message = retryAvailable ?
-					'An error occurred while loading images. Attempting to retry...' :
-					'Failed to load panoramic images. Please refresh the page and try again.';
+		if (hotspot.title) {
+			const title = document.createElement('h3');
+			title.className = 'panoramic-hotspot-title';
+			title.textContent = hotspot.title;
+			popover.appendChild(title);
 		}
-		this.announceStatus(message, 5000);
-	}
 
-	announceProgressiveLoading(type, current, total) {
-		const strings = window.panoramicImageBlockData?.strings || {};
-		
-		if (type === 'thumbnail') {
-			const message = strings.loadingPreview ? 
-				`${strings.loadingPreview} ${current} of ${total} thumbnails loaded` :
-				`Loading preview... ${current} of ${total} thumbnails loaded`;
-			this.announceStatus(message);
-		} else if (type === 'full') {
-			const message = strings.loadingHighRes ? 
-				`${strings.loadingHighRes} ${current} of ${total} images loaded` :
-				`Loading high resolution... ${current} of ${total} images loaded`;
-			this.announceStatus(message);
+		if (hotspot.image && hotspot.image.url) {
+			const image = document.createElement('img');
+			image.className = 'panoramic-hotspot-image';
+			image.src = hotspot.image.url;
+			image.alt = hotspot.image.alt || '';
+			popover.appendChild(image);
 		}
-	}
 
-	updateTitle(title) {
-		if (this.titleEl) {
-			this.titleEl.textContent = title || 'Panoramic Image Viewer';
+		if (hotspot.description) {
+			// Sanitized with wp_kses_post when the block is rendered
+			const description = document.createElement('div');
+			description.className = 'panoramic-hotspot-description';
+			description.innerHTML = hotspot.description;
+			popover.appendChild(description);
 		}
-	}
 
-	trapFocus() {
-		if (this.trapFocusHandler) {
-			this.modal.removeEventListener('keydown', this.trapFocusHandler);
+		if (hotspot.url) {
+			const link = document.createElement('a');
+			link.className = 'panoramic-hotspot-link';
+			link.href = hotspot.url;
+			link.textContent = this.strings.hotspotLink || 'Open link';
+			popover.appendChild(link);
 		}
-		const focusableElements = this.modal.querySelectorAll(
-			'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-		);
-		if (focusableElements.length === 0) return;
-		const firstElement = focusableElements[0];
-		const lastElement = focusableElements[focusableElements.length - 1];
-		this.trapFocusHandler = (e) => {
-			if (e.key === 'Tab') {
-				if (e.shiftKey) {
-					if (document.activeElement === firstElement) {
-						e.preventDefault();
-						lastElement.focus();
-					}
-				} else {
-					if (document.activeElement === lastElement) {
-						e.preventDefault();
-						firstElement.focus();
-					}
-				}
-			}
-		};
-		this.modal.addEventListener('keydown', this.trapFocusHandler);
-	}
 
-	setInitialFocus(viewer) {
-		this.previousFocus = document.activeElement;
-		if (viewer) {
-			viewer.focus();
-		}
+		popover.addEventListener('keydown', this.handlePopoverKeydown);
+		this.layer.appendChild(popover);
+		this.popover = popover;
+		this.activeIndex = index;
+		this.markers[index].setAttribute('aria-expanded', 'true');
+
+		this.update();
+		popover.focus();
 	}
 
-	restoreFocus() {
-		if (this.previousFocus) {
-			this.previousFocus.focus();
-			this.previousFocus = null;
+	closePopover(restoreFocus = true) {
+		if (!this.popover) {
+			return;
 		}
-	}
 
-	removeFocusTrap() {
-		if (this.trapFocusHandler) {
-			this.modal.removeEventListener('keydown', this.trapFocusHandler);
-			this.trapFocusHandler = null;
+		const marker = this.markers[this.activeIndex];
+		marker.setAttribute('aria-expanded', 'false');
+		this.popover.removeEventListener('keydown', this.handlePopoverKeydown);
+		this.popover.remove();
+		this.popover = null;
+		this.activeIndex = -1;
+
+		if (restoreFocus && !marker.hidden) {
+			marker.focus();
 		}
 	}
 
-	provideImageDescription(imageType, imageCount) {
-		let description = '';
-		if (imageType === 'single') {
-			description = 'Single panoramic image viewer. Use controls to zoom and pan around the image.';
-		} else {
-			description = `Panoramic image created from ${imageCount} stitched images. Use controls to explore the full panoramic view.`;
+	// Escape closes the popover before the viewer sees it and closes too
+	handlePopoverKeydown(e) {
+		if (e.key === 'Escape') {
+			e.preventDefault();
+			e.stopPropagation();
+			this.closePopover();
 		}
-		this.announceStatus(description, 4000);
 	}
 
 	destroy() {
-		this.removeFocusTrap();
-		this.restoreFocus();
-		if (this.statusEl) {
-			this.statusEl.textContent = '';
-		}
-		this.modal = null;
+		this.closePopover(false);
+		this.layer.remove();
+		this.markers = [];
+		this.hotspots = [];
 		this.renderer = null;
-		this.statusEl = null;
-		this.loadingEl = null;
-		this.titleEl = null;
+		this.onNavigate = null;
 	}
 }
 
+// Milliseconds the previous scene takes to fade out when a tour moves on
+const SCENE_FADE_DURATION = 600;
+
+// Thumbnails of every block on the page, whichever way they show their panorama
+const BLOCK_SELECTOR = '.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail';
+
+// Thumbnails of blocks that open their panorama in the lightbox
+const THUMBNAIL_SELECTOR = '.panoramic-image-block-thumbnail:not(.is-inline), .single-panoramic-image-block-thumbnail:not(.is-inline)';
+
+// Prefix of the DOM events the viewer dispatches from block thumbnails
+const EVENT_PREFIX = 'panoramic:';
+
+// Modal viewers on show, the topmost last; only it handles the keyboard
+const openModals = [];
+
+// Modal viewer that block thumbnails open in, created the first time one is opened
+let lightbox = null;
+let thumbnailEventsBound = false;
+
 class PanoramicViewer {
-	constructor() {
+	// container is the element the viewer is added to; options.deepLinks keeps the
+	// address in step with the panorama on show, options.gallery steps through every
+	// block on the page, and options.analytics records engagement where the site turned it on
+	constructor(container = document.body, options = {}) {
+		this.container = container;
+		this.options = options;
+
 		// Core components
 		this.modal = null;
 		this.canvas = null;
@@ -915,18 +3970,41 @@ class PanoramicViewer {
 		this.renderer = null;
 		this.controls = null;
 		this.accessibility = null;
+		this.hotspots = null;
+		this.autoRotate = null;
+		this.fullscreen = null;
+		this.deepLink = null;
+		this.gallery = null;
+		this.analytics = null;
 		
 		// UI elements
 		this.closeBtn = null;
 		this.zoomInBtn = null;
 		this.zoomOutBtn = null;
 		this.zoomResetBtn = null;
+		this.backBtn = null;
+		this.autoRotateBtn = null;
+		this.fullscreenBtn = null;
+		this.copyLinkBtn = null;
+		this.prevBtn = null;
+		this.nextBtn = null;
 		
 		// State
 		this._lastImageUrls = null;
+		this._lastStitchKey = null;
+
+		// Tour state: the scene on show, the scenes to go back to, and whether one is loading
+		this.currentScene = null;
+		this.sceneHistory = [];
+		this.isChangingScene = false;
+
+		// Block on the page that events are dispatched from, and the view last reported
+		this.block = null;
+		this.lastView = null;
 
 		// Bind handler methods
 		this.handleCloseClick = this.close.bind(this);
+		this.handleBackClick = () => this.goBack();
 		this.handleZoomInClick = () => this.zoom(1.2);
 		this.handleZoomOutClick = () => this.zoom(0.8);
 		this.handleZoomResetClick = () => this.resetView();
@@ -950,17 +4028,67 @@ class PanoramicViewer {
 	 * Initialize component modules
 	 */
 	initializeComponents() {
-		this.renderer = new PanoramicRenderer(this.canvas);
+		this.renderer = this.createRenderer();
 		this.controls = new PanoramicControls(this.viewer, this.renderer);
 		this.accessibility = new PanoramicAccessibility(this.modal, this.renderer);
+		this.controls.onKeyboardMove = () => this.accessibility.announceHeading();
+		this.hotspots = new PanoramicHotspots(this.viewer.parentElement, this.renderer);
+		this.renderer.setHotspotLayer(this.hotspots);
+		this.hotspots.onNavigate = (target) => this.goToScene(target);
+		this.autoRotate = new PanoramicAutoRotate(this.modal, this.renderer, this.autoRotateBtn);
+		this.fullscreen = new PanoramicFullscreen(this.modal, this.fullscreenBtn, this.renderer);
+		this.controls.onToggleFullscreen = () => this.fullscreen.toggle();
+		this.renderer.onFrame = () => this.handleFrame();
+
+		if (this.options.deepLinks) {
+			this.deepLink = new PanoramicDeepLink(this.renderer, this.copyLinkBtn);
+			this.deepLink.onBack = () => this.close();
+			this.deepLink.onForward = (link) => this.openViewer(link.block, false, link.view);
+			this.deepLink.onCopy = (copied) => this.accessibility.announceLinkCopied(copied);
+		}
+
+		if (this.options.gallery) {
+			this.gallery = new PanoramicGallery(this.prevBtn, this.nextBtn, this.modal.querySelector('.panoramic-gallery-position'));
+			this.gallery.onNavigate = (block) => this.goToBlock(block);
+
+			// Swipes step the other way in right-to-left pages
+			const isRTL = document.documentElement.dir === 'rtl';
+			this.controls.onSwipe = (direction) => this.gallery.step(isRTL ? -direction : direction);
+		}
+
+		const analytics = (window.panoramicImageBlockData || {}).analytics;
+		if (this.options.analytics && PanoramicAnalytics.isEnabled(analytics)) {
+			this.analytics = new PanoramicAnalytics(analytics, () => this.getView());
+		}
+	}
+
+	/**
+	 * Use WebGL where possible, falling back to Canvas 2D.
+	 */
+	createRenderer() {
+		if (PanoramicWebGLRenderer.isSupported()) {
+			try {
+				return new PanoramicWebGLRenderer(this.canvas);
+			} catch (error) {
+				// WebGL failed after all, so fall back to Canvas 2D on a fresh canvas, as a
+				// canvas keeps the first context type it was given
+				const canvas = this.canvas.cloneNode(true);
+				this.canvas.replaceWith(canvas);
+				this.canvas = canvas;
+			}
+		}
+		return new PanoramicRenderer(this.canvas);
 	}
 
 	createModal() {
+		// IDs are unique to the viewer, so several can be on the page at once
+		const id = PanoramicUtils.generateId( 'panoramic-viewer' );
+
 		this.modal = document.createElement( 'div' );
 		this.modal.className = 'panoramic-modal';
 		this.modal.setAttribute( 'role', 'dialog' );
 		this.modal.setAttribute( 'aria-modal', 'true' );
-		this.modal.setAttribute( 'aria-labelledby', 'panoramic-viewer-title' );
+		this.modal.setAttribute( 'aria-labelledby', `${id}-title` );
 
 		// Get translatable strings from WordPress localization
 		const strings = window.panoramicImageBlockData?.strings || {};
@@ -968,47 +4096,63 @@ class PanoramicViewer {
 		this.modal.innerHTML = `
 			<div class="panoramic-viewer-container">
 				<button class="panoramic-close" aria-label="${strings.closeViewer || 'Close panoramic viewer'}" title="${strings.closeEsc || 'Close (Esc)'}">&times;</button>
-				<h2 id="panoramic-viewer-title" class="sr-only">${strings.viewerTitle || 'Panoramic Image Viewer'}</h2>
-				<div class="panoramic-loading" id="panoramic-loading" aria-live="polite" aria-label="${strings.loadingImage || 'Loading panoramic image'}" style="display: none;">
+				<button class="panoramic-back" aria-label="${strings.backScene || 'Back to the previous scene'}" title="${strings.backKey || 'Back (Backspace)'}" hidden>&larr;</button>
+				<h2 id="${id}-title" class="panoramic-viewer-title sr-only">${strings.viewerTitle || 'Panoramic Image Viewer'}</h2>
+				<div class="panoramic-gallery-position" aria-hidden="true" hidden></div>
+				<div class="panoramic-loading" aria-live="polite" aria-label="${strings.loadingImage || 'Loading panoramic image'}" style="display: none;">
 					<div class="panoramic-loading-spinner" aria-hidden="true"></div>
 					<span>${strings.loadingView || 'Loading panoramic view...'}</span>
 				</div>
-				<div class="panoramic-viewer" role="img" tabindex="0" aria-describedby="panoramic-instructions panoramic-controls-help" aria-label="${strings.interactiveViewer || 'Interactive panoramic image viewer'}">
+				<div class="panoramic-viewer" role="img" tabindex="0" aria-describedby="${id}-instructions ${id}-controls-help" aria-label="${strings.interactiveViewer || 'Interactive panoramic image viewer'}">
 					<canvas aria-hidden="true"></canvas>
 				</div>
+				<button class="panoramic-prev" aria-label="${strings.previousPanorama || 'Previous panorama'}" title="${strings.previousKey || 'Previous panorama (Page Up)'}" hidden>&lsaquo;</button>
+				<button class="panoramic-next" aria-label="${strings.nextPanorama || 'Next panorama'}" title="${strings.nextKey || 'Next panorama (Page Down)'}" hidden>&rsaquo;</button>
 				<div class="panoramic-controls" role="toolbar" aria-label="${strings.viewerControls || 'Panoramic viewer controls'}">
-					<button class="panoramic-zoom-out" aria-label="${strings.zoomOut || 'Zoom out'}" title="${strings.zoomOutKey || 'Zoom out (-)'}" aria-describedby="panoramic-zoom-help">-</button>
-					<button class="panoramic-zoom-reset" aria-label="${strings.resetZoom || 'Reset zoom and position'}" title="${strings.resetKey || 'Reset zoom (0)'}" aria-describedby="panoramic-reset-help">${strings.reset || 'Reset'}</button>
-					<button class="panoramic-zoom-in" aria-label="${strings.zoomIn || 'Zoom in'}" title="${strings.zoomInKey || 'Zoom in (+)'}" aria-describedby="panoramic-zoom-help">+</button>
+					<button class="panoramic-zoom-out" aria-label="${strings.zoomOut || 'Zoom out'}" title="${strings.zoomOutKey || 'Zoom out (-)'}" aria-describedby="${id}-zoom-help">-</button>
+					<button class="panoramic-zoom-reset" aria-label="${strings.resetZoom || 'Reset zoom and position'}" title="${strings.resetKey || 'Reset zoom (0)'}" aria-describedby="${id}-reset-help">${strings.reset || 'Reset'}</button>
+					<button class="panoramic-zoom-in" aria-label="${strings.zoomIn || 'Zoom in'}" title="${strings.zoomInKey || 'Zoom in (+)'}" aria-describedby="${id}-zoom-help">+</button>
+					<button class="panoramic-autorotate" hidden></button>
+					<button class="panoramic-fullscreen" hidden></button>
+					<button class="panoramic-copy-link" aria-label="${strings.copyLink || 'Copy link to this view'}" title="${strings.copyLink || 'Copy link to this view'}" hidden>&#x1F517;</button>
 				</div>
-				<div id="panoramic-instructions" class="sr-only">
-					${strings.instructions || 'Interactive panoramic image viewer. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom. Press 0 to reset view. Press Escape to close.'}
+				<div id="${id}-instructions" class="sr-only">
+					${strings.instructions || 'Interactive panoramic image viewer. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom. Press 0 to reset view. Press F for full screen. Press Page Up or Page Down for the previous or next panorama on the page. Press Escape to close.'}
 				</div>
-				<div id="panoramic-controls-help" class="sr-only">
+				<div id="${id}-controls-help" class="sr-only">
 					${strings.controlsHelp || 'Zoom controls available. Current zoom level and position will be announced when changed.'}
 				</div>
-				<div id="panoramic-zoom-help" class="sr-only">
+				<div id="${id}-zoom-help" class="sr-only">
 					${strings.zoomHelp || 'Zoom in or out of the panoramic image'}
 				</div>
-				<div id="panoramic-reset-help" class="sr-only">
+				<div id="${id}-reset-help" class="sr-only">
 					${strings.resetHelp || 'Reset zoom level to fit view and center the image'}
 				</div>
-				<div id="panoramic-status" class="sr-only" aria-live="polite" aria-atomic="true"></div>
+				<div class="panoramic-status sr-only" aria-live="polite" aria-atomic="true"></div>
 			</div>
 		`;
 
-		document.body.appendChild( this.modal );
+		this.container.appendChild( this.modal );
 
 		// Cache frequently used elements
 		this.canvas = this.modal.querySelector( 'canvas' );
 		this.viewer = this.modal.querySelector( '.panoramic-viewer' );
 		this.closeBtn = this.modal.querySelector( '.panoramic-close' );
+		this.backBtn = this.modal.querySelector( '.panoramic-back' );
 		this.zoomInBtn = this.modal.querySelector( '.panoramic-zoom-in' );
 		this.zoomOutBtn = this.modal.querySelector( '.panoramic-zoom-out' );
 		this.zoomResetBtn = this.modal.querySelector( '.panoramic-zoom-reset' );
+		this.autoRotateBtn = this.modal.querySelector( '.panoramic-autorotate' );
+		this.fullscreenBtn = this.modal.querySelector( '.panoramic-fullscreen' );
+		this.copyLinkBtn = this.modal.querySelector( '.panoramic-copy-link' );
+		this.prevBtn = this.modal.querySelector( '.panoramic-prev' );
+		this.nextBtn = this.modal.querySelector( '.panoramic-next' );
+	}
 
-		// Bind modal events (controls are handled by PanoramicControls class)
+	// Bind modal events (controls are handled by PanoramicControls class)
+	bindEvents() {
 		this.closeBtn.addEventListener('click', this.handleCloseClick);
+		this.backBtn.addEventListener('click', this.handleBackClick);
 		this.zoomInBtn.addEventListener('click', this.handleZoomInClick);
 		this.zoomOutBtn.addEventListener('click', this.handleZoomOutClick);
 		this.zoomResetBtn.addEventListener('click', this.handleZoomResetClick);
@@ -1017,41 +4161,176 @@ class PanoramicViewer {
 		this.modal.addEventListener('click', this.handleModalClick);
 	}
 
-	bindEvents() {
-		const attach = () => {
-			// Handle both panoramic (3 images) and single panoramic (1 image) blocks
-			const thumbnails = document.querySelectorAll('.panoramic-image-block-thumbnail, .single-panoramic-image-block-thumbnail');
-			thumbnails.forEach((thumbnail) => {
-				thumbnail.addEventListener('click', (e) =>
-					this.openViewer(e.currentTarget)
-				);
-				thumbnail.addEventListener('keydown', (e) => {
-					if (e.key === 'Enter' || e.key === ' ') {
-						e.preventDefault();
-						this.openViewer(e.currentTarget);
-					}
-				});
-			});
-		};
-		if (document.readyState === 'loading') {
-			document.addEventListener('DOMContentLoaded', attach);
-		} else {
-			attach();
+	// Open block thumbnails in the lightbox, delegated so thumbnails added later open too
+	static bindThumbnailEvents() {
+		if (thumbnailEventsBound) {
+			return;
+		}
+		thumbnailEventsBound = true;
+
+		// Handle both panoramic (stitched images) and single panoramic (1 image) blocks
+		document.addEventListener('click', (e) => {
+			const thumbnail = e.target.closest(THUMBNAIL_SELECTOR);
+			if (thumbnail) {
+				PanoramicViewer.getLightbox().openViewer(thumbnail);
+			}
+		});
+		document.addEventListener('keydown', (e) => {
+			if ((e.key === 'Enter' || e.key === ' ') && e.target.matches(THUMBNAIL_SELECTOR)) {
+				e.preventDefault();
+				PanoramicViewer.getLightbox().openViewer(e.target);
+			}
+		});
+	}
+
+	// The modal viewer block thumbnails open in, created the first time it is needed
+	static getLightbox() {
+		if (!lightbox || !lightbox.modal) {
+			lightbox = new PanoramicViewer(document.body, { deepLinks: true, gallery: true, analytics: true });
+		}
+		return lightbox;
+	}
+
+	// Public API: open a block's panorama in the lightbox. block is the block element or
+	// its thumbnail; view, as for setView, replaces the block's starting view. Resolves once
+	// the panorama is on show, and rejects if it fails to load, after panoramic:error.
+	static open(block, view = null) {
+		const thumbnail = block instanceof window.Element ?
+			block.closest(BLOCK_SELECTOR) || block.querySelector(BLOCK_SELECTOR) :
+			null;
+		if (!thumbnail) {
+			return Promise.reject(new TypeError('PanoramicViewer.open() expects a panoramic block element'));
+		}
+		return PanoramicViewer.getLightbox().openViewer(thumbnail, false, view).then((isShown) => {
+			if (!isShown) {
+				throw new Error('The panorama failed to load');
+			}
+		});
+	}
+
+	static close() {
+		if (lightbox && lightbox.isOpen()) {
+			lightbox.close();
+		}
+	}
+
+	// The view in the lightbox, or null while it is closed
+	static getView() {
+		return lightbox && lightbox.isOpen() ? lightbox.getView() : null;
+	}
+
+	static setView(view) {
+		return !!(lightbox && lightbox.isOpen()) && lightbox.setView(view);
+	}
+
+	// Listen for a viewer event from any block on the page; the prefix may be left off
+	static on(type, handler) {
+		document.addEventListener(PanoramicViewer.getEventName(type), handler);
+	}
+
+	static off(type, handler) {
+		document.removeEventListener(PanoramicViewer.getEventName(type), handler);
+	}
+
+	static getEventName(type) {
+		return type.startsWith(EVENT_PREFIX) ? type : EVENT_PREFIX + type;
+	}
+
+	isOpen() {
+		return !!this.modal && this.modal.classList.contains('active');
+	}
+
+	/**
+	 * { x, y, zoom } in the terms of the block's starting view, with yaw and pitch in
+	 * degrees in 360° and cylindrical modes; null before a panorama loads
+	 */
+	getView() {
+		const view = this.renderer.getViewState();
+		if (!view || !this.renderer.isProjected()) {
+			return view;
+		}
+		return { ...view, yaw: this.renderer.yaw, pitch: this.renderer.pitch };
+	}
+
+	// Move the view, pausing any auto-rotation; any of x, y, zoom, yaw and pitch left out keep their value
+	setView(view) {
+		if (!view || !this.renderer.getViewState()) {
+			return false;
+		}
+
+		const { yaw, pitch, ...rest } = view;
+		this.autoRotate.stop();
+		this.renderer.setViewState(rest);
+		if (this.renderer.isProjected() && (yaw !== undefined || pitch !== undefined)) {
+			this.renderer.setView(yaw ?? this.renderer.yaw, pitch ?? this.renderer.pitch);
+		}
+		return true;
+	}
+
+	// Dispatch a viewer event from the block on show, bubbling up to the document
+	dispatch(type, detail = {}) {
+		const target = this.block && this.block.isConnected ? this.block : this.container;
+		target.dispatchEvent(new CustomEvent(EVENT_PREFIX + type, {
+			bubbles: true,
+			detail: { viewer: this, block: this.block, ...detail }
+		}));
+	}
+
+	// Follow each frame drawn, reporting the view whenever it has moved
+	handleFrame() {
+		if (this.deepLink) {
+			this.deepLink.update();
 		}
+		if (!this.isOpen()) {
+			return;
+		}
+
+		const view = this.getView();
+		const last = this.lastView;
+		if (!view || (last && view.x === last.x && view.y === last.y && view.zoom === last.zoom)) {
+			return;
+		}
+
+		this.lastView = view;
+		this.dispatch('viewchange', { view });
 	}
 
-	async openViewer(thumbnail) {
+	// isSceneChange is set when a tour moves to this panorama inside the open viewer;
+	// view, as for setView, is shown in place of the starting view, as from a deep link.
+	// Resolves to whether the panorama is on show; a failure is shown in the viewer
+	async openViewer(thumbnail, isSceneChange = false, view = null) {
 		const blockType = thumbnail.dataset.blockType || 'panoramic';
 		const altText = thumbnail.dataset.alt;
 
+		// Opening from the page starts a new tour
+		if (!isSceneChange) {
+			this.sceneHistory = [];
+		}
+		this.currentScene = thumbnail;
+		if (thumbnail.isConnected) {
+			this.block = thumbnail;
+		}
+		this.backBtn.hidden = this.sceneHistory.length === 0;
+		if (this.gallery) {
+			this.gallery.setCurrent(thumbnail);
+		}
+		const snapshot = isSceneChange ? this.captureScene() : null;
+
 		this.accessibility.updateTitle(altText || 'Panoramic Image Viewer');
 
 		// Remove any previous error message
 		const oldError = this.modal.querySelector('.panoramic-error');
-		if (oldError) oldError.remove();
+		if (oldError) {
+			oldError.remove();
+		}
 
 		let imagesData;
 		let imageUrls;
+		let offsets = null;
+		let transforms = null;
+		// A stitched block with an image saved from the editor is shown like a single panorama
+		let isSingleImage = blockType === 'single';
+		let segmentCount = 1;
 
 		try {
 			if (blockType === 'single') {
@@ -1061,16 +4340,56 @@ class PanoramicViewer {
 				}
 				imagesData = [imageData];
 				imageUrls = [imageData.url];
+			} else if (thumbnail.dataset.stitchedImage) {
+				const imageData = JSON.parse(thumbnail.dataset.stitchedImage);
+				if (!PanoramicUtils.validateImageData(imageData, 'single')) {
+					throw new Error('Invalid stitched image data');
+				}
+				imagesData = [imageData];
+				imageUrls = [imageData.url];
+				isSingleImage = true;
+				segmentCount = JSON.parse(thumbnail.dataset.images || '[]').length;
 			} else {
 				imagesData = JSON.parse(thumbnail.dataset.images);
 				if (!PanoramicUtils.validateImageData(imagesData, 'multiple')) {
 					throw new Error('Invalid multiple images data');
 				}
 				imageUrls = imagesData.map(img => img.url);
+				segmentCount = imagesData.length;
+				offsets = thumbnail.dataset.offsets ? JSON.parse(thumbnail.dataset.offsets) : null;
+				if (!PanoramicUtils.offsetsMatchImages(imagesData, offsets)) {
+					offsets = null;
+				}
+				if (thumbnail.dataset.transforms) {
+					transforms = PanoramicUtils.resolveSegmentTransforms(imagesData, JSON.parse(thumbnail.dataset.transforms));
+				}
+			}
+			this.renderer.setSegmentOffsets(offsets);
+			this.renderer.setSegmentTransforms(transforms);
+			const stitchOptions = {
+				blendWidth: parseFloat(thumbnail.dataset.blendWidth) || 0,
+				exposureCompensation: thumbnail.dataset.exposureCompensation === 'true'
+			};
+			this.renderer.setStitchOptions(stitchOptions);
+			this.renderer.setProjection(thumbnail.dataset.projection, thumbnail.dataset.hfov);
+			this.renderer.setLoop(thumbnail.dataset.loop === 'true');
+			this.renderer.setInitialView(thumbnail.dataset.initialView ? JSON.parse(thumbnail.dataset.initialView) : null);
+			this.autoRotate.configure(thumbnail.dataset.autoRotate ? JSON.parse(thumbnail.dataset.autoRotate) : null);
+
+			// A deep zoom pyramid stands in for the image when the panorama is shown flat
+			let tiles = thumbnail.dataset.tiles && !this.renderer.isProjected() ?
+				JSON.parse(thumbnail.dataset.tiles) :
+				null;
+			if (!PanoramicTileLayer.isValidManifest(tiles)) {
+				tiles = null;
 			}
+			const sourceUrls = tiles ? [tiles.url] : imageUrls;
 
-			// Check if images have changed
-			const shouldReload = this.shouldReloadImages(imageUrls);
+			this.hotspots.setHotspots(thumbnail.dataset.hotspots ? JSON.parse(thumbnail.dataset.hotspots) : []);
+
+			// Check if images or how they are stitched have changed
+			const stitchKey = JSON.stringify({ offsets, transforms, stitchOptions });
+			const shouldReload = this.shouldReloadImages(sourceUrls) || stitchKey !== this._lastStitchKey;
 
 			if (shouldReload) {
 				this.accessibility.showLoading();
@@ -1086,7 +4405,7 @@ class PanoramicViewer {
 						this.accessibility.announceProgressiveLoading('thumbnail', thumbnailsLoaded, progress.total);
 						
 						// For multi-image panoramic, try to stitch thumbnails as they load
-						if (blockType !== 'single' && thumbnailsLoaded === progress.total) {
+						if (!isSingleImage && thumbnailsLoaded === progress.total) {
 							try {
 								await this.renderer.stitchThumbnails();
 								this.renderer.resetView(); // Show thumbnail version immediately
@@ -1111,38 +4430,69 @@ class PanoramicViewer {
 					}
 				};
 				
-				await this.renderer.loadImages(imagesData, progressCallback, errorCallback);
+				if (tiles) {
+					try {
+						await this.renderer.loadTiles(tiles);
+					} catch (error) {
+						// Fall back to the full image, e.g. while the tiles are regenerated
+						tiles = null;
+					}
+				}
 				
-				if (blockType === 'single') {
-					await this.renderer.setupSingleImage();
-				} else {
-					await this.renderer.stitchImages();
+				if (!tiles) {
+					await this.renderer.loadImages(imagesData, progressCallback, errorCallback);
+					
+					if (isSingleImage) {
+						await this.renderer.setupSingleImage();
+					} else {
+						await this.renderer.stitchImages();
+					}
 				}
 				
 				// Re-render with full resolution images
 				this.renderer.resetView();
 				
-				this._lastImageUrls = imageUrls;
+				this._lastImageUrls = tiles ? sourceUrls : imageUrls;
+				this._lastStitchKey = stitchKey;
 				this.accessibility.hideLoading();
 				this.accessibility.announceLoadingSuccess();
-				this.accessibility.provideImageDescription(blockType, imagesData.length);
+				this.accessibility.provideImageDescription(blockType, segmentCount);
 			}
 
 			this.renderer.resetView();
-			this.modal.classList.add('active');
-
-			// Setup accessibility
-			this.accessibility.setInitialFocus(this.viewer);
-			this.accessibility.trapFocus();
+			if (view) {
+				// A shared view stays put rather than rotating away
+				this.setView(view);
+			} else {
+				this.autoRotate.start();
+			}
 
-			// Add document keydown handler for escape
-			document.addEventListener('keydown', this.handleModalKeydown);
+			if (isSceneChange) {
+				// The modal is already open, with focus trapped inside it
+				this.fadeOutScene(snapshot);
+				if (this.deepLink) {
+					this.deepLink.changeScene(thumbnail);
+				}
+				this.viewer.focus();
+				this.accessibility.announceSceneChange(altText);
+			} else {
+				this.show();
+			}
 
-			// Prevent body scroll
-			document.body.style.overflow = 'hidden';
+			this.dispatch('open', { view: this.getView(), isSceneChange });
+			if (this.analytics) {
+				this.analytics.start(thumbnail);
+			}
+			return true;
 
 		} catch (error) {
 			console.error('Error opening panoramic viewer:', error);
+			if (snapshot) {
+				snapshot.remove();
+			}
+
+			// The renderer may hold part of the failed scene, so load it in full next time
+			this._lastImageUrls = null;
 			this.accessibility.hideLoading();
 			
 			// Determine error type from the error message or renderer errors
@@ -1180,22 +4530,146 @@ class PanoramicViewer {
 			}
 			
 			this.accessibility.announceContextualError(errorType, false);
-			this.showError(contextualMessage, errorType, { thumbnail });
+			this.showError(contextualMessage, errorType, { thumbnail, isSceneChange, view });
+			this.dispatch('error', { error, errorType, message: contextualMessage });
+			if (this.analytics) {
+				this.analytics.error(thumbnail, errorType);
+			}
+			return false;
 		}
 	}
 
-	/**
-	 * Check if images should be reloaded
-	 */
+	// Show the modal once its first panorama is drawn
+	show() {
+		this.modal.classList.add('active');
+		if (!openModals.includes(this)) {
+			openModals.push(this);
+		}
+
+		// Setup accessibility
+		this.accessibility.setInitialFocus(this.viewer);
+		this.accessibility.trapFocus();
+
+		// Add document keydown handler for escape
+		document.addEventListener('keydown', this.handleModalKeydown);
+
+		// Prevent body scroll
+		document.body.style.overflow = 'hidden';
+
+		if (this.deepLink) {
+			this.deepLink.open(this.currentScene);
+		}
+	}
+
+	// Move to the scene a tour arrow targets, keeping the current scene to go back to.
+	// target is { type: 'block', scene } or { type: 'attachment', image, tiles }.
+	async goToScene(target) {
+		if (this.isChangingScene) {
+			return;
+		}
+
+		const source = this.getSceneSource(target);
+		if (!source) {
+			// The block or image the arrow leads to is gone, so stay on this scene
+			return;
+		}
+
+		this.sceneHistory.push(this.currentScene);
+		await this.changeScene(source);
+	}
+
+	async goBack() {
+		if (this.isChangingScene || !this.sceneHistory.length) {
+			return;
+		}
+		await this.changeScene(this.sceneHistory.pop());
+	}
+
+	// Step to another block on the page, leaving any tour behind
+	async goToBlock(block) {
+		if (this.isChangingScene) {
+			return;
+		}
+
+		this.sceneHistory = [];
+		await this.changeScene(block);
+
+		const position = this.gallery.getPosition();
+		if (position) {
+			this.accessibility.announceGalleryPosition(block.dataset.alt, position.position, position.total);
+		}
+	}
+
+	// Load another scene into the open viewer, one at a time
+	async changeScene(source) {
+		this.isChangingScene = true;
+		try {
+			await this.openViewer(source, true);
+		} finally {
+			this.isChangingScene = false;
+		}
+	}
+
+	// Find the block thumbnail of a scene, or build a detached stand-in for an attachment
+	getSceneSource(target) {
+		if (!target) {
+			return null;
+		}
+
+		if (target.type === 'block' && target.scene) {
+			return document.querySelector(`[data-scene-id="${window.CSS.escape(target.scene)}"]`);
+		}
+
+		if (target.type === 'attachment' && target.image) {
+			const source = document.createElement('div');
+			source.dataset.blockType = 'single';
+			source.dataset.image = JSON.stringify(target.image);
+			source.dataset.alt = target.image.alt || '';
+			if (target.tiles) {
+				source.dataset.tiles = JSON.stringify(target.tiles);
+			}
+			return source;
+		}
+
+		return null;
+	}
+
+	// Cover the canvas with a copy of the current frame, to crossfade once the next scene is drawn
+	captureScene() {
+		const snapshot = document.createElement('canvas');
+		snapshot.className = 'panoramic-scene-snapshot';
+		snapshot.setAttribute('aria-hidden', 'true');
+		snapshot.width = this.canvas.width;
+		snapshot.height = this.canvas.height;
+
+		// WebGL may clear its drawing buffer once shown, so draw a fresh frame to copy
+		this.renderer.renderImmediate();
+		snapshot.getContext('2d').drawImage(this.canvas, 0, 0);
+
+		this.viewer.appendChild(snapshot);
+		return snapshot;
+	}
+
+	fadeOutScene(snapshot) {
+		if (PanoramicUtils.prefersReducedMotion()) {
+			snapshot.remove();
+			return;
+		}
+
+		snapshot.style.transitionDuration = `${SCENE_FADE_DURATION}ms`;
+		// Wait a frame so the opacity change is transitioned rather than applied at once
+		window.requestAnimationFrame(() => snapshot.classList.add('is-fading'));
+		setTimeout(() => snapshot.remove(), SCENE_FADE_DURATION + 100);
+	}
+
+	// Check if images should be reloaded
 	shouldReloadImages(imageUrls) {
 		return !this._lastImageUrls || 
 			   this._lastImageUrls.length !== imageUrls.length || 
 			   this._lastImageUrls.some((url, i) => url !== imageUrls[i]);
 	}
 
-	/**
-	 * Show enhanced error message with retry option
-	 */
+	// Show enhanced error message with retry option
 	showError(message, errorType = 'unknown', retryData = null) {
 		const errorDiv = document.createElement('div');
 		errorDiv.className = 'panoramic-error';
@@ -1232,7 +4706,7 @@ class PanoramicViewer {
 			retryBtn.addEventListener('click', async () => {
 				errorDiv.remove();
 				try {
-					await this.openViewer(retryData.thumbnail);
+					await this.openViewer(retryData.thumbnail, retryData.isSceneChange, retryData.view);
 				} catch (retryError) {
 					console.error('Retry failed:', retryError);
 					this.accessibility.announceContextualError(errorType, false);
@@ -1244,9 +4718,7 @@ class PanoramicViewer {
 		this.modal.querySelector('.panoramic-viewer-container').prepend(errorDiv);
 	}
 
-	/**
-	 * Show simple error message (legacy method)
-	 */
+	// Show simple error message (legacy method)
 	showSimpleError(message) {
 		const errorDiv = document.createElement('div');
 		errorDiv.className = 'panoramic-error';
@@ -1257,26 +4729,48 @@ class PanoramicViewer {
 	}
 
 	close() {
+		const wasOpen = this.isOpen();
 		this.modal.classList.remove('active');
-		document.body.style.overflow = '';
+		this.lastView = null;
+
+		const index = openModals.indexOf(this);
+		if (index !== -1) {
+			openModals.splice(index, 1);
+		}
+		if (!openModals.length) {
+			document.body.style.overflow = '';
+		}
 
 		// Remove document keydown handler
 		document.removeEventListener('keydown', this.handleModalKeydown);
 
+		this.hotspots.closePopover(false);
+		this.autoRotate.stop();
+		this.fullscreen.exit();
+		if (this.deepLink) {
+			this.deepLink.close();
+		}
+		if (this.analytics) {
+			this.analytics.close();
+		}
+
 		// Cleanup accessibility
 		this.accessibility.restoreFocus();
 		this.accessibility.removeFocusTrap();
+
+		if (wasOpen) {
+			this.dispatch('close');
+		}
 	}
 
-	/**
-	 * Zoom by factor with accessibility announcement
-	 */
+	// Zoom by factor with accessibility announcement
 	zoom(factor) {
-		const oldScale = this.renderer.scale;
+		// Announced as the scale the zoom eases to, not the one it starts from
+		const oldScale = this.renderer.getTargetScale();
 		const zoomed = this.renderer.zoom(factor);
 		
 		if (zoomed) {
-			this.accessibility.announceZoomChange(oldScale, this.renderer.scale);
+			this.accessibility.announceZoomChange(oldScale, this.renderer.getTargetScale());
 		}
 	}
 
@@ -1288,13 +4782,22 @@ class PanoramicViewer {
 		this.accessibility.announceViewReset(this.renderer.scale);
 	}
 
-	/**
-	 * Handle modal keydown events (especially Escape key)
-	 */
+	// Handle modal keydown events (especially Escape key)
 	handleModalKeydown(e) {
+		// A modal opened over this one takes the keyboard
+		if (openModals[openModals.length - 1] !== this) {
+			return;
+		}
+
 		if (e.key === 'Escape') {
 			e.preventDefault();
 			this.close();
+		} else if (e.key === 'Backspace' && this.sceneHistory.length) {
+			e.preventDefault();
+			this.goBack();
+		} else if ((e.key === 'PageUp' || e.key === 'PageDown') && this.gallery) {
+			e.preventDefault();
+			this.gallery.step(e.key === 'PageDown' ? 1 : -1);
 		}
 	}
 
@@ -1305,17 +4808,38 @@ class PanoramicViewer {
 		if (this.controls) {
 			this.controls.destroy();
 		}
+		if (this.autoRotate) {
+			this.autoRotate.destroy();
+		}
+		if (this.fullscreen) {
+			this.fullscreen.destroy();
+		}
+		if (this.deepLink) {
+			this.deepLink.destroy();
+		}
+		if (this.gallery) {
+			this.gallery.destroy();
+		}
+		if (this.analytics) {
+			this.analytics.destroy();
+		}
 		if (this.renderer) {
 			this.renderer.destroy();
 		}
 		if (this.accessibility) {
 			this.accessibility.destroy();
 		}
+		if (this.hotspots) {
+			this.hotspots.destroy();
+		}
 
 		// Remove event listeners
 		if (this.closeBtn) {
 			this.closeBtn.removeEventListener('click', this.handleCloseClick);
 		}
+		if (this.backBtn) {
+			this.backBtn.removeEventListener('click', this.handleBackClick);
+		}
 		if (this.zoomInBtn) {
 			this.zoomInBtn.removeEventListener('click', this.handleZoomInClick);
 		}
@@ -1341,6 +4865,215 @@ class PanoramicViewer {
 		this.renderer = null;
 		this.controls = null;
 		this.accessibility = null;
+		this.hotspots = null;
+		this.autoRotate = null;
+		this.fullscreen = null;
+		this.deepLink = null;
+		this.gallery = null;
+		this.analytics = null;
+		this.currentScene = null;
+		this.block = null;
+		this.sceneHistory = [];
+	}
+}
+
+// Thumbnails of blocks set to show their viewer inline in the page
+const INLINE_SELECTOR = '.panoramic-image-block-thumbnail.is-inline, .single-panoramic-image-block-thumbnail.is-inline';
+
+// Blocks whose inline viewer is already mounted
+const mountedInline = new WeakSet();
+
+/**
+ * Viewer embedded in a block, in the flow of the page, constructed with the block container.
+ * It loads once the block nears the viewport, and the expand button opens the modal viewer.
+ */
+class PanoramicInlineViewer extends PanoramicViewer {
+	createModal() {
+		const id = PanoramicUtils.generateId('panoramic-inline');
+		const strings = window.panoramicImageBlockData?.strings || {};
+
+		this.modal = document.createElement('div');
+		this.modal.className = 'panoramic-inline';
+
+		this.modal.innerHTML = `
+			<div class="panoramic-viewer-container">
+				<button class="panoramic-back" aria-label="${strings.backScene || 'Back to the previous scene'}" title="${strings.backKey || 'Back (Backspace)'}" hidden>&larr;</button>
+				<div class="panoramic-loading" aria-live="polite" aria-label="${strings.loadingImage || 'Loading panoramic image'}" style="display: none;">
+					<div class="panoramic-loading-spinner" aria-hidden="true"></div>
+					<span>${strings.loadingView || 'Loading panoramic view...'}</span>
+				</div>
+				<div class="panoramic-viewer" role="img" tabindex="0" aria-describedby="${id}-instructions">
+					<canvas aria-hidden="true"></canvas>
+				</div>
+				<div class="panoramic-controls" role="toolbar" aria-label="${strings.viewerControls || 'Panoramic viewer controls'}">
+					<button class="panoramic-zoom-out" aria-label="${strings.zoomOut || 'Zoom out'}" title="${strings.zoomOutKey || 'Zoom out (-)'}">-</button>
+					<button class="panoramic-zoom-reset" aria-label="${strings.resetZoom || 'Reset zoom and position'}" title="${strings.resetKey || 'Reset zoom (0)'}">${strings.reset || 'Reset'}</button>
+					<button class="panoramic-zoom-in" aria-label="${strings.zoomIn || 'Zoom in'}" title="${strings.zoomInKey || 'Zoom in (+)'}">+</button>
+					<button class="panoramic-autorotate" hidden></button>
+					<button class="panoramic-fullscreen" hidden></button>
+					<button class="panoramic-expand" aria-label="${strings.expandViewer || 'Expand panoramic viewer'}" title="${strings.expandKey || 'Expand'}">&#x2922;</button>
+				</div>
+				<div id="${id}-instructions" class="sr-only">
+					${strings.inlineHelp || 'Interactive panoramic image. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom, or hold Ctrl while scrolling. Press 0 to reset view. Press F for full screen.'}
+				</div>
+				<div class="panoramic-status sr-only" aria-live="polite" aria-atomic="true"></div>
+			</div>
+		`;
+
+		this.container.appendChild(this.modal);
+
+		this.canvas = this.modal.querySelector('canvas');
+		this.viewer = this.modal.querySelector('.panoramic-viewer');
+		this.backBtn = this.modal.querySelector('.panoramic-back');
+		this.zoomInBtn = this.modal.querySelector('.panoramic-zoom-in');
+		this.zoomOutBtn = this.modal.querySelector('.panoramic-zoom-out');
+		this.zoomResetBtn = this.modal.querySelector('.panoramic-zoom-reset');
+		this.autoRotateBtn = this.modal.querySelector('.panoramic-autorotate');
+		this.fullscreenBtn = this.modal.querySelector('.panoramic-fullscreen');
+		this.expandBtn = this.modal.querySelector('.panoramic-expand');
+		this.viewer.setAttribute('aria-label', this.container.dataset.alt || strings.interactiveViewer || 'Interactive panoramic image viewer');
+	}
+
+	initializeComponents() {
+		super.initializeComponents();
+
+		// The page scrolls under the wheel unless the visitor means to zoom,
+		// and under a finger moving up or down, which only pans the view when it moves sideways
+		this.controls.requireWheelModifier = true;
+		this.controls.allowTouchScroll = true;
+
+		if (this.analytics) {
+			this.analytics.source = 'inline';
+		}
+	}
+
+	// Bind the viewer's buttons, load the panorama once the block nears the viewport, and follow its size
+	bindEvents() {
+		this.handleExpandClick = () => this.expand();
+		this.backBtn.addEventListener('click', this.handleBackClick);
+		this.zoomInBtn.addEventListener('click', this.handleZoomInClick);
+		this.zoomOutBtn.addEventListener('click', this.handleZoomOutClick);
+		this.zoomResetBtn.addEventListener('click', this.handleZoomResetClick);
+		this.expandBtn.addEventListener('click', this.handleExpandClick);
+		this.modal.addEventListener('keydown', this.handleModalKeydown);
+
+		// Recording stops while the lightbox is open over the page, and starts again as it closes
+		this.handleLightboxChange = (e) => {
+			if (e.detail.viewer === this) {
+				return;
+			}
+			if (!openModals.length) {
+				this.resumeAnalytics();
+			} else if (this.analytics) {
+				this.analytics.close();
+			}
+		};
+		document.addEventListener(EVENT_PREFIX + 'open', this.handleLightboxChange);
+		document.addEventListener(EVENT_PREFIX + 'close', this.handleLightboxChange);
+
+		this.isLoaded = false;
+		this.isVisible = false;
+		if ('IntersectionObserver' in window) {
+			this.visibilityObserver = new window.IntersectionObserver(
+				(entries) => this.handleVisibility(entries[0].isIntersecting),
+				{ rootMargin: '200px' }
+			);
+			this.visibilityObserver.observe(this.container);
+		} else {
+			this.handleVisibility(true);
+		}
+
+		if ('ResizeObserver' in window) {
+			this.resizeObserver = new window.ResizeObserver(() => this.renderer.resize());
+			this.resizeObserver.observe(this.viewer);
+		}
+	}
+
+	// Load the first time the block nears the viewport, and only rotate and record while it is there
+	handleVisibility(isVisible) {
+		this.isVisible = isVisible;
+		if (!isVisible) {
+			this.autoRotate.stop();
+			if (this.analytics) {
+				this.analytics.close();
+			}
+		} else if (!this.isLoaded) {
+			this.isLoaded = true;
+			this.openViewer(this.container).then(() => {
+				// The block may have left the viewport while the panorama loaded
+				if (!this.isVisible && this.analytics) {
+					this.analytics.close();
+				}
+			});
+		} else {
+			this.autoRotate.start();
+			this.resumeAnalytics();
+		}
+	}
+
+	// Show the viewer over the block's poster once its first panorama is drawn
+	show() {
+		this.modal.classList.add('active');
+	}
+
+	// Stop whatever the viewer is doing; it stays in the page
+	close() {
+		this.hotspots.closePopover(false);
+		this.autoRotate.stop();
+		this.fullscreen.exit();
+	}
+
+	// Record the panorama on show again, if it is on screen with no lightbox open over it
+	resumeAnalytics() {
+		if (this.analytics && !this.analytics.session && this.isVisible && !openModals.length && this.modal.classList.contains('active')) {
+			this.analytics.start(this.currentScene || this.container);
+		}
+	}
+
+	// Open the panorama on show in the modal viewer
+	expand() {
+		this.autoRotate.stop();
+		PanoramicViewer.getLightbox().openViewer(this.currentScene || this.container);
+	}
+
+	handleModalKeydown(e) {
+		if (e.key === 'Backspace' && this.sceneHistory.length) {
+			e.preventDefault();
+			this.goBack();
+		}
+	}
+
+	destroy() {
+		if (this.visibilityObserver) {
+			this.visibilityObserver.disconnect();
+			this.visibilityObserver = null;
+		}
+		if (this.resizeObserver) {
+			this.resizeObserver.disconnect();
+			this.resizeObserver = null;
+		}
+		if (this.expandBtn) {
+			this.expandBtn.removeEventListener('click', this.handleExpandClick);
+			this.expandBtn = null;
+		}
+		if (this.modal) {
+			this.modal.removeEventListener('keydown', this.handleModalKeydown);
+		}
+		document.removeEventListener(EVENT_PREFIX + 'open', this.handleLightboxChange);
+		document.removeEventListener(EVENT_PREFIX + 'close', this.handleLightboxChange);
+		mountedInline.delete(this.container);
+
+		super.destroy();
+	}
+
+	// Mount a viewer in every inline block on the page that has none yet
+	static mountAll() {
+		return Array.from(document.querySelectorAll(INLINE_SELECTOR))
+			.filter(thumbnail => !mountedInline.has(thumbnail))
+			.map(thumbnail => {
+				mountedInline.add(thumbnail);
+				return new PanoramicInlineViewer(thumbnail, { analytics: true });
+			});
 	}
 }
 
@@ -1366,17 +5099,23 @@ if (!document.getElementById('pano-sr-only-style')) {
 
 // Export for global access
 window.PanoramicViewer = PanoramicViewer;
+window.PanoramicInlineViewer = PanoramicInlineViewer;
 
-// Initialize on DOM ready
+// Set up the blocks on the page, and return the lightbox their thumbnails open in
 window.initPanoramicViewer = function() {
-	if (!window._panoViewerInstance) {
-		window._panoViewerInstance = new PanoramicViewer();
-	}
-	return window._panoViewerInstance;
+	PanoramicViewer.bindThumbnailEvents();
+	PanoramicInlineViewer.mountAll();
+	return PanoramicViewer.getLightbox();
 };
 
+// Initialize on DOM ready
 document.addEventListener('DOMContentLoaded', function() {
-	if (!window._panoViewerInstance) {
-		window._panoViewerInstance = window.initPanoramicViewer();
+	PanoramicViewer.bindThumbnailEvents();
+	PanoramicInlineViewer.mountAll();
+
+	// A deep link opens its panorama in the lightbox, at the view it was shared from
+	const link = PanoramicDeepLink.parse();
+	if (link) {
+		PanoramicViewer.getLightbox().openViewer(link.block, false, link.view);
 	}
 });
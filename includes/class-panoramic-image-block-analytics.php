@@ -0,0 +1,608 @@
+<?php
+/**
+ * Opt-in engagement analytics for panorama blocks.
+ *
+ * @package PanoramicImageBlock
+ * @since 1.1.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Records how visitors explore panoramas, in the lightbox or inline in the page.
+ *
+ * Off until a site picks where the viewer sends its events on Settings → Media:
+ * to this plugin, which adds them up per block and per day in post meta, or to
+ * the page's dataLayer for Google Tag Manager. Blocks are told apart by a key
+ * derived from their images, so the same key can be worked out again from the
+ * post content.
+ *
+ * The viewer sends four events: 'open' when a panorama is shown, 'view' when it
+ * is left, with the seconds it was on show, the furthest it was zoomed and a
+ * coarse heatmap counting the seconds the view rested on each cell of the
+ * panorama, 'close' when the lightbox is closed on it or the inline viewer leaves
+ * the screen, and 'error' when it fails to load. Each names its source, so opens
+ * of inline viewers can be told apart.
+ *
+ * @since 1.1.0
+ */
+class Panoramic_Image_Block_Analytics {
+
+	/**
+	 * Option holding where events are sent: '', 'rest' or 'datalayer'.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const OPTION = 'panoramic_image_block_analytics';
+
+	/**
+	 * Prefix of the post meta holding a day's totals of each block in the post, by
+	 * block key; the day follows as Y-m-d in the site's time zone.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const STATS_META_PREFIX = '_panoramic_image_block_analytics_';
+
+	/**
+	 * Post meta holding the keys of the panorama blocks in the post, written when
+	 * it is saved so events can be checked without parsing the post.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const BLOCK_KEYS_META = '_panoramic_image_block_block_keys';
+
+	/**
+	 * Most events recorded a minute from one address for one post.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const RATE_LIMIT = 60;
+
+	/**
+	 * Events the viewer sends.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	const EVENT_TYPES = array( 'open', 'view', 'close', 'error' );
+
+	/**
+	 * Where the viewer shows a panorama: in the lightbox, or inline in the page.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	const SOURCES = array( 'lightbox', 'inline' );
+
+	/**
+	 * Columns and rows of the heatmap grid laid over a panorama.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const HEATMAP_COLUMNS = 12;
+	const HEATMAP_ROWS    = 6;
+
+	/**
+	 * Longest view, in seconds, counted from a single event.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_DWELL = 3600;
+
+	/**
+	 * Error types the viewer reports, as PanoramicUtils.getErrorType() names them.
+	 *
+	 * @since 1.1.0
+	 * @var string[]
+	 */
+	const ERROR_TYPES = array( 'timeout', 'network', 'not_found', 'forbidden', 'cors', 'unknown' );
+
+	/**
+	 * Get where the viewer sends its events.
+	 *
+	 * @since 1.1.0
+	 * @return string 'rest', 'datalayer', or '' while analytics are off.
+	 */
+	public function get_sink() {
+		/**
+		 * Filters where the viewer sends its engagement events.
+		 *
+		 * @since 1.1.0
+		 * @param string $sink 'rest', 'datalayer', or '' to turn analytics off.
+		 */
+		$sink = apply_filters( 'panoramic_image_block_analytics_sink', get_option( self::OPTION, '' ) );
+
+		return $this->sanitize_sink( $sink );
+	}
+
+	/**
+	 * Whether the viewer records engagement.
+	 *
+	 * @since 1.1.0
+	 * @return bool
+	 */
+	public function is_enabled() {
+		return '' !== $this->get_sink();
+	}
+
+	/**
+	 * Sanitize the analytics setting.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $sink Setting value.
+	 * @return string 'rest', 'datalayer' or ''.
+	 */
+	public function sanitize_sink( $sink ) {
+		return in_array( $sink, array( 'rest', 'datalayer' ), true ) ? $sink : '';
+	}
+
+	/**
+	 * Add the analytics setting to Settings → Media.
+	 *
+	 * @since 1.1.0
+	 */
+	public function register_setting() {
+		register_setting(
+			'media',
+			self::OPTION,
+			array(
+				'type'              => 'string',
+				'default'           => '',
+				'sanitize_callback' => array( $this, 'sanitize_sink' ),
+			)
+		);
+
+		add_settings_field(
+			self::OPTION,
+			__( 'Panorama analytics', 'panoramic-image-block' ),
+			array( $this, 'render_setting' ),
+			'media',
+			'default',
+			array( 'label_for' => self::OPTION )
+		);
+	}
+
+	/**
+	 * Render the analytics setting.
+	 *
+	 * @since 1.1.0
+	 */
+	public function render_setting() {
+		$sink    = $this->sanitize_sink( get_option( self::OPTION, '' ) );
+		$choices = array(
+			''          => __( 'Off', 'panoramic-image-block' ),
+			'rest'      => __( 'Record on this site', 'panoramic-image-block' ),
+			'datalayer' => __( 'Send to Google Tag Manager (dataLayer)', 'panoramic-image-block' ),
+		);
+		?>
+		<select id="<?php echo esc_attr( self::OPTION ); ?>" name="<?php echo esc_attr( self::OPTION ); ?>">
+			<?php foreach ( $choices as $value => $label ) : ?>
+				<option value="<?php echo esc_attr( $value ); ?>" <?php selected( $sink, $value ); ?>><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<p class="description">
+			<?php esc_html_e( 'Count how often panoramas are opened, how long they are explored, how far visitors zoom in, where they look, and which fail to load. No personal data is recorded. Engagement recorded on this site is reported under Dashboard → Panorama Engagement.', 'panoramic-image-block' ); ?>
+		</p>
+		<?php
+	}
+
+	/**
+	 * Get the settings the viewer reads from panoramicImageBlockData.analytics.
+	 *
+	 * @since 1.1.0
+	 * @return array|null With 'sink', 'endpoint', 'columns' and 'rows', or null while analytics are off.
+	 */
+	public function get_client_config() {
+		$sink = $this->get_sink();
+		if ( '' === $sink ) {
+			return null;
+		}
+
+		return array(
+			'sink'     => $sink,
+			'endpoint' => esc_url_raw( rest_url( 'panoramic-image-block/v1/analytics' ) ),
+			'columns'  => self::HEATMAP_COLUMNS,
+			'rows'     => self::HEATMAP_ROWS,
+		);
+	}
+
+	/**
+	 * Get the key that tells a block apart from the others in its post.
+	 *
+	 * @since 1.1.0
+	 * @param string $block_name Block name.
+	 * @param array  $attributes Block attributes.
+	 * @return string Key, or '' for a block with no images.
+	 */
+	public function get_block_key( $block_name, $attributes ) {
+		if ( 'panoramic-image-block/single-panoramic' === $block_name ) {
+			$image  = $attributes['image'] ?? array();
+			$source = ! empty( $image['id'] ) ? absint( $image['id'] ) : esc_url_raw( $image['url'] ?? '' );
+		} else {
+			$images = is_array( $attributes['images'] ?? null ) ? $attributes['images'] : array();
+			$source = implode(
+				',',
+				array_map(
+					function ( $image ) {
+						return ! empty( $image['id'] ) ? absint( $image['id'] ) : esc_url_raw( $image['url'] ?? '' );
+					},
+					$images
+				)
+			);
+		}
+
+		return '' === (string) $source ? '' : substr( md5( $block_name . ':' . $source ), 0, 12 );
+	}
+
+	/**
+	 * Get the panorama blocks in a post, by block key.
+	 *
+	 * @since 1.1.0
+	 * @param WP_Post|int $post Post.
+	 * @return array Block name and attributes, by key.
+	 */
+	public function get_post_blocks( $post ) {
+		$post = get_post( $post );
+		if ( ! $post ) {
+			return array();
+		}
+
+		$found = array();
+		$this->collect_blocks( parse_blocks( $post->post_content ), $found );
+		return $found;
+	}
+
+	/**
+	 * Collect panorama blocks, including those nested in other blocks.
+	 *
+	 * @since 1.1.0
+	 * @param array $blocks Parsed blocks.
+	 * @param array $found  Blocks found so far, by key.
+	 */
+	private function collect_blocks( $blocks, &$found ) {
+		foreach ( $blocks as $block ) {
+			if ( in_array( $block['blockName'], array( 'panoramic-image-block/panoramic', 'panoramic-image-block/single-panoramic' ), true ) ) {
+				$key = $this->get_block_key( $block['blockName'], $block['attrs'] );
+				if ( $key ) {
+					$found[ $key ] = array(
+						'name'       => $block['blockName'],
+						'attributes' => $block['attrs'],
+					);
+				}
+			}
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$this->collect_blocks( $block['innerBlocks'], $found );
+			}
+		}
+	}
+
+	/**
+	 * Get the keys of the panorama blocks in a post.
+	 *
+	 * @since 1.1.0
+	 * @param WP_Post $post Post.
+	 * @return string[]
+	 */
+	private function get_block_keys( $post ) {
+		$keys = get_post_meta( $post->ID, self::BLOCK_KEYS_META, true );
+		if ( ! is_array( $keys ) ) {
+			// Posts saved before the keys were stored.
+			$keys = $this->update_block_keys( $post->ID, $post );
+		}
+
+		return $keys;
+	}
+
+	/**
+	 * Store the keys of the panorama blocks in a post when it is saved.
+	 *
+	 * @since 1.1.0
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 * @return string[] Keys stored.
+	 */
+	public function update_block_keys( $post_id, $post ) {
+		if ( wp_is_post_revision( $post_id ) || wp_is_post_autosave( $post_id ) ) {
+			return array();
+		}
+
+		$keys = array_keys( $this->get_post_blocks( $post ) );
+		update_post_meta( $post_id, self::BLOCK_KEYS_META, $keys );
+
+		return $keys;
+	}
+
+	/**
+	 * Get the IDs of the posts that contain panorama blocks.
+	 *
+	 * Searches the post content directly, as blocks leave no other trace of
+	 * themselves; revisions and trashed posts are left out.
+	 *
+	 * @since 1.1.0
+	 * @return int[] Post IDs, newest first.
+	 */
+	public function get_post_ids() {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- No API searches post content for blocks.
+		$ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT ID FROM {$wpdb->posts}
+				WHERE post_type NOT IN ( 'revision', 'attachment' )
+				AND post_status NOT IN ( 'trash', 'auto-draft', 'inherit' )
+				AND post_content LIKE %s
+				ORDER BY post_date DESC",
+				'%' . $wpdb->esc_like( '<!-- wp:panoramic-image-block/' ) . '%'
+			)
+		);
+
+		return array_map( 'absint', $ids );
+	}
+
+	/**
+	 * Get the totals of the blocks in a post over a range of days.
+	 *
+	 * Blocks since removed from the post are left out, as are blocks whose images
+	 * have changed, which are recorded under a new key.
+	 *
+	 * @since 1.1.0
+	 * @param WP_Post|int $post Post.
+	 * @param string      $from First day, as Y-m-d.
+	 * @param string      $to   Last day, as Y-m-d.
+	 * @return array Block name, attributes and totals, by key, in the order of the post.
+	 */
+	public function get_post_report( $post, $from, $to ) {
+		$post = get_post( $post );
+		if ( ! $post ) {
+			return array();
+		}
+
+		$blocks = $this->get_post_blocks( $post );
+		foreach ( $blocks as $key => $block ) {
+			$blocks[ $key ]['totals'] = $this->get_empty_totals();
+		}
+
+		foreach ( get_post_meta( $post->ID ) as $meta_key => $values ) {
+			if ( 0 !== strpos( $meta_key, self::STATS_META_PREFIX ) ) {
+				continue;
+			}
+
+			$day = substr( $meta_key, strlen( self::STATS_META_PREFIX ) );
+			if ( $day < $from || $day > $to ) {
+				continue;
+			}
+
+			$stats = maybe_unserialize( $values[0] );
+			foreach ( is_array( $stats ) ? $stats : array() as $key => $totals ) {
+				if ( isset( $blocks[ $key ] ) && is_array( $totals ) ) {
+					$blocks[ $key ]['totals'] = $this->merge_totals( $blocks[ $key ]['totals'], $totals );
+				}
+			}
+		}
+
+		return $blocks;
+	}
+
+	/**
+	 * Get the totals of a block nothing has been recorded for.
+	 *
+	 * @since 1.1.0
+	 * @return array
+	 */
+	public function get_empty_totals() {
+		return array(
+			'opens'        => 0,
+			'inline_opens' => 0,
+			'closes'       => 0,
+			'views'        => 0,
+			'dwell'        => 0,
+			'max_zoom'     => 1,
+			'heatmap'      => array_fill( 0, self::HEATMAP_COLUMNS * self::HEATMAP_ROWS, 0 ),
+			'errors'       => array(),
+		);
+	}
+
+	/**
+	 * Add one day's totals of a block to another's.
+	 *
+	 * @since 1.1.0
+	 * @param array $totals Totals so far.
+	 * @param array $day    Totals of the day to add.
+	 * @return array Combined totals.
+	 */
+	private function merge_totals( $totals, $day ) {
+		$day = wp_parse_args( $day, $this->get_empty_totals() );
+
+		foreach ( array( 'opens', 'inline_opens', 'closes', 'views', 'dwell' ) as $count ) {
+			$totals[ $count ] += absint( $day[ $count ] );
+		}
+		$totals['max_zoom'] = max( $totals['max_zoom'], (float) $day['max_zoom'] );
+
+		foreach ( $totals['heatmap'] as $cell => $seconds ) {
+			$totals['heatmap'][ $cell ] = $seconds + absint( $day['heatmap'][ $cell ] ?? 0 );
+		}
+		foreach ( (array) $day['errors'] as $type => $count ) {
+			$totals['errors'][ $type ] = ( $totals['errors'][ $type ] ?? 0 ) + absint( $count );
+		}
+
+		return $totals;
+	}
+
+	/**
+	 * Delete everything analytics have recorded, as the plugin is uninstalled.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function delete_all() {
+		global $wpdb;
+
+		delete_option( self::OPTION );
+		delete_post_meta_by_key( self::BLOCK_KEYS_META );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- Meta keys are per day, so there is no single key to delete by.
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$wpdb->postmeta} WHERE meta_key LIKE %s",
+				$wpdb->esc_like( self::STATS_META_PREFIX ) . '%'
+			)
+		);
+	}
+
+	/**
+	 * Add an event from the viewer to the day's totals of its block.
+	 *
+	 * The endpoint is open to visitors, so events are limited per address and
+	 * post, and the totals are updated under a lock so events arriving together
+	 * are all counted.
+	 *
+	 * @since 1.1.0
+	 * @param WP_REST_Request $request REST request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_record( $request ) {
+		if ( 'rest' !== $this->get_sink() ) {
+			return new WP_Error( 'panoramic_analytics_off', __( 'Panorama analytics are not recorded on this site.', 'panoramic-image-block' ), array( 'status' => 403 ) );
+		}
+
+		$post = get_post( $request['postId'] );
+		$key  = $request['block'];
+		if ( ! $post || ! is_post_publicly_viewable( $post ) || ! in_array( $key, $this->get_block_keys( $post ), true ) ) {
+			return new WP_Error( 'panoramic_analytics_unknown_block', __( 'There is no such panorama.', 'panoramic-image-block' ), array( 'status' => 404 ) );
+		}
+
+		if ( $this->is_rate_limited( $post->ID ) ) {
+			return new WP_Error( 'panoramic_analytics_rate_limited', __( 'Too many events were sent.', 'panoramic-image-block' ), array( 'status' => 429 ) );
+		}
+
+		if ( ! $this->lock( $post->ID ) ) {
+			return new WP_Error( 'panoramic_analytics_busy', __( 'The event could not be recorded.', 'panoramic-image-block' ), array( 'status' => 503 ) );
+		}
+
+		// Read the totals afresh, as a persistent object cache may hold them from before the lock.
+		wp_cache_delete( $post->ID, 'post_meta' );
+
+		$meta_key      = self::STATS_META_PREFIX . wp_date( 'Y-m-d' );
+		$stats         = get_post_meta( $post->ID, $meta_key, true );
+		$stats         = is_array( $stats ) ? $stats : array();
+		$stats[ $key ] = $this->add_event( $stats[ $key ] ?? array(), $request );
+		update_post_meta( $post->ID, $meta_key, $stats );
+
+		$this->unlock( $post->ID );
+
+		return rest_ensure_response( array( 'recorded' => true ) );
+	}
+
+	/**
+	 * Count an event from the visitor's address, and tell whether it is over the limit.
+	 *
+	 * @since 1.1.0
+	 * @param int $post_id Post ID.
+	 * @return bool
+	 */
+	private function is_rate_limited( $post_id ) {
+		$address   = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+		$transient = 'panoramic_image_block_events_' . md5( $address . ':' . $post_id . ':' . floor( time() / MINUTE_IN_SECONDS ) );
+		$count     = (int) get_transient( $transient );
+		if ( $count >= self::RATE_LIMIT ) {
+			return true;
+		}
+
+		set_transient( $transient, $count + 1, MINUTE_IN_SECONDS );
+		return false;
+	}
+
+	/**
+	 * Take the lock on the totals of a post, waiting up to two seconds for it.
+	 *
+	 * @since 1.1.0
+	 * @param int $post_id Post ID.
+	 * @return bool Whether the lock was taken.
+	 */
+	private function lock( $post_id ) {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- MySQL named locks have no API.
+		return '1' === (string) $wpdb->get_var( $wpdb->prepare( 'SELECT GET_LOCK( %s, 2 )', $this->get_lock_name( $post_id ) ) );
+	}
+
+	/**
+	 * Release the lock on the totals of a post.
+	 *
+	 * @since 1.1.0
+	 * @param int $post_id Post ID.
+	 */
+	private function unlock( $post_id ) {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery -- MySQL named locks have no API.
+		$wpdb->query( $wpdb->prepare( 'SELECT RELEASE_LOCK( %s )', $this->get_lock_name( $post_id ) ) );
+	}
+
+	/**
+	 * Get the name of the lock on the totals of a post, unique to this site.
+	 *
+	 * @since 1.1.0
+	 * @param int $post_id Post ID.
+	 * @return string
+	 */
+	private function get_lock_name( $post_id ) {
+		global $wpdb;
+
+		return $wpdb->prefix . 'panoramic_analytics_' . (int) $post_id;
+	}
+
+	/**
+	 * Add an event to a day's totals of a block.
+	 *
+	 * @since 1.1.0
+	 * @param array           $totals  Totals of the day so far.
+	 * @param WP_REST_Request $request REST request holding the event.
+	 * @return array Updated totals.
+	 */
+	private function add_event( $totals, $request ) {
+		$cells  = self::HEATMAP_COLUMNS * self::HEATMAP_ROWS;
+		$totals = wp_parse_args( $totals, $this->get_empty_totals() );
+
+		switch ( $request['type'] ) {
+			case 'open':
+				++$totals['opens'];
+				if ( 'inline' === $request['source'] ) {
+					++$totals['inline_opens'];
+				}
+				break;
+
+			case 'close':
+				++$totals['closes'];
+				break;
+
+			case 'view':
+				$dwell = min( absint( $request['dwell'] ), self::MAX_DWELL );
+				++$totals['views'];
+				$totals['dwell']   += $dwell;
+				$totals['max_zoom'] = max( (float) $totals['max_zoom'], min( (float) $request['maxZoom'], 100 ) );
+
+				// A cell cannot hold more seconds than the view lasted.
+				$heatmap = is_array( $request['heatmap'] ) ? array_values( $request['heatmap'] ) : array();
+				for ( $cell = 0; $cell < $cells; $cell++ ) {
+					$totals['heatmap'][ $cell ] = ( $totals['heatmap'][ $cell ] ?? 0 ) + min( absint( $heatmap[ $cell ] ?? 0 ), $dwell );
+				}
+				break;
+
+			case 'error':
+				$type                      = in_array( $request['errorType'], self::ERROR_TYPES, true ) ? $request['errorType'] : 'unknown';
+				$totals['errors'][ $type ] = ( $totals['errors'][ $type ] ?? 0 ) + 1;
+				break;
+		}
+
+		return $totals;
+	}
+}
@@ -0,0 +1,579 @@
+<?php
+/**
+ * Server-side stitching of panoramic segments.
+ *
+ * @package PanoramicImageBlock
+ * @since 1.1.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Stitches segments into a single JPEG attachment with GD or Imagick.
+ *
+ * The layout follows the same rules as PanoramicUtils in the viewer: segments are
+ * placed side by side or by the aligned offsets, then the manual transforms from
+ * the editor are applied. Seam blending and exposure compensation are left to the
+ * browser. Each result is cached as an attachment keyed by the source attachments,
+ * their modified dates and the layout. Stitches for a post's blocks are made in a
+ * scheduled event after it is saved and attached to the post, which also deletes
+ * those its blocks no longer use.
+ *
+ * @since 1.1.0
+ */
+class Panoramic_Image_Block_Stitcher {
+
+	/**
+	 * Bump to invalidate every cached stitch when the output changes.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const VERSION = '1';
+
+	/**
+	 * Post meta holding the cache key of a generated attachment.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const CACHE_KEY_META = '_panoramic_image_block_stitch_key';
+
+	/**
+	 * Scheduled event that stitches the blocks of a post, with the post ID as its argument.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const CRON_HOOK = 'panoramic_image_block_stitch';
+
+	/**
+	 * Largest width of a stitched image; wider panoramas are scaled down.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MAX_WIDTH = 6000;
+
+	/**
+	 * JPEG quality of stitched images.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const QUALITY = 90;
+
+	/**
+	 * Whether this server has an image library that can stitch.
+	 *
+	 * @since 1.1.0
+	 * @return bool
+	 */
+	public function is_supported() {
+		return $this->use_imagick() || function_exists( 'imagecreatetruecolor' );
+	}
+
+	/**
+	 * Get the cached stitch of some segments, creating it if needed.
+	 *
+	 * @since 1.1.0
+	 * @param int[] $ids        Source attachment IDs in order.
+	 * @param array $offsets    Sanitized offsets, one per segment, or an empty array.
+	 * @param array $transforms Sanitized manual transforms, each with the ID of its segment.
+	 * @param int   $post_id    Post to attach the stitch to, or 0.
+	 * @return int|WP_Error Attachment ID of the stitched image.
+	 */
+	public function get_stitched_attachment( $ids, $offsets, $transforms, $post_id = 0 ) {
+		$key = $this->get_cache_key( $ids, $offsets, $transforms );
+
+		$cached_id = $this->find_cached_attachment( $key );
+		if ( $cached_id ) {
+			// A stitch attached to no post would never be deleted, so the post adopts it.
+			if ( $post_id && ! wp_get_post_parent_id( $cached_id ) ) {
+				wp_update_post(
+					array(
+						'ID'          => $cached_id,
+						'post_parent' => (int) $post_id,
+					)
+				);
+			}
+			return $cached_id;
+		}
+
+		// Don't retry a stitch that failed recently, or start one that is already running.
+		$failed = get_transient( 'panoramic_image_block_stitch_failed_' . $key );
+		if ( $failed ) {
+			return new WP_Error( 'panoramic_stitch_failed', $failed );
+		}
+		if ( get_transient( 'panoramic_image_block_stitching_' . $key ) ) {
+			return new WP_Error( 'panoramic_stitch_in_progress', __( 'The panorama is being stitched.', 'panoramic-image-block' ) );
+		}
+
+		set_transient( 'panoramic_image_block_stitching_' . $key, 1, MINUTE_IN_SECONDS );
+		$result = $this->create_attachment( $ids, $offsets, $transforms, $key, $post_id );
+		delete_transient( 'panoramic_image_block_stitching_' . $key );
+
+		if ( is_wp_error( $result ) ) {
+			set_transient( 'panoramic_image_block_stitch_failed_' . $key, $result->get_error_message(), HOUR_IN_SECONDS );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the cached stitch of some segments without creating it.
+	 *
+	 * @since 1.1.0
+	 * @param int[] $ids        Source attachment IDs in order.
+	 * @param array $offsets    Sanitized offsets, one per segment, or an empty array.
+	 * @param array $transforms Sanitized manual transforms.
+	 * @return int Attachment ID, or 0 if there is none.
+	 */
+	public function get_cached_attachment( $ids, $offsets, $transforms ) {
+		return $this->find_cached_attachment( $this->get_cache_key( $ids, $offsets, $transforms ) );
+	}
+
+	/**
+	 * Schedule stitching of the blocks of a post unless it is due or ran recently.
+	 *
+	 * @since 1.1.0
+	 * @param int  $post_id Post ID.
+	 * @param bool $force   Whether to stitch even if it ran recently, as after the post is saved.
+	 */
+	public function schedule( $post_id, $force = false ) {
+		$args = array( (int) $post_id );
+		if ( $force ) {
+			delete_transient( 'panoramic_image_block_stitched_' . $post_id );
+		}
+		if (
+			wp_next_scheduled( self::CRON_HOOK, $args ) ||
+			get_transient( 'panoramic_image_block_stitched_' . $post_id ) ||
+			! $this->is_supported()
+		) {
+			return;
+		}
+
+		wp_schedule_single_event( time(), self::CRON_HOOK, $args );
+	}
+
+	/**
+	 * Record that the blocks of a post were stitched, so pages showing a stitch
+	 * that failed don't schedule it again for a while.
+	 *
+	 * @since 1.1.0
+	 * @param int $post_id Post ID.
+	 */
+	public function mark_stitched( $post_id ) {
+		set_transient( 'panoramic_image_block_stitched_' . $post_id, 1, HOUR_IN_SECONDS );
+	}
+
+	/**
+	 * Delete the stitches attached to a post that none of its blocks use any more.
+	 *
+	 * @since 1.1.0
+	 * @param int   $post_id Post ID.
+	 * @param int[] $keep    Attachment IDs still in use.
+	 */
+	public function delete_unused_attachments( $post_id, $keep ) {
+		$attachments = get_posts(
+			array(
+				'post_type'      => 'attachment',
+				'post_status'    => 'inherit',
+				'post_parent'    => (int) $post_id,
+				'posts_per_page' => -1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'meta_key'       => self::CACHE_KEY_META, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+			)
+		);
+
+		foreach ( array_diff( array_map( 'intval', $attachments ), $keep ) as $attachment_id ) {
+			wp_delete_attachment( $attachment_id, true );
+		}
+	}
+
+	/**
+	 * Build the cache key for a stitch.
+	 *
+	 * @since 1.1.0
+	 * @param int[] $ids        Source attachment IDs in order.
+	 * @param array $offsets    Sanitized offsets.
+	 * @param array $transforms Sanitized manual transforms.
+	 * @return string
+	 */
+	private function get_cache_key( $ids, $offsets, $transforms ) {
+		$sources = array();
+		foreach ( $ids as $id ) {
+			$sources[] = array( $id, get_post_modified_time( 'U', true, $id ) );
+		}
+
+		return md5(
+			wp_json_encode(
+				array(
+					self::VERSION,
+					$sources,
+					$offsets,
+					$this->resolve_transforms( $ids, $transforms ),
+				)
+			)
+		);
+	}
+
+	/**
+	 * Find a generated attachment by cache key.
+	 *
+	 * @since 1.1.0
+	 * @param string $key Cache key.
+	 * @return int Attachment ID, or 0 if there is none.
+	 */
+	private function find_cached_attachment( $key ) {
+		$attachments = get_posts(
+			array(
+				'post_type'      => 'attachment',
+				'post_status'    => 'inherit',
+				'posts_per_page' => 1,
+				'fields'         => 'ids',
+				'no_found_rows'  => true,
+				'meta_key'       => self::CACHE_KEY_META, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+				'meta_value'     => $key, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_value
+			)
+		);
+
+		return $attachments ? (int) $attachments[0] : 0;
+	}
+
+	/**
+	 * Stitch the segments and save the result as a new attachment.
+	 *
+	 * @since 1.1.0
+	 * @param int[]  $ids        Source attachment IDs in order.
+	 * @param array  $offsets    Sanitized offsets.
+	 * @param array  $transforms Sanitized manual transforms.
+	 * @param string $key        Cache key stored on the attachment.
+	 * @param int    $post_id    Post to attach the stitch to, or 0.
+	 * @return int|WP_Error Attachment ID.
+	 */
+	private function create_attachment( $ids, $offsets, $transforms, $key, $post_id ) {
+		if ( ! $this->is_supported() ) {
+			return new WP_Error( 'panoramic_stitch_unsupported', __( 'Neither Imagick nor GD is available to stitch the panorama.', 'panoramic-image-block' ) );
+		}
+
+		$sizes = array();
+		$files = array();
+		foreach ( $ids as $id ) {
+			$file = get_attached_file( $id );
+			$size = $file && file_exists( $file ) ? wp_getimagesize( $file ) : false;
+			if ( ! $size ) {
+				return new WP_Error(
+					'panoramic_stitch_missing_source',
+					/* translators: %d: attachment ID. */
+					sprintf( __( 'The image file of attachment %d could not be read.', 'panoramic-image-block' ), $id )
+				);
+			}
+			$files[] = $file;
+			$sizes[] = array(
+				'width'  => $size[0],
+				'height' => $size[1],
+			);
+		}
+
+		$plan = $this->plan_layout( $sizes, $offsets, $this->resolve_transforms( $ids, $transforms ) );
+		$blob = $this->use_imagick() ? $this->render_imagick( $files, $plan ) : $this->render_gd( $files, $plan );
+		if ( is_wp_error( $blob ) ) {
+			return $blob;
+		}
+
+		$upload = wp_upload_bits( 'panorama-' . implode( '-', $ids ) . '.jpg', null, $blob );
+		if ( ! empty( $upload['error'] ) ) {
+			return new WP_Error( 'panoramic_stitch_upload', $upload['error'] );
+		}
+
+		$attachment_id = wp_insert_attachment(
+			array(
+				'post_mime_type' => 'image/jpeg',
+				'post_title'     => __( 'Stitched panorama', 'panoramic-image-block' ),
+				'post_content'   => '',
+				'post_status'    => 'inherit',
+			),
+			$upload['file'],
+			(int) $post_id,
+			true
+		);
+		if ( is_wp_error( $attachment_id ) ) {
+			wp_delete_file( $upload['file'] );
+			return $attachment_id;
+		}
+
+		require_once ABSPATH . 'wp-admin/includes/image.php';
+		wp_update_attachment_metadata( $attachment_id, wp_generate_attachment_metadata( $attachment_id, $upload['file'] ) );
+		update_post_meta( $attachment_id, self::CACHE_KEY_META, $key );
+
+		return $attachment_id;
+	}
+
+	/**
+	 * Complete the manual transforms so there is one per segment, in order.
+	 *
+	 * @since 1.1.0
+	 * @param int[] $ids        Source attachment IDs in order.
+	 * @param array $transforms Sanitized manual transforms.
+	 * @return array
+	 */
+	private function resolve_transforms( $ids, $transforms ) {
+		$defaults = array(
+			'offsetX'    => 0,
+			'offsetY'    => 0,
+			'overlap'    => 0,
+			'rotation'   => 0,
+			'cropTop'    => 0,
+			'cropBottom' => 0,
+		);
+
+		$by_id = array();
+		foreach ( $transforms as $transform ) {
+			$by_id[ $transform['id'] ] = $transform;
+		}
+
+		$resolved = array();
+		foreach ( $ids as $id ) {
+			$resolved[] = array_intersect_key( array_merge( $defaults, $by_id[ $id ] ?? array() ), $defaults );
+		}
+
+		return $resolved;
+	}
+
+	/**
+	 * Work out where every segment goes on the stitched image.
+	 *
+	 * Mirrors layoutSideBySide, layoutSegments and applySegmentTransforms in
+	 * PanoramicUtils, then scales the result to fit within MAX_WIDTH.
+	 *
+	 * @since 1.1.0
+	 * @param array $sizes      Source sizes, each with 'width' and 'height'.
+	 * @param array $offsets    Offsets as fractions of the previous segment's size, or an empty array.
+	 * @param array $transforms One resolved transform per segment.
+	 * @return array Plan with 'width', 'height' and 'segments', each segment holding its
+	 *               source crop ('crop_top', 'crop_height') and destination ('x', 'y',
+	 *               'width', 'height', 'rotation') in output pixels.
+	 */
+	private function plan_layout( $sizes, $offsets, $transforms ) {
+		$count     = count( $sizes );
+		$positions = array();
+
+		if ( $offsets ) {
+			$positions[] = array( 0, 0 );
+			for ( $i = 1; $i < $count; $i++ ) {
+				$positions[] = array(
+					$positions[ $i - 1 ][0] + $offsets[ $i ]['x'] * $sizes[ $i - 1 ]['width'],
+					$positions[ $i - 1 ][1] + $offsets[ $i ]['y'] * $sizes[ $i - 1 ]['height'],
+				);
+			}
+			$positions = $this->fit_positions( $sizes, $positions, true )['positions'];
+		} else {
+			$max_height = max( wp_list_pluck( $sizes, 'height' ) );
+			$x          = 0;
+			foreach ( $sizes as $size ) {
+				$positions[] = array( $x, ( $max_height - $size['height'] ) / 2 );
+				$x          += $size['width'];
+			}
+		}
+
+		$segments = array();
+		$shifted  = array();
+		$shift    = 0;
+		foreach ( $sizes as $i => $size ) {
+			$transform   = $transforms[ $i ];
+			$crop_top    = (int) round( $transform['cropTop'] / 100 * $size['height'] );
+			$crop_bottom = (int) round( $transform['cropBottom'] / 100 * $size['height'] );
+			$crop_height = max( 1, $size['height'] - $crop_top - $crop_bottom );
+
+			if ( $i > 0 ) {
+				$shift -= $transform['overlap'] / 100 * $size['width'];
+			}
+
+			$segments[] = array(
+				'width'       => $size['width'],
+				'height'      => $crop_height,
+				'crop_top'    => $crop_top,
+				'crop_height' => $crop_height,
+				'rotation'    => $transform['rotation'],
+			);
+			$shifted[]  = array(
+				$positions[ $i ][0] + $shift + $transform['offsetX'] / 100 * $size['width'],
+				$positions[ $i ][1] + $crop_top + $transform['offsetY'] / 100 * $size['height'],
+			);
+		}
+
+		$fitted = $this->fit_positions( $segments, $shifted, (bool) $offsets );
+		$scale  = min( 1, self::MAX_WIDTH / max( 1, $fitted['width'] ) );
+
+		foreach ( $segments as $i => $segment ) {
+			$segments[ $i ]['x']      = $fitted['positions'][ $i ][0] * $scale;
+			$segments[ $i ]['y']      = $fitted['positions'][ $i ][1] * $scale;
+			$segments[ $i ]['width']  = max( 1, (int) round( $segment['width'] * $scale ) );
+			$segments[ $i ]['height'] = max( 1, (int) round( $segment['height'] * $scale ) );
+		}
+
+		return array(
+			'width'    => max( 1, (int) round( $fitted['width'] * $scale ) ),
+			'height'   => max( 1, (int) round( $fitted['height'] * $scale ) ),
+			'segments' => $segments,
+		);
+	}
+
+	/**
+	 * Size the stitched image around positioned segments, like PanoramicUtils.fitLayout.
+	 *
+	 * @since 1.1.0
+	 * @param array $sizes        Segment sizes, each with 'width' and 'height'.
+	 * @param array $positions    Array of array( x, y ) in any common origin.
+	 * @param bool  $crop_to_band Crop to the band every segment covers, unless it is too thin.
+	 * @return array With 'width', 'height' and 'positions' relative to the image.
+	 */
+	private function fit_positions( $sizes, $positions, $crop_to_band ) {
+		$lefts   = array();
+		$rights  = array();
+		$tops    = array();
+		$bottoms = array();
+		foreach ( $positions as $i => $position ) {
+			$lefts[]   = $position[0];
+			$rights[]  = $position[0] + $sizes[ $i ]['width'];
+			$tops[]    = $position[1];
+			$bottoms[] = $position[1] + $sizes[ $i ]['height'];
+		}
+
+		$left   = min( $lefts );
+		$top    = min( $tops );
+		$bottom = max( $bottoms );
+		if ( $crop_to_band ) {
+			$band_top    = max( $tops );
+			$band_bottom = min( $bottoms );
+			if ( $band_bottom - $band_top >= min( wp_list_pluck( $sizes, 'height' ) ) / 2 ) {
+				$top    = $band_top;
+				$bottom = $band_bottom;
+			}
+		}
+
+		$fitted = array();
+		foreach ( $positions as $position ) {
+			$fitted[] = array( $position[0] - $left, $position[1] - $top );
+		}
+
+		return array(
+			'width'     => (int) round( max( $rights ) - $left ),
+			'height'    => (int) round( $bottom - $top ),
+			'positions' => $fitted,
+		);
+	}
+
+	/**
+	 * Whether to stitch with Imagick rather than GD.
+	 *
+	 * @since 1.1.0
+	 * @return bool
+	 */
+	private function use_imagick() {
+		return extension_loaded( 'imagick' ) && class_exists( 'Imagick' );
+	}
+
+	/**
+	 * Draw the planned layout with Imagick.
+	 *
+	 * @since 1.1.0
+	 * @param string[] $files Source file paths in order.
+	 * @param array    $plan  Layout from plan_layout().
+	 * @return string|WP_Error JPEG data.
+	 */
+	private function render_imagick( $files, $plan ) {
+		try {
+			$canvas = new Imagick();
+			$canvas->newImage( $plan['width'], $plan['height'], new ImagickPixel( 'white' ) );
+
+			foreach ( $plan['segments'] as $i => $segment ) {
+				$image = new Imagick( $files[ $i ] );
+				$image->cropImage( $image->getImageWidth(), $segment['crop_height'], 0, $segment['crop_top'] );
+				$image->setImagePage( 0, 0, 0, 0 );
+				$image->resizeImage( $segment['width'], $segment['height'], Imagick::FILTER_LANCZOS, 1 );
+
+				$x = $segment['x'];
+				$y = $segment['y'];
+				if ( $segment['rotation'] ) {
+					// Rotate about the centre; Imagick turns clockwise like the canvas does.
+					$image->setImageBackgroundColor( new ImagickPixel( 'transparent' ) );
+					$image->rotateImage( new ImagickPixel( 'transparent' ), $segment['rotation'] );
+					$x += ( $segment['width'] - $image->getImageWidth() ) / 2;
+					$y += ( $segment['height'] - $image->getImageHeight() ) / 2;
+				}
+
+				$canvas->compositeImage( $image, Imagick::COMPOSITE_OVER, (int) round( $x ), (int) round( $y ) );
+				$image->clear();
+			}
+
+			$canvas->setImageFormat( 'jpeg' );
+			$canvas->setImageCompressionQuality( self::QUALITY );
+			$blob = $canvas->getImageBlob();
+			$canvas->clear();
+
+			return $blob;
+		} catch ( Exception $e ) {
+			return new WP_Error( 'panoramic_stitch_failed', $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Draw the planned layout with GD.
+	 *
+	 * @since 1.1.0
+	 * @param string[] $files Source file paths in order.
+	 * @param array    $plan  Layout from plan_layout().
+	 * @return string|WP_Error JPEG data.
+	 */
+	private function render_gd( $files, $plan ) {
+		wp_raise_memory_limit( 'image' );
+
+		$canvas = imagecreatetruecolor( $plan['width'], $plan['height'] );
+		imagefill( $canvas, 0, 0, imagecolorallocate( $canvas, 255, 255, 255 ) );
+
+		foreach ( $plan['segments'] as $i => $segment ) {
+			$source = @imagecreatefromstring( file_get_contents( $files[ $i ] ) ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged, WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+			if ( ! $source ) {
+				imagedestroy( $canvas );
+				return new WP_Error(
+					'panoramic_stitch_failed',
+					/* translators: %s: file name. */
+					sprintf( __( 'GD could not read %s.', 'panoramic-image-block' ), wp_basename( $files[ $i ] ) )
+				);
+			}
+
+			$image = imagecreatetruecolor( $segment['width'], $segment['height'] );
+			imagecopyresampled( $image, $source, 0, 0, 0, $segment['crop_top'], $segment['width'], $segment['height'], imagesx( $source ), $segment['crop_height'] );
+			imagedestroy( $source );
+
+			$x = $segment['x'];
+			$y = $segment['y'];
+			if ( $segment['rotation'] ) {
+				// GD turns anticlockwise, so negate to match the canvas.
+				imagealphablending( $image, false );
+				imagesavealpha( $image, true );
+				$rotated = imagerotate( $image, -$segment['rotation'], imagecolorallocatealpha( $image, 255, 255, 255, 127 ) );
+				imagedestroy( $image );
+				$image = $rotated;
+				$x    += ( $segment['width'] - imagesx( $image ) ) / 2;
+				$y    += ( $segment['height'] - imagesy( $image ) ) / 2;
+			}
+
+			imagecopy( $canvas, $image, (int) round( $x ), (int) round( $y ), 0, 0, imagesx( $image ), imagesy( $image ) );
+			imagedestroy( $image );
+		}
+
+		ob_start();
+		imagejpeg( $canvas, null, self::QUALITY );
+		$blob = ob_get_clean();
+		imagedestroy( $canvas );
+
+		return $blob;
+	}
+}
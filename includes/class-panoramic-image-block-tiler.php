@@ -0,0 +1,547 @@
+<?php
+/**
+ * Deep zoom tile pyramids for very large panoramas.
+ *
+ * @package PanoramicImageBlock
+ * @since 1.1.0
+ */
+
+// Prevent direct access.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Cuts large panorama attachments into a pyramid of JPEG tiles with GD or Imagick.
+ *
+ * Level 0 holds the image at full resolution in TILE_SIZE squares, and each level
+ * above halves it until the whole image fits a single tile. Tiles are written to
+ * panoramic-tiles/{attachment ID}-{key}/{level}/{column}_{row}.jpg in the uploads
+ * folder, which is the layout PanoramicTileLayer in the viewer requests. The key
+ * covers the source file and its modified date, so editing the image makes a new
+ * pyramid. Generation runs in a scheduled event because it can take a while.
+ *
+ * @since 1.1.0
+ */
+class Panoramic_Image_Block_Tiler {
+
+	/**
+	 * Bump to invalidate every pyramid when the output changes.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const VERSION = '1';
+
+	/**
+	 * Post meta describing the pyramid of an attachment.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const MANIFEST_META = '_panoramic_image_block_tiles';
+
+	/**
+	 * Post meta holding the pyramid key of an image found too small to tile, so
+	 * its size isn't read again each time it is shown.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const UNTILED_META = '_panoramic_image_block_untiled';
+
+	/**
+	 * Scheduled event that generates a pyramid, with the attachment ID as its argument.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const CRON_HOOK = 'panoramic_image_block_generate_tiles';
+
+	/**
+	 * Folder in uploads holding every pyramid.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	const DIRECTORY = 'panoramic-tiles';
+
+	/**
+	 * Width and height of a tile in pixels.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const TILE_SIZE = 512;
+
+	/**
+	 * Smallest longest side, in pixels, of an image worth tiling.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const MIN_SIZE = 4096;
+
+	/**
+	 * JPEG quality of tiles.
+	 *
+	 * @since 1.1.0
+	 * @var int
+	 */
+	const QUALITY = 85;
+
+	/**
+	 * Whether this server has an image library that can cut tiles.
+	 *
+	 * @since 1.1.0
+	 * @return bool
+	 */
+	public function is_supported() {
+		return $this->use_imagick() || function_exists( 'imagecreatetruecolor' );
+	}
+
+	/**
+	 * Get the pyramid of an attachment, as the viewer reads it from data-tiles.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return array|null With 'url', 'width', 'height', 'tileSize', 'levels' and 'format',
+	 *                    or null if there is no up-to-date pyramid.
+	 */
+	public function get_manifest( $attachment_id ) {
+		$meta = get_post_meta( $attachment_id, self::MANIFEST_META, true );
+		if ( ! is_array( $meta ) || empty( $meta['key'] ) ) {
+			return null;
+		}
+
+		$file = $this->get_source_file( $attachment_id );
+		if ( ! $file || $this->get_key( $attachment_id, $file ) !== $meta['key'] ) {
+			return null;
+		}
+
+		$uploads = wp_upload_dir();
+
+		return array(
+			'url'      => esc_url_raw( $uploads['baseurl'] . '/' . $this->get_relative_directory( $attachment_id, $meta['key'] ) ),
+			'width'    => (int) $meta['width'],
+			'height'   => (int) $meta['height'],
+			'tileSize' => self::TILE_SIZE,
+			'levels'   => (int) $meta['levels'],
+			'format'   => 'jpg',
+		);
+	}
+
+	/**
+	 * Whether an attachment is large enough to be worth a pyramid.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return bool
+	 */
+	public function needs_tiles( $attachment_id ) {
+		if ( ! wp_attachment_is_image( $attachment_id ) ) {
+			return false;
+		}
+
+		$file = $this->get_source_file( $attachment_id );
+		if ( ! $file ) {
+			return false;
+		}
+
+		$key = $this->get_key( $attachment_id, $file );
+		if ( get_post_meta( $attachment_id, self::UNTILED_META, true ) === $key ) {
+			return false;
+		}
+
+		$size = wp_getimagesize( $file );
+		if ( $size && max( $size[0], $size[1] ) >= self::MIN_SIZE ) {
+			return true;
+		}
+
+		update_post_meta( $attachment_id, self::UNTILED_META, $key );
+		return false;
+	}
+
+	/**
+	 * Schedule generation of a pyramid unless it exists, is due, or failed recently.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID.
+	 */
+	public function schedule( $attachment_id ) {
+		$args = array( (int) $attachment_id );
+		if (
+			wp_next_scheduled( self::CRON_HOOK, $args ) ||
+			get_transient( 'panoramic_image_block_tiles_failed_' . $attachment_id ) ||
+			! $this->is_supported() ||
+			$this->get_manifest( $attachment_id ) ||
+			! $this->needs_tiles( $attachment_id )
+		) {
+			return;
+		}
+
+		wp_schedule_single_event( time(), self::CRON_HOOK, $args );
+	}
+
+	/**
+	 * Generate the pyramid of an attachment, replacing any older one.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return true|WP_Error
+	 */
+	public function generate( $attachment_id ) {
+		$attachment_id = (int) $attachment_id;
+		if ( $this->get_manifest( $attachment_id ) ) {
+			return true;
+		}
+
+		// Don't start a pyramid that is already being cut.
+		$lock = 'panoramic_image_block_tiling_' . $attachment_id;
+		if ( get_transient( $lock ) ) {
+			return new WP_Error( 'panoramic_tiles_in_progress', __( 'The tiles are being generated.', 'panoramic-image-block' ) );
+		}
+
+		set_transient( $lock, 1, 10 * MINUTE_IN_SECONDS );
+		$result = $this->create_tiles( $attachment_id );
+		delete_transient( $lock );
+
+		if ( is_wp_error( $result ) ) {
+			set_transient( 'panoramic_image_block_tiles_failed_' . $attachment_id, $result->get_error_message(), DAY_IN_SECONDS );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Delete the pyramid of an attachment.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID.
+	 */
+	public function delete_tiles( $attachment_id ) {
+		$meta = get_post_meta( $attachment_id, self::MANIFEST_META, true );
+		if ( is_array( $meta ) && ! empty( $meta['key'] ) ) {
+			$uploads = wp_upload_dir();
+			$this->delete_directory( $uploads['basedir'] . '/' . $this->get_relative_directory( $attachment_id, $meta['key'] ), (int) $meta['levels'] );
+		}
+
+		delete_post_meta( $attachment_id, self::MANIFEST_META );
+		delete_transient( 'panoramic_image_block_tiles_failed_' . $attachment_id );
+	}
+
+	/**
+	 * Delete every pyramid and its manifest, as the plugin is uninstalled.
+	 *
+	 * @since 1.1.0
+	 */
+	public static function delete_all() {
+		$tiler   = new self();
+		$uploads = wp_upload_dir();
+		$root    = $uploads['basedir'] . '/' . self::DIRECTORY;
+
+		// Each pyramid holds one numbered folder per level.
+		foreach ( (array) glob( $root . '/*', GLOB_ONLYDIR ) as $directory ) {
+			$tiler->delete_directory( $directory, count( (array) glob( $directory . '/*', GLOB_ONLYDIR ) ) );
+		}
+		if ( is_dir( $root ) ) {
+			rmdir( $root ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+		}
+
+		delete_post_meta_by_key( self::MANIFEST_META );
+		delete_post_meta_by_key( self::UNTILED_META );
+	}
+
+	/**
+	 * Cut the tiles and record the pyramid on the attachment.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return true|WP_Error
+	 */
+	private function create_tiles( $attachment_id ) {
+		if ( ! $this->is_supported() ) {
+			return new WP_Error( 'panoramic_tiles_unsupported', __( 'Neither Imagick nor GD is available to generate tiles.', 'panoramic-image-block' ) );
+		}
+
+		$file = $this->get_source_file( $attachment_id );
+		$size = $file ? wp_getimagesize( $file ) : false;
+		if ( ! $size ) {
+			return new WP_Error(
+				'panoramic_tiles_missing_source',
+				/* translators: %d: attachment ID. */
+				sprintf( __( 'The image file of attachment %d could not be read.', 'panoramic-image-block' ), $attachment_id )
+			);
+		}
+
+		$key       = $this->get_key( $attachment_id, $file );
+		$uploads   = wp_upload_dir();
+		$directory = $uploads['basedir'] . '/' . $this->get_relative_directory( $attachment_id, $key );
+		$levels    = $this->count_levels( $size[0], $size[1] );
+
+		// Remove the pyramid of an earlier version of the image.
+		$this->delete_tiles( $attachment_id );
+
+		for ( $level = 0; $level < $levels; $level++ ) {
+			if ( ! wp_mkdir_p( $directory . '/' . $level ) ) {
+				return new WP_Error( 'panoramic_tiles_directory', __( 'The tile folder could not be created.', 'panoramic-image-block' ) );
+			}
+		}
+
+		$result = $this->use_imagick() ?
+			$this->render_imagick( $file, $directory, $levels ) :
+			$this->render_gd( $file, $directory, $levels );
+		if ( is_wp_error( $result ) ) {
+			$this->delete_directory( $directory, $levels );
+			return $result;
+		}
+
+		update_post_meta(
+			$attachment_id,
+			self::MANIFEST_META,
+			array(
+				'key'    => $key,
+				'width'  => $size[0],
+				'height' => $size[1],
+				'levels' => $levels,
+			)
+		);
+
+		return true;
+	}
+
+	/**
+	 * Get the file to tile: the original upload rather than the copy WordPress scales down.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID.
+	 * @return string|false File path, or false if it is missing.
+	 */
+	private function get_source_file( $attachment_id ) {
+		$file = function_exists( 'wp_get_original_image_path' ) ?
+			wp_get_original_image_path( $attachment_id ) :
+			get_attached_file( $attachment_id );
+
+		return $file && file_exists( $file ) ? $file : false;
+	}
+
+	/**
+	 * Build the key of a pyramid.
+	 *
+	 * @since 1.1.0
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $file          Source file path.
+	 * @return string
+	 */
+	private function get_key( $attachment_id, $file ) {
+		return substr(
+			md5(
+				wp_json_encode(
+					array(
+						self::VERSION,
+						self::TILE_SIZE,
+						wp_basename( $file ),
+						get_post_modified_time( 'U', true, $attachment_id ),
+					)
+				)
+			),
+			0,
+			12
+		);
+	}
+
+	/**
+	 * Get the folder of a pyramid, relative to the uploads folder.
+	 *
+	 * @since 1.1.0
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $key           Pyramid key.
+	 * @return string
+	 */
+	private function get_relative_directory( $attachment_id, $key ) {
+		return self::DIRECTORY . '/' . $attachment_id . '-' . $key;
+	}
+
+	/**
+	 * Count the levels needed to halve an image down to a single tile.
+	 *
+	 * @since 1.1.0
+	 * @param int $width  Full width.
+	 * @param int $height Full height.
+	 * @return int
+	 */
+	private function count_levels( $width, $height ) {
+		$levels = 1;
+		while ( max( $width, $height ) / pow( 2, $levels - 1 ) > self::TILE_SIZE ) {
+			++$levels;
+		}
+
+		return $levels;
+	}
+
+	/**
+	 * Get the size of an image at a level.
+	 *
+	 * @since 1.1.0
+	 * @param int $width  Full width.
+	 * @param int $height Full height.
+	 * @param int $level  Level index.
+	 * @return int[] Width and height.
+	 */
+	private function get_level_size( $width, $height, $level ) {
+		$factor = pow( 2, $level );
+
+		return array(
+			max( 1, (int) ceil( $width / $factor ) ),
+			max( 1, (int) ceil( $height / $factor ) ),
+		);
+	}
+
+	/**
+	 * Whether to cut tiles with Imagick rather than GD.
+	 *
+	 * @since 1.1.0
+	 * @return bool
+	 */
+	private function use_imagick() {
+		return extension_loaded( 'imagick' ) && class_exists( 'Imagick' );
+	}
+
+	/**
+	 * Cut every level with Imagick.
+	 *
+	 * @since 1.1.0
+	 * @param string $file      Source file path.
+	 * @param string $directory Pyramid folder.
+	 * @param int    $levels    Number of levels.
+	 * @return true|WP_Error
+	 */
+	private function render_imagick( $file, $directory, $levels ) {
+		try {
+			$image = new Imagick( $file );
+			$image->setImagePage( 0, 0, 0, 0 );
+			$width  = $image->getImageWidth();
+			$height = $image->getImageHeight();
+
+			for ( $level = 0; $level < $levels; $level++ ) {
+				if ( $level > 0 ) {
+					list( $level_width, $level_height ) = $this->get_level_size( $width, $height, $level );
+					$image->resizeImage( $level_width, $level_height, Imagick::FILTER_LANCZOS, 1 );
+				}
+
+				$level_width  = $image->getImageWidth();
+				$level_height = $image->getImageHeight();
+				for ( $y = 0; $y < $level_height; $y += self::TILE_SIZE ) {
+					for ( $x = 0; $x < $level_width; $x += self::TILE_SIZE ) {
+						$tile = $image->getImageRegion( min( self::TILE_SIZE, $level_width - $x ), min( self::TILE_SIZE, $level_height - $y ), $x, $y );
+						$tile->setImageFormat( 'jpeg' );
+						$tile->setImageCompressionQuality( self::QUALITY );
+						$tile->writeImage( $this->get_tile_path( $directory, $level, $x, $y ) );
+						$tile->clear();
+					}
+				}
+			}
+
+			$image->clear();
+
+			return true;
+		} catch ( Exception $e ) {
+			return new WP_Error( 'panoramic_tiles_failed', $e->getMessage() );
+		}
+	}
+
+	/**
+	 * Cut every level with GD.
+	 *
+	 * @since 1.1.0
+	 * @param string $file      Source file path.
+	 * @param string $directory Pyramid folder.
+	 * @param int    $levels    Number of levels.
+	 * @return true|WP_Error
+	 */
+	private function render_gd( $file, $directory, $levels ) {
+		wp_raise_memory_limit( 'image' );
+
+		$image = @imagecreatefromstring( file_get_contents( $file ) ); // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged, WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+		if ( ! $image ) {
+			return new WP_Error(
+				'panoramic_tiles_failed',
+				/* translators: %s: file name. */
+				sprintf( __( 'GD could not read %s.', 'panoramic-image-block' ), wp_basename( $file ) )
+			);
+		}
+
+		$width  = imagesx( $image );
+		$height = imagesy( $image );
+
+		for ( $level = 0; $level < $levels; $level++ ) {
+			if ( $level > 0 ) {
+				// Halve the previous level rather than the original, to bound the work.
+				list( $level_width, $level_height ) = $this->get_level_size( $width, $height, $level );
+				$scaled                             = imagecreatetruecolor( $level_width, $level_height );
+				imagecopyresampled( $scaled, $image, 0, 0, 0, 0, $level_width, $level_height, imagesx( $image ), imagesy( $image ) );
+				imagedestroy( $image );
+				$image = $scaled;
+			}
+
+			$level_width  = imagesx( $image );
+			$level_height = imagesy( $image );
+			for ( $y = 0; $y < $level_height; $y += self::TILE_SIZE ) {
+				for ( $x = 0; $x < $level_width; $x += self::TILE_SIZE ) {
+					$tile_width  = min( self::TILE_SIZE, $level_width - $x );
+					$tile_height = min( self::TILE_SIZE, $level_height - $y );
+					$tile        = imagecreatetruecolor( $tile_width, $tile_height );
+					imagecopy( $tile, $image, 0, 0, $x, $y, $tile_width, $tile_height );
+					$written = imagejpeg( $tile, $this->get_tile_path( $directory, $level, $x, $y ), self::QUALITY );
+					imagedestroy( $tile );
+
+					if ( ! $written ) {
+						imagedestroy( $image );
+						return new WP_Error( 'panoramic_tiles_failed', __( 'A tile could not be written.', 'panoramic-image-block' ) );
+					}
+				}
+			}
+		}
+
+		imagedestroy( $image );
+
+		return true;
+	}
+
+	/**
+	 * Get the path of the tile whose top-left corner is at a pixel of its level.
+	 *
+	 * @since 1.1.0
+	 * @param string $directory Pyramid folder.
+	 * @param int    $level     Level index.
+	 * @param int    $x         Left edge in level pixels.
+	 * @param int    $y         Top edge in level pixels.
+	 * @return string
+	 */
+	private function get_tile_path( $directory, $level, $x, $y ) {
+		return sprintf( '%s/%d/%d_%d.jpg', $directory, $level, $x / self::TILE_SIZE, $y / self::TILE_SIZE );
+	}
+
+	/**
+	 * Delete the tiles and folders of a pyramid.
+	 *
+	 * @since 1.1.0
+	 * @param string $directory Pyramid folder.
+	 * @param int    $levels    Number of levels.
+	 */
+	private function delete_directory( $directory, $levels ) {
+		for ( $level = 0; $level < $levels; $level++ ) {
+			$level_directory = $directory . '/' . $level;
+			foreach ( (array) glob( $level_directory . '/*.jpg' ) as $tile ) {
+				wp_delete_file( $tile );
+			}
+			if ( is_dir( $level_directory ) ) {
+				rmdir( $level_directory ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+			}
+		}
+
+		if ( is_dir( $directory ) ) {
+			rmdir( $directory ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_rmdir
+		}
+	}
+}
@@ -2,7 +2,7 @@
 /**
  * Plugin Name: Panoramic Image Block
  * Plugin URI: https://github.com/donnchawp/panoramic-image-block
- * Description: A WordPress block to display panoramic images created from 3 images.
+ * Description: A WordPress block to display panoramic images created from several stitched images.
  * Version: 1.0.0
  * Author: Donncha O Caoimh
  * License: GPL v2 or later
@@ -28,6 +28,10 @@ define( 'PANORAMIC_IMAGE_BLOCK_PLUGIN_DIR', plugin_dir_path( __FILE__ ) );
 define( 'PANORAMIC_IMAGE_BLOCK_PLUGIN_URL', plugin_dir_url( __FILE__ ) );
 define( 'PANORAMIC_IMAGE_BLOCK_PLUGIN_BASENAME', plugin_basename( __FILE__ ) );
 
+require_once PANORAMIC_IMAGE_BLOCK_PLUGIN_DIR . 'includes/class-panoramic-image-block-stitcher.php';
+require_once PANORAMIC_IMAGE_BLOCK_PLUGIN_DIR . 'includes/class-panoramic-image-block-tiler.php';
+require_once PANORAMIC_IMAGE_BLOCK_PLUGIN_DIR . 'includes/class-panoramic-image-block-analytics.php';
+
 /**
  * Main Panoramic Image Block Plugin Class
  *
@@ -43,6 +47,38 @@ class Panoramic_Image_Block {
 	 */
 	private static $instance = null;
 
+	/**
+	 * Server-side stitcher.
+	 *
+	 * @since 1.1.0
+	 * @var Panoramic_Image_Block_Stitcher
+	 */
+	private $stitcher;
+
+	/**
+	 * Deep zoom tile generator.
+	 *
+	 * @since 1.1.0
+	 * @var Panoramic_Image_Block_Tiler
+	 */
+	private $tiler;
+
+	/**
+	 * Opt-in engagement analytics.
+	 *
+	 * @since 1.1.0
+	 * @var Panoramic_Image_Block_Analytics
+	 */
+	private $analytics;
+
+	/**
+	 * Hook suffix of the engagement report screen.
+	 *
+	 * @since 1.1.0
+	 * @var string
+	 */
+	private $report_hook = '';
+
 	/**
 	 * Get plugin instance.
 	 *
@@ -62,6 +98,9 @@ class Panoramic_Image_Block {
 	 * @since 1.0.0
 	 */
 	private function __construct() {
+		$this->stitcher  = new Panoramic_Image_Block_Stitcher();
+		$this->tiler     = new Panoramic_Image_Block_Tiler();
+		$this->analytics = new Panoramic_Image_Block_Analytics();
 		$this->init_hooks();
 	}
 
@@ -73,6 +112,18 @@ class Panoramic_Image_Block {
 	private function init_hooks() {
 		add_action( 'init', array( $this, 'register_blocks' ) );
 		add_action( 'wp_enqueue_scripts', array( $this, 'enqueue_frontend_scripts' ) );
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
+		add_action( 'wp_head', array( $this, 'output_og_image' ), 5 );
+		add_filter( 'wp_generate_attachment_metadata', array( $this, 'schedule_tiles' ), 10, 2 );
+		add_action( Panoramic_Image_Block_Tiler::CRON_HOOK, array( $this->tiler, 'generate' ) );
+		add_action( 'delete_attachment', array( $this->tiler, 'delete_tiles' ) );
+		add_action( 'save_post', array( $this, 'schedule_stitch' ), 10, 2 );
+		add_action( Panoramic_Image_Block_Stitcher::CRON_HOOK, array( $this, 'stitch_post' ) );
+		add_action( 'save_post', array( $this->analytics, 'update_block_keys' ), 10, 2 );
+		add_action( 'admin_init', array( $this->analytics, 'register_setting' ) );
+		add_action( 'admin_menu', array( $this, 'add_report_page' ) );
+		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_report_styles' ) );
+		add_action( 'admin_post_panoramic_image_block_export', array( $this, 'export_report' ) );
 	}
 
 	/**
@@ -85,7 +136,7 @@ class Panoramic_Image_Block {
 			return;
 		}
 
-		// Register the original panoramic block (3 images)
+		// Register the original panoramic block (stitched images)
 		register_block_type(
 			PANORAMIC_IMAGE_BLOCK_PLUGIN_DIR . 'block.json',
 			array(
@@ -102,6 +153,164 @@ class Panoramic_Image_Block {
 		);
 	}
 
+	/**
+	 * Register the REST API routes.
+	 *
+	 * @since 1.1.0
+	 */
+	public function register_rest_routes() {
+		register_rest_route(
+			'panoramic-image-block/v1',
+			'/stitch',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this, 'rest_stitch' ),
+				'permission_callback' => function () {
+					return current_user_can( 'upload_files' );
+				},
+				'args'                => array(
+					'postId'     => array(
+						'type'     => 'integer',
+						'minimum'  => 1,
+						'required' => true,
+					),
+					'ids'        => array(
+						'type'     => 'array',
+						'items'    => array( 'type' => 'integer' ),
+						'required' => true,
+					),
+					'offsets'    => array(
+						'type'    => 'array',
+						'default' => array(),
+					),
+					'transforms' => array(
+						'type'    => 'array',
+						'default' => array(),
+					),
+				),
+			)
+		);
+
+		// Open to visitors, who are who the viewer reports on; the callback checks the block exists.
+		register_rest_route(
+			'panoramic-image-block/v1',
+			'/analytics',
+			array(
+				'methods'             => WP_REST_Server::CREATABLE,
+				'callback'            => array( $this->analytics, 'rest_record' ),
+				'permission_callback' => '__return_true',
+				'args'                => array(
+					'postId'    => array(
+						'type'     => 'integer',
+						'minimum'  => 1,
+						'required' => true,
+					),
+					'block'     => array(
+						'type'     => 'string',
+						'pattern'  => '^[a-f0-9]{12}$',
+						'required' => true,
+					),
+					'type'      => array(
+						'type'     => 'string',
+						'enum'     => Panoramic_Image_Block_Analytics::EVENT_TYPES,
+						'required' => true,
+					),
+					'dwell'     => array(
+						'type'    => 'integer',
+						'minimum' => 0,
+						'default' => 0,
+					),
+					'maxZoom'   => array(
+						'type'    => 'number',
+						'minimum' => 0,
+						'default' => 1,
+					),
+					'heatmap'   => array(
+						'type'     => 'array',
+						'items'    => array(
+							'type'    => 'integer',
+							'minimum' => 0,
+						),
+						'maxItems' => Panoramic_Image_Block_Analytics::HEATMAP_COLUMNS * Panoramic_Image_Block_Analytics::HEATMAP_ROWS,
+						'default'  => array(),
+					),
+					'errorType' => array(
+						'type'    => 'string',
+						'default' => 'unknown',
+					),
+					'source'    => array(
+						'type'    => 'string',
+						'enum'    => Panoramic_Image_Block_Analytics::SOURCES,
+						'default' => 'lightbox',
+					),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Stitch attachments server-side, reusing the cached result when there is one.
+	 *
+	 * The stitch is attached to the post being edited, so it is deleted with the
+	 * other stitches of the post once none of its blocks use it.
+	 *
+	 * @since 1.1.0
+	 * @param WP_REST_Request $request REST request.
+	 * @return WP_REST_Response|WP_Error Stitched attachment ID, URL and size.
+	 */
+	public function rest_stitch( $request ) {
+		$post_id = (int) $request['postId'];
+		if ( ! get_post( $post_id ) || ! current_user_can( 'edit_post', $post_id ) ) {
+			return new WP_Error( 'panoramic_invalid_post', __( 'Sorry, you are not allowed to edit this post.', 'panoramic-image-block' ), array( 'status' => rest_authorization_required_code() ) );
+		}
+
+		$limits = $this->get_segment_count_limits();
+		$ids    = array_map( 'absint', $request['ids'] );
+		if ( count( $ids ) < $limits['min'] || count( $ids ) > $limits['max'] ) {
+			return new WP_Error(
+				'panoramic_invalid_ids',
+				/* translators: 1: minimum number of images, 2: maximum number of images. */
+				sprintf( __( 'Between %1$d and %2$d images are required.', 'panoramic-image-block' ), $limits['min'], $limits['max'] ),
+				array( 'status' => 400 )
+			);
+		}
+
+		$images = array();
+		foreach ( $ids as $id ) {
+			if ( ! wp_attachment_is_image( $id ) || ! current_user_can( 'read_post', $id ) ) {
+				return new WP_Error(
+					'panoramic_invalid_ids',
+					/* translators: %d: attachment ID. */
+					sprintf( __( 'Attachment %d is not an image.', 'panoramic-image-block' ), $id ),
+					array( 'status' => 400 )
+				);
+			}
+			$images[] = array( 'id' => $id );
+		}
+
+		$attachment_id = $this->stitcher->get_stitched_attachment(
+			$ids,
+			$this->sanitize_segment_offsets( $request['offsets'], $images ),
+			$this->sanitize_segment_transforms( $request['transforms'], $images ),
+			$post_id
+		);
+		if ( is_wp_error( $attachment_id ) ) {
+			$attachment_id->add_data( array( 'status' => 500 ) );
+			return $attachment_id;
+		}
+
+		$image = wp_get_attachment_image_src( $attachment_id, 'full' );
+
+		return rest_ensure_response(
+			array(
+				'id'     => $attachment_id,
+				'url'    => $image ? $image[0] : '',
+				'width'  => $image ? $image[1] : 0,
+				'height' => $image ? $image[2] : 0,
+			)
+		);
+	}
+
 	/**
 	 * Sanitize images data for security.
 	 *
@@ -146,6 +355,588 @@ class Panoramic_Image_Block {
 		return $sanitized;
 	}
 
+	/**
+	 * Sanitize the segment offsets computed by the editor's alignment step.
+	 *
+	 * Offsets are only kept when there is one per image and they were computed
+	 * for the same images in the same order.
+	 *
+	 * @since 1.1.0
+	 * @param array $offsets Array of offset data.
+	 * @param array $images  Sanitized images data.
+	 * @return array Sanitized offsets, or an empty array if they do not apply.
+	 */
+	private function sanitize_segment_offsets( $offsets, $images ) {
+		if ( ! is_array( $offsets ) || count( $offsets ) !== count( $images ) ) {
+			return array();
+		}
+
+		$sanitized = array();
+		foreach ( array_values( $offsets ) as $index => $offset ) {
+			if ( ! is_array( $offset ) || ! isset( $offset['id'], $offset['x'], $offset['y'] ) ) {
+				return array();
+			}
+
+			$id = absint( $offset['id'] );
+			if ( ! isset( $images[ $index ]['id'] ) || $images[ $index ]['id'] !== $id ) {
+				return array();
+			}
+
+			$sanitized[] = array(
+				'id' => $id,
+				'x'  => (float) $offset['x'],
+				'y'  => (float) $offset['y'],
+			);
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Sanitize the manual segment transforms from the editor's seam alignment tool.
+	 *
+	 * Transforms are matched to images by attachment ID, so ones for images that
+	 * are no longer in the block are dropped.
+	 *
+	 * @since 1.1.0
+	 * @param array $transforms Array of transform data.
+	 * @param array $images     Sanitized images data.
+	 * @return array Sanitized transforms.
+	 */
+	private function sanitize_segment_transforms( $transforms, $images ) {
+		if ( ! is_array( $transforms ) ) {
+			return array();
+		}
+
+		// Allowed range of each value, in percent of segment size or degrees.
+		$limits = array(
+			'offsetX'    => array( -50, 50 ),
+			'offsetY'    => array( -50, 50 ),
+			'overlap'    => array( -50, 50 ),
+			'rotation'   => array( -10, 10 ),
+			'cropTop'    => array( 0, 40 ),
+			'cropBottom' => array( 0, 40 ),
+		);
+
+		$image_ids = wp_list_pluck( $images, 'id' );
+		$sanitized = array();
+		foreach ( $transforms as $transform ) {
+			if ( ! is_array( $transform ) || empty( $transform['id'] ) ) {
+				continue;
+			}
+
+			$id = absint( $transform['id'] );
+			if ( ! in_array( $id, $image_ids, true ) ) {
+				continue;
+			}
+
+			$sanitized_transform = array( 'id' => $id );
+			foreach ( $limits as $key => $range ) {
+				$value                       = isset( $transform[ $key ] ) ? (float) $transform[ $key ] : 0;
+				$sanitized_transform[ $key ] = max( $range[0], min( $range[1], $value ) );
+			}
+			$sanitized[] = $sanitized_transform;
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Sanitize the projection a panorama is viewed with.
+	 *
+	 * @since 1.1.0
+	 * @param string $projection Projection attribute.
+	 * @return string 'flat', 'equirectangular' or 'cylindrical'.
+	 */
+	private function sanitize_projection( $projection ) {
+		return in_array( $projection, array( 'flat', 'equirectangular', 'cylindrical' ), true ) ? $projection : 'flat';
+	}
+
+	/**
+	 * Sanitize the horizontal field of view a cylindrical panorama covers.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $hfov Field of view attribute, in degrees.
+	 * @return float Field of view between 30 and 360 degrees.
+	 */
+	private function sanitize_hfov( $hfov ) {
+		return max( 30, min( 360, (float) $hfov ) );
+	}
+
+	/**
+	 * Sanitize the view a panorama opens on and the zoom limits around it.
+	 *
+	 * @since 1.1.0
+	 * @param array $attributes Block attributes.
+	 * @return array|null Point to centre as fractions between 0 and 1, with zoom levels
+	 *                    relative to the fitted view, or null when the defaults apply.
+	 */
+	private function sanitize_initial_view( $attributes ) {
+		$x        = max( 0, min( 1, (float) ( $attributes['initialX'] ?? 0.5 ) ) );
+		$y        = max( 0, min( 1, (float) ( $attributes['initialY'] ?? 0.5 ) ) );
+		$zoom     = max( 0.5, min( 8, (float) ( $attributes['initialZoom'] ?? 1 ) ) );
+		$min_zoom = (float) ( $attributes['minZoom'] ?? 0 );
+		$max_zoom = (float) ( $attributes['maxZoom'] ?? 0 );
+
+		// A limit of 0 keeps the viewer's default.
+		$min_zoom = $min_zoom > 0 ? max( 0.25, min( 1, $min_zoom ) ) : 0;
+		$max_zoom = $max_zoom > 0 ? max( 1, min( 10, $max_zoom ) ) : 0;
+		if ( $min_zoom ) {
+			$zoom = max( $min_zoom, $zoom );
+		}
+		if ( $max_zoom ) {
+			$zoom = min( $max_zoom, $zoom );
+		}
+
+		if ( 0.5 === $x && 0.5 === $y && 1.0 === $zoom && ! $min_zoom && ! $max_zoom ) {
+			return null;
+		}
+
+		return array(
+			'x'       => $x,
+			'y'       => $y,
+			'zoom'    => $zoom,
+			'minZoom' => $min_zoom,
+			'maxZoom' => $max_zoom,
+		);
+	}
+
+	/**
+	 * Sanitize how a panorama turns on its own in the viewer.
+	 *
+	 * @since 1.1.0
+	 * @param array $attributes Block attributes.
+	 * @return array|null Speed in degrees per second, negative to turn left, with the
+	 *                    seconds before starting and before resuming after an
+	 *                    interaction, or null when auto-rotation is off.
+	 */
+	private function sanitize_auto_rotate( $attributes ) {
+		if ( empty( $attributes['autoRotate'] ) ) {
+			return null;
+		}
+
+		$speed = max( 1, min( 30, (float) ( $attributes['autoRotateSpeed'] ?? 5 ) ) );
+
+		return array(
+			'speed' => 'left' === ( $attributes['autoRotateDirection'] ?? 'right' ) ? -$speed : $speed,
+			'delay' => max( 0, min( 30, (float) ( $attributes['autoRotateDelay'] ?? 2 ) ) ),
+			'idle'  => max( 0, min( 60, (float) ( $attributes['autoRotateIdle'] ?? 5 ) ) ),
+		);
+	}
+
+	/**
+	 * Sanitize how a block shows its panorama, when it is embedded in the page.
+	 *
+	 * @since 1.1.0
+	 * @param array $attributes Block attributes.
+	 * @return string|null Size of the embedded viewer as inline CSS, either a fixed
+	 *                     height or an aspect ratio, or null when the panorama
+	 *                     opens in the lightbox.
+	 */
+	private function sanitize_inline_display( $attributes ) {
+		if ( 'inline' !== ( $attributes['displayMode'] ?? 'lightbox' ) ) {
+			return null;
+		}
+
+		$height = (int) ( $attributes['inlineHeight'] ?? 0 );
+		if ( $height > 0 ) {
+			return 'height: ' . max( 150, min( 1200, $height ) ) . 'px;';
+		}
+
+		$ratio = $attributes['aspectRatio'] ?? '16/9';
+		if ( ! in_array( $ratio, array( '21/9', '2/1', '16/9', '4/3', '1/1' ), true ) ) {
+			$ratio = '16/9';
+		}
+
+		return 'aspect-ratio: ' . str_replace( '/', ' / ', $ratio ) . ';';
+	}
+
+	/**
+	 * Get the key the viewer reports a block's engagement under.
+	 *
+	 * @since 1.1.0
+	 * @param string $block_name Block name.
+	 * @param array  $attributes Block attributes.
+	 * @return string Key, or '' when analytics are off or the block is not in a post.
+	 */
+	private function get_analytics_key( $block_name, $attributes ) {
+		if ( ! $this->analytics->is_enabled() || ! get_the_ID() ) {
+			return '';
+		}
+		return $this->analytics->get_block_key( $block_name, $attributes );
+	}
+
+	/**
+	 * Sanitize the hotspots placed on a panorama in the editor.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $hotspots Hotspots attribute.
+	 * @return array Hotspots with their position as fractions between 0 and 1.
+	 */
+	private function sanitize_hotspots( $hotspots ) {
+		if ( ! is_array( $hotspots ) ) {
+			return array();
+		}
+
+		$sanitized = array();
+		foreach ( $hotspots as $hotspot ) {
+			if ( ! is_array( $hotspot ) || ! isset( $hotspot['x'], $hotspot['y'] ) ) {
+				continue;
+			}
+
+			$item = array(
+				'id'          => sanitize_key( $hotspot['id'] ?? '' ),
+				'x'           => max( 0, min( 1, (float) $hotspot['x'] ) ),
+				'y'           => max( 0, min( 1, (float) $hotspot['y'] ) ),
+				'title'       => sanitize_text_field( $hotspot['title'] ?? '' ),
+				'description' => wp_kses_post( $hotspot['description'] ?? '' ),
+				'url'         => esc_url_raw( $hotspot['url'] ?? '' ),
+			);
+
+			if ( isset( $hotspot['target'] ) ) {
+				$target = $this->sanitize_hotspot_target( $hotspot['target'] );
+				if ( ! $target ) {
+					// An arrow to a scene that no longer exists leads nowhere.
+					continue;
+				}
+				$item['target'] = $target;
+			}
+
+			if ( isset( $hotspot['image'] ) && is_array( $hotspot['image'] ) && ! empty( $hotspot['image']['url'] ) ) {
+				$item['image'] = array(
+					'id'  => absint( $hotspot['image']['id'] ?? 0 ),
+					'url' => esc_url_raw( $hotspot['image']['url'] ),
+					'alt' => sanitize_text_field( $hotspot['image']['alt'] ?? '' ),
+				);
+			}
+
+			$sanitized[] = $item;
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Sanitize the scene a tour hotspot leads to.
+	 *
+	 * Another panoramic block on the page is referred to by its scene ID. An
+	 * attachment is looked up here, so the viewer gets its current URL and any
+	 * deep zoom pyramid rather than what was saved with the block.
+	 *
+	 * @since 1.1.0
+	 * @param mixed $target Hotspot target.
+	 * @return array|null Target, or null if it does not point at a scene.
+	 */
+	private function sanitize_hotspot_target( $target ) {
+		if ( ! is_array( $target ) ) {
+			return null;
+		}
+
+		if ( 'block' === ( $target['type'] ?? '' ) ) {
+			$scene = sanitize_key( $target['scene'] ?? '' );
+			return $scene ? array(
+				'type'  => 'block',
+				'scene' => $scene,
+			) : null;
+		}
+
+		if ( 'attachment' === ( $target['type'] ?? '' ) ) {
+			$attachment_id = absint( $target['image']['id'] ?? 0 );
+			$url           = $attachment_id ? wp_get_attachment_image_url( $attachment_id, 'full' ) : false;
+			if ( ! $url ) {
+				return null;
+			}
+
+			$sanitized = array(
+				'type'  => 'attachment',
+				'image' => array(
+					'id'  => $attachment_id,
+					'url' => esc_url_raw( $url ),
+					'alt' => sanitize_text_field( get_post_meta( $attachment_id, '_wp_attachment_image_alt', true ) ),
+				),
+			);
+
+			$tiles = $this->get_tile_manifest( $attachment_id );
+			if ( $tiles ) {
+				$sanitized['tiles'] = $tiles;
+			}
+
+			return $sanitized;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get the pre-stitched image saved to the Media Library from the editor.
+	 *
+	 * @since 1.1.0
+	 * @param array  $attributes Block attributes.
+	 * @param string $alt_text   Sanitized alt text of the block.
+	 * @return array|null Image data with 'id', 'url' and 'alt' keys, or null if none is saved.
+	 */
+	private function get_stitched_image( $attributes, $alt_text ) {
+		$attachment_id = absint( $attributes['stitchedImageId'] ?? 0 );
+		if ( ! $attachment_id || ! wp_attachment_is_image( $attachment_id ) ) {
+			return null;
+		}
+
+		$url = wp_get_attachment_url( $attachment_id );
+		if ( ! $url ) {
+			return null;
+		}
+
+		return array(
+			'id'  => $attachment_id,
+			'url' => esc_url_raw( $url ),
+			'alt' => $alt_text,
+		);
+	}
+
+	/**
+	 * Get the attachment shown as the block's thumbnail.
+	 *
+	 * This is the image saved from the editor if there is one, otherwise the
+	 * server-side stitch of the segments. Stitching takes too long to do while a
+	 * page is served, so if there is no stitch yet one is scheduled for the post.
+	 *
+	 * @since 1.1.0
+	 * @param array $attributes Block attributes.
+	 * @param int   $post_id    Post the block is in, or 0.
+	 * @return int Attachment ID, or 0 if the segments have to be shown instead.
+	 */
+	private function get_thumbnail_attachment_id( $attributes, $post_id = 0 ) {
+		$stitched_image = $this->get_stitched_image( $attributes, '' );
+		if ( $stitched_image ) {
+			return $stitched_image['id'];
+		}
+
+		$stitch = $this->get_stitch_arguments( $attributes );
+		if ( ! $stitch ) {
+			return 0;
+		}
+
+		list( $ids, $offsets, $transforms ) = $stitch;
+
+		$attachment_id = $this->stitcher->get_cached_attachment( $ids, $offsets, $transforms );
+		if ( ! $attachment_id && $post_id ) {
+			$this->stitcher->schedule( $post_id );
+		}
+
+		return $attachment_id;
+	}
+
+	/**
+	 * Get what the stitcher needs to stitch the segments of a block.
+	 *
+	 * @since 1.1.0
+	 * @param array $attributes Block attributes.
+	 * @return array|null Attachment IDs, offsets and transforms, or null if the
+	 *                    segments can't be stitched on the server.
+	 */
+	private function get_stitch_arguments( $attributes ) {
+		$images = $this->sanitize_images_data( $attributes['images'] ?? array() );
+		$ids    = array_filter( wp_list_pluck( $images, 'id' ) );
+		if ( count( $ids ) < 2 || count( $ids ) !== count( $images ) || ! $this->stitcher->is_supported() ) {
+			return null;
+		}
+
+		$offsets = array();
+		if ( $attributes['autoAlign'] ?? true ) {
+			$offsets = $this->sanitize_segment_offsets( $attributes['segmentOffsets'] ?? array(), $images );
+		}
+
+		return array(
+			array_values( $ids ),
+			$offsets,
+			$this->sanitize_segment_transforms( $attributes['segmentTransforms'] ?? array(), $images ),
+		);
+	}
+
+	/**
+	 * Get the stitched panoramic blocks in a list of parsed blocks, including nested ones.
+	 *
+	 * @since 1.1.0
+	 * @param array $blocks Parsed blocks.
+	 * @return array Attributes of each block, in order.
+	 */
+	private function find_panoramic_blocks( $blocks ) {
+		$found = array();
+		foreach ( $blocks as $block ) {
+			if ( 'panoramic-image-block/panoramic' === $block['blockName'] ) {
+				$found[] = $block['attrs'];
+			}
+			if ( ! empty( $block['innerBlocks'] ) ) {
+				$found = array_merge( $found, $this->find_panoramic_blocks( $block['innerBlocks'] ) );
+			}
+		}
+
+		return $found;
+	}
+
+	/**
+	 * Schedule stitching of the panoramic blocks of a post when it is saved.
+	 *
+	 * @since 1.1.0
+	 * @param int     $post_id Post ID.
+	 * @param WP_Post $post    Post object.
+	 */
+	public function schedule_stitch( $post_id, $post ) {
+		if ( wp_is_post_revision( $post_id ) || wp_is_post_autosave( $post_id ) || 'attachment' === $post->post_type ) {
+			return;
+		}
+
+		if ( has_block( 'panoramic-image-block/panoramic', $post ) ) {
+			$this->stitcher->schedule( $post_id, true );
+		} else {
+			// Panoramas removed from the post leave their stitches behind otherwise.
+			$this->stitcher->delete_unused_attachments( $post_id, array() );
+		}
+	}
+
+	/**
+	 * Stitch the panoramic blocks of a post that have no saved image, and delete
+	 * the stitches its blocks no longer use.
+	 *
+	 * @since 1.1.0
+	 * @param int $post_id Post ID.
+	 */
+	public function stitch_post( $post_id ) {
+		$post = get_post( $post_id );
+		if ( ! $post ) {
+			return;
+		}
+
+		$keep = array();
+		foreach ( $this->find_panoramic_blocks( parse_blocks( $post->post_content ) ) as $attributes ) {
+			$stitch = $this->get_stitched_image( $attributes, '' ) ? null : $this->get_stitch_arguments( $attributes );
+			if ( ! $stitch ) {
+				continue;
+			}
+
+			list( $ids, $offsets, $transforms ) = $stitch;
+
+			$attachment_id = $this->stitcher->get_stitched_attachment( $ids, $offsets, $transforms, $post->ID );
+			if ( ! is_wp_error( $attachment_id ) ) {
+				$keep[] = $attachment_id;
+			}
+		}
+
+		$this->stitcher->delete_unused_attachments( $post->ID, $keep );
+		$this->stitcher->mark_stitched( $post->ID );
+	}
+
+	/**
+	 * Schedule a deep zoom pyramid for a newly uploaded image that is large enough.
+	 *
+	 * @since 1.1.0
+	 * @param array $metadata      Attachment metadata.
+	 * @param int   $attachment_id Attachment ID.
+	 * @return array Unchanged metadata.
+	 */
+	public function schedule_tiles( $metadata, $attachment_id ) {
+		$this->tiler->schedule( $attachment_id );
+		return $metadata;
+	}
+
+	/**
+	 * Get the deep zoom pyramid of an attachment for data-tiles.
+	 *
+	 * Attachments uploaded before the plugin could tile them get their pyramid
+	 * generated on demand, and are shown whole until it is ready.
+	 *
+	 * @since 1.1.0
+	 * @param int $attachment_id Attachment ID, or 0.
+	 * @return array|null Tile manifest, or null if there is none yet.
+	 */
+	private function get_tile_manifest( $attachment_id ) {
+		if ( ! $attachment_id ) {
+			return null;
+		}
+
+		$manifest = $this->tiler->get_manifest( $attachment_id );
+		if ( ! $manifest ) {
+			$this->tiler->schedule( $attachment_id );
+		}
+
+		return $manifest;
+	}
+
+	/**
+	 * Output the stitched panorama of the first panoramic block as the og:image of a post.
+	 *
+	 * @since 1.1.0
+	 */
+	public function output_og_image() {
+		if ( ! is_singular() ) {
+			return;
+		}
+
+		$post = get_queried_object();
+		if ( ! $post instanceof WP_Post || ! has_block( 'panoramic-image-block/panoramic', $post ) ) {
+			return;
+		}
+
+		// Until the segments are stitched, the first one stands in for the panorama.
+		$attachment_id = 0;
+		$blocks        = $this->find_panoramic_blocks( parse_blocks( $post->post_content ) );
+		if ( $blocks ) {
+			$attachment_id = $this->get_thumbnail_attachment_id( $blocks[0], $post->ID );
+			if ( ! $attachment_id ) {
+				$images        = $this->sanitize_images_data( $blocks[0]['images'] ?? array() );
+				$attachment_id = $images ? absint( $images[0]['id'] ?? 0 ) : 0;
+			}
+		}
+
+		/**
+		 * Filter the attachment used as the og:image of a post with a panoramic block.
+		 *
+		 * Return 0 to leave the og:image to another plugin or the theme.
+		 *
+		 * @since 1.1.0
+		 * @param int     $attachment_id Stitched image or first segment attachment ID, or 0 for none.
+		 * @param WP_Post $post          The post being viewed.
+		 */
+		$attachment_id = (int) apply_filters( 'panoramic_image_block_og_image', $attachment_id, $post );
+
+		$image = $attachment_id ? wp_get_attachment_image_src( $attachment_id, 'full' ) : false;
+		if ( ! $image ) {
+			return;
+		}
+
+		printf( '<meta property="og:image" content="%s" />' . "\n", esc_url( $image[0] ) );
+		printf( '<meta property="og:image:width" content="%d" />' . "\n", (int) $image[1] );
+		printf( '<meta property="og:image:height" content="%d" />' . "\n", (int) $image[2] );
+	}
+
+	/**
+	 * Get the allowed range of segments for the stitched panoramic block.
+	 *
+	 * The limits are declared on the segmentCount attribute in block.json.
+	 *
+	 * @since 1.1.0
+	 * @return array Array with 'min' and 'max' keys.
+	 */
+	private function get_segment_count_limits() {
+		$limits = array(
+			'min' => 2,
+			'max' => 12,
+		);
+
+		$block_type = WP_Block_Type_Registry::get_instance()->get_registered( 'panoramic-image-block/panoramic' );
+		if ( $block_type && isset( $block_type->attributes['segmentCount'] ) ) {
+			$attribute = $block_type->attributes['segmentCount'];
+			if ( isset( $attribute['minimum'] ) ) {
+				$limits['min'] = absint( $attribute['minimum'] );
+			}
+			if ( isset( $attribute['maximum'] ) ) {
+				$limits['max'] = absint( $attribute['maximum'] );
+			}
+		}
+
+		return $limits;
+	}
+
 	/**
 	 * Render the panoramic block on the frontend.
 	 *
@@ -156,17 +947,53 @@ class Panoramic_Image_Block {
 	 * @return string Rendered block HTML.
 	 */
 	public function render_panoramic_block( $attributes, $content, $block ) {
-		if ( empty( $attributes['images'] ) || ! is_array( $attributes['images'] ) || count( $attributes['images'] ) !== 3 ) {
-			return '<p>' . esc_html__( 'Please select 3 images to create a panoramic view.', 'panoramic-image-block' ) . '</p>';
+		$limits        = $this->get_segment_count_limits();
+		$segment_count = absint( $attributes['segmentCount'] ?? 3 );
+		$segment_count = max( $limits['min'], min( $limits['max'], $segment_count ) );
+
+		if ( empty( $attributes['images'] ) || ! is_array( $attributes['images'] ) || count( $attributes['images'] ) !== $segment_count ) {
+			return '<p>' . esc_html(
+				sprintf(
+					/* translators: %d: number of images required. */
+					__( 'Please select %d images to create a panoramic view.', 'panoramic-image-block' ),
+					$segment_count
+				)
+			) . '</p>';
 		}
 
 		$images = $this->sanitize_images_data( $attributes['images'] );
 		$alt_text = sanitize_text_field( $attributes['altText'] ?? '' );
 
 		// Additional validation after sanitization
-		if ( count( $images ) !== 3 ) {
-			return '<p>' . esc_html__( 'Please select 3 valid images to create a panoramic view.', 'panoramic-image-block' ) . '</p>';
+		if ( count( $images ) !== $segment_count ) {
+			return '<p>' . esc_html(
+				sprintf(
+					/* translators: %d: number of images required. */
+					__( 'Please select %d valid images to create a panoramic view.', 'panoramic-image-block' ),
+					$segment_count
+				)
+			) . '</p>';
+		}
+		$offsets = array();
+		if ( $attributes['autoAlign'] ?? true ) {
+			$offsets = $this->sanitize_segment_offsets( $attributes['segmentOffsets'] ?? array(), $images );
 		}
+		$transforms            = $this->sanitize_segment_transforms( $attributes['segmentTransforms'] ?? array(), $images );
+		$blend_width           = max( 0, min( 50, (float) ( $attributes['blendWidth'] ?? 10 ) ) );
+		$exposure_compensation = (bool) ( $attributes['exposureCompensation'] ?? true );
+		$stitched_image        = $this->get_stitched_image( $attributes, $alt_text );
+		$thumbnail_id          = $this->get_thumbnail_attachment_id( $attributes, get_the_ID() );
+		$projection            = $this->sanitize_projection( $attributes['projection'] ?? 'flat' );
+		$hfov                  = $this->sanitize_hfov( $attributes['hfov'] ?? 180 );
+		$loop                  = 'flat' === $projection && ! empty( $attributes['loop'] );
+		// Only an image saved from the editor is tiled; segments are stitched in the browser.
+		$tiles                 = $stitched_image && 'flat' === $projection ? $this->get_tile_manifest( $stitched_image['id'] ) : null;
+		$hotspots              = $this->sanitize_hotspots( $attributes['hotspots'] ?? array() );
+		$scene_id              = sanitize_key( $attributes['sceneId'] ?? '' );
+		$initial_view          = $this->sanitize_initial_view( $attributes );
+		$auto_rotate           = $this->sanitize_auto_rotate( $attributes );
+		$inline_style          = $this->sanitize_inline_display( $attributes );
+		$analytics_key         = $this->get_analytics_key( 'panoramic-image-block/panoramic', $attributes );
 		$block_id = 'panoramic-image-block-' . wp_generate_uuid4();
 
 		// Get the block wrapper attributes to ensure proper width constraints.
@@ -180,48 +1007,108 @@ class Panoramic_Image_Block {
 		ob_start();
 		?>
 		<div <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>>
-			<div class="panoramic-image-block-thumbnail"
+			<div class="panoramic-image-block-thumbnail<?php echo $inline_style ? ' is-inline' : ''; ?>"
 				data-images="<?php echo esc_attr( wp_json_encode( $images ) ); ?>"
+				<?php if ( $offsets ) : ?>
+				data-offsets="<?php echo esc_attr( wp_json_encode( $offsets ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $transforms ) : ?>
+				data-transforms="<?php echo esc_attr( wp_json_encode( $transforms ) ); ?>"
+				<?php endif; ?>
+				data-blend-width="<?php echo esc_attr( $blend_width ); ?>"
+				data-exposure-compensation="<?php echo $exposure_compensation ? 'true' : 'false'; ?>"
+				data-projection="<?php echo esc_attr( $projection ); ?>"
+				<?php if ( 'cylindrical' === $projection ) : ?>
+				data-hfov="<?php echo esc_attr( $hfov ); ?>"
+				<?php endif; ?>
+				<?php if ( $loop ) : ?>
+				data-loop="true"
+				<?php endif; ?>
+				<?php if ( $stitched_image ) : ?>
+				data-stitched-image="<?php echo esc_attr( wp_json_encode( $stitched_image ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $tiles ) : ?>
+				data-tiles="<?php echo esc_attr( wp_json_encode( $tiles ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $hotspots ) : ?>
+				data-hotspots="<?php echo esc_attr( wp_json_encode( $hotspots ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $scene_id ) : ?>
+				data-scene-id="<?php echo esc_attr( $scene_id ); ?>"
+				<?php endif; ?>
+				<?php if ( $initial_view ) : ?>
+				data-initial-view="<?php echo esc_attr( wp_json_encode( $initial_view ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $auto_rotate ) : ?>
+				data-auto-rotate="<?php echo esc_attr( wp_json_encode( $auto_rotate ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $analytics_key ) : ?>
+				data-analytics-key="<?php echo esc_attr( $analytics_key ); ?>"
+				data-post-id="<?php echo esc_attr( get_the_ID() ); ?>"
+				<?php endif; ?>
 				data-alt="<?php echo esc_attr( $alt_text ); ?>"
+				<?php if ( $inline_style ) : ?>
+				data-display="inline"
+				style="<?php echo esc_attr( $inline_style ); ?>"
+				role="group"
+				aria-label="<?php echo esc_attr( $alt_text ? $alt_text : __( 'Panoramic image viewer', 'panoramic-image-block' ) ); ?>"
+				<?php else : ?>
 				role="button"
 				tabindex="0"
-				aria-label="<?php echo esc_attr( $alt_text ? $alt_text : __( 'Open panoramic image viewer', 'panoramic-image-block' ) ); ?>">
+				aria-label="<?php echo esc_attr( $alt_text ? $alt_text : __( 'Open panoramic image viewer', 'panoramic-image-block' ) ); ?>"
+				<?php endif; ?>>
 
-				<!-- 3 images side by side as the main thumbnail -->
+				<!-- The stitched image, or all segments side by side, as the main thumbnail -->
 				<div style='display: flex; flex-direction: row; gap: 0px;' class="panoramic-images-container">
-					<?php foreach ( $images as $index => $image ) : ?>
-						<?php
-						// Create custom alt text with segment number - properly sanitized
-						$segment_alt = $alt_text ? esc_attr( $alt_text . ' (' . ( $index + 1 ) . '/3)' ) : '';
-
-						// Determine attachment ID - check direct ID first, then try to find from URL
-						$attachment_id = 0;
-						if ( isset( $image['id'] ) && $image['id'] ) {
-							$attachment_id = $image['id'];
-						} elseif ( isset( $image['url'] ) && $image['url'] ) {
-							$attachment_id = attachment_url_to_postid( $image['url'] );
-						}
-
-						// Only render if we have a valid attachment ID
-						if ( $attachment_id ) :
+					<?php if ( $thumbnail_id ) : ?>
+						<div style="max-width:100%;height:auto;" class="panoramic-image-segment panoramic-stitched-image">
+							<?php
+							echo wp_get_attachment_image(
+								$thumbnail_id,
+								'large',
+								false,
+								array(
+									'class' => 'panoramic-segment-image',
+									'alt'   => $alt_text,
+								)
+							);
 							?>
-							<div style="max-width:100%;height:auto;" class="panoramic-image-segment" data-index="<?php echo esc_attr( $index ); ?>">
-								<?php
-								echo wp_get_attachment_image(
-									$attachment_id,
-									'large',
-									false,
-									array(
-										'class' => 'panoramic-segment-image',
-										'alt'   => $segment_alt, // Already escaped above
-									)
-								);
-								?>
-							</div>
+						</div>
+					<?php else : ?>
+						<?php foreach ( $images as $index => $image ) : ?>
 							<?php
-						endif;
-						?>
-					<?php endforeach; ?>
+							// Create custom alt text with segment number - properly sanitized
+							$segment_alt = $alt_text ? esc_attr( $alt_text . ' (' . ( $index + 1 ) . '/' . $segment_count . ')' ) : '';
+
+							// Determine attachment ID - check direct ID first, then try to find from URL
+							$attachment_id = 0;
+							if ( isset( $image['id'] ) && $image['id'] ) {
+								$attachment_id = $image['id'];
+							} elseif ( isset( $image['url'] ) && $image['url'] ) {
+								$attachment_id = attachment_url_to_postid( $image['url'] );
+							}
+
+							// Only render if we have a valid attachment ID
+							if ( $attachment_id ) :
+								?>
+								<div style="max-width:100%;height:auto;" class="panoramic-image-segment" data-index="<?php echo esc_attr( $index ); ?>">
+									<?php
+									echo wp_get_attachment_image(
+										$attachment_id,
+										'large',
+										false,
+										array(
+											'class' => 'panoramic-segment-image',
+											'alt'   => $segment_alt, // Already escaped above
+										)
+									);
+									?>
+								</div>
+								<?php
+							endif;
+							?>
+						<?php endforeach; ?>
+					<?php endif; ?>
 				</div>
 
 				<!-- Play overlay for JavaScript interaction -->
@@ -234,27 +1121,6 @@ class Panoramic_Image_Block {
 		return ob_get_clean();
 	}
 
-	/**
-	 * Generate stitched image data.
-	 *
-	 * @since 1.0.0
-	 * @param array $images Array of image URLs.
-	 * @return string SVG data URL.
-	 */
-	private function generate_stitched_image_data( $images ) {
-		// Return a data attribute that JavaScript will use to stitch the images.
-		// This way we avoid server-side image processing and let the browser handle it.
-		$svg = '<svg xmlns="http://www.w3.org/2000/svg" width="800" height="200" viewBox="0 0 800 200">
-			<rect width="800" height="200" fill="#f0f0f0"/>
-			<text x="400" y="100" text-anchor="middle" dominant-baseline="central"
-				font-family="Arial, sans-serif" font-size="16" fill="#666">
-				' . esc_html__( 'Panoramic Preview (3 images stitched)', 'panoramic-image-block' ) . '
-			</text>
-		</svg>';
-
-		return 'data:image/svg+xml;base64,' . base64_encode( $svg );
-	}
-
 	/**
 	 * Sanitize single image data for security.
 	 *
@@ -303,6 +1169,15 @@ class Panoramic_Image_Block {
 
 		$image = $this->sanitize_single_image_data( $attributes['image'] );
 		$alt_text = sanitize_text_field( $attributes['altText'] ?? '' );
+		$projection = $this->sanitize_projection( $attributes['projection'] ?? 'flat' );
+		$hfov = $this->sanitize_hfov( $attributes['hfov'] ?? 180 );
+		$loop = 'flat' === $projection && ! empty( $attributes['loop'] );
+		$hotspots = $this->sanitize_hotspots( $attributes['hotspots'] ?? array() );
+		$scene_id = sanitize_key( $attributes['sceneId'] ?? '' );
+		$initial_view = $this->sanitize_initial_view( $attributes );
+		$auto_rotate = $this->sanitize_auto_rotate( $attributes );
+		$inline_style = $this->sanitize_inline_display( $attributes );
+		$analytics_key = $this->get_analytics_key( 'panoramic-image-block/single-panoramic', $attributes );
 
 		// Additional validation after sanitization
 		if ( empty( $image['url'] ) ) {
@@ -325,17 +1200,51 @@ class Panoramic_Image_Block {
 		} elseif ( isset( $image['url'] ) && $image['url'] ) {
 			$attachment_id = attachment_url_to_postid( $image['url'] );
 		}
+		$tiles = 'flat' === $projection ? $this->get_tile_manifest( $attachment_id ) : null;
 
 		ob_start();
 		?>
 		<div <?php echo $wrapper_attributes; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped ?>>
-			<div class="single-panoramic-image-block-thumbnail"
+			<div class="single-panoramic-image-block-thumbnail<?php echo $inline_style ? ' is-inline' : ''; ?>"
 				data-image="<?php echo esc_attr( wp_json_encode( $image ) ); ?>"
 				data-alt="<?php echo esc_attr( $alt_text ); ?>"
 				data-block-type="single"
+				data-projection="<?php echo esc_attr( $projection ); ?>"
+				<?php if ( 'cylindrical' === $projection ) : ?>
+				data-hfov="<?php echo esc_attr( $hfov ); ?>"
+				<?php endif; ?>
+				<?php if ( $loop ) : ?>
+				data-loop="true"
+				<?php endif; ?>
+				<?php if ( $tiles ) : ?>
+				data-tiles="<?php echo esc_attr( wp_json_encode( $tiles ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $hotspots ) : ?>
+				data-hotspots="<?php echo esc_attr( wp_json_encode( $hotspots ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $scene_id ) : ?>
+				data-scene-id="<?php echo esc_attr( $scene_id ); ?>"
+				<?php endif; ?>
+				<?php if ( $initial_view ) : ?>
+				data-initial-view="<?php echo esc_attr( wp_json_encode( $initial_view ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $auto_rotate ) : ?>
+				data-auto-rotate="<?php echo esc_attr( wp_json_encode( $auto_rotate ) ); ?>"
+				<?php endif; ?>
+				<?php if ( $analytics_key ) : ?>
+				data-analytics-key="<?php echo esc_attr( $analytics_key ); ?>"
+				data-post-id="<?php echo esc_attr( get_the_ID() ); ?>"
+				<?php endif; ?>
+				<?php if ( $inline_style ) : ?>
+				data-display="inline"
+				style="<?php echo esc_attr( $inline_style ); ?>"
+				role="group"
+				aria-label="<?php echo esc_attr( $alt_text ? $alt_text : __( 'Panoramic image viewer', 'panoramic-image-block' ) ); ?>"
+				<?php else : ?>
 				role="button"
 				tabindex="0"
-				aria-label="<?php echo esc_attr( $alt_text ? $alt_text : __( 'Open single panoramic image viewer', 'panoramic-image-block' ) ); ?>">
+				aria-label="<?php echo esc_attr( $alt_text ? $alt_text : __( 'Open single panoramic image viewer', 'panoramic-image-block' ) ); ?>"
+				<?php endif; ?>>
 
 				<!-- Single panoramic image -->
 				<div class="single-panoramic-image-container">
@@ -370,6 +1279,405 @@ class Panoramic_Image_Block {
 		return ob_get_clean();
 	}
 
+	/**
+	 * Add the engagement report to the Dashboard menu.
+	 *
+	 * @since 1.1.0
+	 */
+	public function add_report_page() {
+		$this->report_hook = add_dashboard_page(
+			__( 'Panorama Engagement', 'panoramic-image-block' ),
+			__( 'Panorama Engagement', 'panoramic-image-block' ),
+			'edit_posts',
+			'panoramic-image-block-engagement',
+			array( $this, 'render_report_page' )
+		);
+	}
+
+	/**
+	 * Enqueue the styles of the engagement report on its own screen.
+	 *
+	 * @since 1.1.0
+	 * @param string $hook_suffix Current admin screen.
+	 */
+	public function enqueue_report_styles( $hook_suffix ) {
+		if ( $hook_suffix !== $this->report_hook ) {
+			return;
+		}
+
+		wp_enqueue_style(
+			'panoramic-image-block-report',
+			PANORAMIC_IMAGE_BLOCK_PLUGIN_URL . 'assets/panoramic-report.css',
+			array(),
+			PANORAMIC_IMAGE_BLOCK_VERSION
+		);
+	}
+
+	/**
+	 * Get the days the report covers from the request, the last 30 by default.
+	 *
+	 * @since 1.1.0
+	 * @return array First and last day, as Y-m-d, under 'from' and 'to'.
+	 */
+	private function get_report_range() {
+		$range = array(
+			'from' => wp_date( 'Y-m-d', strtotime( '-29 days' ) ),
+			'to'   => wp_date( 'Y-m-d' ),
+		);
+
+		foreach ( array_keys( $range ) as $bound ) {
+			// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- The range only filters what is shown.
+			$day = isset( $_GET[ $bound ] ) ? sanitize_text_field( wp_unslash( $_GET[ $bound ] ) ) : '';
+			if ( preg_match( '/^(\d{4})-(\d{2})-(\d{2})$/', $day, $parts ) && checkdate( (int) $parts[2], (int) $parts[3], (int) $parts[1] ) ) {
+				$range[ $bound ] = $day;
+			}
+		}
+
+		if ( $range['from'] > $range['to'] ) {
+			$range = array(
+				'from' => $range['to'],
+				'to'   => $range['from'],
+			);
+		}
+
+		return $range;
+	}
+
+	/**
+	 * Get the engagement of every panorama block the current user can edit.
+	 *
+	 * @since 1.1.0
+	 * @param array $range Days covered, from get_report_range().
+	 * @return array Blocks with their totals, from Panoramic_Image_Block_Analytics::get_post_report(), by post ID.
+	 */
+	private function get_report( $range ) {
+		$report = array();
+
+		foreach ( $this->analytics->get_post_ids() as $post_id ) {
+			if ( ! current_user_can( 'edit_post', $post_id ) ) {
+				continue;
+			}
+
+			$blocks = $this->analytics->get_post_report( $post_id, $range['from'], $range['to'] );
+			if ( $blocks ) {
+				$report[ $post_id ] = $blocks;
+			}
+		}
+
+		return $report;
+	}
+
+	/**
+	 * Get the name a block goes by in the report.
+	 *
+	 * @since 1.1.0
+	 * @param array $block    Block name and attributes.
+	 * @param int   $position Position of the block in its post, counting from 1.
+	 * @return string Alt text of the block, or its position when it has none.
+	 */
+	private function get_report_block_label( $block, $position ) {
+		$alt = $block['attributes']['altText'] ?? '';
+		if ( '' === trim( $alt ) && 'panoramic-image-block/single-panoramic' === $block['name'] ) {
+			$alt = $this->sanitize_single_image_data( $block['attributes']['image'] ?? array() )['alt'] ?? '';
+		}
+
+		/* translators: %d: position of the panorama in its post. */
+		return '' !== trim( $alt ) ? sanitize_text_field( $alt ) : sprintf( __( 'Panorama %d', 'panoramic-image-block' ), $position );
+	}
+
+	/**
+	 * Get the image a block's heatmap is laid over.
+	 *
+	 * Segmented panoramas use their saved or cached stitch; none is generated
+	 * just for the report.
+	 *
+	 * @since 1.1.0
+	 * @param array $block Block name and attributes.
+	 * @return string Image URL, or '' if there is no whole image of the panorama.
+	 */
+	private function get_report_image_url( $block ) {
+		if ( 'panoramic-image-block/single-panoramic' === $block['name'] ) {
+			$image = $this->sanitize_single_image_data( $block['attributes']['image'] ?? array() );
+			if ( ! empty( $image['id'] ) && wp_attachment_is_image( $image['id'] ) ) {
+				return (string) wp_get_attachment_image_url( $image['id'], 'medium_large' );
+			}
+			return $image['url'] ?? '';
+		}
+
+		$attachment_id = $this->get_thumbnail_attachment_id( $block['attributes'], false );
+
+		return $attachment_id ? (string) wp_get_attachment_image_url( $attachment_id, 'medium_large' ) : '';
+	}
+
+	/**
+	 * Format the average time a panorama was explored for.
+	 *
+	 * @since 1.1.0
+	 * @param array $totals Totals of a block.
+	 * @return string Average view time, or a dash if it was never viewed.
+	 */
+	private function format_view_time( $totals ) {
+		if ( ! $totals['views'] ) {
+			return '—';
+		}
+
+		$seconds = (int) round( $totals['dwell'] / $totals['views'] );
+		if ( $seconds < MINUTE_IN_SECONDS ) {
+			/* translators: %s: number of seconds. */
+			return sprintf( _n( '%s second', '%s seconds', $seconds, 'panoramic-image-block' ), number_format_i18n( $seconds ) );
+		}
+
+		/* translators: 1: minutes, 2: seconds. */
+		return sprintf( __( '%1$d min %2$02d s', 'panoramic-image-block' ), floor( $seconds / MINUTE_IN_SECONDS ), $seconds % MINUTE_IN_SECONDS );
+	}
+
+	/**
+	 * Render the engagement report.
+	 *
+	 * @since 1.1.0
+	 */
+	public function render_report_page() {
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			return;
+		}
+
+		$range      = $this->get_report_range();
+		$report     = $this->get_report( $range );
+		$sink       = $this->analytics->get_sink();
+		$export_url = wp_nonce_url(
+			add_query_arg(
+				array(
+					'action' => 'panoramic_image_block_export',
+					'from'   => $range['from'],
+					'to'     => $range['to'],
+				),
+				admin_url( 'admin-post.php' )
+			),
+			'panoramic_image_block_export'
+		);
+		?>
+		<div class="wrap">
+			<h1><?php esc_html_e( 'Panorama Engagement', 'panoramic-image-block' ); ?></h1>
+
+			<?php if ( 'rest' !== $sink ) : ?>
+				<div class="notice notice-info inline">
+					<p>
+						<?php if ( 'datalayer' === $sink ) : ?>
+							<?php esc_html_e( 'Panorama analytics are sent to Google Tag Manager, so new engagement is reported there instead.', 'panoramic-image-block' ); ?>
+						<?php else : ?>
+							<?php esc_html_e( 'Panorama analytics are off, so nothing new is recorded.', 'panoramic-image-block' ); ?>
+						<?php endif; ?>
+						<a href="<?php echo esc_url( admin_url( 'options-media.php' ) ); ?>"><?php esc_html_e( 'Change this in Media Settings', 'panoramic-image-block' ); ?></a>
+					</p>
+				</div>
+			<?php endif; ?>
+
+			<form method="get" class="panoramic-report-range">
+				<input type="hidden" name="page" value="panoramic-image-block-engagement" />
+				<label for="panoramic-report-from"><?php esc_html_e( 'From', 'panoramic-image-block' ); ?></label>
+				<input type="date" id="panoramic-report-from" name="from" value="<?php echo esc_attr( $range['from'] ); ?>" />
+				<label for="panoramic-report-to"><?php esc_html_e( 'To', 'panoramic-image-block' ); ?></label>
+				<input type="date" id="panoramic-report-to" name="to" value="<?php echo esc_attr( $range['to'] ); ?>" />
+				<?php submit_button( __( 'Filter', 'panoramic-image-block' ), 'secondary', '', false ); ?>
+				<a class="button" href="<?php echo esc_url( $export_url ); ?>"><?php esc_html_e( 'Download CSV', 'panoramic-image-block' ); ?></a>
+			</form>
+
+			<?php if ( ! $report ) : ?>
+				<p><?php esc_html_e( 'No posts you can edit contain panorama blocks.', 'panoramic-image-block' ); ?></p>
+			<?php else : ?>
+				<table class="widefat striped panoramic-report">
+					<thead>
+						<tr>
+							<th scope="col"><?php esc_html_e( 'Post', 'panoramic-image-block' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Panorama', 'panoramic-image-block' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Opens', 'panoramic-image-block' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Average view time', 'panoramic-image-block' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Load errors', 'panoramic-image-block' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Where visitors looked', 'panoramic-image-block' ); ?></th>
+						</tr>
+					</thead>
+					<?php foreach ( $report as $post_id => $blocks ) : ?>
+						<tbody>
+							<?php
+							$position = 0;
+							foreach ( $blocks as $block ) :
+								$totals = $block['totals'];
+								++$position;
+								?>
+								<tr>
+									<?php if ( 1 === $position ) : ?>
+										<th scope="rowgroup" rowspan="<?php echo esc_attr( count( $blocks ) ); ?>">
+											<strong><a href="<?php echo esc_url( get_edit_post_link( $post_id ) ); ?>"><?php echo esc_html( _draft_or_post_title( $post_id ) ); ?></a></strong>
+											<?php if ( 'publish' !== get_post_status( $post_id ) ) : ?>
+												<br /><span class="post-state"><?php echo esc_html( get_post_status_object( get_post_status( $post_id ) )->label ?? '' ); ?></span>
+											<?php endif; ?>
+										</th>
+									<?php endif; ?>
+									<td><?php echo esc_html( $this->get_report_block_label( $block, $position ) ); ?></td>
+									<td>
+										<?php echo esc_html( number_format_i18n( $totals['opens'] ) ); ?>
+										<?php if ( $totals['inline_opens'] ) : ?>
+											<br /><span class="description">
+												<?php
+												/* translators: %s: number of times the panorama was shown inline in the page. */
+												echo esc_html( sprintf( __( '%s inline', 'panoramic-image-block' ), number_format_i18n( $totals['inline_opens'] ) ) );
+												?>
+											</span>
+										<?php endif; ?>
+									</td>
+									<td><?php echo esc_html( $this->format_view_time( $totals ) ); ?></td>
+									<td>
+										<?php echo esc_html( number_format_i18n( array_sum( $totals['errors'] ) ) ); ?>
+										<?php if ( $totals['errors'] ) : ?>
+											<br /><span class="description">
+												<?php
+												echo esc_html(
+													implode(
+														', ',
+														array_map(
+															function ( $type, $count ) {
+																return number_format_i18n( $count ) . ' ' . $type;
+															},
+															array_keys( $totals['errors'] ),
+															$totals['errors']
+														)
+													)
+												);
+												?>
+											</span>
+										<?php endif; ?>
+									</td>
+									<td><?php $this->render_heatmap( $totals['heatmap'], $this->get_report_image_url( $block ) ); ?></td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					<?php endforeach; ?>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Render a block's heatmap over its panorama.
+	 *
+	 * Each cell of the grid is shaded by the seconds the view rested on it, against
+	 * the cell visitors looked at longest.
+	 *
+	 * @since 1.1.0
+	 * @param int[]  $heatmap   Seconds per cell, row by row from the top left.
+	 * @param string $image_url Image of the panorama, or ''.
+	 */
+	private function render_heatmap( $heatmap, $image_url ) {
+		$peak = max( $heatmap );
+		$grid = sprintf(
+			'--panoramic-heatmap-columns: %d; --panoramic-heatmap-rows: %d;',
+			Panoramic_Image_Block_Analytics::HEATMAP_COLUMNS,
+			Panoramic_Image_Block_Analytics::HEATMAP_ROWS
+		);
+
+		if ( ! $peak ) {
+			echo '<span class="description">' . esc_html__( 'Not viewed yet', 'panoramic-image-block' ) . '</span>';
+			return;
+		}
+		?>
+		<div class="panoramic-report-heatmap" style="<?php echo esc_attr( $grid ); ?>">
+			<?php if ( $image_url ) : ?>
+				<img src="<?php echo esc_url( $image_url ); ?>" alt="" loading="lazy" />
+			<?php endif; ?>
+			<div class="panoramic-report-heatmap-cells" aria-hidden="true">
+				<?php // Shaded no further than 0.8, so the panorama shows through the busiest cell. ?>
+				<?php foreach ( $heatmap as $seconds ) : ?>
+					<span style="opacity: <?php echo esc_attr( round( $seconds / $peak * 0.8, 2 ) ); ?>;"></span>
+				<?php endforeach; ?>
+			</div>
+		</div>
+		<?php
+	}
+
+	/**
+	 * Send the engagement report as a CSV file.
+	 *
+	 * @since 1.1.0
+	 */
+	public function export_report() {
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			wp_die( esc_html__( 'Sorry, you are not allowed to export panorama engagement.', 'panoramic-image-block' ), '', array( 'response' => 403 ) );
+		}
+		check_admin_referer( 'panoramic_image_block_export' );
+
+		$range = $this->get_report_range();
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=utf-8' );
+		header( sprintf( 'Content-Disposition: attachment; filename="panorama-engagement-%s-to-%s.csv"', $range['from'], $range['to'] ) );
+
+		$output = fopen( 'php://output', 'w' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		fputcsv(
+			$output,
+			array(
+				__( 'Post ID', 'panoramic-image-block' ),
+				__( 'Post', 'panoramic-image-block' ),
+				__( 'Panorama', 'panoramic-image-block' ),
+				__( 'Block key', 'panoramic-image-block' ),
+				__( 'Opens', 'panoramic-image-block' ),
+				__( 'Inline opens', 'panoramic-image-block' ),
+				__( 'Closes', 'panoramic-image-block' ),
+				__( 'Views', 'panoramic-image-block' ),
+				__( 'Average view time (seconds)', 'panoramic-image-block' ),
+				__( 'Furthest zoom', 'panoramic-image-block' ),
+				__( 'Load errors', 'panoramic-image-block' ),
+				__( 'Load errors by type', 'panoramic-image-block' ),
+				__( 'Heatmap (seconds per cell, row by row)', 'panoramic-image-block' ),
+			)
+		);
+
+		foreach ( $this->get_report( $range ) as $post_id => $blocks ) {
+			$position = 0;
+			foreach ( $blocks as $key => $block ) {
+				$totals = $block['totals'];
+				$errors = array();
+				foreach ( $totals['errors'] as $type => $count ) {
+					$errors[] = $type . ': ' . $count;
+				}
+
+				fputcsv(
+					$output,
+					array(
+						$post_id,
+						$this->get_csv_text( get_the_title( $post_id ) ),
+						$this->get_csv_text( $this->get_report_block_label( $block, ++$position ) ),
+						$key,
+						$totals['opens'],
+						$totals['inline_opens'],
+						$totals['closes'],
+						$totals['views'],
+						$totals['views'] ? round( $totals['dwell'] / $totals['views'], 1 ) : 0,
+						$totals['max_zoom'],
+						array_sum( $totals['errors'] ),
+						implode( '; ', $errors ),
+						implode( ' ', $totals['heatmap'] ),
+					)
+				);
+			}
+		}
+
+		fclose( $output ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		exit;
+	}
+
+	/**
+	 * Keep spreadsheets from reading text as a formula.
+	 *
+	 * @since 1.1.0
+	 * @param string $text Text written by an editor.
+	 * @return string Text, with a leading apostrophe if it starts like a formula.
+	 */
+	private function get_csv_text( $text ) {
+		$text = html_entity_decode( wp_strip_all_tags( $text ), ENT_QUOTES, 'UTF-8' );
+		return preg_match( '/^[=+\-@\t\r]/', $text ) ? "'" . $text : $text;
+	}
+
 	/**
 	 * Enqueue frontend scripts and styles.
 	 *
@@ -416,14 +1724,19 @@ class Panoramic_Image_Block {
 			PANORAMIC_IMAGE_BLOCK_VERSION
 		);
 
+		$limits = $this->get_segment_count_limits();
+
 		// Localize script for translations and AJAX.
 		wp_localize_script(
 			'panoramic-image-block-viewer',
 			'panoramicImageBlockData',
 			array(
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce'   => wp_create_nonce( 'panoramic_image_block_nonce' ),
-				'strings' => array(
+				'ajaxUrl'     => admin_url( 'admin-ajax.php' ),
+				'nonce'       => wp_create_nonce( 'panoramic_image_block_nonce' ),
+				'minSegments' => $limits['min'],
+				'maxSegments' => $limits['max'],
+				'analytics'   => $this->analytics->get_client_config(),
+				'strings'     => array(
 					// Loading states
 					'loading'           => __( 'Loading panoramic view...', 'panoramic-image-block' ),
 					'loadingView'       => __( 'Loading panoramic view...', 'panoramic-image-block' ),
@@ -447,7 +1760,7 @@ class Panoramic_Image_Block {
 					'resetKey'          => __( 'Reset zoom (0)', 'panoramic-image-block' ),
 
 					// Instructions and help
-					'instructions'      => __( 'Interactive panoramic image viewer. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom. Press 0 to reset view. Press Escape to close.', 'panoramic-image-block' ),
+					'instructions'      => __( 'Interactive panoramic image viewer. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom. Press 0 to reset view. Press F for full screen. Press Page Up or Page Down for the previous or next panorama on the page. Press Escape to close.', 'panoramic-image-block' ),
 					'controlsHelp'      => __( 'Zoom controls available. Current zoom level and position will be announced when changed.', 'panoramic-image-block' ),
 					'zoomHelp'          => __( 'Zoom in or out of the panoramic image', 'panoramic-image-block' ),
 					'resetHelp'         => __( 'Reset zoom level to fit view and center the image', 'panoramic-image-block' ),
@@ -473,6 +1786,54 @@ class Panoramic_Image_Block {
 					'zoomedOut'         => __( 'Zoomed out to %d%%', 'panoramic-image-block' ),
 					// Translators: %d is the zoom level.
 					'viewReset'         => __( 'View reset. Zoom: %d%%, centered', 'panoramic-image-block' ),
+					// Translators: %d is the compass heading of the view, in degrees.
+					'heading'           => __( 'Heading %d°', 'panoramic-image-block' ),
+
+					// Hotspots
+					// Translators: %d is the number of the hotspot.
+					'hotspot'           => __( 'Hotspot %d', 'panoramic-image-block' ),
+					'closeHotspot'      => __( 'Close', 'panoramic-image-block' ),
+					'hotspotLink'       => __( 'Open link', 'panoramic-image-block' ),
+
+					// Virtual tours
+					// Translators: %s is the title of the scene a tour arrow leads to.
+					'goToScene'         => __( 'Go to %s', 'panoramic-image-block' ),
+					'nextScene'         => __( 'Go to the next scene', 'panoramic-image-block' ),
+					'backScene'         => __( 'Back to the previous scene', 'panoramic-image-block' ),
+					'backKey'           => __( 'Back (Backspace)', 'panoramic-image-block' ),
+					// Translators: %s is the title of the scene the tour moved to.
+					'nowViewing'        => __( 'Now viewing %s', 'panoramic-image-block' ),
+					'sceneChanged'      => __( 'Moved to the next scene', 'panoramic-image-block' ),
+
+					// Auto-rotation
+					'pauseRotation'     => __( 'Pause auto-rotation', 'panoramic-image-block' ),
+					'playRotation'      => __( 'Start auto-rotation', 'panoramic-image-block' ),
+
+					// Full screen
+					'fullscreen'        => __( 'Full screen', 'panoramic-image-block' ),
+					'exitFullscreen'    => __( 'Exit full screen', 'panoramic-image-block' ),
+
+					// Inline viewer
+					'expandViewer'      => __( 'Expand panoramic viewer', 'panoramic-image-block' ),
+					'expandKey'         => __( 'Expand', 'panoramic-image-block' ),
+					'inlineHelp'        => __( 'Interactive panoramic image. Use arrow keys or drag to pan the image. Use + and - keys or controls to zoom, or hold Ctrl while scrolling. Press 0 to reset view. Press F for full screen.', 'panoramic-image-block' ),
+
+					// Shareable links
+					'copyLink'          => __( 'Copy link to this view', 'panoramic-image-block' ),
+					'linkCopied'        => __( 'Link to this view copied', 'panoramic-image-block' ),
+					'linkCopyFailed'    => __( 'Could not copy the link', 'panoramic-image-block' ),
+
+					// Gallery
+					'previousPanorama'  => __( 'Previous panorama', 'panoramic-image-block' ),
+					'previousKey'       => __( 'Previous panorama (Page Up)', 'panoramic-image-block' ),
+					'nextPanorama'      => __( 'Next panorama', 'panoramic-image-block' ),
+					'nextKey'           => __( 'Next panorama (Page Down)', 'panoramic-image-block' ),
+					// Translators: 1: position of the panorama on the page, 2: number of panoramas.
+					'galleryCount'      => __( '%1$d of %2$d', 'panoramic-image-block' ),
+					// Translators: 1: title of the panorama, 2: its position on the page, 3: number of panoramas.
+					'galleryPosition'   => __( 'Now viewing %1$s, %2$d of %3$d', 'panoramic-image-block' ),
+					// Translators: 1: position of the panorama on the page, 2: number of panoramas.
+					'galleryUntitled'   => __( 'Panorama %1$d of %2$d', 'panoramic-image-block' ),
 				),
 			)
 		);
@@ -500,8 +1861,12 @@ register_activation_hook( __FILE__, 'panoramic_image_block_activate' );
  * @since 1.0.0
  */
 function panoramic_image_block_deactivate() {
-	// Deactivation logic - no cleanup needed for blocks
 	// Blocks will automatically be unavailable after deactivation
+	// Stop any deep zoom pyramids still waiting to be cut
+	wp_clear_scheduled_hook( Panoramic_Image_Block_Tiler::CRON_HOOK );
+
+	// And any panoramas still waiting to be stitched
+	wp_clear_scheduled_hook( Panoramic_Image_Block_Stitcher::CRON_HOOK );
 }
 register_deactivation_hook( __FILE__, 'panoramic_image_block_deactivate' );
 
@@ -524,6 +1889,12 @@ function panoramic_image_block_uninstall() {
 	// Clear any option cleanup (none currently used, but good practice)
 	delete_option( 'panoramic_image_block_settings' );
 
+	// Clear the analytics setting and the engagement recorded in post meta
+	Panoramic_Image_Block_Analytics::delete_all();
+
+	// Remove the deep zoom tiles from uploads and their manifests from post meta
+	Panoramic_Image_Block_Tiler::delete_all();
+
 	// Force clear any caches
 	if ( function_exists( 'wp_cache_flush' ) ) {
 		wp_cache_flush();
@@ -0,0 +1,113 @@
+import { __ } from '@wordpress/i18n';
+import {
+	PanelBody,
+	RangeControl,
+	SelectControl,
+	ToggleControl,
+} from '@wordpress/components';
+
+/**
+ * Settings for a panorama that turns on its own once the viewer opens.
+ *
+ * Visitors can always pause it with the viewer's pause button, and it does not
+ * start by itself for those who prefer reduced motion.
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attribute setter.
+ * @return {Element} Auto-rotate settings panel.
+ */
+export default function AutoRotatePanel( { attributes, setAttributes } ) {
+	const {
+		autoRotate,
+		autoRotateSpeed,
+		autoRotateDirection,
+		autoRotateDelay,
+		autoRotateIdle,
+	} = attributes;
+
+	return (
+		<PanelBody
+			title={ __( 'Auto-rotate', 'panoramic-image-block' ) }
+			initialOpen={ false }
+		>
+			<ToggleControl
+				label={ __( 'Rotate automatically', 'panoramic-image-block' ) }
+				checked={ autoRotate }
+				onChange={ ( value ) => setAttributes( { autoRotate: value } ) }
+				help={ __(
+					'Slowly pans the view once the viewer opens. Visitors can pause it, and it stops while they look around.',
+					'panoramic-image-block'
+				) }
+			/>
+			{ autoRotate && (
+				<>
+					<RangeControl
+						label={ __(
+							'Speed (° per second)',
+							'panoramic-image-block'
+						) }
+						value={ autoRotateSpeed }
+						onChange={ ( value ) =>
+							setAttributes( { autoRotateSpeed: value } )
+						}
+						min={ 1 }
+						max={ 30 }
+						step={ 1 }
+						help={ __(
+							'A flat panorama counts its full width as 360°.',
+							'panoramic-image-block'
+						) }
+					/>
+					<SelectControl
+						label={ __( 'Direction', 'panoramic-image-block' ) }
+						value={ autoRotateDirection }
+						options={ [
+							{
+								value: 'right',
+								label: __( 'Right', 'panoramic-image-block' ),
+							},
+							{
+								value: 'left',
+								label: __( 'Left', 'panoramic-image-block' ),
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { autoRotateDirection: value } )
+						}
+					/>
+					<RangeControl
+						label={ __(
+							'Delay after opening (seconds)',
+							'panoramic-image-block'
+						) }
+						value={ autoRotateDelay }
+						onChange={ ( value ) =>
+							setAttributes( { autoRotateDelay: value } )
+						}
+						min={ 0 }
+						max={ 30 }
+						step={ 1 }
+					/>
+					<RangeControl
+						label={ __(
+							'Resume after idle (seconds)',
+							'panoramic-image-block'
+						) }
+						value={ autoRotateIdle }
+						onChange={ ( value ) =>
+							setAttributes( { autoRotateIdle: value } )
+						}
+						min={ 0 }
+						max={ 60 }
+						step={ 1 }
+						help={ __(
+							'How long after visitors stop interacting the rotation carries on. 0 leaves it paused.',
+							'panoramic-image-block'
+						) }
+					/>
+				</>
+			) }
+		</PanelBody>
+	);
+}
@@ -0,0 +1,88 @@
+import { __ } from '@wordpress/i18n';
+import { PanelBody, RangeControl, SelectControl } from '@wordpress/components';
+
+const ASPECT_RATIO_OPTIONS = [
+	{ value: '21/9', label: __( 'Ultrawide (21:9)', 'panoramic-image-block' ) },
+	{ value: '2/1', label: __( 'Panoramic (2:1)', 'panoramic-image-block' ) },
+	{
+		value: '16/9',
+		label: __( 'Widescreen (16:9)', 'panoramic-image-block' ),
+	},
+	{ value: '4/3', label: __( 'Standard (4:3)', 'panoramic-image-block' ) },
+	{ value: '1/1', label: __( 'Square (1:1)', 'panoramic-image-block' ) },
+];
+
+/**
+ * Settings for where a panorama is explored: in the lightbox, opened from a
+ * thumbnail, or in a viewer embedded in the page.
+ *
+ * An embedded viewer is sized by its aspect ratio unless a height is set, and
+ * keeps an expand button that opens the lightbox.
+ *
+ * @param {Object}   props               Component props.
+ * @param {Object}   props.attributes    Block attributes.
+ * @param {Function} props.setAttributes Block attribute setter.
+ * @return {Element} Display settings panel.
+ */
+export default function DisplayPanel( { attributes, setAttributes } ) {
+	const { displayMode, aspectRatio, inlineHeight } = attributes;
+
+	return (
+		<PanelBody
+			title={ __( 'Display', 'panoramic-image-block' ) }
+			initialOpen={ false }
+		>
+			<SelectControl
+				label={ __( 'Show the panorama', 'panoramic-image-block' ) }
+				value={ displayMode }
+				options={ [
+					{
+						value: 'lightbox',
+						label: __(
+							'In a lightbox, from a thumbnail',
+							'panoramic-image-block'
+						),
+					},
+					{
+						value: 'inline',
+						label: __(
+							'Inline, in the page',
+							'panoramic-image-block'
+						),
+					},
+				] }
+				onChange={ ( value ) =>
+					setAttributes( { displayMode: value } )
+				}
+			/>
+			{ displayMode === 'inline' && (
+				<>
+					<SelectControl
+						label={ __( 'Aspect ratio', 'panoramic-image-block' ) }
+						value={ aspectRatio }
+						options={ ASPECT_RATIO_OPTIONS }
+						onChange={ ( value ) =>
+							setAttributes( { aspectRatio: value } )
+						}
+						disabled={ inlineHeight > 0 }
+					/>
+					<RangeControl
+						label={ __( 'Height (px)', 'panoramic-image-block' ) }
+						value={ inlineHeight || undefined }
+						onChange={ ( value ) =>
+							setAttributes( { inlineHeight: value || 0 } )
+						}
+						min={ 150 }
+						max={ 1200 }
+						step={ 10 }
+						allowReset
+						help={ __(
+							'A fixed height replaces the aspect ratio. Reset to follow the aspect ratio.',
+							'panoramic-image-block'
+						) }
+					/>
+				</>
+			) }
+		</PanelBody>
+	);
+}
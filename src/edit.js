@@ -1,4 +1,4 @@
-import { __ } from '@wordpress/i18n';
+import { __, _n, sprintf } from '@wordpress/i18n';
 import {
 	useBlockProps,
 	MediaUpload,
@@ -10,19 +10,125 @@ import {
 	PanelBody,
 	TextControl,
 	Placeholder,
+	RangeControl,
+	SelectControl,
+	ToggleControl,
+	Notice,
 } from '@wordpress/components';
-import { useEffect, useRef } from '@wordpress/element';
+import {
+	useCallback,
+	useEffect,
+	useMemo,
+	useRef,
+	useState,
+} from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
+import metadata from '../block.json';
+import { PanoramicUtils } from '../assets/modules/panoramic-utils';
+import { PanoramicAlignment } from '../assets/modules/panoramic-alignment';
+import { PanoramicCompositor } from '../assets/modules/panoramic-compositor';
+import HotspotEditor from './hotspot-editor';
+import InitialViewEditor from './initial-view-editor';
+import AutoRotatePanel from './auto-rotate-panel';
+import DisplayPanel from './display-panel';
+
+const { minimum: MIN_SEGMENTS, maximum: MAX_SEGMENTS } =
+	metadata.attributes.segmentCount;
+const { minimum: MIN_BLEND_WIDTH, maximum: MAX_BLEND_WIDTH } =
+	metadata.attributes.blendWidth;
+
+// Range of each manual adjustment, in percent of segment size or degrees.
+const TRANSFORM_LIMITS = {
+	offsetX: [ -50, 50 ],
+	offsetY: [ -50, 50 ],
+	overlap: [ -50, 50 ],
+	rotation: [ -10, 10 ],
+	cropTop: [ 0, 40 ],
+	cropBottom: [ 0, 40 ],
+};
+
+// Arrow key nudge, in percent of segment size; Shift nudges further.
+const NUDGE_STEP = 0.1;
+const NUDGE_STEP_LARGE = 1;
+
+const PROJECTION_OPTIONS = [
+	{ value: 'flat', label: __( 'Flat', 'panoramic-image-block' ) },
+	{
+		value: 'equirectangular',
+		label: __( '360° equirectangular', 'panoramic-image-block' ),
+	},
+	{
+		value: 'cylindrical',
+		label: __( 'Cylindrical', 'panoramic-image-block' ),
+	},
+];
+
+// Horizontal field of view a cylindrical panorama can cover, in degrees.
+const MIN_HFOV = 30;
+const MAX_HFOV = 360;
+
+// JPEG quality of the stitched image saved to the Media Library.
+const STITCHED_IMAGE_QUALITY = 0.9;
+
+const loadImages = ( urls ) => {
+	return Promise.all(
+		urls.map( ( url ) => {
+			return new Promise( ( resolve, reject ) => {
+				const image = new window.Image();
+				image.crossOrigin = 'anonymous';
+				image.onload = () => resolve( image );
+				image.onerror = reject;
+				image.src = url;
+			} );
+		} )
+	);
+};
 
-export default function Edit( { attributes, setAttributes } ) {
-	const { images, altText } = attributes;
+export default function Edit( { attributes, setAttributes, clientId } ) {
+	const {
+		images,
+		segmentCount,
+		autoAlign,
+		segmentOffsets,
+		segmentTransforms,
+		blendWidth,
+		exposureCompensation,
+		stitchedImageId,
+		stitchedImageKey,
+		projection,
+		hfov,
+		loop,
+		altText,
+		hotspots,
+	} = attributes;
 	const canvasRef = useRef( null );
+	const [ loaded, setLoaded ] = useState( { key: '', images: [] } );
+	const [ alignmentNotice, setAlignmentNotice ] = useState( null );
+	// Images the automatic alignment last failed on, so it isn't waited for.
+	const [ alignmentFailedKey, setAlignmentFailedKey ] = useState( '' );
+	const [ draggedIndex, setDraggedIndex ] = useState( null );
+	const [ dropIndex, setDropIndex ] = useState( null );
+	// Only one tool works on the preview at a time: 'adjusting', 'framing' or 'placing'.
+	const [ previewMode, setPreviewMode ] = useState( '' );
+	const isAdjusting = previewMode === 'adjusting';
+	const [ adjustedIndex, setAdjustedIndex ] = useState( 0 );
+	// Transform of the segment being dragged, committed on release so a drag is one undo step.
+	const [ draftTransform, setDraftTransform ] = useState( null );
+	const dragStart = useRef( null );
+	const [ isSaving, setIsSaving ] = useState( false );
+	const [ saveNotice, setSaveNotice ] = useState( null );
+	// Saved image detached by a change to the segments, replaced on the next save.
+	const outdatedImageId = useRef( 0 );
+	const missingCount = Math.max( 0, segmentCount - images.length );
 
 	const onSelectImages = ( media ) => {
-		const selectedImages = media.slice( 0, 3 ).map( ( item ) => ( {
-			id: item.id,
-			url: item.url,
-			alt: item.alt || '',
-		} ) );
+		const selectedImages = media
+			.slice( 0, segmentCount )
+			.map( ( item ) => ( {
+				id: item.id,
+				url: item.url,
+				alt: item.alt || '',
+			} ) );
 		setAttributes( { images: selectedImages } );
 	};
 
@@ -32,49 +138,413 @@ export default function Edit( { attributes, setAttributes } ) {
 		setAttributes( { images: newImages } );
 	};
 
-	const stitchImages = () => {
-		if ( images.length !== 3 || ! canvasRef.current ) {
+	const moveImage = ( fromIndex, toIndex ) => {
+		if (
+			fromIndex === toIndex ||
+			toIndex < 0 ||
+			toIndex >= images.length
+		) {
+			return;
+		}
+		const newImages = [ ...images ];
+		const [ movedImage ] = newImages.splice( fromIndex, 1 );
+		newImages.splice( toIndex, 0, movedImage );
+		setAttributes( { images: newImages } );
+	};
+
+	const onDragStart = ( event, index ) => {
+		event.dataTransfer.effectAllowed = 'move';
+		// Firefox refuses to start a drag without data.
+		event.dataTransfer.setData( 'text/plain', String( index ) );
+		const item = event.currentTarget.closest( '.panoramic-image-item' );
+		if ( item ) {
+			event.dataTransfer.setDragImage( item, 20, 20 );
+		}
+		setDraggedIndex( index );
+	};
+
+	const onDragOver = ( event, index ) => {
+		if ( draggedIndex === null ) {
+			return;
+		}
+		event.preventDefault();
+		event.dataTransfer.dropEffect = 'move';
+		if ( dropIndex !== index ) {
+			setDropIndex( index );
+		}
+	};
+
+	const onDrop = ( event, index ) => {
+		if ( draggedIndex === null ) {
+			return;
+		}
+		event.preventDefault();
+		moveImage( draggedIndex, index );
+		setDraggedIndex( null );
+		setDropIndex( null );
+	};
+
+	const onDragEnd = () => {
+		setDraggedIndex( null );
+		setDropIndex( null );
+	};
+
+	const onChangeSegmentCount = ( value ) => {
+		// Drop any surplus images when the segment count is reduced.
+		setAttributes( {
+			segmentCount: value,
+			images: images.slice( 0, value ),
+		} );
+	};
+
+	const isComplete = images.length === segmentCount;
+	const imagesKey = images.map( ( img ) => img.url ).join( '|' );
+	const isLoaded = isComplete && loaded.key === imagesKey;
+	const offsetsAreCurrent = PanoramicUtils.offsetsMatchImages(
+		images,
+		segmentOffsets
+	);
+	const activeOffsets =
+		autoAlign && offsetsAreCurrent ? segmentOffsets : null;
+	const isAligning =
+		autoAlign && ! offsetsAreCurrent && alignmentFailedKey !== imagesKey;
+
+	const transforms = useMemo( () => {
+		const resolved = PanoramicUtils.resolveSegmentTransforms(
+			images,
+			segmentTransforms
+		);
+		if ( draftTransform && resolved[ draftTransform.index ] ) {
+			resolved[ draftTransform.index ] = draftTransform.transform;
+		}
+		return resolved;
+	}, [ images, segmentTransforms, draftTransform ] );
+	// Identifies everything the stitched output depends on, so a saved image can be
+	// detached once it no longer matches the segments.
+	const stitchKey = JSON.stringify( {
+		ids: images.map( ( image ) => image.id ),
+		offsets: activeOffsets,
+		transforms: PanoramicUtils.resolveSegmentTransforms(
+			images,
+			segmentTransforms
+		),
+		blendWidth,
+		exposureCompensation,
+	} );
+	const selectedIndex = Math.min( adjustedIndex, images.length - 1 );
+	const selectedTransform = transforms[ selectedIndex ];
+
+	const clampTransform = ( transform ) => {
+		const clamped = {};
+		Object.keys( TRANSFORM_LIMITS ).forEach( ( key ) => {
+			const [ min, max ] = TRANSFORM_LIMITS[ key ];
+			// One decimal place is finer than a pixel for most segments.
+			clamped[ key ] =
+				Math.round(
+					PanoramicUtils.clamp( transform[ key ] || 0, min, max ) * 10
+				) / 10;
+		} );
+		return clamped;
+	};
+
+	const updateTransform = ( index, changes ) => {
+		const id = images[ index ].id;
+		const transform = clampTransform( {
+			...transforms[ index ],
+			...changes,
+		} );
+		const others = ( segmentTransforms || [] ).filter(
+			( t ) =>
+				t.id !== id && images.some( ( image ) => image.id === t.id )
+		);
+		// Transforms with no effect are not stored.
+		const isIdentity = Object.values( transform ).every(
+			( value ) => value === 0
+		);
+		setAttributes( {
+			segmentTransforms: isIdentity
+				? others
+				: [ ...others, { id, ...transform } ],
+		} );
+	};
+
+	const onCanvasPointerDown = ( event ) => {
+		if ( ! isAdjusting || ! isLoaded ) {
 			return;
 		}
+		event.currentTarget.setPointerCapture( event.pointerId );
+		dragStart.current = {
+			x: event.clientX,
+			y: event.clientY,
+			transform: selectedTransform,
+		};
+	};
 
+	const onCanvasPointerMove = ( event ) => {
+		if ( ! dragStart.current ) {
+			return;
+		}
 		const canvas = canvasRef.current;
-		const ctx = canvas.getContext( '2d' );
-
-		Promise.all(
-			images.map( ( img ) => {
-				return new Promise( ( resolve ) => {
-					const image = new Image();
-					image.crossOrigin = 'anonymous';
-					image.onload = () => resolve( image );
-					image.src = img.url;
-				} );
-			} )
-		).then( ( loadedImages ) => {
-			const maxHeight = Math.max(
-				...loadedImages.map( ( img ) => img.height )
+		const img = loaded.images[ selectedIndex ];
+		// Convert from on-screen pixels to canvas pixels, then to percent of the segment.
+		const scale = canvas.width / canvas.getBoundingClientRect().width;
+		const { x, y, transform } = dragStart.current;
+		setDraftTransform( {
+			index: selectedIndex,
+			transform: clampTransform( {
+				...transform,
+				offsetX:
+					transform.offsetX +
+					( ( ( event.clientX - x ) * scale ) / img.width ) * 100,
+				offsetY:
+					transform.offsetY +
+					( ( ( event.clientY - y ) * scale ) / img.height ) * 100,
+			} ),
+		} );
+	};
+
+	const onCanvasPointerUp = () => {
+		if ( ! dragStart.current ) {
+			return;
+		}
+		dragStart.current = null;
+		if ( draftTransform ) {
+			updateTransform( draftTransform.index, draftTransform.transform );
+			setDraftTransform( null );
+		}
+	};
+
+	const onCanvasKeyDown = ( event ) => {
+		const moves = {
+			ArrowLeft: [ 'offsetX', -1 ],
+			ArrowRight: [ 'offsetX', 1 ],
+			ArrowUp: [ 'offsetY', -1 ],
+			ArrowDown: [ 'offsetY', 1 ],
+		};
+		if ( ! moves[ event.key ] ) {
+			return;
+		}
+		event.preventDefault();
+		const [ key, direction ] = moves[ event.key ];
+		const step = event.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+		updateTransform( selectedIndex, {
+			[ key ]: selectedTransform[ key ] + direction * step,
+		} );
+	};
+
+	const alignImages = useCallback( () => {
+		let offsets;
+		try {
+			offsets = PanoramicAlignment.alignSegments( loaded.images );
+		} catch ( error ) {
+			setAlignmentFailedKey( imagesKey );
+			setAlignmentNotice( {
+				status: 'error',
+				message: __(
+					'The segments could not be aligned because their pixels cannot be read. They are placed side by side.',
+					'panoramic-image-block'
+				),
+			} );
+			return;
+		}
+
+		const unmatched = offsets.filter( ( offset ) => ! offset.matched );
+		setAlignmentNotice(
+			unmatched.length
+				? {
+						status: 'warning',
+						message: sprintf(
+							/* translators: %d: number of seams without matching features. */
+							_n(
+								'No matching features were found at %d seam. Those segments are placed side by side.',
+								'No matching features were found at %d seams. Those segments are placed side by side.',
+								unmatched.length,
+								'panoramic-image-block'
+							),
+							unmatched.length
+						),
+				  }
+				: null
+		);
+
+		// Four decimal places keep sub-pixel accuracy for segments up to 10,000px.
+		const round = ( value ) => Math.round( value * 10000 ) / 10000;
+		setAlignmentFailedKey( '' );
+		setAttributes( {
+			segmentOffsets: images.map( ( image, index ) => ( {
+				id: image.id,
+				x: round( offsets[ index ].x ),
+				y: round( offsets[ index ].y ),
+			} ) ),
+		} );
+	}, [ loaded.images, images, imagesKey, setAttributes ] );
+
+	const drawStitched = useCallback(
+		( canvas, highlightIndex ) => {
+			const baseLayout = activeOffsets
+				? PanoramicUtils.layoutSegments( loaded.images, activeOffsets )
+				: PanoramicUtils.layoutSideBySide( loaded.images );
+			const segments = PanoramicUtils.applySegmentTransforms(
+				loaded.images,
+				baseLayout,
+				transforms,
+				!! activeOffsets
+			);
+
+			PanoramicCompositor.drawSegments(
+				canvas,
+				segments.images,
+				segments.layout,
+				{ blendWidth, exposureCompensation, highlightIndex }
 			);
-			const totalWidth = loadedImages.reduce(
-				( sum, img ) => sum + img.width,
-				0
+		},
+		[
+			loaded.images,
+			activeOffsets,
+			transforms,
+			blendWidth,
+			exposureCompensation,
+		]
+	);
+
+	const saveStitchedImage = async () => {
+		setIsSaving( true );
+		setSaveNotice( null );
+
+		try {
+			// Draw afresh so the onion skin of the seam tool is never saved.
+			const canvas = document.createElement( 'canvas' );
+			drawStitched( canvas, -1 );
+			const blob = await new Promise( ( resolve, reject ) => {
+				canvas.toBlob(
+					( result ) =>
+						result
+							? resolve( result )
+							: reject( new Error( 'Empty canvas' ) ),
+					'image/jpeg',
+					STITCHED_IMAGE_QUALITY
+				);
+			} );
+
+			const formData = new window.FormData();
+			const ids = images.map( ( image ) => image.id ).join( '-' );
+			formData.append( 'file', blob, `panorama-${ ids }.jpg` );
+			formData.append(
+				'title',
+				altText || __( 'Stitched panorama', 'panoramic-image-block' )
 			);
+			formData.append( 'alt_text', altText );
 
-			canvas.width = totalWidth;
-			canvas.height = maxHeight;
+			const media = await apiFetch( {
+				path: '/wp/v2/media',
+				method: 'POST',
+				body: formData,
+			} );
 
-			let x = 0;
-			loadedImages.forEach( ( img ) => {
-				const y = ( maxHeight - img.height ) / 2;
-				ctx.drawImage( img, x, y );
-				x += img.width;
+			setAttributes( {
+				stitchedImageId: media.id,
+				stitchedImageKey: stitchKey,
 			} );
-		} );
+
+			// Every save is a full-size upload, so remove the one it replaces.
+			const previousId = stitchedImageId || outdatedImageId.current;
+			outdatedImageId.current = 0;
+			if ( previousId && previousId !== media.id ) {
+				await apiFetch( {
+					path: `/wp/v2/media/${ previousId }?force=true`,
+					method: 'DELETE',
+				} ).catch( () => {} );
+			}
+
+			setSaveNotice( {
+				status: 'success',
+				message: __(
+					'The stitched image was saved to the Media Library.',
+					'panoramic-image-block'
+				),
+			} );
+		} catch ( error ) {
+			setSaveNotice( {
+				status: 'error',
+				message: sprintf(
+					/* translators: %s: error message. */
+					__(
+						'The stitched image could not be saved: %s',
+						'panoramic-image-block'
+					),
+					error.message
+				),
+			} );
+		} finally {
+			setIsSaving( false );
+		}
+	};
+
+	const detachStitchedImage = () => {
+		setAttributes( { stitchedImageId: 0, stitchedImageKey: '' } );
+		setSaveNotice( null );
 	};
 
 	useEffect( () => {
-		if ( images.length === 3 ) {
-			stitchImages();
+		if ( ! isComplete ) {
+			return;
+		}
+
+		// Ignore results for a selection that has since changed.
+		let cancelled = false;
+		loadImages( imagesKey.split( '|' ) )
+			.then( ( loadedImages ) => {
+				if ( ! cancelled ) {
+					setLoaded( { key: imagesKey, images: loadedImages } );
+				}
+			} )
+			.catch( () => {} );
+
+		return () => {
+			cancelled = true;
+		};
+	}, [ imagesKey, isComplete ] );
+
+	useEffect( () => {
+		if ( isAligning && isLoaded ) {
+			alignImages();
+		}
+	}, [ isAligning, isLoaded, alignImages ] );
+
+	useEffect( () => {
+		// Wait for automatic alignment, which changes the key, before judging the saved
+		// image. Once it has failed the segments sit side by side, which is judged too.
+		if ( ! stitchedImageId || isAligning ) {
+			return;
+		}
+		if ( stitchedImageKey !== stitchKey ) {
+			outdatedImageId.current = stitchedImageId;
+			setAttributes( { stitchedImageId: 0, stitchedImageKey: '' } );
+			setSaveNotice( {
+				status: 'warning',
+				message: __(
+					'The segments have changed, so the saved stitched image is no longer used. Save it again to replace it in the Media Library.',
+					'panoramic-image-block'
+				),
+			} );
+		}
+	}, [
+		stitchKey,
+		stitchedImageId,
+		stitchedImageKey,
+		isAligning,
+		setAttributes,
+	] );
+
+	useEffect( () => {
+		if ( ! isLoaded || ! canvasRef.current ) {
+			return;
 		}
-	}, [ images ] );
+
+		// While adjusting, the selected segment is drawn translucent on top
+		// so it can be lined up with its neighbours.
+		drawStitched( canvasRef.current, isAdjusting ? selectedIndex : -1 );
+	}, [ isLoaded, drawStitched, isAdjusting, selectedIndex ] );
 
 	const blockProps = useBlockProps( {
 		className: 'panoramic-image-block-editor',
@@ -84,6 +554,289 @@ export default function Edit( { attributes, setAttributes } ) {
 		<>
 			<InspectorControls>
 				<PanelBody title={ __( 'Panoramic Settings', 'panoramic-image-block' ) }>
+					<RangeControl
+						label={ __(
+							'Number of segments',
+							'panoramic-image-block'
+						) }
+						value={ segmentCount }
+						onChange={ onChangeSegmentCount }
+						min={ MIN_SEGMENTS }
+						max={ MAX_SEGMENTS }
+						help={ __(
+							'How many images are stitched together to form the panorama.',
+							'panoramic-image-block'
+						) }
+					/>
+					<SelectControl
+						label={ __( 'Projection', 'panoramic-image-block' ) }
+						value={ projection }
+						options={ PROJECTION_OPTIONS }
+						onChange={ ( value ) =>
+							setAttributes( { projection: value } )
+						}
+						help={ __(
+							'Use 360° for 2:1 equirectangular panoramas that cover the whole sphere, or cylindrical for wide sweeps shot by turning on the spot.',
+							'panoramic-image-block'
+						) }
+					/>
+					{ projection === 'cylindrical' && (
+						<RangeControl
+							label={ __(
+								'Horizontal field of view (°)',
+								'panoramic-image-block'
+							) }
+							value={ hfov }
+							onChange={ ( value ) =>
+								setAttributes( { hfov: value } )
+							}
+							min={ MIN_HFOV }
+							max={ MAX_HFOV }
+							step={ 5 }
+							help={ __(
+								'How far round the panorama reaches, from its left edge to its right.',
+								'panoramic-image-block'
+							) }
+						/>
+					) }
+					{ projection === 'flat' && (
+						<ToggleControl
+							label={ __(
+								'Loops horizontally',
+								'panoramic-image-block'
+							) }
+							checked={ loop }
+							onChange={ ( value ) =>
+								setAttributes( { loop: value } )
+							}
+							help={ __(
+								'For full-circle panoramas whose ends meet: panning carries on round instead of stopping at the edges.',
+								'panoramic-image-block'
+							) }
+						/>
+					) }
+					<ToggleControl
+						label={ __(
+							'Align segments automatically',
+							'panoramic-image-block'
+						) }
+						checked={ autoAlign }
+						onChange={ ( value ) =>
+							setAttributes( { autoAlign: value } )
+						}
+						help={ __(
+							'Match features in overlapping areas to line up neighbouring segments. When off, segments are placed side by side.',
+							'panoramic-image-block'
+						) }
+					/>
+					{ autoAlign && (
+						<Button
+							variant="secondary"
+							onClick={ alignImages }
+							disabled={ ! isLoaded }
+						>
+							{ __(
+								'Re-run alignment',
+								'panoramic-image-block'
+							) }
+						</Button>
+					) }
+					<RangeControl
+						label={ __(
+							'Seam blend width (%)',
+							'panoramic-image-block'
+						) }
+						value={ blendWidth }
+						onChange={ ( value ) =>
+							setAttributes( { blendWidth: value } )
+						}
+						min={ MIN_BLEND_WIDTH }
+						max={ MAX_BLEND_WIDTH }
+						help={ __(
+							'Width of the feathered transition across each seam, as a percentage of segment width. Only overlapping segments are blended; 0 keeps hard edges.',
+							'panoramic-image-block'
+						) }
+					/>
+					<ToggleControl
+						label={ __(
+							'Equalise exposure',
+							'panoramic-image-block'
+						) }
+						checked={ exposureCompensation }
+						onChange={ ( value ) =>
+							setAttributes( { exposureCompensation: value } )
+						}
+						help={ __(
+							'Match brightness and white balance between neighbouring segments.',
+							'panoramic-image-block'
+						) }
+					/>
+					<ToggleControl
+						label={ __(
+							'Adjust seams manually',
+							'panoramic-image-block'
+						) }
+						checked={ isAdjusting }
+						onChange={ ( checked ) =>
+							setPreviewMode( checked ? 'adjusting' : '' )
+						}
+						disabled={ ! isLoaded }
+						help={ __(
+							'Fine-tune each segment by hand. Drag the selected segment in the preview or use the arrow keys; hold Shift for larger steps.',
+							'panoramic-image-block'
+						) }
+					/>
+					{ isAdjusting && isLoaded && (
+						<>
+							<SelectControl
+								label={ __(
+									'Segment',
+									'panoramic-image-block'
+								) }
+								value={ selectedIndex }
+								options={ images.map( ( image, index ) => ( {
+									value: index,
+									label: sprintf(
+										/* translators: %d: segment number. */
+										__(
+											'Segment %d',
+											'panoramic-image-block'
+										),
+										index + 1
+									),
+								} ) ) }
+								onChange={ ( value ) =>
+									setAdjustedIndex( Number( value ) )
+								}
+							/>
+							{ [
+								[
+									'offsetX',
+									__(
+										'Horizontal offset (%)',
+										'panoramic-image-block'
+									),
+								],
+								[
+									'offsetY',
+									__(
+										'Vertical offset (%)',
+										'panoramic-image-block'
+									),
+								],
+								[
+									'overlap',
+									__(
+										'Overlap (%)',
+										'panoramic-image-block'
+									),
+								],
+								[
+									'rotation',
+									__(
+										'Rotation (degrees)',
+										'panoramic-image-block'
+									),
+								],
+								[
+									'cropTop',
+									__(
+										'Crop top (%)',
+										'panoramic-image-block'
+									),
+								],
+								[
+									'cropBottom',
+									__(
+										'Crop bottom (%)',
+										'panoramic-image-block'
+									),
+								],
+							]
+								// The first segment has nothing to overlap.
+								.filter(
+									( [ key ] ) =>
+										key !== 'overlap' || selectedIndex > 0
+								)
+								.map( ( [ key, label ] ) => (
+									<RangeControl
+										key={ key }
+										label={ label }
+										value={ selectedTransform[ key ] }
+										onChange={ ( value ) =>
+											updateTransform( selectedIndex, {
+												[ key ]: value,
+											} )
+										}
+										min={ TRANSFORM_LIMITS[ key ][ 0 ] }
+										max={ TRANSFORM_LIMITS[ key ][ 1 ] }
+										step={ 0.1 }
+									/>
+								) ) }
+							<Button
+								variant="secondary"
+								onClick={ () =>
+									updateTransform(
+										selectedIndex,
+										PanoramicUtils.getDefaultTransform()
+									)
+								}
+							>
+								{ __(
+									'Reset segment',
+									'panoramic-image-block'
+								) }
+							</Button>
+						</>
+					) }
+					<Button
+						variant="secondary"
+						onClick={ saveStitchedImage }
+						disabled={ ! isLoaded || isSaving }
+						isBusy={ isSaving }
+					>
+						{ stitchedImageId
+							? __(
+									'Update stitched image in Media Library',
+									'panoramic-image-block'
+							  )
+							: __(
+									'Save stitched image to Media Library',
+									'panoramic-image-block'
+							  ) }
+					</Button>
+					{ !! stitchedImageId && (
+						<>
+							<p>
+								{ sprintf(
+									/* translators: %d: attachment ID. */
+									__(
+										'Visitors are shown the saved stitched image (attachment %d). The segments are kept for editing.',
+										'panoramic-image-block'
+									),
+									stitchedImageId
+								) }
+							</p>
+							<Button
+								variant="link"
+								isDestructive
+								onClick={ detachStitchedImage }
+							>
+								{ __(
+									'Stop using the saved image',
+									'panoramic-image-block'
+								) }
+							</Button>
+						</>
+					) }
+					{ saveNotice && (
+						<Notice
+							status={ saveNotice.status }
+							onRemove={ () => setSaveNotice( null ) }
+						>
+							{ saveNotice.message }
+						</Notice>
+					) }
 					<TextControl
 						label={ __( 'Alt Text', 'panoramic-image-block' ) }
 						value={ altText }
@@ -96,16 +849,28 @@ export default function Edit( { attributes, setAttributes } ) {
 						) }
 					/>
 				</PanelBody>
+				<DisplayPanel
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
+				<AutoRotatePanel
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
 			</InspectorControls>
 
 			<div { ...blockProps }>
-				{ images.length < 3 ? (
+				{ missingCount > 0 ? (
 					<Placeholder
 						icon="format-gallery"
 						label={ __( 'Panoramic Image', 'panoramic-image-block' ) }
-						instructions={ __(
-							'Select 3 images to create a panoramic view.',
-							'panoramic-image-block'
+						instructions={ sprintf(
+							/* translators: %d: number of images required. */
+							__(
+								'Select %d images to create a panoramic view.',
+								'panoramic-image-block'
+							),
+							segmentCount
 						) }
 					>
 						<MediaUploadCheck>
@@ -122,15 +887,15 @@ export default function Edit( { attributes, setAttributes } ) {
 													'Select Images',
 													'panoramic-image-block'
 											  )
-											: __(
-													`Add ${
-														3 - images.length
-													} more image${
-														3 - images.length > 1
-															? 's'
-															: ''
-													}`,
-													'panoramic-image-block'
+											: sprintf(
+													/* translators: %d: number of images still required. */
+													_n(
+														'Add %d more image',
+														'Add %d more images',
+														missingCount,
+														'panoramic-image-block'
+													),
+													missingCount
 											  ) }
 									</Button>
 								) }
@@ -143,27 +908,149 @@ export default function Edit( { attributes, setAttributes } ) {
 							{ images.map( ( image, index ) => (
 								<div
 									key={ image.id }
-									className="panoramic-image-item"
+									className={ [
+										'panoramic-image-item',
+										draggedIndex === index
+											? 'is-dragging'
+											: '',
+										dropIndex === index &&
+										draggedIndex !== index
+											? 'is-drop-target'
+											: '',
+									]
+										.filter( Boolean )
+										.join( ' ' ) }
+									onDragOver={ ( event ) =>
+										onDragOver( event, index )
+									}
+									onDrop={ ( event ) =>
+										onDrop( event, index )
+									}
 								>
 									<img src={ image.url } alt={ image.alt } />
-									<Button
-										onClick={ () => removeImage( index ) }
-										variant="secondary"
-										isDestructive
-										size="small"
+									<span
+										className="panoramic-image-drag-handle"
+										draggable
+										onDragStart={ ( event ) =>
+											onDragStart( event, index )
+										}
+										onDragEnd={ onDragEnd }
+										title={ __(
+											'Drag to reorder',
+											'panoramic-image-block'
+										) }
+										aria-hidden="true"
 									>
-										{ __( 'Remove', 'panoramic-image-block' ) }
-									</Button>
+										⠿
+									</span>
+									<div className="panoramic-image-item-actions">
+										<Button
+											icon="arrow-left-alt2"
+											label={ __(
+												'Move left',
+												'panoramic-image-block'
+											) }
+											onClick={ () =>
+												moveImage( index, index - 1 )
+											}
+											disabled={ index === 0 }
+											variant="secondary"
+											size="small"
+										/>
+										<Button
+											icon="arrow-right-alt2"
+											label={ __(
+												'Move right',
+												'panoramic-image-block'
+											) }
+											onClick={ () =>
+												moveImage( index, index + 1 )
+											}
+											disabled={
+												index === images.length - 1
+											}
+											variant="secondary"
+											size="small"
+										/>
+										<Button
+											onClick={ () =>
+												removeImage( index )
+											}
+											variant="secondary"
+											isDestructive
+											size="small"
+										>
+											{ __(
+												'Remove',
+												'panoramic-image-block'
+											) }
+										</Button>
+									</div>
 								</div>
 							) ) }
 						</div>
 
 						<div className="panoramic-stitched-preview">
 							<h4>{ __( 'Stitched Preview:', 'panoramic-image-block' ) }</h4>
-							<canvas
-								ref={ canvasRef }
-								style={ { maxWidth: '100%', height: 'auto' } }
-							/>
+							{ autoAlign && alignmentNotice && (
+								<Notice
+									status={ alignmentNotice.status }
+									isDismissible={ false }
+								>
+									{ alignmentNotice.message }
+								</Notice>
+							) }
+							<HotspotEditor
+								clientId={ clientId }
+								hotspots={ hotspots }
+								onChange={ ( value ) =>
+									setAttributes( { hotspots: value } )
+								}
+								previewMode={ previewMode }
+								setPreviewMode={ setPreviewMode }
+							>
+								<InitialViewEditor
+									attributes={ attributes }
+									setAttributes={ setAttributes }
+									previewMode={ previewMode }
+									setPreviewMode={ setPreviewMode }
+								>
+									<canvas
+										ref={ canvasRef }
+										className={
+											isAdjusting
+												? 'is-adjusting'
+												: undefined
+										}
+										style={ {
+											maxWidth: '100%',
+											height: 'auto',
+										} }
+										tabIndex={ isAdjusting ? 0 : undefined }
+										aria-label={
+											isAdjusting
+												? sprintf(
+														/* translators: %d: segment number. */
+														__(
+															'Stitched preview. Use the arrow keys to move segment %d.',
+															'panoramic-image-block'
+														),
+														selectedIndex + 1
+												  )
+												: undefined
+										}
+										onPointerDown={ onCanvasPointerDown }
+										onPointerMove={ onCanvasPointerMove }
+										onPointerUp={ onCanvasPointerUp }
+										onPointerCancel={ onCanvasPointerUp }
+										onKeyDown={
+											isAdjusting
+												? onCanvasKeyDown
+												: undefined
+										}
+									/>
+								</InitialViewEditor>
+							</HotspotEditor>
 						</div>
 
 						<MediaUploadCheck>
@@ -0,0 +1,612 @@
+import { __, sprintf } from '@wordpress/i18n';
+import {
+	InspectorControls,
+	MediaUpload,
+	MediaUploadCheck,
+	RichText,
+	store as blockEditorStore,
+} from '@wordpress/block-editor';
+import {
+	Button,
+	PanelBody,
+	SelectControl,
+	TextControl,
+	ToggleControl,
+} from '@wordpress/components';
+import { useDispatch, useSelect } from '@wordpress/data';
+import { useEffect, useRef, useState } from '@wordpress/element';
+import { PanoramicUtils } from '../assets/modules/panoramic-utils';
+
+// Blocks a tour hotspot can lead to.
+const SCENE_BLOCKS = [
+	'panoramic-image-block/panoramic',
+	'panoramic-image-block/single-panoramic',
+];
+
+// Value of the scene picker option that leads to a Media Library image.
+const ATTACHMENT_SCENE = 'attachment';
+
+// Arrow key nudge, as a fraction of the panorama; Shift nudges further.
+const NUDGE_STEP = 0.001;
+const NUDGE_STEP_LARGE = 0.01;
+
+// Four decimal places are finer than a pixel for panoramas up to 10,000px.
+const round = ( value ) => Math.round( value * 10000 ) / 10000;
+
+/**
+ * Get where the panorama is drawn within a preview image or canvas, relative
+ * to the editor wrapper. Images cropped with object-fit: cover extend past
+ * their element, so the drawn box can be larger than the element's.
+ *
+ * @param {HTMLElement} element Preview image or canvas.
+ * @param {HTMLElement} wrapper Element the markers are positioned in.
+ * @return {Object} Drawn box and visible element box, each with left, top, width and height.
+ */
+export function getPreviewBoxes( element, wrapper ) {
+	const rect = element.getBoundingClientRect();
+	const outer = wrapper.getBoundingClientRect();
+	const visible = {
+		left: rect.left - outer.left,
+		top: rect.top - outer.top,
+		width: rect.width,
+		height: rect.height,
+	};
+
+	const naturalWidth = element.naturalWidth || element.width;
+	const naturalHeight = element.naturalHeight || element.height;
+	const isCover =
+		element.tagName === 'IMG' &&
+		element.ownerDocument.defaultView.getComputedStyle( element )
+			.objectFit === 'cover';
+	if ( ! isCover || ! naturalWidth || ! naturalHeight ) {
+		return { content: visible, visible };
+	}
+
+	const scale = Math.max(
+		rect.width / naturalWidth,
+		rect.height / naturalHeight
+	);
+	const width = naturalWidth * scale;
+	const height = naturalHeight * scale;
+	return {
+		content: {
+			left: visible.left + ( rect.width - width ) / 2,
+			top: visible.top + ( rect.height - height ) / 2,
+			width,
+			height,
+		},
+		visible,
+	};
+}
+
+/**
+ * Keep track of where the panorama is drawn within a preview wrapper, as the
+ * canvas is redrawn or the image loads.
+ *
+ * @param {Object} wrapperRef Ref of the element wrapping the preview image or canvas.
+ * @return {Object|null} Boxes from getPreviewBoxes, or null until measured.
+ */
+export function usePreviewBoxes( wrapperRef ) {
+	const [ boxes, setBoxes ] = useState( null );
+
+	useEffect( () => {
+		const wrapper = wrapperRef.current;
+		if ( ! wrapper ) {
+			return;
+		}
+
+		let element = null;
+		const measure = () => setBoxes( getPreviewBoxes( element, wrapper ) );
+
+		// The canvas changes size as the stitch is redrawn, and images as they load.
+		const resizeObserver = new window.ResizeObserver( measure );
+		const track = () => {
+			const preview = wrapper.querySelector( 'img, canvas' );
+			if ( preview === element ) {
+				return;
+			}
+			if ( element ) {
+				resizeObserver.unobserve( element );
+				element.removeEventListener( 'load', measure );
+			}
+			element = preview;
+			if ( element ) {
+				resizeObserver.observe( element );
+				element.addEventListener( 'load', measure );
+				measure();
+			}
+		};
+		track();
+
+		// The preview may be replaced, as when a block's image is swapped.
+		const mutationObserver = new window.MutationObserver( track );
+		mutationObserver.observe( wrapper, { childList: true, subtree: true } );
+
+		return () => {
+			mutationObserver.disconnect();
+			resizeObserver.disconnect();
+			if ( element ) {
+				element.removeEventListener( 'load', measure );
+			}
+		};
+	}, [ wrapperRef ] );
+
+	return boxes;
+}
+
+/**
+ * Name a panoramic block in the tour scene picker.
+ *
+ * @param {Object} attributes Block attributes.
+ * @param {number} index      Position of the block among the panoramas of the post.
+ * @return {string} Label.
+ */
+function getSceneLabel( attributes, index ) {
+	return (
+		attributes.altText ||
+		sprintf(
+			/* translators: %d: position of the panorama in the post. */
+			__( 'Panorama %d', 'panoramic-image-block' ),
+			index + 1
+		)
+	);
+}
+
+/**
+ * Place and edit the hotspots of a panorama on its editor preview.
+ *
+ * Wrap the preview image or canvas: while "Place hotspots" is on, clicking it
+ * adds a hotspot there. Positions are stored as fractions of the panorama's
+ * width and height, which the viewer maps onto whatever projection is used.
+ * A hotspot either shows details in a popover or, as part of a tour, leads to
+ * another panoramic block or a Media Library image.
+ *
+ * @param {Object}   props                Component props.
+ * @param {string}   props.clientId       Client ID of the block being edited.
+ * @param {Array}    props.hotspots       Hotspots attribute.
+ * @param {Function} props.onChange       Called with the new hotspots.
+ * @param {string}   props.previewMode    Tool working on the preview, 'placing' while hotspots are placed.
+ * @param {Function} props.setPreviewMode Called with the tool to switch to, or '' for none.
+ * @param {Object}   props.children       Preview image or canvas.
+ * @return {Element} Preview with markers, and the form of the selected hotspot.
+ */
+export default function HotspotEditor( {
+	clientId,
+	hotspots,
+	onChange,
+	previewMode,
+	setPreviewMode,
+	children,
+} ) {
+	const wrapperRef = useRef( null );
+	const boxes = usePreviewBoxes( wrapperRef );
+	const isPlacing = previewMode === 'placing';
+	const [ selectedId, setSelectedId ] = useState( null );
+	const selectedIndex = hotspots.findIndex(
+		( hotspot ) => hotspot.id === selectedId
+	);
+	const selected = hotspots[ selectedIndex ];
+
+	// Every panorama in the post, in order, so they keep their numbers in labels.
+	const sceneIds = useSelect( ( select ) => {
+		const { getClientIdsWithDescendants, getBlockName } =
+			select( blockEditorStore );
+		return getClientIdsWithDescendants().filter( ( id ) =>
+			SCENE_BLOCKS.includes( getBlockName( id ) )
+		);
+	}, [] );
+	const sceneAttributes = useSelect(
+		( select ) =>
+			sceneIds.map( ( id ) =>
+				select( blockEditorStore ).getBlockAttributes( id )
+			),
+		[ sceneIds ]
+	);
+	const { updateBlockAttributes } = useDispatch( blockEditorStore );
+
+	const getLabel = ( hotspot, index ) =>
+		hotspot.title ||
+		sprintf(
+			/* translators: %d: hotspot number. */
+			__( 'Hotspot %d', 'panoramic-image-block' ),
+			index + 1
+		);
+
+	const updateHotspot = ( id, changes ) => {
+		onChange(
+			hotspots.map( ( hotspot ) =>
+				hotspot.id === id ? { ...hotspot, ...changes } : hotspot
+			)
+		);
+	};
+
+	const setSceneTarget = ( id, value ) => {
+		if ( value === ATTACHMENT_SCENE ) {
+			updateHotspot( id, { target: { type: 'attachment' } } );
+			return;
+		}
+
+		const index = sceneIds.indexOf( value );
+		if ( index === -1 ) {
+			updateHotspot( id, { target: { type: 'block', scene: '' } } );
+			return;
+		}
+
+		// Blocks are given a scene ID the first time a tour leads to them.
+		let { sceneId } = sceneAttributes[ index ];
+		if ( ! sceneId ) {
+			sceneId = PanoramicUtils.generateId( 'scene' );
+			updateBlockAttributes( value, { sceneId } );
+		}
+		updateHotspot( id, { target: { type: 'block', scene: sceneId } } );
+	};
+
+	const getSceneValue = ( target ) => {
+		if ( target.type === ATTACHMENT_SCENE ) {
+			return ATTACHMENT_SCENE;
+		}
+		const index = sceneAttributes.findIndex(
+			( attributes ) =>
+				!! target.scene && attributes.sceneId === target.scene
+		);
+		return index === -1 ? '' : sceneIds[ index ];
+	};
+
+	const removeHotspot = ( id ) => {
+		onChange( hotspots.filter( ( hotspot ) => hotspot.id !== id ) );
+		setSelectedId( null );
+	};
+
+	const onSurfaceClick = ( event ) => {
+		const { content, visible } = boxes;
+		let left = visible.left + visible.width / 2;
+		let top = visible.top + visible.height / 2;
+		// Enter and Space click with no pointer, and add the hotspot in the middle.
+		if ( event.detail ) {
+			const outer = wrapperRef.current.getBoundingClientRect();
+			left = event.clientX - outer.left;
+			top = event.clientY - outer.top;
+		}
+
+		const x = ( left - content.left ) / content.width;
+		const y = ( top - content.top ) / content.height;
+		if ( x < 0 || x > 1 || y < 0 || y > 1 ) {
+			return;
+		}
+
+		const hotspot = {
+			id: PanoramicUtils.generateId( 'hotspot' ),
+			x: round( x ),
+			y: round( y ),
+			title: '',
+			description: '',
+			url: '',
+		};
+		onChange( [ ...hotspots, hotspot ] );
+		setSelectedId( hotspot.id );
+	};
+
+	const onMarkerKeyDown = ( event, hotspot ) => {
+		const moves = {
+			ArrowLeft: [ 'x', -1 ],
+			ArrowRight: [ 'x', 1 ],
+			ArrowUp: [ 'y', -1 ],
+			ArrowDown: [ 'y', 1 ],
+		};
+		if ( ! moves[ event.key ] ) {
+			return;
+		}
+		event.preventDefault();
+		const [ key, direction ] = moves[ event.key ];
+		const step = event.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+		updateHotspot( hotspot.id, {
+			[ key ]: round(
+				PanoramicUtils.clamp( hotspot[ key ] + direction * step, 0, 1 )
+			),
+		} );
+	};
+
+	const renderSceneFields = ( hotspot ) => (
+		<>
+			<SelectControl
+				label={ __( 'Scene', 'panoramic-image-block' ) }
+				value={ getSceneValue( hotspot.target ) }
+				options={ [
+					{
+						value: '',
+						label: __( 'Select a scene', 'panoramic-image-block' ),
+						disabled: true,
+					},
+					...sceneIds
+						.map( ( id, index ) => ( {
+							value: id,
+							label: getSceneLabel(
+								sceneAttributes[ index ],
+								index
+							),
+						} ) )
+						.filter( ( option ) => option.value !== clientId ),
+					{
+						value: ATTACHMENT_SCENE,
+						label: __(
+							'An image from the Media Library',
+							'panoramic-image-block'
+						),
+					},
+				] }
+				onChange={ ( value ) => setSceneTarget( hotspot.id, value ) }
+				help={ __(
+					'Visitors move to this panorama inside the viewer, and can go back with the Back button.',
+					'panoramic-image-block'
+				) }
+			/>
+			{ hotspot.target.type === ATTACHMENT_SCENE && (
+				<div className="panoramic-hotspot-form-actions">
+					{ hotspot.target.image && (
+						<img
+							className="panoramic-hotspot-form-image"
+							src={ hotspot.target.image.url }
+							alt={ hotspot.target.image.alt }
+						/>
+					) }
+					<MediaUploadCheck>
+						<MediaUpload
+							onSelect={ ( media ) =>
+								updateHotspot( hotspot.id, {
+									target: {
+										type: ATTACHMENT_SCENE,
+										image: {
+											id: media.id,
+											url: media.url,
+											alt: media.alt || '',
+										},
+									},
+								} )
+							}
+							allowedTypes={ [ 'image' ] }
+							value={ hotspot.target.image?.id }
+							render={ ( { open } ) => (
+								<Button variant="secondary" onClick={ open }>
+									{ hotspot.target.image
+										? __(
+												'Replace panorama',
+												'panoramic-image-block'
+										  )
+										: __(
+												'Select panorama',
+												'panoramic-image-block'
+										  ) }
+								</Button>
+							) }
+						/>
+					</MediaUploadCheck>
+				</div>
+			) }
+		</>
+	);
+
+	const renderDetailFields = ( hotspot ) => (
+		<>
+			<RichText
+				tagName="div"
+				className="panoramic-hotspot-description"
+				aria-label={ __( 'Description', 'panoramic-image-block' ) }
+				placeholder={ __( 'Description…', 'panoramic-image-block' ) }
+				value={ hotspot.description }
+				onChange={ ( value ) =>
+					updateHotspot( hotspot.id, { description: value } )
+				}
+				allowedFormats={ [ 'core/bold', 'core/italic', 'core/link' ] }
+			/>
+			<TextControl
+				type="url"
+				label={ __( 'Link', 'panoramic-image-block' ) }
+				value={ hotspot.url }
+				onChange={ ( value ) =>
+					updateHotspot( hotspot.id, { url: value } )
+				}
+				help={ __(
+					'Optional. Shown as a link in the popover.',
+					'panoramic-image-block'
+				) }
+			/>
+			{ hotspot.image && hotspot.image.url && (
+				<img
+					className="panoramic-hotspot-form-image"
+					src={ hotspot.image.url }
+					alt={ hotspot.image.alt }
+				/>
+			) }
+			<div className="panoramic-hotspot-form-actions">
+				<MediaUploadCheck>
+					<MediaUpload
+						onSelect={ ( media ) =>
+							updateHotspot( hotspot.id, {
+								image: {
+									id: media.id,
+									url: media.url,
+									alt: media.alt || '',
+								},
+							} )
+						}
+						allowedTypes={ [ 'image' ] }
+						value={ hotspot.image?.id }
+						render={ ( { open } ) => (
+							<Button variant="secondary" onClick={ open }>
+								{ hotspot.image
+									? __(
+											'Replace image',
+											'panoramic-image-block'
+									  )
+									: __(
+											'Add image',
+											'panoramic-image-block'
+									  ) }
+							</Button>
+						) }
+					/>
+				</MediaUploadCheck>
+				{ hotspot.image && (
+					<Button
+						variant="secondary"
+						onClick={ () =>
+							updateHotspot( hotspot.id, { image: undefined } )
+						}
+					>
+						{ __( 'Remove image', 'panoramic-image-block' ) }
+					</Button>
+				) }
+			</div>
+		</>
+	);
+
+	const isInView = ( left, top ) =>
+		left >= boxes.visible.left &&
+		left <= boxes.visible.left + boxes.visible.width &&
+		top >= boxes.visible.top &&
+		top <= boxes.visible.top + boxes.visible.height;
+
+	return (
+		<>
+			<InspectorControls>
+				<PanelBody
+					title={ __( 'Hotspots', 'panoramic-image-block' ) }
+					initialOpen={ false }
+				>
+					<ToggleControl
+						label={ __(
+							'Place hotspots',
+							'panoramic-image-block'
+						) }
+						checked={ isPlacing }
+						onChange={ ( checked ) =>
+							setPreviewMode( checked ? 'placing' : '' )
+						}
+						help={ __(
+							'Click the preview to add a hotspot there, or press Enter on it to add one in the middle. Select a hotspot to edit it, or move it with the arrow keys; hold Shift for larger steps.',
+							'panoramic-image-block'
+						) }
+					/>
+					{ hotspots.map( ( hotspot, index ) => (
+						<Button
+							key={ hotspot.id }
+							variant="tertiary"
+							isPressed={ hotspot.id === selectedId }
+							onClick={ () => setSelectedId( hotspot.id ) }
+						>
+							{ getLabel( hotspot, index ) }
+						</Button>
+					) ) }
+				</PanelBody>
+			</InspectorControls>
+
+			<div className="panoramic-hotspot-editor">
+				<div
+					ref={ wrapperRef }
+					className="panoramic-hotspot-editor-preview"
+				>
+					{ children }
+					{ isPlacing && boxes && (
+						<button
+							type="button"
+							className="panoramic-hotspot-editor-surface"
+							style={ boxes.visible }
+							aria-label={ __(
+								'Add a hotspot',
+								'panoramic-image-block'
+							) }
+							onClick={ onSurfaceClick }
+						/>
+					) }
+					{ boxes &&
+						hotspots.map( ( hotspot, index ) => {
+							const left =
+								boxes.content.left +
+								hotspot.x * boxes.content.width;
+							const top =
+								boxes.content.top +
+								hotspot.y * boxes.content.height;
+							if ( ! isInView( left, top ) ) {
+								return null;
+							}
+							return (
+								<button
+									key={ hotspot.id }
+									type="button"
+									className={
+										hotspot.target
+											? 'panoramic-hotspot-marker is-scene'
+											: 'panoramic-hotspot-marker'
+									}
+									style={ { left, top } }
+									aria-label={ getLabel( hotspot, index ) }
+									aria-pressed={ hotspot.id === selectedId }
+									onClick={ ( event ) => {
+										event.stopPropagation();
+										setSelectedId( hotspot.id );
+									} }
+									onKeyDown={ ( event ) =>
+										onMarkerKeyDown( event, hotspot )
+									}
+								/>
+							);
+						} ) }
+				</div>
+
+				{ selected && (
+					<div className="panoramic-hotspot-form">
+						<h4>{ getLabel( selected, selectedIndex ) }</h4>
+						<TextControl
+							label={ __( 'Title', 'panoramic-image-block' ) }
+							value={ selected.title }
+							onChange={ ( value ) =>
+								updateHotspot( selected.id, { title: value } )
+							}
+						/>
+						<SelectControl
+							label={ __(
+								'When activated',
+								'panoramic-image-block'
+							) }
+							value={ selected.target ? 'scene' : 'details' }
+							options={ [
+								{
+									value: 'details',
+									label: __(
+										'Show details',
+										'panoramic-image-block'
+									),
+								},
+								{
+									value: 'scene',
+									label: __(
+										'Go to another panorama',
+										'panoramic-image-block'
+									),
+								},
+							] }
+							onChange={ ( value ) =>
+								updateHotspot( selected.id, {
+									target:
+										value === 'scene'
+											? { type: 'block', scene: '' }
+											: undefined,
+								} )
+							}
+						/>
+						{ selected.target
+							? renderSceneFields( selected )
+							: renderDetailFields( selected ) }
+						<Button
+							variant="secondary"
+							isDestructive
+							onClick={ () => removeHotspot( selected.id ) }
+						>
+							{ __( 'Delete hotspot', 'panoramic-image-block' ) }
+						</Button>
+					</div>
+				) }
+			</div>
+		</>
+	);
+}
@@ -0,0 +1,322 @@
+import { __ } from '@wordpress/i18n';
+import { InspectorControls } from '@wordpress/block-editor';
+import {
+	Button,
+	PanelBody,
+	RangeControl,
+	ToggleControl,
+} from '@wordpress/components';
+import { useRef } from '@wordpress/element';
+import { PanoramicUtils } from '../assets/modules/panoramic-utils';
+import { DEFAULT_FOV, FULL_TURN } from '../assets/modules/panoramic-projection';
+import { usePreviewBoxes } from './hotspot-editor';
+
+// Shape of the viewer the frame stands for; the lightbox fills most screens.
+const VIEWER_ASPECT = 16 / 9;
+
+// Starting zoom range, relative to the fitted view, as sanitized when rendering.
+const ZOOM_MIN = 0.5;
+const ZOOM_MAX = 8;
+const ZOOM_STEP = 0.1;
+
+// Arrow key nudge, as a fraction of the panorama; Shift nudges further.
+const NUDGE_STEP = 0.01;
+const NUDGE_STEP_LARGE = 0.05;
+
+const DEG = Math.PI / 180;
+
+const DEFAULT_VIEW = {
+	initialX: 0.5,
+	initialY: 0.5,
+	initialZoom: 1,
+	minZoom: 0,
+	maxZoom: 0,
+};
+
+// Four decimal places are finer than a pixel for panoramas up to 10,000px.
+const round = ( value ) => Math.round( value * 10000 ) / 10000;
+
+/**
+ * Work out how much of the panorama the viewer shows when it opens.
+ *
+ * @param {Object} attributes Block attributes.
+ * @param {Object} content    Drawn size of the panorama, with width and height.
+ * @return {Object} Width and height of the view, as fractions of the panorama.
+ */
+function getFrameSize( attributes, content ) {
+	const { projection, hfov, initialZoom } = attributes;
+	const ratio = content.width / content.height;
+
+	if ( projection === 'flat' ) {
+		// Fitted so the panorama fills the viewer, then zoomed.
+		const scale = Math.max( 1, VIEWER_ASPECT / ratio ) * initialZoom;
+		return {
+			width: Math.min( 1, VIEWER_ASPECT / ( ratio * scale ) ),
+			height: Math.min( 1, 1 / scale ),
+		};
+	}
+
+	const coverage = projection === 'cylindrical' ? hfov : FULL_TURN;
+	const fov = Math.min( DEFAULT_FOV / initialZoom, coverage );
+	const vfov = 2 * Math.atan( Math.tan( ( fov / 2 ) * DEG ) / VIEWER_ASPECT );
+	const height =
+		projection === 'cylindrical'
+			? ( 2 * Math.tan( vfov / 2 ) * ratio ) / ( coverage * DEG )
+			: vfov / DEG / 180;
+
+	return {
+		width: fov / coverage,
+		height: Math.min( 1, height ),
+	};
+}
+
+/**
+ * Choose the view a panorama opens on, and how far visitors can zoom.
+ *
+ * Wrap the preview image or canvas: while "Frame the starting view" is on, a
+ * frame shows the part of the panorama the viewer opens on. Drag it, or move
+ * it with the arrow keys, to choose the point to centre; + and - zoom. The
+ * point is stored as fractions of the panorama's width and height, and zoom
+ * levels relative to the fitted view, so they hold for any screen size.
+ *
+ * @param {Object}   props                Component props.
+ * @param {Object}   props.attributes     Block attributes.
+ * @param {Function} props.setAttributes  Block attribute setter.
+ * @param {string}   props.previewMode    Tool working on the preview, 'framing' while the frame is shown.
+ * @param {Function} props.setPreviewMode Called with the tool to switch to, or '' for none.
+ * @param {Object}   props.children       Preview image or canvas.
+ * @return {Element} Preview with the starting view frame, and its settings.
+ */
+export default function InitialViewEditor( {
+	attributes,
+	setAttributes,
+	previewMode,
+	setPreviewMode,
+	children,
+} ) {
+	const { projection, hfov, initialX, initialY, initialZoom } = attributes;
+	const minZoom = attributes.minZoom || 0;
+	const maxZoom = attributes.maxZoom || 0;
+	const wrapperRef = useRef( null );
+	const dragRef = useRef( null );
+	const boxes = usePreviewBoxes( wrapperRef );
+	const isFraming = previewMode === 'framing';
+	const coverage = projection === 'cylindrical' ? hfov : FULL_TURN;
+
+	const moveTo = ( x, y ) => {
+		setAttributes( {
+			initialX: round( PanoramicUtils.clamp( x, 0, 1 ) ),
+			initialY: round( PanoramicUtils.clamp( y, 0, 1 ) ),
+		} );
+	};
+
+	const zoomTo = ( zoom ) => {
+		setAttributes( {
+			initialZoom: round(
+				PanoramicUtils.clamp(
+					zoom,
+					Math.max( ZOOM_MIN, minZoom ),
+					maxZoom ? Math.min( ZOOM_MAX, maxZoom ) : ZOOM_MAX
+				)
+			),
+		} );
+	};
+
+	const onFramePointerDown = ( event ) => {
+		event.preventDefault();
+		event.stopPropagation();
+		event.currentTarget.setPointerCapture( event.pointerId );
+		event.currentTarget.focus();
+		dragRef.current = {
+			clientX: event.clientX,
+			clientY: event.clientY,
+			x: initialX,
+			y: initialY,
+		};
+	};
+
+	const onFramePointerMove = ( event ) => {
+		const drag = dragRef.current;
+		if ( ! drag || ! boxes ) {
+			return;
+		}
+		moveTo(
+			drag.x + ( event.clientX - drag.clientX ) / boxes.content.width,
+			drag.y + ( event.clientY - drag.clientY ) / boxes.content.height
+		);
+	};
+
+	const onFramePointerUp = () => {
+		dragRef.current = null;
+	};
+
+	const onFrameKeyDown = ( event ) => {
+		const step = event.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP;
+		const moves = {
+			ArrowLeft: [ -step, 0 ],
+			ArrowRight: [ step, 0 ],
+			ArrowUp: [ 0, -step ],
+			ArrowDown: [ 0, step ],
+		};
+
+		if ( moves[ event.key ] ) {
+			const [ dx, dy ] = moves[ event.key ];
+			moveTo( initialX + dx, initialY + dy );
+		} else if ( event.key === '+' || event.key === '=' ) {
+			zoomTo( initialZoom + ZOOM_STEP );
+		} else if ( event.key === '-' ) {
+			zoomTo( initialZoom - ZOOM_STEP );
+		} else {
+			return;
+		}
+		event.preventDefault();
+	};
+
+	const renderFrame = () => {
+		const { content, visible } = boxes;
+		const size = getFrameSize( attributes, content );
+		const style = {
+			left:
+				content.left -
+				visible.left +
+				( initialX - size.width / 2 ) * content.width,
+			top:
+				content.top -
+				visible.top +
+				( initialY - size.height / 2 ) * content.height,
+			width: size.width * content.width,
+			height: size.height * content.height,
+		};
+
+		return (
+			<div
+				className="panoramic-initial-view-layer"
+				style={ {
+					left: visible.left,
+					top: visible.top,
+					width: visible.width,
+					height: visible.height,
+				} }
+			>
+				<button
+					type="button"
+					className="panoramic-initial-view-frame"
+					style={ style }
+					aria-label={ __(
+						'Starting view. Use the arrow keys to move it, and + or - to zoom.',
+						'panoramic-image-block'
+					) }
+					onClick={ ( event ) => event.stopPropagation() }
+					onPointerDown={ onFramePointerDown }
+					onPointerMove={ onFramePointerMove }
+					onPointerUp={ onFramePointerUp }
+					onPointerCancel={ onFramePointerUp }
+					onKeyDown={ onFrameKeyDown }
+				/>
+			</div>
+		);
+	};
+
+	return (
+		<>
+			<InspectorControls>
+				<PanelBody
+					title={ __( 'Starting view', 'panoramic-image-block' ) }
+					initialOpen={ false }
+				>
+					<ToggleControl
+						label={ __(
+							'Frame the starting view',
+							'panoramic-image-block'
+						) }
+						checked={ isFraming }
+						onChange={ ( checked ) =>
+							setPreviewMode( checked ? 'framing' : '' )
+						}
+						help={ __(
+							'Drag the frame on the preview to the part of the panorama the viewer opens on, or move it with the arrow keys; + and - zoom.',
+							'panoramic-image-block'
+						) }
+					/>
+					{ projection !== 'flat' && (
+						<RangeControl
+							label={ __(
+								'Starting heading (°)',
+								'panoramic-image-block'
+							) }
+							value={ Math.round(
+								( initialX - 0.5 ) * coverage
+							) }
+							onChange={ ( value ) =>
+								moveTo(
+									0.5 + ( value || 0 ) / coverage,
+									initialY
+								)
+							}
+							min={ -Math.floor( coverage / 2 ) }
+							max={ Math.floor( coverage / 2 ) }
+							step={ 1 }
+							help={ __(
+								'Which way the viewer faces when it opens, from the centre of the panorama.',
+								'panoramic-image-block'
+							) }
+						/>
+					) }
+					<RangeControl
+						label={ __( 'Starting zoom', 'panoramic-image-block' ) }
+						value={ initialZoom }
+						onChange={ ( value ) => zoomTo( value || 1 ) }
+						min={ ZOOM_MIN }
+						max={ ZOOM_MAX }
+						step={ ZOOM_STEP }
+						help={ __(
+							'1 fits the panorama to the viewer.',
+							'panoramic-image-block'
+						) }
+					/>
+					<RangeControl
+						label={ __( 'Minimum zoom', 'panoramic-image-block' ) }
+						value={ minZoom || undefined }
+						onChange={ ( value ) =>
+							setAttributes( { minZoom: value || 0 } )
+						}
+						min={ 0.25 }
+						max={ 1 }
+						step={ 0.05 }
+						allowReset
+						help={ __(
+							'How far visitors can zoom out. Reset to use the viewer’s default.',
+							'panoramic-image-block'
+						) }
+					/>
+					<RangeControl
+						label={ __( 'Maximum zoom', 'panoramic-image-block' ) }
+						value={ maxZoom || undefined }
+						onChange={ ( value ) =>
+							setAttributes( { maxZoom: value || 0 } )
+						}
+						min={ 1 }
+						max={ 10 }
+						step={ 0.5 }
+						allowReset
+						help={ __(
+							'How far visitors can zoom in. Reset to use the viewer’s default.',
+							'panoramic-image-block'
+						) }
+					/>
+					<Button
+						variant="secondary"
+						onClick={ () => setAttributes( DEFAULT_VIEW ) }
+					>
+						{ __( 'Reset starting view', 'panoramic-image-block' ) }
+					</Button>
+				</PanelBody>
+			</InspectorControls>
+
+			<div ref={ wrapperRef } className="panoramic-initial-view-editor">
+				{ children }
+				{ isFraming && boxes && renderFrame() }
+			</div>
+		</>
+	);
+}
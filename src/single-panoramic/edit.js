@@ -10,10 +10,20 @@ import {
 	PanelBody,
 	TextControl,
 	Placeholder,
+	SelectControl,
+	RangeControl,
+	ToggleControl,
 } from '@wordpress/components';
+import { useState } from '@wordpress/element';
+import HotspotEditor from '../hotspot-editor';
+import InitialViewEditor from '../initial-view-editor';
+import AutoRotatePanel from '../auto-rotate-panel';
+import DisplayPanel from '../display-panel';
 
-export default function Edit( { attributes, setAttributes } ) {
-	const { image, altText } = attributes;
+export default function Edit( { attributes, setAttributes, clientId } ) {
+	const { image, projection, hfov, loop, altText, hotspots } = attributes;
+	// Only one tool works on the preview at a time: 'framing' or 'placing'.
+	const [ previewMode, setPreviewMode ] = useState( '' );
 
 	const onSelectImage = ( media ) => {
 		const selectedImage = {
@@ -59,6 +69,36 @@ export default function Edit( { attributes, setAttributes } ) {
 		<>
 			<InspectorControls>
 				<PanelBody title={ __( 'Image Settings', 'panoramic-image-block' ) }>
+					<SelectControl
+						label={ __( 'Projection', 'panoramic-image-block' ) }
+						value={ projection }
+						options={ [
+							{ value: 'flat', label: __( 'Flat', 'panoramic-image-block' ) },
+							{ value: 'equirectangular', label: __( '360° equirectangular', 'panoramic-image-block' ) },
+							{ value: 'cylindrical', label: __( 'Cylindrical', 'panoramic-image-block' ) },
+						] }
+						onChange={ ( value ) => setAttributes( { projection: value } ) }
+						help={ __( 'Use 360° for 2:1 equirectangular photos from 360° cameras, or cylindrical for wide sweeps shot by turning on the spot.', 'panoramic-image-block' ) }
+					/>
+					{ projection === 'cylindrical' && (
+						<RangeControl
+							label={ __( 'Horizontal field of view (°)', 'panoramic-image-block' ) }
+							value={ hfov }
+							onChange={ ( value ) => setAttributes( { hfov: value } ) }
+							min={ 30 }
+							max={ 360 }
+							step={ 5 }
+							help={ __( 'How far round the panorama reaches, from its left edge to its right.', 'panoramic-image-block' ) }
+						/>
+					) }
+					{ projection === 'flat' && (
+						<ToggleControl
+							label={ __( 'Loops horizontally', 'panoramic-image-block' ) }
+							checked={ loop }
+							onChange={ ( value ) => setAttributes( { loop: value } ) }
+							help={ __( 'For full-circle panoramas whose ends meet: panning carries on round instead of stopping at the edges.', 'panoramic-image-block' ) }
+						/>
+					) }
 					<TextControl
 						label={ __( 'Alt Text', 'panoramic-image-block' ) }
 						value={ altText }
@@ -73,22 +113,45 @@ export default function Edit( { attributes, setAttributes } ) {
 						{ __( 'Remove Image', 'panoramic-image-block' ) }
 					</Button>
 				</PanelBody>
+				<DisplayPanel
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
+				<AutoRotatePanel
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
 			</InspectorControls>
 
 			<div { ...blockProps }>
 				<div className="single-panoramic-image-block-container">
 					<div className="single-panoramic-image-preview">
-						<img
-							src={ image.url }
-							alt={ altText || image.alt || __( 'Panoramic image preview', 'panoramic-image-block' ) }
-							style={ {
-								width: '100%',
-								height: 'auto',
-								maxHeight: '300px',
-								objectFit: 'cover',
-								borderRadius: '4px',
-							} }
-						/>
+						<HotspotEditor
+							clientId={ clientId }
+							hotspots={ hotspots }
+							onChange={ ( value ) => setAttributes( { hotspots: value } ) }
+							previewMode={ previewMode }
+							setPreviewMode={ setPreviewMode }
+						>
+							<InitialViewEditor
+								attributes={ attributes }
+								setAttributes={ setAttributes }
+								previewMode={ previewMode }
+								setPreviewMode={ setPreviewMode }
+							>
+								<img
+									src={ image.url }
+									alt={ altText || image.alt || __( 'Panoramic image preview', 'panoramic-image-block' ) }
+									style={ {
+										width: '100%',
+										height: 'auto',
+										maxHeight: '300px',
+										objectFit: 'cover',
+										borderRadius: '4px',
+									} }
+								/>
+							</InitialViewEditor>
+						</HotspotEditor>
 						<div className="single-panoramic-play-overlay">
 							<span className="single-panoramic-play-icon" aria-hidden="true">⚬</span>
 						</div>